@@ -3,7 +3,19 @@ const cors = require("cors");
 const rateLimit = require("express-rate-limit");
 const cookieParser = require("cookie-parser");
 const feedbackRoutes = require("./routes/feedback.routes");
+const tagRoutes = require("./routes/tags.routes");
 const adminRoutes = require("./routes/admin.routes");
+const moderationRoutes = require("./routes/moderation.routes");
+const userRoutes = require("./routes/users.routes");
+const twoFactorRoutes = require("./routes/twoFactor.routes");
+const sessionRoutes = require("./routes/sessions.routes");
+const passwordRoutes = require("./routes/password.routes");
+const auditRoutes = require("./routes/audit.routes");
+const webhookRoutes = require("./routes/webhooks.routes");
+const notificationRoutes = require("./routes/notifications.routes");
+const auditTrail = require("./middleware/audit");
+const loadOrganization = require("./middleware/organization");
+const { MAX_SUBMISSION_BYTES } = require("./utils/attachments");
 
 // Create the Express application
 const app = express();
@@ -27,6 +39,11 @@ app.use(
 // Cookies + JSON
 app.use(cookieParser());
 
+// Submissions may carry base64 attachments (see utils/attachments.js)
+app.post(
+  ["/feedback", "/o/:slug/feedback"],
+  express.json({ limit: MAX_SUBMISSION_BYTES })
+);
 app.use(express.json());
 
 // Correct client IPs behind proxy/CDN
@@ -62,19 +79,70 @@ if (process.env.NODE_ENV === "production") {
     legacyHeaders: false,
   });
 
+  // Specific rate limiter for receipt lookups (slows key guessing)
+  const receiptLimiter = rateLimit({
+    windowMs: 15 * 60 * 1000, // 15 minutes
+    max: 30, // max 30 receipt requests per 15 minutes per IP
+    standardHeaders: true,
+    legacyHeaders: false,
+    message: { error: "Too many requests, please try again later." },
+  });
+
+  // Specific rate limiter for password reset emails (slows mail bombing)
+  const passwordForgotLimiter = rateLimit({
+    windowMs: 15 * 60 * 1000, // 15 minutes
+    max: 5, // max 5 reset requests per 15 minutes per IP
+    standardHeaders: true,
+    legacyHeaders: false,
+    message: { error: "Too many requests, please try again later." },
+  });
+
   // Apply the global rate limiter to all routes
   app.use(globalLimiter);
 
   app.use("/admin/login", adminLoginLimiter);
 
-  app.use("/feedback", (req, res, next) =>
+  app.use("/admin/password/forgot", passwordForgotLimiter);
+
+  app.use(["/feedback/receipt", "/o/:slug/feedback/receipt"], receiptLimiter);
+
+  app.use(["/feedback", "/o/:slug/feedback"], (req, res, next) =>
     req.method === "POST" ? feedbackPostLimiter(req, res, next) : next()
   );
 }
 
+// Audit log of admin mutations (see utils/auditLog.js)
+app.use(auditTrail);
+
 // Routes
+// Each organization's board lives under /o/:slug; the unprefixed routes
+// serve the default organization (see middleware/organization.js)
 // Use the feedback router for all requests to /feedback
-app.use("/feedback", feedbackRoutes);
+app.use("/o/:slug/feedback", loadOrganization, feedbackRoutes);
+app.use("/feedback", loadOrganization, feedbackRoutes);
+// Use the tags router for the tag taxonomy (listing is public)
+app.use("/o/:slug/tags", loadOrganization, tagRoutes);
+app.use("/tags", loadOrganization, tagRoutes);
+// Public details of a board (its name)
+app.get("/o/:slug", loadOrganization, (req, res) => {
+  res.json({ slug: req.organization.slug, name: req.organization.name });
+});
+// Use the moderation router for moderation settings (admin only)
+app.use("/admin/moderation", moderationRoutes);
+// Use the users router for the admin team (invitations, roles, passwords)
+app.use("/admin/users", userRoutes);
+// Use the two-factor router for enrolling in and managing 2FA
+app.use("/admin/2fa", twoFactorRoutes);
+// Use the sessions router for the signed-in admin's devices
+app.use("/admin/sessions", sessionRoutes);
+// Use the password router for resetting a forgotten password
+app.use("/admin/password", passwordRoutes);
+// Use the audit router for the organization's audit log
+app.use("/admin/audit", auditRoutes);
+// Use the webhooks router for the organization's event subscriptions
+app.use("/admin/webhooks", webhookRoutes);
+// Use the notifications router for the organization's notification channels
+app.use("/admin/notifications", notificationRoutes);
 // Use the admin router for all requests to /admin
 app.use("/admin", adminRoutes);
 
@@ -0,0 +1,40 @@
+const { record, actionFor } = require("../utils/auditLog");
+
+const MUTATIONS = new Set(["POST", "PUT", "PATCH", "DELETE"]);
+
+// Route params naming what was acted on, most specific first
+const TARGET_PARAMS = ["commentId", "responseId", "id", "feedbackId"];
+
+/**
+ * Records every successful admin mutation in the audit log
+ * (utils/auditLog.js) once its response is sent. Routes can add specifics
+ * with res.locals.audit = { details, target }.
+ */
+const auditTrail = (req, res, next) => {
+  if (!MUTATIONS.has(req.method)) return next();
+
+  res.on("finish", () => {
+    // Signed-in admins only (anonymous submissions are not admin actions)
+    if (!req.admin?.organization || res.statusCode >= 400) return;
+    const action = actionFor(req);
+    if (!action) return;
+
+    const params = req.params || {};
+    const targetParam = TARGET_PARAMS.find((name) => params[name]);
+    const extra = res.locals.audit || {};
+    record({
+      organization: req.admin.organization,
+      actor: { id: req.admin.id, username: req.admin.username },
+      action,
+      target: extra.target || {
+        type: action.includes(".") ? action.split(".")[0] : undefined,
+        id: targetParam ? params[targetParam] : params.slug,
+      },
+      details: extra.details,
+      req,
+    });
+  });
+  next();
+};
+
+module.exports = auditTrail;
@@ -1,18 +1,97 @@
 const jwt = require("jsonwebtoken");
+const Admin = require("../models/Admin.model");
+const Session = require("../models/Session.model");
+const { can } = require("../utils/permissions");
 
-const auth = (req, res, next) => {
+/**
+ * The claims of a verified access token as they stand now, or null.
+ * Tokens name their session (utils/adminSession.js) and only work while it
+ * exists and the admin is not disabled, so signing a device out or
+ * disabling an admin takes effect at once; the role is read afresh too.
+ */
+const currentClaims = async (payload) => {
+  if (!payload.sid) return null;
+  const [session, admin] = await Promise.all([
+    Session.exists({
+      _id: payload.sid,
+      admin: payload.id,
+      expiresAt: { $gt: new Date() },
+    }),
+    Admin.findById(payload.id, "role disabled").lean(),
+  ]);
+  if (!session || !admin || admin.disabled) return null;
+  return { ...payload, role: admin.role };
+};
+
+/**
+ * Verifies the Bearer access token and its session. Resolves its claims,
+ * or answers 401 and resolves null.
+ */
+const verifyToken = async (req, res) => {
   const authHeader = req.headers.authorization;
   if (!authHeader || !authHeader.startsWith("Bearer ")) {
-    return res.status(401).json({ error: "No token provided" });
+    res.status(401).json({ error: "No token provided" });
+    return null;
   }
   const token = authHeader.split(" ")[1];
+  let payload;
   try {
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    req.admin = decoded;
-    next();
+    payload = jwt.verify(token, process.env.JWT_SECRET);
+    // Sign-in challenges (utils/adminSession.js) are not access tokens
+    if (payload.purpose) throw new Error("Not an access token");
   } catch (err) {
-    return res.status(401).json({ error: "Invalid or expired token" });
+    res.status(401).json({ error: "Invalid or expired token" });
+    return null;
+  }
+  const claims = await currentClaims(payload);
+  if (!claims) {
+    res.status(401).json({ error: "Session has ended, please log in again" });
+    return null;
+  }
+  return claims;
+};
+
+// Admins only act on their own organization's board (see
+// middleware/organization.js); routes without one are scoped by the token
+const ofOrganization = (admin, req) =>
+  !req.organization ||
+  String(admin.organization) === String(req.organization._id);
+
+const auth = async (req, res, next) => {
+  const admin = await verifyToken(req, res);
+  if (!admin) return;
+  if (!ofOrganization(admin, req)) {
+    return res.status(403).json({ error: "Not an admin of this organization" });
+  }
+  req.admin = admin;
+  next();
+};
+
+// Like auth, but lets requests without a token through as anonymous.
+// A token that is present but invalid is still rejected so the client can
+// refresh it instead of silently getting the public view. Admins of other
+// organizations get the public view.
+const optionalAuth = async (req, res, next) => {
+  if (!req.headers.authorization) return next();
+  const admin = await verifyToken(req, res);
+  if (!admin) return;
+  if (ofOrganization(admin, req)) req.admin = admin;
+  next();
+};
+
+/**
+ * Builds a middleware (after auth) that answers 403 unless the admin's role
+ * has `permission` (see utils/permissions.js).
+ */
+const requirePermission = (permission) => (req, res, next) => {
+  if (!can(req.admin?.role, permission)) {
+    return res
+      .status(403)
+      .json({ error: "Your role does not allow this action" });
   }
+  next();
 };
 
 module.exports = auth;
+module.exports.optionalAuth = optionalAuth;
+module.exports.requirePermission = requirePermission;
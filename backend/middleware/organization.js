@@ -0,0 +1,35 @@
+const {
+  DEFAULT_ORGANIZATION,
+  getOrganization,
+} = require("../utils/organizations");
+
+/**
+ * Builds a middleware that sets req.organization to the organization
+ * named by `slugOf(req)`, or answers 404.
+ */
+const organizationLoader = (slugOf) => async (req, res, next) => {
+  try {
+    const organization = await getOrganization(slugOf(req));
+    if (!organization) {
+      return res.status(404).json({ error: "Organization not found" });
+    }
+    req.organization = organization;
+    next();
+  } catch (err) {
+    next(err);
+  }
+};
+
+// Public routes: the board in /o/:slug/..., or the default one on the
+// unprefixed routes
+const loadOrganization = organizationLoader(
+  (req) => req.params.slug || DEFAULT_ORGANIZATION
+);
+
+// Admin routes (after auth): the signed-in admin's own organization
+const loadAdminOrganization = organizationLoader(
+  (req) => req.admin.organizationSlug
+);
+
+module.exports = loadOrganization;
+module.exports.loadAdminOrganization = loadAdminOrganization;
@@ -0,0 +1,246 @@
+/*
+  Declarative request validation
+
+  Routes describe what they accept per request part:
+
+    router.post(
+      "/:id/comment",
+      validate({
+        params: { id: objectId({ label: "Feedback id" }) },
+        body: { text: string({ required: true, max: 2000 }) },
+      }),
+      handler
+    );
+
+  Every field is checked and all failures are answered at once with a 422:
+
+    { error: "Text is required", fields: { text: "Text is required" } }
+
+  `error` repeats the first field message for clients that show a single
+  message. Handlers report their own field errors (e.g. an unknown tag) in
+  the same shape with sendValidationError().
+
+  On success the described parts are replaced by the validated values:
+  strings trimmed, query numbers/booleans converted, undeclared keys
+  dropped. Parts without a schema are left untouched.
+*/
+
+const OBJECT_ID_PATTERN = /^[0-9a-f]{24}$/i;
+
+// "feedbackId" -> "Feedback id"
+const humanize = (name) => {
+  const words = name.replace(/([A-Z])/g, " $1").toLowerCase().trim();
+  return words.charAt(0).toUpperCase() + words.slice(1);
+};
+
+const isMissing = (value) =>
+  value === undefined || value === null || value === "";
+
+/**
+ * Wraps a type check with the shared required/optional handling.
+ * A rule returns { value } or { error }.
+ */
+function rule(check, { required = false, label } = {}) {
+  return (value, name) => {
+    const fieldLabel = label || humanize(name);
+    if (isMissing(value)) {
+      return required ? { error: `${fieldLabel} is required` } : { value: undefined };
+    }
+    return check(value, fieldLabel, required);
+  };
+}
+
+/**
+ * String rule. Trimmed unless `trim: false`.
+ *
+ * @param {object} [options]
+ * @param {boolean} [options.required]
+ * @param {number} [options.min] - Minimum length
+ * @param {number} [options.max] - Maximum length
+ * @param {string[]} [options.oneOf] - Allowed values
+ * @param {RegExp} [options.pattern]
+ * @param {string} [options.patternMessage] - Message when pattern fails
+ * @param {string} [options.label] - Field name used in messages
+ */
+function string(options = {}) {
+  const { min, max, oneOf, pattern, patternMessage, trim = true } = options;
+  return rule((value, label, required) => {
+    if (typeof value !== "string") return { error: `${label} must be text` };
+    const text = trim ? value.trim() : value;
+    if (!text && required) return { error: `${label} is required` };
+    if (min != null && text.length < min) {
+      return { error: `${label} must be at least ${min} characters` };
+    }
+    if (max != null && text.length > max) {
+      return { error: `${label} must be at most ${max} characters` };
+    }
+    if (oneOf && !oneOf.includes(text)) {
+      return { error: `${label} must be one of: ${oneOf.join(", ")}` };
+    }
+    if (pattern && !pattern.test(text)) {
+      return { error: patternMessage || `${label} is not valid` };
+    }
+    return { value: text };
+  }, options);
+}
+
+/**
+ * Number rule. Numeric strings (query values) are converted.
+ *
+ * @param {object} [options] - required, integer, min, max, label
+ */
+function number(options = {}) {
+  const { integer = false, min, max } = options;
+  return rule((value, label) => {
+    const n = typeof value === "string" ? Number(value.trim()) : value;
+    if (typeof n !== "number" || !Number.isFinite(n)) {
+      return { error: `${label} must be a number` };
+    }
+    if (integer && !Number.isInteger(n)) {
+      return { error: `${label} must be a whole number` };
+    }
+    if (min != null && n < min) return { error: `${label} must be at least ${min}` };
+    if (max != null && n > max) return { error: `${label} must be at most ${max}` };
+    return { value: n };
+  }, options);
+}
+
+/**
+ * Boolean rule. "true"/"false" strings (query values) are converted.
+ */
+function boolean(options = {}) {
+  return rule((value, label) => {
+    if (value === true || value === "true") return { value: true };
+    if (value === false || value === "false") return { value: false };
+    return { error: `${label} must be true or false` };
+  }, options);
+}
+
+/**
+ * MongoDB ObjectId rule (24 hex characters).
+ */
+function objectId(options = {}) {
+  return rule((value, label) => {
+    const id = String(value);
+    if (!OBJECT_ID_PATTERN.test(id)) return { error: `${label} is not a valid id` };
+    return { value: id };
+  }, options);
+}
+
+/**
+ * http(s) URL rule; the value is normalized (e.g. "HTTPS://Example.com" ->
+ * "https://example.com/").
+ *
+ * @param {object} [options] - required, max (length), label
+ */
+function url(options = {}) {
+  const { max = 2000 } = options;
+  return rule((value, label) => {
+    if (typeof value !== "string") return { error: `${label} must be text` };
+    const text = value.trim();
+    if (text.length > max) {
+      return { error: `${label} must be at most ${max} characters` };
+    }
+    let parsed;
+    try {
+      parsed = new URL(text);
+    } catch (_) {
+      return { error: `${label} is not a valid URL` };
+    }
+    if (!["http:", "https:"].includes(parsed.protocol)) {
+      return { error: `${label} must start with http:// or https://` };
+    }
+    return { value: parsed.href };
+  }, options);
+}
+
+/**
+ * Array rule; every item is checked with `item`.
+ *
+ * @param {Function} item - Rule for each entry (give it a label such as
+ *   "Each tag" for readable messages)
+ * @param {object} [options] - required, max (entries), label
+ */
+function array(item, options = {}) {
+  const { max } = options;
+  return rule((value, label) => {
+    if (!Array.isArray(value)) return { error: `${label} must be a list` };
+    if (max != null && value.length > max) {
+      return { error: `${label} can have at most ${max} entries` };
+    }
+    const values = [];
+    for (const entry of value) {
+      // Item rules are named after the list unless they carry a label
+      const result = item(entry, `${label} entries`);
+      if (result.error) return { error: result.error };
+      values.push(result.value);
+    }
+    return { value: values };
+  }, options);
+}
+
+/**
+ * Sends the 422 validation error response.
+ *
+ * @param {import("express").Response} res
+ * @param {Object<string, string>} fields - Field name -> message
+ */
+function sendValidationError(res, fields) {
+  return res
+    .status(422)
+    .json({ error: Object.values(fields)[0], fields });
+}
+
+/**
+ * Builds the validation middleware for a route.
+ *
+ * @param {object} schema
+ * @param {object} [schema.params] - Field name -> rule
+ * @param {object} [schema.query]
+ * @param {object} [schema.body]
+ * @param {Function} [schema.check] - Cross-field check run on the validated
+ *   { params, query, body } once every field passed; returns
+ *   { field: message } or null
+ */
+function validate(schema) {
+  const parts = ["params", "query", "body"].filter((part) => schema[part]);
+
+  return (req, res, next) => {
+    const fields = {};
+    const validated = {};
+
+    for (const part of parts) {
+      const source = req[part] || {};
+      validated[part] = {};
+      for (const [name, check] of Object.entries(schema[part])) {
+        const result = check(source[name], name);
+        if (result.error) fields[name] = result.error;
+        else if (result.value !== undefined) validated[part][name] = result.value;
+      }
+    }
+
+    if (Object.keys(fields).length === 0 && schema.check) {
+      Object.assign(fields, schema.check(validated) || {});
+    }
+    if (Object.keys(fields).length > 0) {
+      return sendValidationError(res, fields);
+    }
+
+    if (validated.params) Object.assign(req.params, validated.params);
+    if (validated.body) req.body = validated.body;
+    if (validated.query) {
+      // req.query is a getter in Express 5; shadow it with the clean values
+      Object.defineProperty(req, "query", {
+        value: validated.query,
+        writable: true,
+        configurable: true,
+        enumerable: true,
+      });
+    }
+    next();
+  };
+}
+
+module.exports = validate;
+module.exports.sendValidationError = sendValidationError;
+module.exports.rules = { string, number, boolean, objectId, url, array };
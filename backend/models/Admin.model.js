@@ -1,12 +1,55 @@
 const mongoose = require("mongoose");
 const bcrypt = require("bcrypt");
+const { ROLES } = require("../utils/permissions");
+const { EMAIL_PATTERN } = require("./Organization.model");
 
 const AdminSchema = new mongoose.Schema({
   username: { type: String, required: true, unique: true },
+  // The organization whose board this admin manages
+  organization: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Organization",
+    required: true,
+  },
+  // What the admin may do there (utils/permissions.js). Admins from before
+  // roles existed keep full access.
+  role: { type: String, enum: ROLES, default: "owner" },
+  // Where password reset links go (see routes/password.routes.js). Set from
+  // the invitation for invited admins; others add it themselves.
+  email: {
+    type: String,
+    trim: true,
+    lowercase: true,
+    maxlength: 254,
+    match: [EMAIL_PATTERN, "Invalid email address"],
+  },
+  // Disabled admins cannot sign in or refresh their token
+  disabled: { type: Boolean, default: false },
   password: { type: String, required: true },
-  refreshToken: { type: String },
+  // Two-factor sign-in (utils/twoFactor.js). The secret moves from
+  // pendingSecret to secret once the admin confirms a first code.
+  twoFactor: {
+    enabled: { type: Boolean, default: false },
+    secret: { type: String },
+    pendingSecret: { type: String },
+    // bcrypt hashes of the unused recovery codes
+    recoveryCodes: [{ type: String }],
+    // Time step of the last accepted code, so codes cannot be replayed
+    lastStep: { type: Number },
+  },
+  // Failed sign-ins and the resulting lock (utils/loginProtection.js)
+  lockout: {
+    failedAttempts: { type: Number, default: 0 },
+    lastFailedAt: { type: Date },
+    lockedUntil: { type: Date },
+  },
+  // Hashes of the device ids this admin signed in from, most recent last
+  knownDevices: [{ type: String }],
 });
 
+// Password resets look admins up by email
+AdminSchema.index({ email: 1 });
+
 AdminSchema.pre("save", async function (next) {
   if (!this.isModified("password")) return next();
   this.password = await bcrypt.hash(this.password, 10);
@@ -18,3 +61,4 @@ AdminSchema.methods.comparePassword = function (candidatePassword) {
 };
 
 module.exports = mongoose.model("Admin", AdminSchema);
+module.exports.ROLES = ROLES;
@@ -0,0 +1,60 @@
+const mongoose = require("mongoose");
+
+// One admin action or sign-in event. Entries are only ever appended: each
+// organization's entries form a hash chain (utils/auditLog.js), and the
+// model refuses updates and deletions.
+const AuditLogSchema = new mongoose.Schema({
+  organization: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Organization",
+    required: true,
+  },
+  // Position in the organization's chain, from 1
+  seq: { type: Number, required: true },
+  prevHash: { type: String, required: true },
+  hash: { type: String, required: true },
+  // Who acted; the username is kept in case the admin is removed later
+  actor: { type: mongoose.Schema.Types.ObjectId, ref: "Admin" },
+  actorUsername: { type: String },
+  // e.g. "feedback.status_changed" (see utils/auditLog.js)
+  action: { type: String, required: true },
+  target: {
+    type: { type: String },
+    id: { type: String },
+  },
+  // What changed: JSON values only, so the hash can be recomputed
+  details: { type: mongoose.Schema.Types.Mixed },
+  ip: { type: String },
+  createdAt: { type: Date, required: true },
+});
+
+// Also stops two writers from extending the chain from the same entry
+AuditLogSchema.index({ organization: 1, seq: 1 }, { unique: true });
+AuditLogSchema.index({ organization: 1, action: 1, seq: -1 });
+AuditLogSchema.index({ organization: 1, actorUsername: 1, seq: -1 });
+AuditLogSchema.index({ organization: 1, createdAt: -1 });
+
+const appendOnly = function () {
+  throw new Error("Audit log entries cannot be changed or deleted");
+};
+
+AuditLogSchema.pre("save", function (next) {
+  next(this.isNew ? undefined : new Error("Audit log entries cannot change"));
+});
+AuditLogSchema.pre(
+  [
+    "updateOne",
+    "updateMany",
+    "findOneAndUpdate",
+    "replaceOne",
+    "findOneAndReplace",
+    "deleteOne",
+    "deleteMany",
+    "findOneAndDelete",
+  ],
+  { document: false, query: true },
+  appendOnly
+);
+AuditLogSchema.pre("deleteOne", { document: true, query: false }, appendOnly);
+
+module.exports = mongoose.model("AuditLog", AuditLogSchema);
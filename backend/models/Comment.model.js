@@ -1,13 +1,53 @@
 const mongoose = require("mongoose");
+const {
+  ModerationSchema,
+  ReviewSchema,
+  VISIBILITY,
+} = require("./moderation.schemas");
 
 const CommentSchema = new mongoose.Schema({
+  organization: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Organization",
+    required: true,
+  },
   feedbackId: {
     type: mongoose.Schema.Types.ObjectId,
     ref: "Feedback",
     required: true,
   },
   text: { type: String, required: true },
+  // "reporter" = follow-up posted with the submitter's receipt key
+  // "admin" = official response posted through POST /feedback/:id/response
+  authorType: {
+    type: String,
+    enum: ["anonymous", "reporter", "admin"],
+    default: "anonymous",
+  },
+  // Official responses only: public display role (never the username),
+  // the responding admin (internal, not returned) and pin state
+  authorRole: { type: String, trim: true, maxlength: 50 },
+  authorId: { type: mongoose.Schema.Types.ObjectId, ref: "Admin", select: false },
+  pinned: { type: Boolean, default: false },
+  // Feedback this comment was moved from by a merge (see POST /feedback/:id/merge)
+  mergedFrom: { type: mongoose.Schema.Types.ObjectId, ref: "Feedback" },
+  // Same hold-for-review flow as feedback (see moderation.schemas.js)
+  visibility: VISIBILITY,
+  moderation: { type: ModerationSchema },
+  review: { type: ReviewSchema },
   createdAt: { type: Date, default: Date.now },
 });
 
+// Review queue
+CommentSchema.index({ organization: 1, visibility: 1, createdAt: 1 });
+
+// At most one pinned official response per feedback item
+CommentSchema.index(
+  { feedbackId: 1 },
+  { unique: true, partialFilterExpression: { pinned: true } }
+);
+
+// Full-text search (see utils/search.js)
+CommentSchema.index({ text: "text" });
+
 module.exports = mongoose.model("Comment", CommentSchema);
@@ -1,10 +1,111 @@
 const mongoose = require("mongoose");
+const workflow = require("../utils/statusWorkflow");
+const {
+  ModerationSchema,
+  ReviewSchema,
+  VISIBILITY,
+} = require("./moderation.schemas");
 
-const FeedbackSchema = new mongoose.Schema({
-  text: { type: String, required: true },
-  tags: [{ type: String }],
-  status: { type: String, default: "open" }, // open, resolved, etc.
-  createdAt: { type: Date, default: Date.now },
+// One entry per status change (the first records the initial status)
+const StatusChangeSchema = new mongoose.Schema(
+  {
+    from: { type: String, default: null },
+    to: { type: String, required: true },
+    reason: { type: String },
+    changedAt: { type: Date, default: Date.now },
+  },
+  { _id: false }
+);
+
+// Evidence file sent with a submission (see utils/attachments.js). Where
+// the file is stored is never sent to clients.
+const AttachmentSchema = new mongoose.Schema(
+  {
+    name: { type: String, required: true }, // generated, e.g. "attachment-1.pdf"
+    contentType: { type: String, required: true },
+    size: { type: Number, required: true }, // bytes, after scrubbing
+    storage: { type: String, required: true },
+    storageKey: { type: String, required: true },
+    createdAt: { type: Date, default: Date.now },
+  },
+  {
+    toJSON: {
+      transform: (doc, ret) => {
+        delete ret.storage;
+        delete ret.storageKey;
+        return ret;
+      },
+    },
+  }
+);
+
+const FeedbackSchema = new mongoose.Schema(
+  {
+    organization: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Organization",
+      required: true,
+    },
+    text: { type: String, required: true },
+    tags: [{ type: String }],
+    status: { type: String, default: workflow.initial }, // see utils/statusWorkflow.js
+    statusHistory: { type: [StatusChangeSchema], default: [] },
+    commentCount: { type: Number, default: 0 }, // kept in sync by comment routes
+    // Flagged items are held as "pending_review" until an admin approves
+    // (-> "public") or rejects (-> "rejected") them; only public items are listed
+    visibility: VISIBILITY,
+    moderation: { type: ModerationSchema },
+    review: { type: ReviewSchema },
+    locked: { type: Boolean, default: false }, // admin lock: no new comments
+    // SHA-256 of the submitter's receipt key (see utils/receipt.js)
+    receiptHash: { type: String, select: false },
+    // Only loaded for admins
+    attachments: { type: [AttachmentSchema], select: false },
+    // Set when an admin merged this item into a canonical one: its comments
+    // moved there and GET /feedback/:id redirects to it
+    mergedInto: { type: mongoose.Schema.Types.ObjectId, ref: "Feedback", default: null },
+    mergedAt: { type: Date },
+    // MinHash signature and LSH band keys (see utils/duplicates.js)
+    duplicateSignature: { type: [Number], select: false },
+    duplicateBands: { type: [String], select: false },
+    createdAt: { type: Date, default: Date.now },
+  },
+  // Only updatedAt is managed by Mongoose; createdAt is set above
+  { timestamps: { createdAt: false, updatedAt: true } }
+);
+
+// Record the initial status in the history of new items
+FeedbackSchema.pre("save", function (next) {
+  if (this.isNew && this.statusHistory.length === 0) {
+    this.statusHistory.push({ from: null, to: this.status });
+  }
+  next();
 });
 
+// Indexes backing the list sort orders (organization, sort field + _id
+// tiebreaker)
+FeedbackSchema.index({ organization: 1, createdAt: -1, _id: -1 });
+FeedbackSchema.index({ organization: 1, commentCount: -1, _id: -1 });
+FeedbackSchema.index({ organization: 1, updatedAt: -1, _id: -1 });
+
+// Indexes for the common filtered listings
+FeedbackSchema.index({ organization: 1, status: 1, createdAt: -1, _id: -1 });
+FeedbackSchema.index({ organization: 1, tags: 1, createdAt: -1, _id: -1 });
+FeedbackSchema.index({ organization: 1, visibility: 1, createdAt: -1, _id: -1 });
+
+// Receipt lookups (only items created with a receipt have the field)
+FeedbackSchema.index(
+  { receiptHash: 1 },
+  { unique: true, partialFilterExpression: { receiptHash: { $type: "string" } } }
+);
+
+// Near-duplicate candidates (see utils/duplicates.js)
+FeedbackSchema.index({ duplicateBands: 1 });
+
+// Items merged into another one
+FeedbackSchema.index({ mergedInto: 1 });
+
+// Full-text search (see utils/search.js)
+FeedbackSchema.index({ text: "text" });
+
 module.exports = mongoose.model("Feedback", FeedbackSchema);
@@ -0,0 +1,35 @@
+const mongoose = require("mongoose");
+const { ROLES } = require("../utils/permissions");
+const { EMAIL_PATTERN } = require("./Organization.model");
+
+// A pending invitation to join an organization's admins. The emailed link
+// carries a one-time token; only its hash is stored (utils/secureToken.js).
+// Accepting creates the admin and removes the invitation.
+const InvitationSchema = new mongoose.Schema(
+  {
+    organization: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Organization",
+      required: true,
+    },
+    email: {
+      type: String,
+      required: true,
+      trim: true,
+      lowercase: true,
+      maxlength: 254,
+      match: [EMAIL_PATTERN, "Invalid email address"],
+    },
+    role: { type: String, enum: ROLES, required: true },
+    tokenHash: { type: String, required: true, unique: true },
+    invitedBy: { type: mongoose.Schema.Types.ObjectId, ref: "Admin" },
+    expiresAt: { type: Date, required: true },
+  },
+  { timestamps: true }
+);
+
+// Expired invitations are removed by MongoDB
+InvitationSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+InvitationSchema.index({ organization: 1, createdAt: -1 });
+
+module.exports = mongoose.model("Invitation", InvitationSchema);
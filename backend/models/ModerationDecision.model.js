@@ -0,0 +1,58 @@
+const mongoose = require("mongoose");
+
+// One provider's outcome within a decision
+const ProviderResultSchema = new mongoose.Schema(
+  {
+    provider: { type: String, required: true },
+    flagged: { type: Boolean },
+    score: { type: Number },
+    scores: { type: mongoose.Schema.Types.Mixed },
+    reason: { type: String },
+    error: { type: String },
+    latencyMs: { type: Number },
+  },
+  { _id: false }
+);
+
+// A moderation rule that fired
+const RuleHitSchema = new mongoose.Schema(
+  {
+    ruleId: { type: mongoose.Schema.Types.ObjectId },
+    pattern: { type: String },
+    type: { type: String },
+  },
+  { _id: false }
+);
+
+// Days decisions are kept (MongoDB removes older ones)
+const RETENTION_DAYS = Number(process.env.MODERATION_LOG_RETENTION_DAYS || 90);
+
+// Every moderation decision on submitted text. Deliberately holds no
+// submitter identity (no IP, user agent, receipt or text): only which item
+// was moderated and how.
+const ModerationDecisionSchema = new mongoose.Schema({
+  organization: { type: mongoose.Schema.Types.ObjectId, ref: "Organization" },
+  subject: { type: String, enum: ["feedback", "comment"], required: true },
+  subjectId: { type: mongoose.Schema.Types.ObjectId },
+  tags: [{ type: String }],
+  policy: { type: String },
+  flagged: { type: Boolean, required: true },
+  provider: { type: String },
+  reason: { type: String },
+  results: [ProviderResultSchema],
+  // Moderation rules that fired (see utils/moderationRules.js)
+  rules: [RuleHitSchema],
+  latencyMs: { type: Number },
+  // Admin review of a held item: "approved" means the flag was overturned
+  review: { type: String, enum: ["approved", "rejected"] },
+  createdAt: { type: Date, default: Date.now },
+});
+
+ModerationDecisionSchema.index(
+  { createdAt: 1 },
+  { expireAfterSeconds: RETENTION_DAYS * 24 * 60 * 60 }
+);
+ModerationDecisionSchema.index({ subject: 1, subjectId: 1 });
+ModerationDecisionSchema.index({ organization: 1, createdAt: 1 });
+
+module.exports = mongoose.model("ModerationDecision", ModerationDecisionSchema);
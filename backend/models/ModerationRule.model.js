@@ -0,0 +1,75 @@
+const mongoose = require("mongoose");
+const { unsafeRegexReason } = require("../utils/regexSafety");
+
+// Rule kinds (see utils/moderationRules.js):
+// - term:      word/phrase matched on word boundaries
+// - regex:     regular expression (case-insensitive unless caseSensitive)
+// - allow:     word/phrase exempt from term and regex rules ("kill time")
+// - threshold: flag score, length limit and provider thresholds, per tag
+const RULE_TYPES = ["term", "regex", "allow", "threshold"];
+const SEVERITIES = ["low", "medium", "high"];
+
+const ModerationRuleSchema = new mongoose.Schema(
+  {
+    organization: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Organization",
+      required: true,
+    },
+    type: { type: String, enum: RULE_TYPES, required: true },
+    pattern: { type: String, trim: true, maxlength: 200 },
+    caseSensitive: { type: Boolean, default: false },
+    severity: { type: String, enum: SEVERITIES, default: "medium" },
+    // Threshold rules only: tag they apply to (null = every item)
+    tag: { type: String, trim: true, lowercase: true, default: null },
+    score: { type: Number, min: 1 },
+    maxLength: { type: Number, min: 1 },
+    // e.g. { perspective: { TOXICITY: 0.7 }, local: { score: 0.6 } }
+    providerThresholds: { type: mongoose.Schema.Types.Mixed },
+    note: { type: String, trim: true, maxlength: 200 },
+    enabled: { type: Boolean, default: true },
+  },
+  { timestamps: true }
+);
+
+ModerationRuleSchema.pre("validate", function (next) {
+  if (this.type === "threshold") {
+    if (this.score == null && this.maxLength == null && !this.providerThresholds) {
+      this.invalidate(
+        "score",
+        "A threshold rule needs a score, maxLength or providerThresholds"
+      );
+    }
+    return next();
+  }
+  if (!this.pattern) {
+    this.invalidate("pattern", "Pattern is required");
+  } else if (this.type === "regex") {
+    try {
+      new RegExp(this.pattern);
+    } catch (err) {
+      this.invalidate("pattern", `Invalid regular expression: ${err.message}`);
+      return next();
+    }
+    // Only when the pattern changes, so a stored unsafe rule can still be
+    // disabled
+    if (["type", "pattern", "caseSensitive"].some((f) => this.isModified(f))) {
+      const unsafe = unsafeRegexReason(
+        this.pattern,
+        this.caseSensitive ? "" : "i"
+      );
+      if (unsafe) this.invalidate("pattern", unsafe);
+    }
+  }
+  next();
+});
+
+// One threshold rule per tag (and one default) in each organization
+ModerationRuleSchema.index(
+  { organization: 1, tag: 1 },
+  { unique: true, partialFilterExpression: { type: "threshold" } }
+);
+
+module.exports = mongoose.model("ModerationRule", ModerationRuleSchema);
+module.exports.RULE_TYPES = RULE_TYPES;
+module.exports.SEVERITIES = SEVERITIES;
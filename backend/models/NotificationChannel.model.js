@@ -0,0 +1,79 @@
+const mongoose = require("mongoose");
+const { EMAIL_PATTERN } = require("./Organization.model");
+const { WEBHOOK_EVENTS } = require("./Webhook.model");
+
+// Kinds of channel (see utils/notificationChannels.js)
+const CHANNEL_TYPES = ["email", "slack", "teams", "json"];
+
+// Notifications cover the same feedback events as webhooks
+const NOTIFICATION_EVENTS = WEBHOOK_EVENTS;
+
+// Title and text replacing an event's built-in template; either may be
+// left out. Placeholders such as {{feedback.text}} are filled in when sent
+// (utils/notifications.js).
+const TemplateSchema = new mongoose.Schema(
+  {
+    title: { type: String, trim: true, maxlength: 200 },
+    text: { type: String, trim: true, maxlength: 2000 },
+  },
+  { _id: false }
+);
+
+// Where an organization's notifications go, and which ones: the events,
+// narrowed down to items with some tags or statuses (empty = any).
+const NotificationChannelSchema = new mongoose.Schema(
+  {
+    organization: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Organization",
+      required: true,
+    },
+    name: { type: String, required: true, trim: true, maxlength: 100 },
+    type: { type: String, enum: CHANNEL_TYPES, required: true },
+    // Email channels: the address; the others: the URL posted to
+    email: {
+      type: String,
+      trim: true,
+      lowercase: true,
+      maxlength: 254,
+      match: [EMAIL_PATTERN, "Invalid email address"],
+    },
+    url: { type: String, trim: true, maxlength: 2000 },
+    events: {
+      type: [{ type: String, enum: NOTIFICATION_EVENTS }],
+      validate: {
+        validator: (events) => events.length > 0,
+        message: "Choose at least one event",
+      },
+    },
+    tags: [{ type: String, trim: true, lowercase: true }],
+    statuses: [{ type: String, trim: true }],
+    // event -> template
+    templates: { type: Map, of: TemplateSchema, default: () => ({}) },
+    active: { type: Boolean, default: true },
+  },
+  { timestamps: true }
+);
+
+NotificationChannelSchema.pre("validate", function (next) {
+  if (this.type === "email") {
+    if (!this.email) this.invalidate("email", "Email is required");
+  } else if (!this.url) {
+    this.invalidate("url", "URL is required");
+  }
+  for (const event of this.templates?.keys() || []) {
+    if (!NOTIFICATION_EVENTS.includes(event)) {
+      this.invalidate("templates", `Unknown event "${event}"`);
+    }
+  }
+  next();
+});
+
+NotificationChannelSchema.index({ organization: 1, events: 1 });
+
+module.exports = mongoose.model(
+  "NotificationChannel",
+  NotificationChannelSchema
+);
+module.exports.CHANNEL_TYPES = CHANNEL_TYPES;
+module.exports.NOTIFICATION_EVENTS = NOTIFICATION_EVENTS;
@@ -0,0 +1,55 @@
+const mongoose = require("mongoose");
+const { SLUG_PATTERN } = require("./Tag.model");
+
+// How strictly submissions are moderated (see utils/moderateFeedback.js)
+const MODERATION_STRICTNESS = ["relaxed", "standard", "strict"];
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// Settings each organization's admins manage for their own board
+const OrganizationSettingsSchema = new mongoose.Schema(
+  {
+    moderationStrictness: {
+      type: String,
+      enum: MODERATION_STRICTNESS,
+      default: "standard",
+    },
+    // Tags submitters may pick (empty = every active tag)
+    allowedTags: [{ type: String, trim: true, lowercase: true }],
+    // Where new-feedback alerts go (none = no alerts); other notifications
+    // use notification channels (models/NotificationChannel.model.js)
+    notificationEmail: {
+      type: String,
+      trim: true,
+      lowercase: true,
+      maxlength: 254,
+      match: [EMAIL_PATTERN, "Invalid email address"],
+    },
+    // Admins must set up two-factor authentication to sign in
+    requireTwoFactor: { type: Boolean, default: false },
+  },
+  { _id: false }
+);
+
+// A tenant with its own board: feedback, comments, tags, moderation rules
+// and admins all belong to one. Its board is served under /o/:slug.
+const OrganizationSchema = new mongoose.Schema(
+  {
+    slug: {
+      type: String,
+      required: true,
+      unique: true,
+      trim: true,
+      lowercase: true,
+      maxlength: 40,
+      match: [SLUG_PATTERN, "Slug may only contain a-z, 0-9 and dashes"],
+    },
+    name: { type: String, required: true, trim: true, maxlength: 100 },
+    settings: { type: OrganizationSettingsSchema, default: () => ({}) },
+  },
+  { timestamps: true }
+);
+
+module.exports = mongoose.model("Organization", OrganizationSchema);
+module.exports.MODERATION_STRICTNESS = MODERATION_STRICTNESS;
+module.exports.EMAIL_PATTERN = EMAIL_PATTERN;
@@ -0,0 +1,23 @@
+const mongoose = require("mongoose");
+
+// A requested password reset. The emailed link carries a one-time token;
+// only its hash is stored (utils/secureToken.js). Using the link removes
+// the reset, and any other pending one of the same admin.
+const PasswordResetSchema = new mongoose.Schema(
+  {
+    admin: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Admin",
+      required: true,
+    },
+    tokenHash: { type: String, required: true, unique: true },
+    expiresAt: { type: Date, required: true },
+  },
+  { timestamps: true }
+);
+
+// Expired resets are removed by MongoDB
+PasswordResetSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+PasswordResetSchema.index({ admin: 1 });
+
+module.exports = mongoose.model("PasswordReset", PasswordResetSchema);
@@ -0,0 +1,32 @@
+const mongoose = require("mongoose");
+
+// One signed-in device of an admin. Its refresh token (in an HTTP-only
+// cookie) is replaced on every refresh; only hashes are stored
+// (utils/secureToken.js). Replaced tokens are remembered so that presenting
+// one again, a sign it was stolen, revokes the session (utils/adminSession.js).
+// Deleting the session signs the device out.
+const SessionSchema = new mongoose.Schema(
+  {
+    admin: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Admin",
+      required: true,
+    },
+    tokenHash: { type: String, required: true, unique: true },
+    // Hashes of the tokens this one replaced, most recent last
+    usedTokenHashes: [{ type: String }],
+    // When tokenHash last changed
+    rotatedAt: { type: Date, default: Date.now },
+    userAgent: { type: String, maxlength: 500 },
+    lastSeenAt: { type: Date, default: Date.now },
+    expiresAt: { type: Date, required: true },
+  },
+  { timestamps: true }
+);
+
+// Expired sessions are removed by MongoDB
+SessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+SessionSchema.index({ admin: 1, lastSeenAt: -1 });
+SessionSchema.index({ usedTokenHashes: 1 });
+
+module.exports = mongoose.model("Session", SessionSchema);
@@ -0,0 +1,51 @@
+const mongoose = require("mongoose");
+
+// Colours a tag can be shown in (Chakra UI colour schemes)
+const TAG_COLORS = [
+  "gray",
+  "red",
+  "orange",
+  "yellow",
+  "green",
+  "teal",
+  "blue",
+  "cyan",
+  "purple",
+  "pink",
+];
+
+// Lowercase words joined by single dashes ("dark-mode")
+const SLUG_PATTERN = /^[a-z0-9]+(-[a-z0-9]+)*$/;
+
+// Tags feedback can be filed under (see utils/tags.js). Feedback stores the
+// slug; archived tags stay on existing items but can't be picked for new ones.
+// Each organization has its own taxonomy.
+const TagSchema = new mongoose.Schema(
+  {
+    organization: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Organization",
+      required: true,
+    },
+    slug: {
+      type: String,
+      required: true,
+      trim: true,
+      lowercase: true,
+      maxlength: 40,
+      match: [SLUG_PATTERN, "Slug may only contain a-z, 0-9 and dashes"],
+    },
+    label: { type: String, required: true, trim: true, maxlength: 50 },
+    color: { type: String, enum: TAG_COLORS, default: "blue" },
+    description: { type: String, trim: true, maxlength: 200 },
+    archived: { type: Boolean, default: false },
+  },
+  { timestamps: true }
+);
+
+// Slugs are unique within an organization
+TagSchema.index({ organization: 1, slug: 1 }, { unique: true });
+
+module.exports = mongoose.model("Tag", TagSchema);
+module.exports.TAG_COLORS = TAG_COLORS;
+module.exports.SLUG_PATTERN = SLUG_PATTERN;
@@ -0,0 +1,39 @@
+const mongoose = require("mongoose");
+
+// Events an organization can subscribe to (see utils/webhooks.js)
+const WEBHOOK_EVENTS = [
+  "feedback.created",
+  "feedback.status_changed",
+  "comment.created",
+  "feedback.deleted",
+];
+
+// A URL that receives an organization's feedback events. Deliveries are
+// signed with the secret, which is only shown when it is created.
+const WebhookSchema = new mongoose.Schema(
+  {
+    organization: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Organization",
+      required: true,
+    },
+    url: { type: String, required: true, trim: true, maxlength: 2000 },
+    description: { type: String, trim: true, maxlength: 200 },
+    events: {
+      type: [{ type: String, enum: WEBHOOK_EVENTS }],
+      validate: {
+        validator: (events) => events.length > 0,
+        message: "Choose at least one event",
+      },
+    },
+    // HMAC-SHA256 key for the signature header
+    secret: { type: String, required: true, select: false },
+    active: { type: Boolean, default: true },
+  },
+  { timestamps: true }
+);
+
+WebhookSchema.index({ organization: 1, events: 1 });
+
+module.exports = mongoose.model("Webhook", WebhookSchema);
+module.exports.WEBHOOK_EVENTS = WEBHOOK_EVENTS;
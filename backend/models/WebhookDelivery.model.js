@@ -0,0 +1,50 @@
+const mongoose = require("mongoose");
+
+// Delivery log entries are kept for this long
+const DELIVERY_LOG_DAYS = 30;
+
+// One event sent to one webhook, with every attempt made (utils/webhooks.js)
+const WebhookDeliverySchema = new mongoose.Schema(
+  {
+    organization: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Organization",
+      required: true,
+    },
+    webhook: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Webhook",
+      required: true,
+    },
+    event: { type: String, required: true },
+    // The JSON sent, kept as is so retries send the same bytes
+    body: { type: String, required: true },
+    status: {
+      type: String,
+      enum: ["pending", "delivered", "failed"],
+      default: "pending",
+    },
+    attempts: [
+      {
+        _id: false,
+        at: { type: Date, required: true },
+        // HTTP status of the answer, if there was one
+        statusCode: { type: Number },
+        error: { type: String },
+        durationMs: { type: Number },
+      },
+    ],
+    // Pending deliveries only: when the next attempt is due
+    nextAttemptAt: { type: Date },
+  },
+  { timestamps: true }
+);
+
+WebhookDeliverySchema.index(
+  { createdAt: 1 },
+  { expireAfterSeconds: DELIVERY_LOG_DAYS * 24 * 60 * 60 }
+);
+WebhookDeliverySchema.index({ webhook: 1, _id: -1 });
+WebhookDeliverySchema.index({ status: 1, nextAttemptAt: 1 });
+
+module.exports = mongoose.model("WebhookDelivery", WebhookDeliverySchema);
@@ -0,0 +1,35 @@
+const mongoose = require("mongoose");
+
+// Subdocuments shared by content that goes through moderation
+// (Feedback and Comment).
+
+// Outcome of the moderation pipeline at submission time
+const ModerationSchema = new mongoose.Schema(
+  {
+    flagged: { type: Boolean, default: false },
+    provider: { type: String },
+    reason: { type: String },
+    details: { type: mongoose.Schema.Types.Mixed },
+    checkedAt: { type: Date, default: Date.now },
+  },
+  { _id: false }
+);
+
+// Admin decision on an item held for review
+const ReviewSchema = new mongoose.Schema(
+  {
+    decision: { type: String, enum: ["approved", "rejected"], required: true },
+    reason: { type: String },
+    reviewedAt: { type: Date, default: Date.now },
+  },
+  { _id: false }
+);
+
+// Held items are "pending_review" until approved ("public") or rejected
+const VISIBILITY = {
+  type: String,
+  enum: ["public", "pending_review", "rejected"],
+  default: "public",
+};
+
+module.exports = { ModerationSchema, ReviewSchema, VISIBILITY };
@@ -1,117 +1,355 @@
 const express = require("express");
 const router = express.Router();
 const Admin = require("../models/Admin.model");
-const jwt = require("jsonwebtoken");
+const Organization = require("../models/Organization.model");
 const bcrypt = require("bcrypt");
+const auth = require("../middleware/auth");
+const { requirePermission } = require("../middleware/auth");
+const { loadAdminOrganization } = require("../middleware/organization");
+const validate = require("../middleware/validate");
+const { sendValidationError } = require("../middleware/validate");
+const { getTags } = require("../utils/tags");
+const {
+  consumeSetupToken,
+  restoreSetupToken,
+} = require("../utils/setupToken");
+const { verifySecondFactor } = require("../utils/twoFactor");
+const {
+  rejectIfLocked,
+  recordFailure,
+  recordSignIn,
+} = require("../utils/loginProtection");
+const {
+  cookieOptions,
+  signAccessToken,
+  startSession,
+  findSession,
+  rotateSession,
+  endSession,
+  signChallenge,
+  verifyChallenge,
+} = require("../utils/adminSession");
+const {
+  DEFAULT_ORGANIZATION,
+  getOrganization,
+  invalidateOrganization,
+} = require("../utils/organizations");
 
-// Helper: Use NODE_ENV to determine local vs production
-const isLocal = process.env.NODE_ENV !== "production";
-const cookieOptions = {
-  httpOnly: true,
-  sameSite: "None",
-  secure: !isLocal, // true in production (HTTPS), false in local (HTTP)
-  maxAge: 24 * 60 * 60 * 1000, // 24 hours
-};
-
-// POST /admin/init
-router.post("/init", async (req, res) => {
-  const { username, password } = req.body;
-  if (!username || !password)
-    return res.status(400).json({ error: "Username and password required" });
-
-  let admin = await Admin.findOne({ username });
-  if (!admin) {
-    admin = new Admin({ username, password });
-    await admin.save();
-    return res.json({ message: "Admin created" });
+const { string, boolean, array } = validate.rules;
+const { MODERATION_STRICTNESS, EMAIL_PATTERN } = Organization;
+
+// POST /admin/init (the first admin, of the default organization)
+// Body: username, password, setupToken (printed at server start), email
+// (optional, for password resets). Only works while no admin exists; see
+// utils/setupToken.js.
+router.post(
+  "/init",
+  validate({
+    body: {
+      username: string({ required: true, min: 3, max: 50 }),
+      password: string({ required: true, min: 8, max: 100, trim: false }),
+      setupToken: string({ required: true, max: 100 }),
+      email: string({
+        max: 254,
+        pattern: EMAIL_PATTERN,
+        patternMessage: "Email is not a valid address",
+      }),
+    },
+  }),
+  async (req, res) => {
+    try {
+      const { username, password, setupToken, email } = req.body;
+      if (await Admin.exists({})) {
+        return res.status(403).json({ error: "Setup is already complete" });
+      }
+      if (!consumeSetupToken(setupToken)) {
+        return res.status(403).json({ error: "Invalid setup token" });
+      }
+
+      try {
+        const organization = await getOrganization(DEFAULT_ORGANIZATION);
+        await Admin.create({
+          username,
+          password,
+          email,
+          role: "owner",
+          organization: organization._id,
+        });
+      } catch (createErr) {
+        restoreSetupToken(setupToken); // setup can still be finished
+        throw createErr;
+      }
+      res.status(201).json({ message: "Admin created" });
+    } catch (err) {
+      console.error("Route error (POST /admin/init):", err.message);
+      res.status(400).json({ error: err.message });
+    }
   }
-  res.json({ message: "Admin already exists" });
-});
+);
+
+// Organization fields sign-in needs: the slug for the token claims and
+// whether two-factor authentication is required
+const SIGN_IN_FIELDS = "slug settings.requireTwoFactor";
 
 // POST /admin/login
-router.post("/login", async (req, res) => {
-  const { username, password } = req.body;
-  if (!username || !password)
-    return res.status(400).json({ error: "Username and password required" });
-
-  const admin = await Admin.findOne({ username });
-  if (!admin) return res.status(401).json({ error: "Invalid credentials" });
-
-  const isMatch = await bcrypt.compare(password, admin.password);
-  if (!isMatch) return res.status(401).json({ error: "Invalid credentials" });
-
-  const token = jwt.sign(
-    { id: admin._id, username: admin.username },
-    process.env.JWT_SECRET,
-    { expiresIn: "15m" }
-  );
-
-  const refreshToken = jwt.sign(
-    { id: admin._id, username: admin.username },
-    process.env.JWT_REFRESH_SECRET,
-    { expiresIn: "24h" }
-  );
-  admin.refreshToken = refreshToken;
-  await admin.save();
-
-  // Set refresh token as HTTP-only cookie
-  res.cookie("refreshToken", refreshToken, cookieOptions);
-
-  // Send access token in response
-  res.json({ token });
-});
+// Answers { token }, or { challengeToken } plus twoFactorRequired (send a
+// code to POST /admin/login/2fa) or twoFactorSetupRequired (the
+// organization requires 2FA: enrol through /admin/2fa with the challenge).
+// 429 while the account is locked after failed attempts
+// (utils/loginProtection.js).
+router.post(
+  "/login",
+  validate({
+    body: {
+      username: string({ required: true, max: 100 }),
+      password: string({ required: true, max: 100, trim: false }),
+    },
+  }),
+  async (req, res) => {
+    const { username, password } = req.body;
+
+    const admin = await Admin.findOne({ username }).populate(
+      "organization",
+      SIGN_IN_FIELDS
+    );
+    if (!admin) return res.status(401).json({ error: "Invalid credentials" });
+    // Locked accounts are refused even with the right password
+    if (rejectIfLocked(admin, res)) return;
+
+    const isMatch = await bcrypt.compare(password, admin.password);
+    if (!isMatch) {
+      await recordFailure(req, admin, "password");
+      return res.status(401).json({ error: "Invalid credentials" });
+    }
+    if (admin.disabled) {
+      return res.status(403).json({ error: "This account is disabled" });
+    }
+
+    if (admin.twoFactor?.enabled) {
+      return res.json({
+        twoFactorRequired: true,
+        challengeToken: signChallenge(admin, "2fa"),
+      });
+    }
+    if (admin.organization.settings?.requireTwoFactor) {
+      return res.json({
+        twoFactorSetupRequired: true,
+        challengeToken: signChallenge(admin, "2fa-setup"),
+      });
+    }
+
+    // Send access token in response
+    res.json({ token: await startSession(req, res, admin) });
+  }
+);
+
+// POST /admin/login/2fa (second step of signing in)
+// Body: challengeToken (from POST /admin/login), and code (from the
+// authenticator app) or recoveryCode
+router.post(
+  "/login/2fa",
+  validate({
+    body: {
+      challengeToken: string({ required: true, max: 1000 }),
+      code: string({ max: 20 }),
+      recoveryCode: string({ max: 40 }),
+    },
+  }),
+  async (req, res) => {
+    try {
+      const { challengeToken, code, recoveryCode } = req.body;
+      if (!code && !recoveryCode) {
+        return sendValidationError(res, { code: "Code is required" });
+      }
+
+      const challenge = verifyChallenge(challengeToken, "2fa");
+      if (!challenge) {
+        return res
+          .status(401)
+          .json({ error: "Sign-in expired, please log in again" });
+      }
+      const admin = await Admin.findById(challenge.id).populate(
+        "organization",
+        SIGN_IN_FIELDS
+      );
+      if (!admin || admin.disabled) {
+        return res.status(401).json({ error: "Invalid credentials" });
+      }
+      if (rejectIfLocked(admin, res)) return;
+
+      const used = await verifySecondFactor(admin, { code, recoveryCode });
+      if (!used) {
+        await recordFailure(req, admin, "code");
+        return res.status(401).json({ error: "Invalid code" });
+      }
+
+      const token = await startSession(req, res, admin);
+      res.json({
+        token,
+        // Recovery codes are single-use; tell the admin when they run low.
+        // `admin` still has the one just spent.
+        ...(used === "recoveryCode" && {
+          recoveryCodesLeft: admin.twoFactor.recoveryCodes.length - 1,
+        }),
+      });
+    } catch (err) {
+      console.error("Route error (POST /admin/login/2fa):", err.message);
+      res.status(500).json({ error: err.message });
+    }
+  }
+);
 
 // POST /admin/refresh
+// Trades the refresh token cookie for an access token and a new refresh
+// token (see utils/adminSession.js)
 router.post("/refresh", async (req, res) => {
   const { refreshToken } = req.cookies;
   if (!refreshToken)
     return res.status(401).json({ error: "No refresh token provided" });
   try {
-    const payload = jwt.verify(refreshToken, process.env.JWT_REFRESH_SECRET);
-    const admin = await Admin.findById(payload.id);
-    if (!admin || admin.refreshToken !== refreshToken) {
-      return res.status(401).json({ error: "Invalid refresh token" });
+    const found = await findSession(refreshToken);
+    if (!found) {
+      res.clearCookie("refreshToken", cookieOptions);
+      return res
+        .status(401)
+        .json({ error: "Invalid or expired refresh token" });
     }
-    const accessToken = jwt.sign(
-      { id: admin._id, username: admin.username },
-      process.env.JWT_SECRET,
-      { expiresIn: "15m" }
+
+    const { session, concurrent } = found;
+    const admin = await Admin.findById(session.admin).populate(
+      "organization",
+      SIGN_IN_FIELDS
     );
-    res.json({ accessToken });
+    if (!admin || admin.disabled) {
+      await session.deleteOne();
+      return res.status(401).json({ error: "Invalid refresh token" });
+    }
+    // Sessions from before the organization required 2FA end here
+    if (
+      admin.organization.settings?.requireTwoFactor &&
+      !admin.twoFactor?.enabled
+    ) {
+      await session.deleteOne();
+      return res
+        .status(401)
+        .json({ error: "Two-factor authentication is required" });
+    }
+
+    // A concurrent refresh has already sent the new cookie
+    if (!concurrent) await rotateSession(req, res, session);
+    res.json({ accessToken: signAccessToken(admin, session) });
   } catch (error) {
     console.error("Refresh token error:", error);
     res.status(401).json({ error: "Invalid or expired refresh token" });
   }
 });
 
-// POST /admin/logout
+// POST /admin/logout (ends this device's session)
 router.post("/logout", async (req, res) => {
   const { refreshToken } = req.cookies;
   if (!refreshToken) return res.sendStatus(204); // No content
 
   try {
-    const payload = jwt.verify(refreshToken, process.env.JWT_REFRESH_SECRET);
-    const admin = await Admin.findById(payload.id);
+    const session = await endSession(refreshToken);
+    const admin =
+      session && (await Admin.findById(session.admin, "username organization"));
+    if (admin) recordSignIn(req, admin, "auth.logout");
+  } catch (err) {
+    // Clear the cookie anyway; the session expires on its own
+    console.error("Logout error:", err);
+  }
 
-    if (!admin || admin.refreshToken !== refreshToken) {
-      // Even if not found, clear cookie for security
-      res.clearCookie("refreshToken", cookieOptions);
-      return res.sendStatus(204);
-    }
+  // Clear cookie
+  res.clearCookie("refreshToken", cookieOptions);
+  res.sendStatus(204); // No content
+});
 
-    // Clear refresh token in DB
-    admin.refreshToken = null;
-    await admin.save();
+// GET /admin/organization (the signed-in admin's organization)
+router.get("/organization", auth, loadAdminOrganization, (req, res) => {
+  res.json(req.organization);
+});
 
-    // Clear cookie
-    res.clearCookie("refreshToken", cookieOptions);
+// PATCH /admin/organization
+// Body: name, moderationStrictness, allowedTags, notificationEmail ("" = none),
+// requireTwoFactor
+router.patch(
+  "/organization",
+  auth,
+  requirePermission("organization:manage"),
+  loadAdminOrganization,
+  validate({
+    body: {
+      name: string({ max: 100 }),
+      moderationStrictness: string({ oneOf: MODERATION_STRICTNESS }),
+      allowedTags: array(string({ max: 40, label: "Each tag" })),
+      notificationEmail: (value, name) =>
+        value === ""
+          ? { value }
+          : string({
+              max: 254,
+              pattern: EMAIL_PATTERN,
+              patternMessage: "Notification email is not a valid address",
+            })(value, name),
+      requireTwoFactor: boolean(),
+    },
+  }),
+  async (req, res) => {
+    try {
+      const {
+        name,
+        moderationStrictness,
+        allowedTags,
+        notificationEmail,
+        requireTwoFactor,
+      } = req.body;
 
-    res.sendStatus(204); // No content
-  } catch (err) {
-    console.error("Logout error:", err);
-    res.clearCookie("refreshToken", cookieOptions);
-    res.sendStatus(403); // Forbidden or other appropriate status
+      const organization = await Organization.findById(req.organization._id);
+      if (!organization) {
+        return res.status(404).json({ error: "Organization not found" });
+      }
+
+      if (allowedTags) {
+        const slugs = [...new Set(allowedTags.map((t) => t.toLowerCase()))];
+        const known = new Set(
+          (await getTags(organization)).map((tag) => tag.slug)
+        );
+        const unknown = slugs.filter((slug) => !known.has(slug));
+        if (unknown.length) {
+          return sendValidationError(res, {
+            allowedTags: `Unknown tag${unknown.length > 1 ? "s" : ""}: ${unknown.join(", ")}`,
+          });
+        }
+        organization.settings.allowedTags = slugs;
+      }
+      if (name) organization.name = name;
+      if (moderationStrictness) {
+        organization.settings.moderationStrictness = moderationStrictness;
+      }
+      if (notificationEmail !== undefined) {
+        organization.settings.notificationEmail =
+          notificationEmail || undefined;
+      }
+
+      if (requireTwoFactor !== undefined) {
+        // So the owner cannot lock themselves out on their next sign-in
+        const self = await Admin.findById(req.admin.id, "twoFactor.enabled");
+        if (requireTwoFactor && !self?.twoFactor?.enabled) {
+          return sendValidationError(res, {
+            requireTwoFactor:
+              "Set up two-factor authentication for your own account first",
+          });
+        }
+        organization.settings.requireTwoFactor = requireTwoFactor;
+      }
+
+      await organization.save();
+      invalidateOrganization(organization.slug);
+      res.json(organization);
+    } catch (err) {
+      console.error("Route error (PATCH /admin/organization):", err.message);
+      res.status(400).json({ error: err.message });
+    }
   }
-});
+);
 
 module.exports = router;
@@ -0,0 +1,165 @@
+const express = require("express");
+const router = express.Router();
+const AuditLog = require("../models/AuditLog.model");
+const auth = require("../middleware/auth");
+const { requirePermission } = require("../middleware/auth");
+const validate = require("../middleware/validate");
+const { parseLimit } = require("../utils/pagination");
+const { verifyChain } = require("../utils/auditLog");
+
+const { string, number } = validate.rules;
+
+// Rows in one CSV export
+const MAX_EXPORT_ROWS = 10000;
+
+// The audit log of the signed-in admin's organization (utils/auditLog.js)
+router.use(auth, requirePermission("audit:read"));
+
+// ISO date or date-time query value
+const dateRule = (value, name) => {
+  if (value === undefined || value === "") return { value: undefined };
+  const date = new Date(String(value));
+  return Number.isNaN(date.getTime())
+    ? { error: `${name === "from" ? "From" : "To"} is not a valid date` }
+    : { value: date };
+};
+
+// Mongo filter from the query (organization, then the optional filters)
+function auditFilter(req) {
+  const { action, actor, targetType, targetId, from, to } = req.query;
+  const filter = { organization: req.admin.organization };
+  if (action) {
+    // "feedback" matches every feedback.* action
+    filter.action = action.includes(".")
+      ? action
+      : { $regex: `^${action.replace(/[^\w]/g, "")}\\.` };
+  }
+  if (actor) filter.actorUsername = actor;
+  if (targetType) filter["target.type"] = targetType;
+  if (targetId) filter["target.id"] = targetId;
+  if (from || to) {
+    filter.createdAt = {
+      ...(from && { $gte: from }),
+      ...(to && { $lte: to }),
+    };
+  }
+  return filter;
+}
+
+// What the list and the export show of an entry
+const publicEntry = (entry) => ({
+  seq: entry.seq,
+  createdAt: entry.createdAt,
+  actor: entry.actor,
+  actorUsername: entry.actorUsername,
+  action: entry.action,
+  target: entry.target,
+  details: entry.details,
+  ip: entry.ip,
+  hash: entry.hash,
+});
+
+const CSV_COLUMNS = [
+  ["seq", (e) => e.seq],
+  ["time", (e) => e.createdAt.toISOString()],
+  ["actor", (e) => e.actorUsername],
+  ["action", (e) => e.action],
+  ["target_type", (e) => e.target?.type],
+  ["target_id", (e) => e.target?.id],
+  ["details", (e) => (e.details ? JSON.stringify(e.details) : "")],
+  ["ip", (e) => e.ip],
+  ["hash", (e) => e.hash],
+];
+
+// One CSV cell. Cells starting like a formula are prefixed with ' so
+// spreadsheets show them as text instead of running them.
+const csvCell = (value) => {
+  let text = value == null ? "" : String(value);
+  if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const csvRow = (cells) => `${cells.map(csvCell).join(",")}\r\n`;
+
+// GET /admin/audit
+// Query: action ("feedback.deleted", or "feedback" for all feedback.*),
+// actor (username), targetType, targetId, from, to, limit, cursor, format
+// ("csv" downloads every matching entry, up to MAX_EXPORT_ROWS)
+router.get(
+  "/",
+  validate({
+    query: {
+      action: string({ max: 100 }),
+      actor: string({ max: 100 }),
+      targetType: string({ max: 50 }),
+      targetId: string({ max: 100 }),
+      from: dateRule,
+      to: dateRule,
+      limit: number({ integer: true, min: 1 }),
+      // seq of the last entry of the previous page
+      cursor: number({ integer: true, min: 1 }),
+      format: string({ oneOf: ["json", "csv"] }),
+    },
+  }),
+  async (req, res) => {
+    try {
+      const filter = auditFilter(req);
+
+      if (req.query.format === "csv") {
+        const day = new Date().toISOString().slice(0, 10);
+        res.set("Content-Type", "text/csv; charset=utf-8");
+        res.set(
+          "Content-Disposition",
+          `attachment; filename="audit-log-${day}.csv"`
+        );
+        res.write(csvRow(CSV_COLUMNS.map(([name]) => name)));
+        const cursor = AuditLog.find(filter)
+          .sort({ seq: -1 })
+          .limit(MAX_EXPORT_ROWS)
+          .lean()
+          .cursor();
+        for await (const entry of cursor) {
+          res.write(csvRow(CSV_COLUMNS.map(([, cell]) => cell(entry))));
+        }
+        return res.end();
+      }
+
+      const limit = parseLimit(req.query.limit);
+      const query = req.query.cursor
+        ? { ...filter, seq: { $lt: req.query.cursor } }
+        : filter;
+      // Fetch one extra entry to know whether another page exists
+      const items = await AuditLog.find(query)
+        .sort({ seq: -1 })
+        .limit(limit + 1)
+        .lean();
+      const hasMore = items.length > limit;
+      if (hasMore) items.pop();
+
+      res.json({
+        items: items.map(publicEntry),
+        limit,
+        hasMore,
+        nextCursor: hasMore ? String(items[items.length - 1].seq) : null,
+      });
+    } catch (err) {
+      console.error("Route error (GET /admin/audit):", err.message);
+      if (res.headersSent) return res.end();
+      res.status(500).json({ error: err.message });
+    }
+  }
+);
+
+// GET /admin/audit/verify
+// Recomputes the hash chain: { valid, checked } plus brokenAt (the seq of
+// the first entry that was changed, removed or inserted) when not valid
+router.get("/verify", async (req, res) => {
+  try {
+    res.json(await verifyChain(req.admin.organization));
+  } catch (err) {
+    console.error("Route error (GET /admin/audit/verify):", err.message);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+module.exports = router;
@@ -3,149 +3,1174 @@ const router = express.Router();
 const Feedback = require("../models/Feedback.model");
 const Comment = require("../models/Comment.model");
 const auth = require("../middleware/auth");
-const sendEmail = require("../utils/sendEmail");
+const { optionalAuth, requirePermission } = require("../middleware/auth");
+const validate = require("../middleware/validate");
+const { sendValidationError } = require("../middleware/validate");
 const moderateFeedback = require("../utils/moderateFeedback");
+const { logDecision, logReview } = require("../utils/moderationLog");
+const { generateReceiptKey, hashReceiptKey } = require("../utils/receipt");
+const { duplicateFields, findSimilar } = require("../utils/duplicates");
+const { validateTags } = require("../utils/tags");
+const { excerpt } = require("../utils/auditLog");
+const {
+  MAX_ATTACHMENTS,
+  storeAttachments,
+  readAttachment,
+  removeAttachments,
+} = require("../utils/attachments");
+const workflow = require("../utils/statusWorkflow");
+const webhooks = require("../utils/webhooks");
+const notifications = require("../utils/notifications");
+const {
+  SORT_OPTIONS,
+  SEARCH_SORT_OPTIONS,
+  parseLimit,
+  parseFields,
+  encodeCursor,
+  decodeCursor,
+  cursorCondition,
+  sortSpec,
+} = require("../utils/pagination");
+const {
+  searchFeedback,
+  compareBy,
+  isAfterCursor,
+} = require("../utils/search");
+
+// Fields clients may request via ?fields= on the list endpoint
+const LIST_FIELDS = [
+  "text",
+  "tags",
+  "status",
+  "commentCount",
+  "createdAt",
+  "updatedAt",
+];
+
+// Longest accepted search query (?q=)
+const MAX_QUERY_LENGTH = 200;
+
+// Length limits (characters) and tags per item
+const MAX_FEEDBACK_LENGTH = 5000;
+const MAX_COMMENT_LENGTH = 2000;
+const MAX_REASON_LENGTH = 500;
+const MAX_TAGS = 10;
+
+// Item visibilities (see models/moderation.schemas.js); only "public" items
+// are shown to non-admins. Items created before moderation holds have none.
+const VISIBILITIES = ["public", "pending_review", "rejected"];
+const PUBLIC_FILTER = { visibility: { $nin: ["pending_review", "rejected"] } };
+
+const isPublic = (item) => !item.visibility || item.visibility === "public";
+
+// What moderation recorded (provider scores and reasons, review decisions)
+// is for admins: it would show anonymous users how to get past the filters
+const MODERATION_DETAILS = "-moderation -review";
+
+/**
+ * Plain copy of a Feedback/Comment (document or lean object) without its
+ * moderation details.
+ */
+const withoutModeration = (item) => {
+  const body = item.toObject ? item.toObject() : { ...item };
+  delete body.moderation;
+  delete body.review;
+  return body;
+};
+
+// Public comments are closed on locked and merged items and in statuses
+// that disallow them
+const commentsOpen = (feedback) =>
+  !feedback.locked &&
+  !feedback.mergedInto &&
+  workflow.allowsComments(feedback.status);
+
+// Items a new submission may duplicate: public and not merged away
+const DUPLICATE_CANDIDATES = { ...PUBLIC_FILTER, mergedInto: null };
+
+// Request schemas shared by several routes (see middleware/validate.js)
+const { string, number, boolean, objectId, array } = validate.rules;
+const feedbackParams = { id: objectId({ label: "Feedback id" }) };
+const commentParams = {
+  feedbackId: objectId({ label: "Feedback id" }),
+  commentId: objectId({ label: "Comment id" }),
+};
+const receiptParams = {
+  key: string({ required: true, max: 64, label: "Receipt key" }),
+};
+const commentBody = {
+  text: string({ required: true, max: MAX_COMMENT_LENGTH }),
+};
+const reviewSchema = {
+  body: {
+    decision: string({ required: true, oneOf: ["approve", "reject"] }),
+    reason: string({ max: MAX_REASON_LENGTH }),
+  },
+  check: ({ body }) =>
+    body.decision === "reject" && !body.reason
+      ? { reason: "A reason is required to reject held content" }
+      : null,
+};
+
+// Every route serves one organization's board (req.organization, see
+// middleware/organization.js); this scopes a filter to it
+const inOrganization = (req, filter = {}) => ({
+  ...filter,
+  organization: req.organization._id,
+});
+
+/**
+ * Public view of a likely duplicate, for "add your voice instead?"
+ */
+const toDuplicateMatch = ({ feedback, similarity }) => ({
+  _id: feedback._id,
+  text: feedback.text,
+  tags: feedback.tags,
+  status: feedback.status,
+  commentCount: feedback.commentCount,
+  createdAt: feedback.createdAt,
+  commentsOpen: commentsOpen(feedback),
+  similarity: Math.round(similarity * 100) / 100,
+});
+
+// Message returned alongside 202 when moderation holds a submission
+const HELD_MESSAGE =
+  "Your submission was received and is awaiting review by a moderator.";
+
+/**
+ * Runs the moderation pipeline of the organization on new text. Returns the
+ * fields to store on the Feedback/Comment (flagged text is held for review,
+ * not rejected) and the full result, to be logged once the item is saved.
+ */
+async function moderate(organization, text, tags = []) {
+  const result = await moderateFeedback(text, {
+    tags: Array.isArray(tags) ? tags : [],
+    organization,
+  });
+  const held = !!result.flagged;
+  return {
+    result,
+    fields: {
+      visibility: held ? "pending_review" : "public",
+      moderation: {
+        flagged: held,
+        provider: result.provider,
+        reason: result.reason,
+        details: result.details,
+      },
+    },
+  };
+}
+
+/**
+ * Item whose thread a report's receipt holder follows: the report itself,
+ * or the item it was merged into.
+ */
+async function reportThread(feedback) {
+  if (!feedback.mergedInto) return feedback;
+  return (
+    (await Feedback.findOne({
+      _id: feedback.mergedInto,
+      organization: feedback.organization,
+    })) || feedback
+  );
+}
+
+/**
+ * Filter matching a reporter's own follow-ups in their report's thread
+ * (after a merge, the thread also holds other reporters' follow-ups).
+ */
+const ownFollowUps = (feedback) => ({
+  authorType: "reporter",
+  mergedFrom: feedback.mergedInto ? feedback._id : null,
+});
+
+/**
+ * Update that applies a review decision to a held Feedback/Comment.
+ */
+const reviewUpdate = ({ decision, reason }) => ({
+  $set: {
+    visibility: decision === "approve" ? "public" : "rejected",
+    review: {
+      decision: decision === "approve" ? "approved" : "rejected",
+      reason,
+      reviewedAt: new Date(),
+    },
+  },
+});
+
+// Tells subscribed webhooks (utils/webhooks.js) and notification channels
+// (utils/notifications.js) about an event; both happen in the background.
+// Webhooks only hear about public items and comments: held ones reach
+// external endpoints once an admin approves them (see the review routes).
+function announce(req, event, data) {
+  const { feedback, comment } = data;
+  if (isPublic(feedback) && (!comment || isPublic(comment))) {
+    webhooks.emit(req.organization, event, data);
+  }
+  notifications.notify(req.organization, event, data);
+}
 
 // Create feedback
-router.post("/", async (req, res) => {
-  try {
-    const { text, tags } = req.body;
-    if (!text) return res.status(400).json({ error: "Text is required" });
+router.post(
+  "/",
+  validate({
+    body: {
+      text: string({ required: true, max: MAX_FEEDBACK_LENGTH }),
+      tags: array(string({ max: 40, label: "Each tag" }), { max: MAX_TAGS }),
+      // Base64 files (see utils/attachments.js)
+      attachments: array(string({ trim: false, label: "Each attachment" }), {
+        max: MAX_ATTACHMENTS,
+      }),
+    },
+  }),
+  async (req, res) => {
+    try {
+      const { text } = req.body;
 
-    const moderation = await moderateFeedback(text);
-    if (moderation.flagged) {
-      return res
-        .status(400)
-        .json({ error: "Feedback flagged as inappropriate by AI moderation." });
-    }
+      // Only active tags from the taxonomy (see utils/tags.js)
+      const { tags, error: tagError } = await validateTags(
+        req.body.tags,
+        req.organization
+      );
+      if (tagError) return sendValidationError(res, { tags: tagError });
+
+      // Files are scrubbed of identifying metadata before they are stored
+      const { attachments, error: attachmentError } = await storeAttachments(
+        req.body.attachments
+      );
+      if (attachmentError) {
+        return sendValidationError(res, { attachments: attachmentError });
+      }
+
+      // Flagged text is kept but held back from the board until reviewed
+      const moderated = await moderate(req.organization, text, tags);
+      const held = moderated.fields.visibility === "pending_review";
 
-    const feedback = new Feedback({ text, tags });
-    await feedback.save();
+      // One-time receipt key: only its hash is stored
+      const receiptKey = generateReceiptKey();
+      const feedback = new Feedback({
+        organization: req.organization._id,
+        text,
+        tags,
+        receiptHash: hashReceiptKey(receiptKey),
+        attachments,
+        ...duplicateFields(text),
+        ...moderated.fields,
+      });
+
+      // Likely duplicates are reported, never rejected; a failed lookup
+      // doesn't block the submission
+      let duplicates = [];
+      try {
+        duplicates = (
+          await findSimilar(Feedback, text, {
+            filter: inOrganization(req, DUPLICATE_CANDIDATES),
+          })
+        ).map(toDuplicateMatch);
+      } catch (dupErr) {
+        console.error("Failed to check for duplicates:", dupErr.message);
+      }
+
+      try {
+        await feedback.save();
+      } catch (saveErr) {
+        await removeAttachments(attachments);
+        throw saveErr;
+      }
+      logDecision(moderated.result, {
+        subject: "feedback",
+        subjectId: feedback._id,
+        tags: feedback.tags,
+        organization: feedback.organization,
+      });
+
+      // Subscribed webhooks and notification channels are told in the
+      // background
+      announce(req, "feedback.created", {
+        feedback: webhooks.feedbackData(feedback),
+      });
+
+      // The plain key is returned exactly once, never stored or shown again
+      const body = feedback.toObject();
+      delete body.receiptHash;
+      delete body.duplicateSignature;
+      delete body.duplicateBands;
+      delete body.attachments;
+      delete body.moderation;
+      delete body.review;
+      if (held) {
+        return res
+          .status(202)
+          .json({ ...body, receiptKey, duplicates, message: HELD_MESSAGE });
+      }
+      res.status(201).json({ ...body, receiptKey, duplicates });
+    } catch (err) {
+      console.error("Route error (POST /feedback):", err.message);
+      res.status(400).json({ error: err.message });
+    }
+  }
+);
 
-    // Email failures won't block the response
+// Existing items similar to a draft, checked before submitting so the
+// submitter can add their voice to one instead. Nothing is stored.
+router.post(
+  "/similar",
+  validate({
+    body: { text: string({ required: true, max: MAX_FEEDBACK_LENGTH }) },
+  }),
+  async (req, res) => {
     try {
-      await sendEmail({
-        to: process.env.ADMIN_EMAIL,
-        subject: "New Feedback Submitted",
-        text: `New feedback: ${text}\nTags: ${tags ? tags.join(", ") : "None"}`,
-        html: `<h3>New Feedback Submitted</h3>
-               <p><strong>Text:</strong> ${text}</p>
-               <p><strong>Tags:</strong> ${
-                 tags ? tags.join(", ") : "None"
-               }</p>`,
+      const matches = await findSimilar(Feedback, req.body.text, {
+        filter: inOrganization(req, DUPLICATE_CANDIDATES),
       });
-    } catch (emailErr) {
-      console.error("Failed to send email:", emailErr.message);
+      res.json({ matches: matches.map(toDuplicateMatch) });
+    } catch (err) {
+      console.error("Route error (POST /feedback/similar):", err.message);
+      res.status(500).json({ error: err.message });
     }
+  }
+);
+
+// List feedback (cursor-paginated)
+// Query: tags, status, q, sort, limit, cursor, fields
+// Admins may also pass visibility (public, pending_review, rejected)
+router.get(
+  "/",
+  optionalAuth,
+  validate({
+    query: {
+      tags: string({ max: 40, label: "Tag" }),
+      status: string({ max: 40 }),
+      q: string({ max: MAX_QUERY_LENGTH, label: "Search query" }),
+      sort: string({
+        oneOf: [
+          ...Object.keys(SORT_OPTIONS),
+          ...Object.keys(SEARCH_SORT_OPTIONS),
+        ],
+      }),
+      limit: number({ integer: true, min: 1 }),
+      cursor: string({ max: 500 }),
+      fields: string({ max: 200 }),
+      visibility: string({ oneOf: VISIBILITIES }),
+    },
+    // Relevance ordering only makes sense for a search
+    check: ({ query }) =>
+      query.sort in SEARCH_SORT_OPTIONS && !query.q
+        ? { sort: "Sorting by relevance needs a search query" }
+        : null,
+  }),
+  async (req, res) => {
+    try {
+      const { tags, status, cursor, fields, visibility } = req.query;
+      const q = req.query.q || "";
+      const sort = req.query.sort || (q ? "relevance" : "newest");
+
+      if (visibility && !req.admin) {
+        // optionalAuth leaves admins of other organizations anonymous
+        return req.headers.authorization
+          ? res.status(403).json({ error: "Not an admin of this organization" })
+          : res.status(401).json({ error: "No token provided" });
+      }
+      const filter = inOrganization(
+        req,
+        !visibility || visibility === "public" ? PUBLIC_FILTER : { visibility }
+      );
+      if (tags) filter.tags = tags;
+      if (status) filter.status = status;
+      // Merged items live on in the item they were merged into
+      filter.mergedInto = null;
+
+      const sortOption = { ...SEARCH_SORT_OPTIONS, ...SORT_OPTIONS }[sort];
+      const limit = parseLimit(req.query.limit);
+      const projection = parseFields(fields, LIST_FIELDS, sortOption);
+
+      let position = null;
+      if (cursor) {
+        try {
+          position = decodeCursor(cursor, sortOption);
+        } catch (cursorErr) {
+          return sendValidationError(res, { cursor: cursorErr.message });
+        }
+      }
+
+      let items;
+      let total;
+      if (q) {
+        // Search: rank matches in memory, then page through them
+        const matches = (await searchFeedback(q, filter)).sort(
+          compareBy(sortOption)
+        );
+        total = matches.length;
+        items = (
+          position
+            ? matches.filter((m) => isAfterCursor(m, position, sortOption))
+            : matches
+        ).slice(0, limit + 1);
+        if (projection) {
+          const keep = [...projection.split(" "), "_id", "score", "highlights"];
+          items = items.map((item) =>
+            Object.fromEntries(keep.map((key) => [key, item[key]]))
+          );
+        } else if (!req.admin) {
+          items = items.map(withoutModeration);
+        }
+      } else {
+        const query = position
+          ? { ...filter, ...cursorCondition(position, sortOption) }
+          : filter;
+
+        // Fetch one extra item to know whether another page exists
+        [items, total] = await Promise.all([
+          Feedback.find(query, projection)
+            .select(projection || req.admin ? "" : MODERATION_DETAILS)
+            .sort(sortSpec(sortOption))
+            .limit(limit + 1),
+          Feedback.countDocuments(filter),
+        ]);
+      }
 
-    res.status(201).json(feedback);
-  } catch (err) {
-    console.error("Route error (POST /feedback):", err.message);
-    res.status(400).json({ error: err.message });
+      const hasMore = items.length > limit;
+      if (hasMore) items.pop();
+
+      res.json({
+        items,
+        total,
+        limit,
+        sort,
+        hasMore,
+        nextCursor: hasMore
+          ? encodeCursor(items[items.length - 1], sortOption)
+          : null,
+      });
+    } catch (err) {
+      console.error("Route error (GET /feedback):", err.message);
+      res.status(500).json({ error: err.message });
+    }
   }
+);
+
+// Status workflow definition (statuses, labels, colors, allowed transitions)
+router.get("/statuses", (req, res) => {
+  res.json(workflow);
 });
 
-// List feedback
-router.get("/", async (req, res) => {
-  try {
-    const { tags, status } = req.query;
-    const filter = {};
-    if (tags) filter.tags = tags;
-    if (status) filter.status = status;
+// Look up a report by its receipt key (submitter follow-up)
+router.get(
+  "/receipt/:key",
+  validate({ params: receiptParams }),
+  async (req, res) => {
+    try {
+      const feedback = await Feedback.findOne(
+        inOrganization(req, { receiptHash: hashReceiptKey(req.params.key) })
+      );
+      if (!feedback) return res.status(404).json({ error: "Report not found" });
 
-    const feedbacks = await Feedback.find(filter).sort({ createdAt: -1 });
-    res.json(feedbacks);
-  } catch (err) {
-    console.error("Route error (GET /feedback):", err.message);
-    res.status(500).json({ error: err.message });
+      // Merged reports follow the thread of the item they were merged into
+      const thread = await reportThread(feedback);
+
+      // Public thread plus the reporter's own follow-ups, even if held
+      const comments = await Comment.find({
+        feedbackId: thread._id,
+        $or: [PUBLIC_FILTER, ownFollowUps(feedback)],
+      })
+        .select(MODERATION_DETAILS)
+        .sort({ createdAt: 1 });
+      res.json({
+        // The reporter is told why their report was rejected, nothing more
+        feedback: {
+          ...withoutModeration(feedback),
+          review: feedback.review?.reason
+            ? { reason: feedback.review.reason }
+            : undefined,
+        },
+        comments,
+        followUpsOpen: commentsOpen(thread),
+        mergedWith: thread === feedback ? null : withoutModeration(thread),
+      });
+    } catch (err) {
+      console.error("Route error (GET /feedback/receipt/:key):", err.message);
+      res.status(500).json({ error: err.message });
+    }
   }
-});
+);
 
-// Get single feedback + comments
-router.get("/:id", async (req, res) => {
-  try {
-    const feedback = await Feedback.findById(req.params.id);
-    if (!feedback) return res.status(404).json({ error: "Feedback not found" });
+// Post a follow-up as the original reporter
+router.post(
+  "/receipt/:key/comment",
+  validate({ params: receiptParams, body: commentBody }),
+  async (req, res) => {
+    try {
+      const { text } = req.body;
+
+      const feedback = await Feedback.findOne(
+        inOrganization(req, { receiptHash: hashReceiptKey(req.params.key) })
+      );
+      if (!feedback) return res.status(404).json({ error: "Report not found" });
+
+      const thread = await reportThread(feedback);
+      if (!commentsOpen(thread)) {
+        return res
+          .status(403)
+          .json({ error: "Follow-ups are closed for this report" });
+      }
 
-    const comments = await Comment.find({ feedbackId: feedback._id }).sort({
-      createdAt: 1,
-    });
-    res.json({ feedback, comments });
-  } catch (err) {
-    console.error("Route error (GET /feedback/:id):", err.message);
-    res.status(500).json({ error: err.message });
+      const moderated = await moderate(req.organization, text, thread.tags);
+      const comment = new Comment({
+        organization: thread.organization,
+        feedbackId: thread._id,
+        text,
+        authorType: "reporter",
+        mergedFrom: thread === feedback ? undefined : feedback._id,
+        ...moderated.fields,
+      });
+      await comment.save();
+      logDecision(moderated.result, {
+        subject: "comment",
+        subjectId: comment._id,
+        tags: thread.tags,
+        organization: comment.organization,
+      });
+      announce(req, "comment.created", {
+        feedback: webhooks.feedbackData(thread),
+        comment: webhooks.commentData(comment),
+      });
+
+      if (!isPublic(comment)) {
+        return res
+          .status(202)
+          .json({ ...withoutModeration(comment), message: HELD_MESSAGE });
+      }
+      await Feedback.updateOne(
+        { _id: thread._id },
+        { $inc: { commentCount: 1 } }
+      );
+      res.status(201).json(withoutModeration(comment));
+    } catch (err) {
+      console.error(
+        "Route error (POST /feedback/receipt/:key/comment):",
+        err.message
+      );
+      res.status(400).json({ error: err.message });
+    }
   }
-});
+);
+
+// Comments held by moderation, oldest first (review queue)
+router.get(
+  "/comments/pending",
+  auth,
+  requirePermission("feedback:read"),
+  validate({ query: { limit: number({ integer: true, min: 1 }) } }),
+  async (req, res) => {
+    try {
+      const limit = parseLimit(req.query.limit);
+      const filter = inOrganization(req, { visibility: "pending_review" });
+      const [items, total] = await Promise.all([
+        Comment.find(filter)
+          .sort({ createdAt: 1 })
+          .limit(limit)
+          .populate("feedbackId", "text status"),
+        Comment.countDocuments(filter),
+      ]);
+      res.json({ items, total });
+    } catch (err) {
+      console.error("Route error (GET /feedback/comments/pending):", err.message);
+      res.status(500).json({ error: err.message });
+    }
+  }
+);
+
+// Get single feedback + comments (held/rejected items: admins only)
+router.get(
+  "/:id",
+  optionalAuth,
+  validate({ params: feedbackParams }),
+  async (req, res) => {
+    try {
+      // Attachments and moderation details are for admins only
+      const feedback = await Feedback.findOne(
+        inOrganization(req, { _id: req.params.id })
+      ).select(req.admin ? "+attachments" : MODERATION_DETAILS);
+      if (feedback && feedback.mergedInto) {
+        // Old links to a merged item lead to the item it was merged into
+        return res
+          .status(301)
+          .location(`${req.baseUrl}/${feedback.mergedInto}`)
+          .json({ mergedInto: feedback.mergedInto });
+      }
+      if (!feedback || (!isPublic(feedback) && !req.admin)) {
+        return res.status(404).json({ error: "Feedback not found" });
+      }
+
+      // Admins also see held/rejected comments
+      const comments = await Comment.find(
+        req.admin
+          ? { feedbackId: feedback._id }
+          : { feedbackId: feedback._id, ...PUBLIC_FILTER }
+      )
+        .select(req.admin ? "" : MODERATION_DETAILS)
+        .sort({ createdAt: 1 });
+      res.json({ feedback, comments, commentsOpen: commentsOpen(feedback) });
+    } catch (err) {
+      console.error("Route error (GET /feedback/:id):", err.message);
+      res.status(500).json({ error: err.message });
+    }
+  }
+);
+
+// Download an attachment (admin only)
+router.get(
+  "/:id/attachments/:attachmentId",
+  auth,
+  requirePermission("feedback:read"),
+  validate({
+    params: {
+      id: objectId({ label: "Feedback id" }),
+      attachmentId: objectId({ label: "Attachment id" }),
+    },
+  }),
+  async (req, res) => {
+    try {
+      const feedback = await Feedback.findOne(
+        inOrganization(req, { _id: req.params.id })
+      ).select("+attachments");
+      const attachment = feedback?.attachments.id(req.params.attachmentId);
+      if (!attachment) {
+        return res.status(404).json({ error: "Attachment not found" });
+      }
+
+      const data = await readAttachment(attachment);
+      res
+        .set({
+          "Content-Type": attachment.contentType,
+          "Content-Disposition": `inline; filename="${attachment.name}"`,
+          "Cache-Control": "private, no-store",
+          "X-Content-Type-Options": "nosniff",
+        })
+        .send(data);
+    } catch (err) {
+      console.error(
+        "Route error (GET /feedback/:id/attachments/:attachmentId):",
+        err.message
+      );
+      res.status(500).json({ error: err.message });
+    }
+  }
+);
 
 // Add comment to feedback
-router.post("/:id/comment", async (req, res) => {
-  try {
-    const { text } = req.body;
-    if (!text) return res.status(400).json({ error: "Text is required" });
+router.post(
+  "/:id/comment",
+  validate({ params: feedbackParams, body: commentBody }),
+  async (req, res) => {
+    try {
+      const { text } = req.body;
 
-    const feedback = await Feedback.findById(req.params.id);
-    if (!feedback) return res.status(404).json({ error: "Feedback not found" });
+      const feedback = await Feedback.findOne(
+        inOrganization(req, { _id: req.params.id })
+      );
+      if (!feedback || !isPublic(feedback)) {
+        return res.status(404).json({ error: "Feedback not found" });
+      }
+      if (!commentsOpen(feedback)) {
+        return res
+          .status(403)
+          .json({ error: "Comments are closed for this feedback" });
+      }
+
+      const moderated = await moderate(req.organization, text, feedback.tags);
+      const comment = new Comment({
+        organization: feedback.organization,
+        feedbackId: feedback._id,
+        text,
+        ...moderated.fields,
+      });
+      await comment.save();
+      logDecision(moderated.result, {
+        subject: "comment",
+        subjectId: comment._id,
+        tags: feedback.tags,
+        organization: comment.organization,
+      });
+      announce(req, "comment.created", {
+        feedback: webhooks.feedbackData(feedback),
+        comment: webhooks.commentData(comment),
+      });
 
-    const comment = new Comment({ feedbackId: feedback._id, text });
-    await comment.save();
-    res.status(201).json(comment);
-  } catch (err) {
-    console.error("Route error (POST /feedback/:id/comment):", err.message);
-    res.status(400).json({ error: err.message });
+      // Held comments only count once approved
+      if (!isPublic(comment)) {
+        return res
+          .status(202)
+          .json({ ...withoutModeration(comment), message: HELD_MESSAGE });
+      }
+      await Feedback.updateOne(
+        { _id: feedback._id },
+        { $inc: { commentCount: 1 } }
+      );
+      res.status(201).json(withoutModeration(comment));
+    } catch (err) {
+      console.error("Route error (POST /feedback/:id/comment):", err.message);
+      res.status(400).json({ error: err.message });
+    }
   }
-});
+);
 
-// Update feedback status
-router.patch("/:id", auth, async (req, res) => {
-  try {
-    const { status } = req.body;
-    if (!status) return res.status(400).json({ error: "Status is required" });
+// Post an official admin response
+router.post(
+  "/:id/response",
+  auth,
+  requirePermission("feedback:respond"),
+  validate({
+    params: feedbackParams,
+    body: {
+      text: string({ required: true, max: MAX_FEEDBACK_LENGTH }),
+      role: string({ max: 50 }),
+    },
+  }),
+  async (req, res) => {
+    try {
+      const { text, role } = req.body;
 
-    const feedback = await Feedback.findByIdAndUpdate(
-      req.params.id,
-      { status },
-      { new: true }
-    );
-    if (!feedback) return res.status(404).json({ error: "Feedback not found" });
+      const feedback = await Feedback.findOne(
+        inOrganization(req, { _id: req.params.id })
+      );
+      if (!feedback)
+        return res.status(404).json({ error: "Feedback not found" });
 
-    res.json(feedback);
-  } catch (err) {
-    console.error("Route error (PATCH /feedback/:id):", err.message);
-    res.status(400).json({ error: err.message });
+      const response = new Comment({
+        organization: feedback.organization,
+        feedbackId: feedback._id,
+        text,
+        authorType: "admin",
+        authorRole: role || undefined,
+        authorId: req.admin.id,
+      });
+      await response.save();
+      await Feedback.updateOne(
+        { _id: feedback._id },
+        { $inc: { commentCount: 1 } }
+      );
+      announce(req, "comment.created", {
+        feedback: webhooks.feedbackData(feedback),
+        comment: webhooks.commentData(response),
+      });
+
+      // authorId is internal; never echo it back
+      const body = response.toObject();
+      delete body.authorId;
+      res.status(201).json(body);
+    } catch (err) {
+      console.error("Route error (POST /feedback/:id/response):", err.message);
+      res.status(400).json({ error: err.message });
+    }
   }
-});
+);
+
+// Pin or unpin an official response (only one can be pinned per item)
+router.patch(
+  "/:feedbackId/response/:responseId/pin",
+  auth,
+  requirePermission("feedback:respond"),
+  validate({
+    params: {
+      feedbackId: objectId({ label: "Feedback id" }),
+      responseId: objectId({ label: "Response id" }),
+    },
+    body: { pinned: boolean() },
+  }),
+  async (req, res) => {
+    try {
+      const pinned = req.body.pinned !== false;
+      const { feedbackId, responseId } = req.params;
+
+      const response = await Comment.findOne(
+        inOrganization(req, {
+          _id: responseId,
+          feedbackId,
+          authorType: "admin",
+        })
+      );
+      if (!response)
+        return res.status(404).json({ error: "Response not found" });
+
+      if (pinned) {
+        // Unpin whichever response was pinned before
+        await Comment.updateMany(
+          { feedbackId, pinned: true, _id: { $ne: response._id } },
+          { $set: { pinned: false } }
+        );
+      }
+      response.pinned = pinned;
+      await response.save();
+
+      res.json(response);
+    } catch (err) {
+      console.error(
+        "Route error (PATCH /feedback/:feedbackId/response/:responseId/pin):",
+        err.message
+      );
+      res.status(400).json({ error: err.message });
+    }
+  }
+);
+
+// Review an item held by moderation: approve (publish) or reject (keep hidden)
+router.patch(
+  "/:id/review",
+  auth,
+  requirePermission("feedback:moderate"),
+  validate({ params: feedbackParams, ...reviewSchema }),
+  async (req, res) => {
+    try {
+      const feedback = await Feedback.findOneAndUpdate(
+        inOrganization(req, {
+          _id: req.params.id,
+          visibility: "pending_review",
+        }),
+        reviewUpdate(req.body),
+        { new: true }
+      );
+      if (!feedback) {
+        return res
+          .status(404)
+          .json({ error: "No feedback awaiting review with this id" });
+      }
+
+      logReview("feedback", feedback._id, req.body.decision);
+      if (isPublic(feedback)) {
+        announce(req, "feedback.created", {
+          feedback: webhooks.feedbackData(feedback),
+        });
+      }
+      res.json(feedback);
+    } catch (err) {
+      console.error("Route error (PATCH /feedback/:id/review):", err.message);
+      res.status(400).json({ error: err.message });
+    }
+  }
+);
+
+// Review a comment held by moderation
+router.patch(
+  "/:feedbackId/comment/:commentId/review",
+  auth,
+  requirePermission("feedback:moderate"),
+  validate({ params: commentParams, ...reviewSchema }),
+  async (req, res) => {
+    try {
+      const comment = await Comment.findOneAndUpdate(
+        inOrganization(req, {
+          _id: req.params.commentId,
+          feedbackId: req.params.feedbackId,
+          visibility: "pending_review",
+        }),
+        reviewUpdate(req.body),
+        { new: true }
+      );
+      if (!comment) {
+        return res
+          .status(404)
+          .json({ error: "No comment awaiting review with this id" });
+      }
+      logReview("comment", comment._id, req.body.decision);
+
+      // Approved comments now count towards the thread
+      if (isPublic(comment)) {
+        const feedback = await Feedback.findOneAndUpdate(
+          { _id: comment.feedbackId },
+          { $inc: { commentCount: 1 } },
+          { new: true }
+        );
+        if (feedback) {
+          announce(req, "comment.created", {
+            feedback: webhooks.feedbackData(feedback),
+            comment: webhooks.commentData(comment),
+          });
+        }
+      }
+      res.json(comment);
+    } catch (err) {
+      console.error(
+        "Route error (PATCH /feedback/:feedbackId/comment/:commentId/review):",
+        err.message
+      );
+      res.status(400).json({ error: err.message });
+    }
+  }
+);
+
+// Merge a duplicate into a canonical item: its comments (and its own text,
+// as a comment) move to the canonical thread, and it keeps a mergedInto
+// pointer so old links redirect
+router.post(
+  "/:id/merge",
+  auth,
+  requirePermission("feedback:moderate"),
+  validate({
+    params: feedbackParams,
+    body: { into: objectId({ required: true, label: "Target feedback" }) },
+    check: ({ params, body }) =>
+      params.id === body.into
+        ? { into: "Feedback cannot be merged into itself" }
+        : null,
+  }),
+  async (req, res) => {
+    try {
+      const { into } = req.body;
+
+      const [source, target] = await Promise.all([
+        Feedback.findOne(inOrganization(req, { _id: req.params.id })).select(
+          "+attachments"
+        ),
+        Feedback.findOne(inOrganization(req, { _id: into })),
+      ]);
+      if (!source) return res.status(404).json({ error: "Feedback not found" });
+      if (!target) {
+        return res.status(404).json({ error: "Target feedback not found" });
+      }
+      if (source.mergedInto) {
+        return res
+          .status(409)
+          .json({ error: "This feedback was already merged" });
+      }
+      if (target.mergedInto) {
+        return res.status(409).json({
+          error: "The target was merged into another item; merge into that one",
+        });
+      }
+
+      // Only public comments count towards commentCount
+      const movedPublic = await Comment.countDocuments({
+        feedbackId: source._id,
+        ...PUBLIC_FILTER,
+      });
+      // Moved responses lose their pin (the target may have its own)
+      await Comment.updateMany(
+        { feedbackId: source._id },
+        { $set: { feedbackId: target._id, mergedFrom: source._id, pinned: false } }
+      );
+
+      // The duplicate's text joins the thread as its reporter's voice
+      let added = 0;
+      if (isPublic(source)) {
+        await Comment.create({
+          organization: target.organization,
+          feedbackId: target._id,
+          text: source.text,
+          authorType: "reporter",
+          mergedFrom: source._id,
+          createdAt: source.createdAt,
+        });
+        added = 1;
+      }
+
+      // Evidence moves along with the thread
+      const merged = await Feedback.findByIdAndUpdate(
+        target._id,
+        {
+          $inc: { commentCount: movedPublic + added },
+          $push: {
+            attachments: { $each: source.attachments.map((a) => a.toObject()) },
+          },
+        },
+        { new: true }
+      );
+      source.mergedInto = target._id;
+      source.mergedAt = new Date();
+      source.commentCount = 0;
+      source.attachments = [];
+      await source.save();
+
+      // Items merged into the duplicate earlier now point at the target too
+      await Feedback.updateMany(
+        { mergedInto: source._id },
+        { $set: { mergedInto: target._id } }
+      );
+
+      res.json({ feedback: source, mergedInto: merged });
+    } catch (err) {
+      console.error("Route error (POST /feedback/:id/merge):", err.message);
+      res.status(400).json({ error: err.message });
+    }
+  }
+);
+
+// Lock or unlock the comment thread of a feedback item
+router.patch(
+  "/:id/lock",
+  auth,
+  requirePermission("feedback:moderate"),
+  validate({ params: feedbackParams, body: { locked: boolean() } }),
+  async (req, res) => {
+    try {
+      const locked = req.body.locked !== false;
+      const feedback = await Feedback.findOneAndUpdate(
+        inOrganization(req, { _id: req.params.id }),
+        { locked },
+        { new: true }
+      );
+      if (!feedback)
+        return res.status(404).json({ error: "Feedback not found" });
+
+      res.json(feedback);
+    } catch (err) {
+      console.error("Route error (PATCH /feedback/:id/lock):", err.message);
+      res.status(400).json({ error: err.message });
+    }
+  }
+);
+
+// Update feedback status (enforces the status workflow)
+router.patch(
+  "/:id",
+  auth,
+  requirePermission("feedback:status"),
+  validate({
+    params: feedbackParams,
+    body: {
+      status: string({ required: true, max: 40 }),
+      reason: string({ max: MAX_REASON_LENGTH }),
+    },
+  }),
+  async (req, res) => {
+    try {
+      const { status, reason } = req.body;
+
+      const current = await Feedback.findOne(
+        inOrganization(req, { _id: req.params.id })
+      );
+      if (!current)
+        return res.status(404).json({ error: "Feedback not found" });
+
+      const transitionError = workflow.checkTransition(
+        current.status,
+        status,
+        reason
+      );
+      if (transitionError)
+        return res.status(400).json({ error: transitionError });
+
+      // Only apply if nobody changed the status in the meantime
+      const feedback = await Feedback.findOneAndUpdate(
+        { _id: current._id, status: current.status },
+        {
+          $set: { status },
+          $push: {
+            statusHistory: {
+              from: current.status,
+              to: status,
+              reason,
+              changedAt: new Date(),
+            },
+          },
+        },
+        { new: true }
+      );
+      if (!feedback) {
+        return res
+          .status(409)
+          .json({ error: "Status was changed by someone else. Please reload." });
+      }
+
+      announce(req, "feedback.status_changed", {
+        feedback: webhooks.feedbackData(feedback),
+        from: current.status,
+        to: status,
+        reason,
+      });
+      res.locals.audit = {
+        details: { from: current.status, to: status, reason },
+      };
+      res.json(feedback);
+    } catch (err) {
+      console.error("Route error (PATCH /feedback/:id):", err.message);
+      res.status(400).json({ error: err.message });
+    }
+  }
+);
 
 // Delete feedback and its comments
-router.delete("/:id", auth, async (req, res) => {
-  try {
-    const feedback = await Feedback.findByIdAndDelete(req.params.id);
-    if (!feedback) return res.status(404).json({ error: "Feedback not found" });
+router.delete(
+  "/:id",
+  auth,
+  requirePermission("feedback:delete"),
+  validate({ params: feedbackParams }),
+  async (req, res) => {
+    try {
+      const feedback = await Feedback.findOneAndDelete(
+        inOrganization(req, { _id: req.params.id })
+      ).select("+attachments");
+      if (!feedback)
+        return res.status(404).json({ error: "Feedback not found" });
 
-    await Comment.deleteMany({ feedbackId: req.params.id });
-    res.json({ message: "Feedback and its comments deleted" });
-  } catch (err) {
-    console.error("Route error (DELETE /feedback/:id):", err.message);
-    res.status(500).json({ error: err.message });
+      await Comment.deleteMany({ feedbackId: req.params.id });
+      // Duplicates merged into it have no thread of their own left
+      const merged = await Feedback.find({ mergedInto: req.params.id }).select(
+        "+attachments"
+      );
+      await Feedback.deleteMany({ mergedInto: req.params.id });
+      await removeAttachments([
+        ...feedback.attachments,
+        ...merged.flatMap((item) => item.attachments),
+      ]);
+      announce(req, "feedback.deleted", {
+        feedback: webhooks.feedbackData(feedback),
+        mergedDuplicates: merged.length,
+      });
+      // What was deleted, as nothing else remains of it
+      res.locals.audit = {
+        details: {
+          text: excerpt(feedback.text),
+          status: feedback.status,
+          mergedDuplicates: merged.length,
+        },
+      };
+      res.json({ message: "Feedback and its comments deleted" });
+    } catch (err) {
+      console.error("Route error (DELETE /feedback/:id):", err.message);
+      res.status(500).json({ error: err.message });
+    }
   }
-});
+);
 
 // Delete a specific comment
-router.delete("/:feedbackId/comment/:commentId", auth, async (req, res) => {
-  try {
-    const comment = await Comment.findOneAndDelete({
-      _id: req.params.commentId,
-      feedbackId: req.params.feedbackId,
-    });
-    if (!comment) return res.status(404).json({ error: "Comment not found" });
-
-    res.json({ message: "Comment deleted" });
-  } catch (err) {
-    console.error(
-      "Route error (DELETE /feedback/:feedbackId/comment/:commentId):",
-      err.message
-    );
-    res.status(500).json({ error: err.message });
+router.delete(
+  "/:feedbackId/comment/:commentId",
+  auth,
+  requirePermission("feedback:delete"),
+  validate({ params: commentParams }),
+  async (req, res) => {
+    try {
+      const comment = await Comment.findOneAndDelete(
+        inOrganization(req, {
+          _id: req.params.commentId,
+          feedbackId: req.params.feedbackId,
+        })
+      );
+      if (!comment) return res.status(404).json({ error: "Comment not found" });
+
+      if (isPublic(comment)) {
+        await Feedback.updateOne(
+          { _id: req.params.feedbackId, commentCount: { $gt: 0 } },
+          { $inc: { commentCount: -1 } }
+        );
+      }
+      res.locals.audit = {
+        details: {
+          feedbackId: req.params.feedbackId,
+          text: excerpt(comment.text),
+        },
+      };
+      res.json({ message: "Comment deleted" });
+    } catch (err) {
+      console.error(
+        "Route error (DELETE /feedback/:feedbackId/comment/:commentId):",
+        err.message
+      );
+      res.status(500).json({ error: err.message });
+    }
   }
-});
+);
 
 module.exports = router;
@@ -0,0 +1,259 @@
+const express = require("express");
+const router = express.Router();
+const ModerationRule = require("../models/ModerationRule.model");
+const { RULE_TYPES, SEVERITIES } = require("../models/ModerationRule.model");
+const auth = require("../middleware/auth");
+const { requirePermission } = require("../middleware/auth");
+const { loadAdminOrganization } = require("../middleware/organization");
+const validate = require("../middleware/validate");
+const { sendValidationError } = require("../middleware/validate");
+const moderateFeedback = require("../utils/moderateFeedback");
+const {
+  getRuleset,
+  invalidateRules,
+  evaluateRules,
+  thresholdsFor,
+} = require("../utils/moderationRules");
+const { moderationStats } = require("../utils/moderationLog");
+
+const { string, number, boolean, objectId, array } = validate.rules;
+
+// Longest text accepted by the dry run
+const MAX_TEST_LENGTH = 10000;
+const MAX_TEST_TAGS = 20;
+
+// Stats window (?days=), in days
+const DEFAULT_STATS_DAYS = 7;
+const MAX_STATS_DAYS = 90;
+
+const isObject = (value) =>
+  Boolean(value) && typeof value === "object" && !Array.isArray(value);
+
+// Threshold rules: null (or "") is the default rule, for every item
+const ruleTagRule = (value, name) =>
+  value === null || value === ""
+    ? { value: null }
+    : string({ max: 40, label: "Tag" })(value, name);
+
+// An empty note clears it
+const noteRule = (value, name) =>
+  value === "" || value === null
+    ? { value: "" }
+    : string({ max: 200 })(value, name);
+
+// { provider: { category: 0-1 } } (see utils/moderationRules.js); null
+// clears them
+const providerThresholdsRule = (value) => {
+  if (value === undefined || value === null) return { value };
+  if (!isObject(value)) {
+    return { error: "Provider thresholds must be an object" };
+  }
+  for (const [provider, values] of Object.entries(value)) {
+    const valid =
+      isObject(values) &&
+      Object.values(values).every(
+        (n) => typeof n === "number" && n >= 0 && n <= 1
+      );
+    if (!valid) {
+      return {
+        error: `Provider thresholds: ${provider} needs numbers from 0 to 1`,
+      };
+    }
+  }
+  return { value };
+};
+
+const ruleParams = { id: objectId({ label: "Rule id" }) };
+
+// The fields admins may set on a rule. What a type needs (a pattern, a
+// valid regex, a threshold) is checked by the model, on the saved rule.
+const ruleBody = (required) => ({
+  type: string({ required, oneOf: RULE_TYPES }),
+  pattern: string({ max: 200 }),
+  caseSensitive: boolean(),
+  severity: string({ oneOf: SEVERITIES }),
+  tag: ruleTagRule,
+  score: number({ min: 1 }),
+  maxLength: number({ integer: true, min: 1 }),
+  providerThresholds: providerThresholdsRule,
+  note: noteRule,
+  enabled: boolean(),
+});
+
+// Field messages of the model's checks, for the 422 shape
+const modelFieldErrors = (err) =>
+  err.name === "ValidationError"
+    ? Object.fromEntries(
+        Object.entries(err.errors).map(([field, e]) => [field, e.message])
+      )
+    : null;
+
+// Answers save errors: the model's checks -> 422, duplicate threshold rule
+// for a tag -> 409, anything else -> 500
+function sendRuleError(res, err) {
+  const fields = modelFieldErrors(err);
+  if (fields) return sendValidationError(res, fields);
+  if (err.code === 11000) {
+    return res
+      .status(409)
+      .json({ error: "A threshold rule for this tag already exists" });
+  }
+  res.status(500).json({ error: err.message });
+}
+
+// Every moderation route is admin-only and works on the admin's own
+// organization. Any role may read rules and stats and run the dry run.
+router.use(auth, loadAdminOrganization);
+
+const canManage = requirePermission("moderation:manage");
+
+// List rules (seeds the defaults on first use), optionally of one ?type=
+router.get(
+  "/rules",
+  validate({ query: { type: string({ oneOf: RULE_TYPES }) } }),
+  async (req, res) => {
+    try {
+      await getRuleset(req.organization);
+      const filter = { organization: req.organization._id };
+      if (req.query.type) filter.type = req.query.type;
+      const rules = await ModerationRule.find(filter).sort({
+        type: 1,
+        createdAt: 1,
+      });
+      res.json({ items: rules, total: rules.length });
+    } catch (err) {
+      console.error("Route error (GET /admin/moderation/rules):", err.message);
+      res.status(500).json({ error: err.message });
+    }
+  }
+);
+
+// Create a rule
+// Body: type, pattern, caseSensitive, severity, tag, score, maxLength,
+// providerThresholds, note, enabled
+router.post(
+  "/rules",
+  canManage,
+  validate({ body: ruleBody(true) }),
+  async (req, res) => {
+    try {
+      const rule = await ModerationRule.create({
+        ...req.body,
+        organization: req.organization._id,
+      });
+      invalidateRules(req.organization);
+      res.status(201).json(rule);
+    } catch (err) {
+      console.error("Route error (POST /admin/moderation/rules):", err.message);
+      sendRuleError(res, err);
+    }
+  }
+);
+
+// Update a rule
+// Body: any of the POST fields
+router.patch(
+  "/rules/:id",
+  canManage,
+  validate({ params: ruleParams, body: ruleBody(false) }),
+  async (req, res) => {
+    try {
+      const rule = await ModerationRule.findOne({
+        _id: req.params.id,
+        organization: req.organization._id,
+      });
+      if (!rule) return res.status(404).json({ error: "Rule not found" });
+
+      rule.set(req.body);
+      await rule.save();
+      invalidateRules(req.organization);
+      res.json(rule);
+    } catch (err) {
+      console.error(
+        "Route error (PATCH /admin/moderation/rules/:id):",
+        err.message
+      );
+      sendRuleError(res, err);
+    }
+  }
+);
+
+// Delete a rule
+router.delete(
+  "/rules/:id",
+  canManage,
+  validate({ params: ruleParams }),
+  async (req, res) => {
+    try {
+      const rule = await ModerationRule.findOneAndDelete({
+        _id: req.params.id,
+        organization: req.organization._id,
+      });
+      if (!rule) return res.status(404).json({ error: "Rule not found" });
+
+      invalidateRules(req.organization);
+      res.json({ message: "Rule deleted" });
+    } catch (err) {
+      console.error(
+        "Route error (DELETE /admin/moderation/rules/:id):",
+        err.message
+      );
+      res.status(500).json({ error: err.message });
+    }
+  }
+);
+
+// Dry run: which rules fire on a text (and which were not run), and what
+// the full pipeline decides (at the organization's strictness). Nothing is
+// stored.
+// Body: text, tags
+router.post(
+  "/test",
+  validate({
+    body: {
+      text: string({ required: true, max: MAX_TEST_LENGTH }),
+      tags: array(string({ max: 40, label: "Each tag" }), {
+        max: MAX_TEST_TAGS,
+      }),
+    },
+  }),
+  async (req, res) => {
+    try {
+      const { text, tags = [] } = req.body;
+      const ruleset = await getRuleset(req.organization);
+      const pipeline = await moderateFeedback(text, {
+        tags,
+        organization: req.organization,
+      });
+
+      res.json({
+        rules: evaluateRules(text, ruleset, tags),
+        thresholds: thresholdsFor(ruleset, tags),
+        // Rules left out for an invalid or unsafe pattern
+        skipped: ruleset.skipped,
+        pipeline,
+      });
+    } catch (err) {
+      console.error("Route error (POST /admin/moderation/test):", err.message);
+      res.status(500).json({ error: err.message });
+    }
+  }
+);
+
+// Moderation effectiveness over the last ?days= days: flag rate, provider
+// failure rate and latency, most triggered rules
+router.get("/stats", async (req, res) => {
+  try {
+    const days = Math.min(
+      MAX_STATS_DAYS,
+      Math.max(1, parseInt(req.query.days, 10) || DEFAULT_STATS_DAYS)
+    );
+    const since = new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+    res.json({ days, ...(await moderationStats(since, req.organization)) });
+  } catch (err) {
+    console.error("Route error (GET /admin/moderation/stats):", err.message);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+module.exports = router;
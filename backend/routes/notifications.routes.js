@@ -0,0 +1,264 @@
+const express = require("express");
+const router = express.Router();
+const NotificationChannel = require("../models/NotificationChannel.model");
+const {
+  CHANNEL_TYPES,
+  NOTIFICATION_EVENTS,
+} = require("../models/NotificationChannel.model");
+const { EMAIL_PATTERN } = require("../models/Organization.model");
+const auth = require("../middleware/auth");
+const { requirePermission } = require("../middleware/auth");
+const { loadAdminOrganization } = require("../middleware/organization");
+const validate = require("../middleware/validate");
+const { sendValidationError } = require("../middleware/validate");
+const { getChannel } = require("../utils/notificationChannels");
+const { PLACEHOLDERS, TEMPLATES, sendTest } = require("../utils/notifications");
+const workflow = require("../utils/statusWorkflow");
+
+const { string, boolean, objectId, url, array } = validate.rules;
+
+// The organization's notification channels (utils/notifications.js) are
+// part of its settings
+router.use(
+  auth,
+  requirePermission("organization:manage"),
+  loadAdminOrganization
+);
+
+const MAX_TAGS = 20;
+
+const statusRule = (value) =>
+  typeof value === "string" && workflow.isValidStatus(value)
+    ? { value }
+    : {
+        error: `Each status must be one of: ${Object.keys(
+          workflow.statuses
+        ).join(", ")}`,
+      };
+
+// { "feedback.created": { title, text }, ... }; an empty template is
+// dropped, which restores the built-in one
+const templatesRule = (value) => {
+  if (value === undefined) return { value };
+  if (!value || typeof value !== "object" || Array.isArray(value)) {
+    return { error: "Templates must be an object" };
+  }
+  const templates = {};
+  for (const [event, template] of Object.entries(value)) {
+    if (!NOTIFICATION_EVENTS.includes(event)) {
+      return { error: `Templates: unknown event "${event}"` };
+    }
+    const title = string({ max: 200, label: "Template title" })(
+      template?.title,
+      "title"
+    );
+    const text = string({ max: 2000, label: "Template text" })(
+      template?.text,
+      "text"
+    );
+    if (title.error || text.error) return { error: title.error || text.error };
+    if (title.value || text.value) {
+      templates[event] = { title: title.value, text: text.value };
+    }
+  }
+  return { value: templates };
+};
+
+const channelParams = { id: objectId({ label: "Channel id" }) };
+
+const channelBody = (required) => ({
+  name: string({ required, max: 100 }),
+  type: string({ required, oneOf: CHANNEL_TYPES }),
+  email: string({
+    max: 254,
+    pattern: EMAIL_PATTERN,
+    patternMessage: "Invalid email address",
+  }),
+  url: url({ label: "URL" }),
+  events: array(string({ oneOf: NOTIFICATION_EVENTS, label: "Each event" }), {
+    required,
+    max: NOTIFICATION_EVENTS.length,
+  }),
+  tags: array(string({ max: 40, label: "Each tag" }), { max: MAX_TAGS }),
+  statuses: array(statusRule, { max: Object.keys(workflow.statuses).length }),
+  templates: templatesRule,
+  active: boolean(),
+});
+
+const noEvents = ({ body }) =>
+  body.events?.length === 0 ? { events: "Choose at least one event" } : null;
+
+// The field a channel's type sends to must be set
+const targetError = (channel) => {
+  const field = getChannel(channel.type).target;
+  if (channel[field]) return null;
+  return {
+    [field]: field === "email" ? "Email is required" : "URL is required",
+  };
+};
+
+// What the list shows of a channel
+const publicChannel = (channel) => ({
+  _id: channel._id,
+  name: channel.name,
+  type: channel.type,
+  email: channel.email,
+  url: channel.url,
+  events: channel.events,
+  tags: channel.tags,
+  statuses: channel.statuses,
+  templates: Object.fromEntries(channel.templates || []),
+  active: channel.active,
+  createdAt: channel.createdAt,
+  updatedAt: channel.updatedAt,
+});
+
+const findChannel = (req) =>
+  NotificationChannel.findOne({
+    _id: req.params.id,
+    organization: req.organization._id,
+  });
+
+// Keeps only the field the channel's type sends to
+function clearOtherTarget(channel) {
+  if (getChannel(channel.type).target === "email") channel.url = undefined;
+  else channel.email = undefined;
+}
+
+// GET /admin/notifications/channels
+// Also lists what a channel can be: types, events, template placeholders
+router.get("/channels", async (req, res) => {
+  try {
+    const channels = await NotificationChannel.find({
+      organization: req.organization._id,
+    }).sort({ createdAt: 1 });
+    res.json({
+      items: channels.map(publicChannel),
+      types: CHANNEL_TYPES.map((type) => ({
+        type,
+        label: getChannel(type).label,
+        target: getChannel(type).target,
+      })),
+      events: Object.keys(TEMPLATES),
+      placeholders: PLACEHOLDERS,
+    });
+  } catch (err) {
+    console.error(
+      "Route error (GET /admin/notifications/channels):",
+      err.message
+    );
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// POST /admin/notifications/channels
+// Body: name, type, email (email channels) or url (the others), events,
+// tags, statuses, templates, active
+router.post(
+  "/channels",
+  validate({
+    body: channelBody(true),
+    check: ({ body }) => noEvents({ body }) || targetError(body),
+  }),
+  async (req, res) => {
+    try {
+      const channel = new NotificationChannel({
+        ...req.body,
+        events: [...new Set(req.body.events)],
+        organization: req.organization._id,
+      });
+      clearOtherTarget(channel);
+      await channel.save();
+      res.status(201).json(publicChannel(channel));
+    } catch (err) {
+      console.error(
+        "Route error (POST /admin/notifications/channels):",
+        err.message
+      );
+      res.status(400).json({ error: err.message });
+    }
+  }
+);
+
+// PATCH /admin/notifications/channels/:id
+// Body: any of the POST fields; templates replaces every template
+router.patch(
+  "/channels/:id",
+  validate({
+    params: channelParams,
+    body: channelBody(false),
+    check: noEvents,
+  }),
+  async (req, res) => {
+    try {
+      const channel = await findChannel(req);
+      if (!channel) return res.status(404).json({ error: "Channel not found" });
+
+      if (req.body.events) req.body.events = [...new Set(req.body.events)];
+      channel.set(req.body);
+      const missing = targetError(channel);
+      if (missing) return sendValidationError(res, missing);
+      clearOtherTarget(channel);
+      await channel.save();
+      res.json(publicChannel(channel));
+    } catch (err) {
+      console.error(
+        "Route error (PATCH /admin/notifications/channels/:id):",
+        err.message
+      );
+      res.status(400).json({ error: err.message });
+    }
+  }
+);
+
+// DELETE /admin/notifications/channels/:id
+router.delete(
+  "/channels/:id",
+  validate({ params: channelParams }),
+  async (req, res) => {
+    try {
+      const channel = await NotificationChannel.findOneAndDelete({
+        _id: req.params.id,
+        organization: req.organization._id,
+      });
+      if (!channel) return res.status(404).json({ error: "Channel not found" });
+      res.json({ message: "Channel deleted" });
+    } catch (err) {
+      console.error(
+        "Route error (DELETE /admin/notifications/channels/:id):",
+        err.message
+      );
+      res.status(500).json({ error: err.message });
+    }
+  }
+);
+
+// POST /admin/notifications/channels/:id/test
+// Sends a sample of the channel's first event now, paused or not; a failed
+// send answers 502 with the reason
+router.post(
+  "/channels/:id/test",
+  validate({ params: channelParams }),
+  async (req, res) => {
+    try {
+      const channel = await findChannel(req);
+      if (!channel) return res.status(404).json({ error: "Channel not found" });
+      try {
+        await sendTest(channel, req.organization);
+      } catch (sendErr) {
+        return res
+          .status(502)
+          .json({ error: `Sending failed: ${sendErr.message}` });
+      }
+      res.json({ message: "Test notification sent" });
+    } catch (err) {
+      console.error(
+        "Route error (POST /admin/notifications/channels/:id/test):",
+        err.message
+      );
+      res.status(500).json({ error: err.message });
+    }
+  }
+);
+
+module.exports = router;
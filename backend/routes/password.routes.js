@@ -0,0 +1,141 @@
+const express = require("express");
+const router = express.Router();
+const Admin = require("../models/Admin.model");
+const PasswordReset = require("../models/PasswordReset.model");
+const Session = require("../models/Session.model");
+const validate = require("../middleware/validate");
+const sendEmail = require("../utils/sendEmail");
+const { escapeHtml } = require("../utils/escapeHtml");
+const { generateToken, hashToken } = require("../utils/secureToken");
+const { unlock, recordSignIn } = require("../utils/loginProtection");
+const { EMAIL_PATTERN } = require("../models/Organization.model");
+
+const { string } = validate.rules;
+
+// Where reset links point (the frontend's reset page)
+const APP_URL = process.env.FRONTEND_URL || "http://localhost:5173";
+
+const RESET_TTL_MINUTES = Number(process.env.PASSWORD_RESET_TTL_MINUTES) || 60;
+
+// The same answer whether or not the email belongs to an admin, so the
+// form cannot be used to find out who has an account
+const FORGOT_MESSAGE =
+  "If an admin account uses this email, a reset link is on its way";
+
+const INVALID_LINK = "Reset link is invalid or expired";
+
+// Emails a reset link to an admin, replacing any earlier one
+async function sendResetLink(admin) {
+  const token = generateToken();
+  await PasswordReset.deleteMany({ admin: admin._id });
+  const reset = await PasswordReset.create({
+    admin: admin._id,
+    tokenHash: hashToken(token),
+    expiresAt: new Date(Date.now() + RESET_TTL_MINUTES * 60 * 1000),
+  });
+
+  const link = `${APP_URL}/admin/reset-password/${token}`;
+  try {
+    await sendEmail({
+      to: admin.email,
+      subject: "Reset your WhistleSpace password",
+      text:
+        `Someone asked to reset the password of ${admin.username} on ` +
+        `WhistleSpace.\nChoose a new password: ${link}\n` +
+        `The link works once and expires in ${RESET_TTL_MINUTES} minutes. ` +
+        `If you did not ask for this, ignore this email.`,
+      html: `<p>Someone asked to reset the password of
+             <strong>${escapeHtml(admin.username)}</strong> on WhistleSpace.</p>
+             <p><a href="${link}">Choose a new password</a></p>
+             <p>The link works once and expires in ${RESET_TTL_MINUTES}
+             minutes. If you did not ask for this, ignore this email.</p>`,
+    });
+  } catch (emailErr) {
+    await reset.deleteOne();
+    throw emailErr;
+  }
+}
+
+// POST /admin/password/forgot
+// Body: email. Emails a reset link to each active admin with that email
+// (one person may be an admin of several organizations).
+router.post(
+  "/forgot",
+  validate({
+    body: {
+      email: string({
+        required: true,
+        max: 254,
+        pattern: EMAIL_PATTERN,
+        patternMessage: "Email is not a valid address",
+      }),
+    },
+  }),
+  async (req, res) => {
+    try {
+      const admins = await Admin.find({
+        email: req.body.email.toLowerCase(),
+        disabled: { $ne: true },
+      });
+      // Answer before sending, so response times do not tell either
+      res.json({ message: FORGOT_MESSAGE });
+
+      for (const admin of admins) {
+        try {
+          await sendResetLink(admin);
+        } catch (resetErr) {
+          // The answer is already sent; only the server log can tell
+          console.error("Password reset email error:", resetErr.message);
+        }
+      }
+    } catch (err) {
+      console.error("Route error (POST /admin/password/forgot):", err.message);
+      res.status(500).json({ error: err.message });
+    }
+  }
+);
+
+// POST /admin/password/reset
+// Body: token (from the link), password. Signs the admin out everywhere
+// and lifts a lockout; two-factor authentication, if on, is still asked
+// at the next sign-in.
+router.post(
+  "/reset",
+  validate({
+    body: {
+      token: string({ required: true, max: 100 }),
+      password: string({ required: true, min: 8, max: 100, trim: false }),
+    },
+  }),
+  async (req, res) => {
+    try {
+      // Claim the reset first, so the link works once even when submitted
+      // twice at the same time
+      const reset = await PasswordReset.findOneAndDelete({
+        tokenHash: hashToken(req.body.token),
+        expiresAt: { $gt: new Date() },
+      });
+      if (!reset) return res.status(400).json({ error: INVALID_LINK });
+
+      const admin = await Admin.findById(reset.admin);
+      if (!admin || admin.disabled) {
+        return res.status(400).json({ error: INVALID_LINK });
+      }
+
+      admin.password = req.body.password; // hashed on save
+      await admin.save();
+      await Promise.all([
+        PasswordReset.deleteMany({ admin: admin._id }),
+        Session.deleteMany({ admin: admin._id }),
+        unlock(admin._id),
+      ]);
+      recordSignIn(req, admin, "auth.password_reset");
+      res.json({ message: "Password reset" });
+    } catch (err) {
+      console.error("Route error (POST /admin/password/reset):", err.message);
+      res.status(400).json({ error: err.message });
+    }
+  }
+);
+
+module.exports = router;
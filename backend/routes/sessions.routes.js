@@ -0,0 +1,81 @@
+const express = require("express");
+const router = express.Router();
+const Session = require("../models/Session.model");
+const auth = require("../middleware/auth");
+const validate = require("../middleware/validate");
+const { cookieOptions } = require("../utils/adminSession");
+
+const { objectId } = validate.rules;
+
+// The signed-in admin's own sessions (devices); see utils/adminSession.js.
+// Revoking one signs that device out at once (middleware/auth.js).
+router.use(auth);
+
+// What the list shows of a session (no token hashes)
+const publicSession = (session, req) => ({
+  _id: session._id,
+  userAgent: session.userAgent,
+  createdAt: session.createdAt,
+  lastSeenAt: session.lastSeenAt,
+  // The device making the request
+  current: String(session._id) === String(req.admin.sid),
+});
+
+// GET /admin/sessions (most recently used first)
+router.get("/", async (req, res) => {
+  try {
+    const sessions = await Session.find({
+      admin: req.admin.id,
+      expiresAt: { $gt: new Date() },
+    })
+      .sort({ lastSeenAt: -1 })
+      .lean();
+    res.json({
+      items: sessions.map((session) => publicSession(session, req)),
+    });
+  } catch (err) {
+    console.error("Route error (GET /admin/sessions):", err.message);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// DELETE /admin/sessions (log out everywhere, this device included)
+router.delete("/", async (req, res) => {
+  try {
+    const result = await Session.deleteMany({ admin: req.admin.id });
+    res.clearCookie("refreshToken", cookieOptions);
+    res.json({
+      message: "Signed out everywhere",
+      revoked: result.deletedCount,
+    });
+  } catch (err) {
+    console.error("Route error (DELETE /admin/sessions):", err.message);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// DELETE /admin/sessions/:id
+router.delete(
+  "/:id",
+  validate({ params: { id: objectId({ label: "Session id" }) } }),
+  async (req, res) => {
+    try {
+      const session = await Session.findOneAndDelete({
+        _id: req.params.id,
+        admin: req.admin.id,
+      });
+      if (!session) {
+        return res.status(404).json({ error: "Session not found" });
+      }
+      if (publicSession(session, req).current) {
+        res.clearCookie("refreshToken", cookieOptions);
+      }
+      res.json({ message: "Session revoked" });
+    } catch (err) {
+      console.error("Route error (DELETE /admin/sessions/:id):", err.message);
+      res.status(500).json({ error: err.message });
+    }
+  }
+);
+
+module.exports = router;
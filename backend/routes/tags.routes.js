@@ -0,0 +1,257 @@
+const express = require("express");
+const router = express.Router();
+const Tag = require("../models/Tag.model");
+const { TAG_COLORS, SLUG_PATTERN } = require("../models/Tag.model");
+const Feedback = require("../models/Feedback.model");
+const ModerationRule = require("../models/ModerationRule.model");
+const Organization = require("../models/Organization.model");
+const auth = require("../middleware/auth");
+const { requirePermission } = require("../middleware/auth");
+const validate = require("../middleware/validate");
+const { getTags, invalidateTags, isAllowedTag } = require("../utils/tags");
+const { invalidateRules } = require("../utils/moderationRules");
+const { invalidateOrganization } = require("../utils/organizations");
+
+const { string, boolean } = validate.rules;
+
+// Changing the taxonomy needs the tags:manage permission (reading is public)
+const canManage = requirePermission("tags:manage");
+
+// Slugs are matched lowercase, as the model stores them
+const slugRule = (options = {}) => {
+  const check = string({
+    max: 40,
+    pattern: SLUG_PATTERN,
+    patternMessage: "Slug may only contain a-z, 0-9 and dashes",
+    ...options,
+  });
+  return (value, name) =>
+    check(typeof value === "string" ? value.toLowerCase() : value, name);
+};
+
+// An empty description clears it
+const descriptionRule = (value, name) =>
+  value === "" || value === null
+    ? { value: "" }
+    : string({ max: 200 })(value, name);
+
+const tagParams = { slug: slugRule() };
+
+// The fields admins may set on a tag
+const tagBody = (required) => ({
+  slug: slugRule({ required }),
+  label: string({ required, max: 50 }),
+  color: string({ oneOf: TAG_COLORS }),
+  description: descriptionRule,
+  archived: boolean(),
+});
+
+// Duplicate slug -> 409, other save errors -> 500
+const tagErrorStatus = (err) => (err.code === 11000 ? 409 : 500);
+const tagErrorMessage = (err) =>
+  err.code === 11000 ? "A tag with this slug already exists" : err.message;
+
+/**
+ * Moves an organization's moderation threshold rule of a tag to another
+ * slug. When the other slug already has one, the moved rule is dropped
+ * instead.
+ */
+async function moveThresholdRule(organization, from, to) {
+  const rule = (tag) => ({
+    organization: organization._id,
+    type: "threshold",
+    tag,
+  });
+  if (await ModerationRule.exists(rule(to))) {
+    await ModerationRule.deleteOne(rule(from));
+  } else {
+    await ModerationRule.updateOne(rule(from), { tag: to });
+  }
+  invalidateRules(organization);
+}
+
+/**
+ * Renames a tag in the organization's allowed tags (see
+ * Organization.settings.allowedTags); `to` = null removes it.
+ */
+async function renameAllowedTag(organization, from, to) {
+  if (!organization.settings?.allowedTags?.includes(from)) return;
+  const allowedTags = organization.settings.allowedTags.filter(
+    (slug) => slug !== from && slug !== to
+  );
+  if (to) allowedTags.push(to);
+  await Organization.updateOne(
+    { _id: organization._id },
+    { $set: { "settings.allowedTags": allowedTags } }
+  );
+  invalidateOrganization(organization.slug);
+}
+
+// List the organization's tags (public). Archived tags only with
+// ?archived=true; `allowed` tells whether new feedback may use a tag
+router.get(
+  "/",
+  validate({ query: { archived: boolean() } }),
+  async (req, res) => {
+    try {
+      const tags = (await getTags(req.organization)).map((tag) => ({
+        ...tag,
+        allowed: isAllowedTag(tag, req.organization),
+      }));
+      const items = req.query.archived
+        ? tags
+        : tags.filter((t) => !t.archived);
+      res.json({ items, total: items.length });
+    } catch (err) {
+      console.error("Route error (GET /tags):", err.message);
+      res.status(500).json({ error: err.message });
+    }
+  }
+);
+
+// Create a tag
+// Body: slug, label, color, description, archived
+router.post(
+  "/",
+  auth,
+  canManage,
+  validate({ body: tagBody(true) }),
+  async (req, res) => {
+    try {
+      // Seed the defaults first, so they aren't skipped later
+      await getTags(req.organization);
+      const tag = await Tag.create({
+        ...req.body,
+        organization: req.organization._id,
+      });
+      invalidateTags(req.organization);
+      res.status(201).json(tag);
+    } catch (err) {
+      console.error("Route error (POST /tags):", err.message);
+      res.status(tagErrorStatus(err)).json({ error: tagErrorMessage(err) });
+    }
+  }
+);
+
+// Update a tag. A new slug is applied to existing feedback too.
+// Body: any of the POST fields
+router.patch(
+  "/:slug",
+  auth,
+  canManage,
+  validate({ params: tagParams, body: tagBody(false) }),
+  async (req, res) => {
+    try {
+      const tag = await Tag.findOne({
+        organization: req.organization._id,
+        slug: req.params.slug,
+      });
+      if (!tag) return res.status(404).json({ error: "Tag not found" });
+
+      const previousSlug = tag.slug;
+      tag.set(req.body);
+      await tag.save();
+      invalidateTags(req.organization);
+
+      let updatedFeedback = 0;
+      if (tag.slug !== previousSlug) {
+        const result = await Feedback.updateMany(
+          { organization: req.organization._id, tags: previousSlug },
+          { $set: { "tags.$": tag.slug } }
+        );
+        updatedFeedback = result.modifiedCount;
+        await moveThresholdRule(req.organization, previousSlug, tag.slug);
+        await renameAllowedTag(req.organization, previousSlug, tag.slug);
+      }
+
+      res.json({ tag, updatedFeedback });
+    } catch (err) {
+      console.error("Route error (PATCH /tags/:slug):", err.message);
+      res.status(tagErrorStatus(err)).json({ error: tagErrorMessage(err) });
+    }
+  }
+);
+
+// Merge a tag into another one: feedback is retagged and the tag removed
+// Body: into (the target's slug)
+router.post(
+  "/:slug/merge",
+  auth,
+  canManage,
+  validate({
+    params: tagParams,
+    body: { into: slugRule({ required: true, label: "Target tag (into)" }) },
+    check: ({ params, body }) =>
+      body.into === params.slug
+        ? { into: "A tag cannot be merged into itself" }
+        : null,
+  }),
+  async (req, res) => {
+    try {
+      const organization = req.organization._id;
+      const [source, target] = await Promise.all([
+        Tag.findOne({ organization, slug: req.params.slug }),
+        Tag.findOne({ organization, slug: req.body.into }),
+      ]);
+      if (!source) return res.status(404).json({ error: "Tag not found" });
+      if (!target) {
+        return res.status(404).json({ error: "Target tag not found" });
+      }
+
+      // Add the target first so items never end up without either tag
+      const result = await Feedback.updateMany(
+        { organization, tags: source.slug },
+        { $addToSet: { tags: target.slug } }
+      );
+      await Feedback.updateMany(
+        { organization, tags: source.slug },
+        { $pull: { tags: source.slug } }
+      );
+      await moveThresholdRule(req.organization, source.slug, target.slug);
+      await renameAllowedTag(req.organization, source.slug, target.slug);
+      await source.deleteOne();
+      invalidateTags(req.organization);
+
+      res.json({ tag: target, updatedFeedback: result.matchedCount });
+    } catch (err) {
+      console.error("Route error (POST /tags/:slug/merge):", err.message);
+      res.status(500).json({ error: err.message });
+    }
+  }
+);
+
+// Delete an unused tag (tags in use can be archived or merged instead)
+router.delete(
+  "/:slug",
+  auth,
+  canManage,
+  validate({ params: tagParams }),
+  async (req, res) => {
+    try {
+      const tag = await Tag.findOne({
+        organization: req.organization._id,
+        slug: req.params.slug,
+      });
+      if (!tag) return res.status(404).json({ error: "Tag not found" });
+
+      const inUse = await Feedback.exists({
+        organization: req.organization._id,
+        tags: tag.slug,
+      });
+      if (inUse) {
+        return res
+          .status(409)
+          .json({ error: "Tag is in use; archive or merge it instead" });
+      }
+      await tag.deleteOne();
+      await renameAllowedTag(req.organization, tag.slug, null);
+      invalidateTags(req.organization);
+      res.json({ message: "Tag deleted" });
+    } catch (err) {
+      console.error("Route error (DELETE /tags/:slug):", err.message);
+      res.status(500).json({ error: err.message });
+    }
+  }
+);
+
+module.exports = router;
@@ -0,0 +1,247 @@
+const express = require("express");
+const router = express.Router();
+const Admin = require("../models/Admin.model");
+const auth = require("../middleware/auth");
+const { loadAdminOrganization } = require("../middleware/organization");
+const validate = require("../middleware/validate");
+const { sendValidationError } = require("../middleware/validate");
+const { generateSecret, verifyTotp, otpauthUrl } = require("../utils/totp");
+const QRCode = require("qrcode");
+const {
+  generateRecoveryCodes,
+  hashRecoveryCodes,
+  verifySecondFactor,
+} = require("../utils/twoFactor");
+const { startSession, verifyChallenge } = require("../utils/adminSession");
+
+const { string } = validate.rules;
+
+// Name authenticator apps list the account under
+const ISSUER = process.env.TOTP_ISSUER || "WhistleSpace";
+
+const codeRule = string({ max: 20 });
+const recoveryCodeRule = string({ max: 40 });
+
+// Enrolment is open to signed-in admins and, when their organization
+// requires 2FA, to admins halfway through login: those send the challenge
+// token from POST /admin/login instead of an access token, and enabling
+// 2FA then completes their sign-in.
+const enrolling = (req, res, next) => {
+  if (!req.body?.challengeToken) return auth(req, res, next);
+  const challenge = verifyChallenge(req.body.challengeToken, "2fa-setup");
+  if (!challenge) {
+    return res
+      .status(401)
+      .json({ error: "Sign-in expired, please log in again" });
+  }
+  req.admin = { id: challenge.id };
+  req.signingIn = true;
+  next();
+};
+
+// A code from the app or a recovery code, checked before changes that
+// weaken or reset 2FA. Answers 422 and returns false when wrong.
+const confirmSecondFactor = async (admin, body, res) => {
+  const { code, recoveryCode } = body;
+  if (await verifySecondFactor(admin, { code, recoveryCode })) return true;
+  sendValidationError(res, {
+    [recoveryCode && !code ? "recoveryCode" : "code"]: "Invalid code",
+  });
+  return false;
+};
+
+// Replaces the admin's recovery codes; returns the new ones (shown once)
+const resetRecoveryCodes = async (admin) => {
+  const codes = generateRecoveryCodes();
+  admin.twoFactor.recoveryCodes = await hashRecoveryCodes(codes);
+  return codes;
+};
+
+// GET /admin/2fa (the signed-in admin's two-factor status)
+router.get("/", auth, loadAdminOrganization, async (req, res) => {
+  try {
+    const admin = await Admin.findById(req.admin.id, "twoFactor");
+    if (!admin) return res.status(404).json({ error: "Admin not found" });
+    res.json({
+      enabled: !!admin.twoFactor?.enabled,
+      recoveryCodesLeft: admin.twoFactor?.recoveryCodes?.length || 0,
+      required: !!req.organization.settings?.requireTwoFactor,
+    });
+  } catch (err) {
+    console.error("Route error (GET /admin/2fa):", err.message);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// POST /admin/2fa/setup
+// Starts enrolment with a new secret. Answers the secret, its otpauth://
+// URI and a QR code of it (SVG data URL) to scan into an authenticator app.
+router.post(
+  "/setup",
+  validate({ body: { challengeToken: string({ max: 1000 }) } }),
+  enrolling,
+  async (req, res) => {
+    try {
+      const admin = await Admin.findById(req.admin.id);
+      if (!admin || admin.disabled) {
+        return res.status(404).json({ error: "Admin not found" });
+      }
+      if (admin.twoFactor?.enabled) {
+        return res
+          .status(409)
+          .json({ error: "Two-factor authentication is already enabled" });
+      }
+
+      const secret = generateSecret();
+      admin.twoFactor.pendingSecret = secret;
+      await admin.save();
+
+      const url = otpauthUrl({
+        secret,
+        account: admin.username,
+        issuer: ISSUER,
+      });
+      // The URI as a QR code, for the app to scan
+      const svg = await QRCode.toString(url, { type: "svg" });
+      res.json({
+        secret,
+        otpauthUrl: url,
+        qrCode:
+          "data:image/svg+xml;base64," + Buffer.from(svg).toString("base64"),
+      });
+    } catch (err) {
+      console.error("Route error (POST /admin/2fa/setup):", err.message);
+      res.status(500).json({ error: err.message });
+    }
+  }
+);
+
+// POST /admin/2fa/enable
+// Body: code (from the app, proving it was set up). Answers the recovery
+// codes, plus an access token when completing a sign-in.
+router.post(
+  "/enable",
+  validate({
+    body: {
+      challengeToken: string({ max: 1000 }),
+      code: string({ required: true, max: 20 }),
+    },
+  }),
+  enrolling,
+  async (req, res) => {
+    try {
+      const admin = await Admin.findById(req.admin.id).populate(
+        "organization",
+        "slug"
+      );
+      if (!admin || admin.disabled) {
+        return res.status(404).json({ error: "Admin not found" });
+      }
+      if (admin.twoFactor?.enabled) {
+        return res
+          .status(409)
+          .json({ error: "Two-factor authentication is already enabled" });
+      }
+      if (!admin.twoFactor?.pendingSecret) {
+        return res
+          .status(400)
+          .json({ error: "Start the setup before enabling" });
+      }
+
+      const step = verifyTotp(admin.twoFactor.pendingSecret, req.body.code);
+      if (step === null) {
+        return sendValidationError(res, { code: "Invalid code" });
+      }
+
+      admin.twoFactor.enabled = true;
+      admin.twoFactor.secret = admin.twoFactor.pendingSecret;
+      admin.twoFactor.pendingSecret = undefined;
+      admin.twoFactor.lastStep = step;
+      const recoveryCodes = await resetRecoveryCodes(admin);
+      await admin.save();
+
+      res.json({
+        recoveryCodes,
+        ...(req.signingIn && { token: await startSession(req, res, admin) }),
+      });
+    } catch (err) {
+      console.error("Route error (POST /admin/2fa/enable):", err.message);
+      res.status(500).json({ error: err.message });
+    }
+  }
+);
+
+// POST /admin/2fa/disable
+// Body: password, and code or recoveryCode. Not allowed while the
+// organization requires 2FA.
+router.post(
+  "/disable",
+  auth,
+  loadAdminOrganization,
+  validate({
+    body: {
+      password: string({ required: true, max: 100, trim: false }),
+      code: codeRule,
+      recoveryCode: recoveryCodeRule,
+    },
+  }),
+  async (req, res) => {
+    try {
+      if (req.organization.settings?.requireTwoFactor) {
+        return res.status(403).json({
+          error: "Your organization requires two-factor authentication",
+        });
+      }
+      const admin = await Admin.findById(req.admin.id);
+      if (!admin) return res.status(404).json({ error: "Admin not found" });
+      if (!admin.twoFactor?.enabled) {
+        return res
+          .status(409)
+          .json({ error: "Two-factor authentication is not enabled" });
+      }
+      if (!(await admin.comparePassword(req.body.password))) {
+        return sendValidationError(res, { password: "Password is incorrect" });
+      }
+      if (!(await confirmSecondFactor(admin, req.body, res))) return;
+
+      admin.twoFactor = { enabled: false };
+      await admin.save();
+      res.json({ message: "Two-factor authentication disabled" });
+    } catch (err) {
+      console.error("Route error (POST /admin/2fa/disable):", err.message);
+      res.status(500).json({ error: err.message });
+    }
+  }
+);
+
+// POST /admin/2fa/recovery-codes (replaces the recovery codes)
+// Body: code or recoveryCode
+router.post(
+  "/recovery-codes",
+  auth,
+  validate({ body: { code: codeRule, recoveryCode: recoveryCodeRule } }),
+  async (req, res) => {
+    try {
+      const admin = await Admin.findById(req.admin.id);
+      if (!admin) return res.status(404).json({ error: "Admin not found" });
+      if (!admin.twoFactor?.enabled) {
+        return res
+          .status(409)
+          .json({ error: "Two-factor authentication is not enabled" });
+      }
+      if (!(await confirmSecondFactor(admin, req.body, res))) return;
+
+      const recoveryCodes = await resetRecoveryCodes(admin);
+      await admin.save();
+      res.json({ recoveryCodes });
+    } catch (err) {
+      console.error(
+        "Route error (POST /admin/2fa/recovery-codes):",
+        err.message
+      );
+      res.status(500).json({ error: err.message });
+    }
+  }
+);
+
+module.exports = router;
@@ -0,0 +1,423 @@
+const express = require("express");
+const router = express.Router();
+const bcrypt = require("bcrypt");
+const Admin = require("../models/Admin.model");
+const Invitation = require("../models/Invitation.model");
+const Session = require("../models/Session.model");
+const auth = require("../middleware/auth");
+const { requirePermission } = require("../middleware/auth");
+const { loadAdminOrganization } = require("../middleware/organization");
+const validate = require("../middleware/validate");
+const { sendValidationError } = require("../middleware/validate");
+const sendEmail = require("../utils/sendEmail");
+const { escapeHtml } = require("../utils/escapeHtml");
+const { generateToken, hashToken } = require("../utils/secureToken");
+const { ROLES } = require("../utils/permissions");
+const { lockRemaining, unlock } = require("../utils/loginProtection");
+const { EMAIL_PATTERN } = require("../models/Organization.model");
+
+const { string, boolean, objectId } = validate.rules;
+
+// Where invitation links point (the frontend's accept page)
+const APP_URL = process.env.FRONTEND_URL || "http://localhost:5173";
+
+const INVITATION_TTL_HOURS = Number(process.env.INVITATION_TTL_HOURS) || 72;
+
+const canManage = requirePermission("admins:manage");
+
+const usernameRule = string({ required: true, min: 3, max: 50 });
+const passwordRule = string({ required: true, min: 8, max: 100, trim: false });
+const tokenParams = { token: string({ required: true, max: 100 }) };
+
+// What the team list shows of an admin (no password or tokens)
+const publicAdmin = (admin) => ({
+  _id: admin._id,
+  username: admin.username,
+  email: admin.email,
+  role: admin.role,
+  disabled: !!admin.disabled,
+  twoFactor: !!admin.twoFactor?.enabled,
+  // Set while failed sign-ins lock the account
+  lockedUntil: lockRemaining(admin) ? admin.lockout.lockedUntil : null,
+  failedAttempts: admin.lockout?.failedAttempts || 0,
+});
+
+const publicInvitation = (invitation) => ({
+  _id: invitation._id,
+  email: invitation.email,
+  role: invitation.role,
+  expiresAt: invitation.expiresAt,
+  createdAt: invitation.createdAt,
+});
+
+// An invitation that can still be accepted, by the token from its link
+const findInvitation = (token) =>
+  Invitation.findOne({
+    tokenHash: hashToken(token),
+    expiresAt: { $gt: new Date() },
+  }).populate("organization", "name");
+
+// ---------------------------------------------------------------------------
+// Accepting an invitation (public: the link is the credential)
+// ---------------------------------------------------------------------------
+
+// GET /admin/users/invitations/:token (who is invited, and where)
+router.get(
+  "/invitations/:token",
+  validate({ params: tokenParams }),
+  async (req, res) => {
+    try {
+      const invitation = await findInvitation(req.params.token);
+      if (!invitation) {
+        return res
+          .status(404)
+          .json({ error: "Invitation not found or expired" });
+      }
+      res.json({
+        email: invitation.email,
+        role: invitation.role,
+        organization: { name: invitation.organization?.name },
+      });
+    } catch (err) {
+      console.error(
+        "Route error (GET /admin/users/invitations/:token):",
+        err.message
+      );
+      res.status(500).json({ error: err.message });
+    }
+  }
+);
+
+// POST /admin/users/invitations/:token/accept
+// Body: username, password. Creates the admin; they sign in as usual.
+router.post(
+  "/invitations/:token/accept",
+  validate({
+    params: tokenParams,
+    body: { username: usernameRule, password: passwordRule },
+  }),
+  async (req, res) => {
+    try {
+      const { username, password } = req.body;
+      const invitation = await findInvitation(req.params.token);
+      if (!invitation) {
+        return res
+          .status(404)
+          .json({ error: "Invitation not found or expired" });
+      }
+      if (await Admin.exists({ username })) {
+        return sendValidationError(res, {
+          username: "Username is already taken",
+        });
+      }
+
+      // Claim the invitation first, so the link works once even when
+      // submitted twice at the same time
+      const claimed = await Invitation.findOneAndDelete({
+        _id: invitation._id,
+      });
+      if (!claimed) {
+        return res
+          .status(404)
+          .json({ error: "Invitation not found or expired" });
+      }
+      try {
+        await Admin.create({
+          username,
+          password,
+          email: claimed.email,
+          role: claimed.role,
+          organization: claimed.organization,
+        });
+      } catch (createErr) {
+        await Invitation.create(claimed.toObject()); // still usable
+        throw createErr;
+      }
+      res.status(201).json({ message: "Account created" });
+    } catch (err) {
+      console.error(
+        "Route error (POST /admin/users/invitations/:token/accept):",
+        err.message
+      );
+      res.status(400).json({ error: err.message });
+    }
+  }
+);
+
+// ---------------------------------------------------------------------------
+// Team management (the signed-in admin's organization)
+// ---------------------------------------------------------------------------
+
+router.use(auth, loadAdminOrganization);
+
+// GET /admin/users (admins and pending invitations)
+router.get("/", async (req, res) => {
+  try {
+    const organization = req.organization._id;
+    const [admins, invitations] = await Promise.all([
+      Admin.find({ organization }).sort({ username: 1 }).lean(),
+      Invitation.find({ organization, expiresAt: { $gt: new Date() } })
+        .sort({ createdAt: -1 })
+        .lean(),
+    ]);
+    res.json({
+      items: admins.map(publicAdmin),
+      invitations: invitations.map(publicInvitation),
+    });
+  } catch (err) {
+    console.error("Route error (GET /admin/users):", err.message);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// POST /admin/users/invitations
+// Body: email, role. Emails a one-time link; a pending invitation to the
+// same address is replaced.
+router.post(
+  "/invitations",
+  canManage,
+  validate({
+    body: {
+      email: string({
+        required: true,
+        max: 254,
+        pattern: EMAIL_PATTERN,
+        patternMessage: "Email is not a valid address",
+      }),
+      role: string({ required: true, oneOf: ROLES }),
+    },
+  }),
+  async (req, res) => {
+    try {
+      const email = req.body.email.toLowerCase();
+      const { role } = req.body;
+      const organization = req.organization;
+
+      if (await Admin.exists({ organization: organization._id, email })) {
+        return sendValidationError(res, {
+          email: "An admin with this email already exists",
+        });
+      }
+
+      const token = generateToken();
+      await Invitation.deleteMany({ organization: organization._id, email });
+      const invitation = await Invitation.create({
+        organization: organization._id,
+        email,
+        role,
+        tokenHash: hashToken(token),
+        invitedBy: req.admin.id,
+        expiresAt: new Date(Date.now() + INVITATION_TTL_HOURS * 3600 * 1000),
+      });
+
+      const link = `${APP_URL}/admin/invite/${token}`;
+      try {
+        await sendEmail({
+          to: email,
+          subject: `You're invited to manage ${organization.name} on WhistleSpace`,
+          text:
+            `${req.admin.username} invited you to join ${organization.name} ` +
+            `as ${role}.\nSet up your account: ${link}\n` +
+            `The link works once and expires in ${INVITATION_TTL_HOURS} hours.`,
+          html: `<p>${escapeHtml(req.admin.username)} invited you to join
+                 <strong>${escapeHtml(organization.name)}</strong> as
+                 ${role}.</p>
+                 <p><a href="${link}">Set up your account</a></p>
+                 <p>The link works once and expires in
+                 ${INVITATION_TTL_HOURS} hours.</p>`,
+        });
+      } catch (emailErr) {
+        // An invitation nobody received is useless; let the admin retry
+        await invitation.deleteOne();
+        console.error("Invitation email error:", emailErr.message);
+        return res
+          .status(502)
+          .json({ error: "Could not send the invitation email" });
+      }
+
+      res.status(201).json(publicInvitation(invitation));
+    } catch (err) {
+      console.error(
+        "Route error (POST /admin/users/invitations):",
+        err.message
+      );
+      res.status(400).json({ error: err.message });
+    }
+  }
+);
+
+// DELETE /admin/users/invitations/:id (revoke a pending invitation)
+router.delete(
+  "/invitations/:id",
+  canManage,
+  validate({ params: { id: objectId({ label: "Invitation id" }) } }),
+  async (req, res) => {
+    try {
+      const invitation = await Invitation.findOneAndDelete({
+        _id: req.params.id,
+        organization: req.organization._id,
+      });
+      if (!invitation) {
+        return res.status(404).json({ error: "Invitation not found" });
+      }
+      res.json({ message: "Invitation revoked" });
+    } catch (err) {
+      console.error(
+        "Route error (DELETE /admin/users/invitations/:id):",
+        err.message
+      );
+      res.status(500).json({ error: err.message });
+    }
+  }
+);
+
+// PATCH /admin/users/me/email
+// Body: email ("" = none), where password reset links are sent
+router.patch(
+  "/me/email",
+  validate({
+    body: {
+      email: (value, name) =>
+        value === ""
+          ? { value }
+          : string({
+              required: true,
+              max: 254,
+              pattern: EMAIL_PATTERN,
+              patternMessage: "Email is not a valid address",
+            })(value, name),
+    },
+  }),
+  async (req, res) => {
+    try {
+      const email = req.body.email.toLowerCase();
+      const admin = await Admin.findById(req.admin.id);
+      if (!admin) return res.status(404).json({ error: "Admin not found" });
+
+      if (
+        email &&
+        (await Admin.exists({
+          _id: { $ne: admin._id },
+          organization: admin.organization,
+          email,
+        }))
+      ) {
+        return sendValidationError(res, {
+          email: "An admin with this email already exists",
+        });
+      }
+      admin.email = email || undefined;
+      await admin.save();
+      res.json(publicAdmin(admin));
+    } catch (err) {
+      console.error("Route error (PATCH /admin/users/me/email):", err.message);
+      res.status(400).json({ error: err.message });
+    }
+  }
+);
+
+// PATCH /admin/users/me/password
+// Body: currentPassword, newPassword. Signs out the admin's other devices;
+// this one stays signed in.
+router.patch(
+  "/me/password",
+  validate({
+    body: {
+      currentPassword: string({ required: true, max: 100, trim: false }),
+      newPassword: passwordRule,
+    },
+  }),
+  async (req, res) => {
+    try {
+      const { currentPassword, newPassword } = req.body;
+      const admin = await Admin.findById(req.admin.id);
+      if (!admin) return res.status(404).json({ error: "Admin not found" });
+
+      if (!(await bcrypt.compare(currentPassword, admin.password))) {
+        return sendValidationError(res, {
+          currentPassword: "Current password is incorrect",
+        });
+      }
+      admin.password = newPassword; // hashed on save
+      await admin.save();
+      const result = await Session.deleteMany({
+        admin: admin._id,
+        _id: { $ne: req.admin.sid },
+      });
+      res.json({ message: "Password changed", revoked: result.deletedCount });
+    } catch (err) {
+      console.error(
+        "Route error (PATCH /admin/users/me/password):",
+        err.message
+      );
+      res.status(400).json({ error: err.message });
+    }
+  }
+);
+
+// POST /admin/users/:id/unlock (lifts a lockout after failed sign-ins)
+router.post(
+  "/:id/unlock",
+  canManage,
+  validate({ params: { id: objectId({ label: "Admin id" }) } }),
+  async (req, res) => {
+    try {
+      const admin = await Admin.findOne({
+        _id: req.params.id,
+        organization: req.organization._id,
+      });
+      if (!admin) return res.status(404).json({ error: "Admin not found" });
+
+      await unlock(admin._id);
+      admin.lockout = { failedAttempts: 0 };
+      res.json(publicAdmin(admin));
+    } catch (err) {
+      console.error(
+        "Route error (POST /admin/users/:id/unlock):",
+        err.message
+      );
+      res.status(500).json({ error: err.message });
+    }
+  }
+);
+
+// PATCH /admin/users/:id
+// Body: role, disabled. Admins cannot change their own role or disable
+// themselves, so an organization always keeps an owner.
+router.patch(
+  "/:id",
+  canManage,
+  validate({
+    params: { id: objectId({ label: "Admin id" }) },
+    body: { role: string({ oneOf: ROLES }), disabled: boolean() },
+  }),
+  async (req, res) => {
+    try {
+      const { role, disabled } = req.body;
+      if (String(req.params.id) === String(req.admin.id)) {
+        return res.status(400).json({
+          error: "You cannot change your own role or disable yourself",
+        });
+      }
+
+      const admin = await Admin.findOne({
+        _id: req.params.id,
+        organization: req.organization._id,
+      });
+      if (!admin) return res.status(404).json({ error: "Admin not found" });
+
+      if (role) admin.role = role;
+      if (disabled !== undefined) admin.disabled = disabled;
+      await admin.save();
+      // Both apply to their next request (middleware/auth.js); disabling
+      // also ends their sessions
+      if (disabled) await Session.deleteMany({ admin: admin._id });
+      res.json(publicAdmin(admin));
+    } catch (err) {
+      console.error("Route error (PATCH /admin/users/:id):", err.message);
+      res.status(400).json({ error: err.message });
+    }
+  }
+);
+
+module.exports = router;
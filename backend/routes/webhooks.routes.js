@@ -0,0 +1,232 @@
+const express = require("express");
+const router = express.Router();
+const Webhook = require("../models/Webhook.model");
+const { WEBHOOK_EVENTS } = require("../models/Webhook.model");
+const WebhookDelivery = require("../models/WebhookDelivery.model");
+const auth = require("../middleware/auth");
+const { requirePermission } = require("../middleware/auth");
+const { loadAdminOrganization } = require("../middleware/organization");
+const validate = require("../middleware/validate");
+const { sendValidationError } = require("../middleware/validate");
+const { generateToken } = require("../utils/secureToken");
+const { parseLimit } = require("../utils/pagination");
+const { sendTest } = require("../utils/webhooks");
+
+const { string, number, boolean, objectId, url, array } = validate.rules;
+
+// The organization's webhook subscriptions (utils/webhooks.js)
+router.use(auth, requirePermission("webhooks:manage"), loadAdminOrganization);
+
+const webhookParams = { id: objectId({ label: "Webhook id" }) };
+
+const webhookBody = (required) => ({
+  url: url({ required, label: "URL" }),
+  description: string({ max: 200 }),
+  events: array(string({ oneOf: WEBHOOK_EVENTS, label: "Each event" }), {
+    required,
+    max: WEBHOOK_EVENTS.length,
+  }),
+  active: boolean(),
+});
+
+// What the list shows of a webhook (never the secret)
+const publicWebhook = (webhook) => ({
+  _id: webhook._id,
+  url: webhook.url,
+  description: webhook.description,
+  events: webhook.events,
+  active: webhook.active,
+  createdAt: webhook.createdAt,
+  updatedAt: webhook.updatedAt,
+});
+
+// What the delivery log shows of a delivery
+const publicDelivery = (delivery) => ({
+  _id: delivery._id,
+  event: delivery.event,
+  status: delivery.status,
+  attempts: delivery.attempts,
+  nextAttemptAt: delivery.nextAttemptAt,
+  createdAt: delivery.createdAt,
+  body: delivery.body,
+});
+
+const findWebhook = (req) =>
+  Webhook.findOne({ _id: req.params.id, organization: req.organization._id });
+
+// GET /admin/webhooks
+router.get("/", async (req, res) => {
+  try {
+    const webhooks = await Webhook.find({
+      organization: req.organization._id,
+    }).sort({ createdAt: 1 });
+    res.json({ items: webhooks.map(publicWebhook), events: WEBHOOK_EVENTS });
+  } catch (err) {
+    console.error("Route error (GET /admin/webhooks):", err.message);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// POST /admin/webhooks
+// Body: url, events, description, active. The signing secret is returned
+// once, in this response.
+router.post("/", validate({ body: webhookBody(true) }), async (req, res) => {
+  try {
+    const events = [...new Set(req.body.events)];
+    if (events.length === 0) {
+      return sendValidationError(res, { events: "Choose at least one event" });
+    }
+    const secret = generateToken();
+    const webhook = await Webhook.create({
+      ...req.body,
+      events,
+      organization: req.organization._id,
+      secret,
+    });
+    res.status(201).json({ ...publicWebhook(webhook), secret });
+  } catch (err) {
+    console.error("Route error (POST /admin/webhooks):", err.message);
+    res.status(400).json({ error: err.message });
+  }
+});
+
+// PATCH /admin/webhooks/:id
+// Body: any of url, events, description, active
+router.patch(
+  "/:id",
+  validate({ params: webhookParams, body: webhookBody(false) }),
+  async (req, res) => {
+    try {
+      const changes = Object.fromEntries(
+        Object.entries(req.body).filter(([, value]) => value !== undefined)
+      );
+      if (changes.events) {
+        changes.events = [...new Set(changes.events)];
+        if (changes.events.length === 0) {
+          return sendValidationError(res, {
+            events: "Choose at least one event",
+          });
+        }
+      }
+      const webhook = await findWebhook(req);
+      if (!webhook) return res.status(404).json({ error: "Webhook not found" });
+      webhook.set(changes);
+      await webhook.save();
+      res.json(publicWebhook(webhook));
+    } catch (err) {
+      console.error("Route error (PATCH /admin/webhooks/:id):", err.message);
+      res.status(400).json({ error: err.message });
+    }
+  }
+);
+
+// POST /admin/webhooks/:id/secret
+// Replaces the signing secret; the new one is returned once
+router.post(
+  "/:id/secret",
+  validate({ params: webhookParams }),
+  async (req, res) => {
+    try {
+      const secret = generateToken();
+      const webhook = await Webhook.findOneAndUpdate(
+        { _id: req.params.id, organization: req.organization._id },
+        { $set: { secret } }
+      );
+      if (!webhook) return res.status(404).json({ error: "Webhook not found" });
+      res.json({ secret });
+    } catch (err) {
+      console.error(
+        "Route error (POST /admin/webhooks/:id/secret):",
+        err.message
+      );
+      res.status(500).json({ error: err.message });
+    }
+  }
+);
+
+// DELETE /admin/webhooks/:id (and its delivery log)
+router.delete(
+  "/:id",
+  validate({ params: webhookParams }),
+  async (req, res) => {
+    try {
+      const webhook = await Webhook.findOneAndDelete({
+        _id: req.params.id,
+        organization: req.organization._id,
+      });
+      if (!webhook) return res.status(404).json({ error: "Webhook not found" });
+      await WebhookDelivery.deleteMany({ webhook: webhook._id });
+      res.json({ message: "Webhook deleted" });
+    } catch (err) {
+      console.error("Route error (DELETE /admin/webhooks/:id):", err.message);
+      res.status(500).json({ error: err.message });
+    }
+  }
+);
+
+// POST /admin/webhooks/:id/test
+// Sends a "webhook.test" event now and answers with the delivery, whatever
+// the outcome. Test events are not retried.
+router.post(
+  "/:id/test",
+  validate({ params: webhookParams }),
+  async (req, res) => {
+    try {
+      const webhook = await findWebhook(req).select("+secret");
+      if (!webhook) return res.status(404).json({ error: "Webhook not found" });
+      const delivery = await sendTest(webhook, req.organization);
+      res.json(publicDelivery(delivery));
+    } catch (err) {
+      console.error(
+        "Route error (POST /admin/webhooks/:id/test):",
+        err.message
+      );
+      res.status(500).json({ error: err.message });
+    }
+  }
+);
+
+// GET /admin/webhooks/:id/deliveries
+// Newest first; query: limit, cursor (the _id of the last delivery shown)
+router.get(
+  "/:id/deliveries",
+  validate({
+    params: webhookParams,
+    query: {
+      limit: number({ integer: true, min: 1 }),
+      cursor: objectId(),
+    },
+  }),
+  async (req, res) => {
+    try {
+      const webhook = await findWebhook(req);
+      if (!webhook) return res.status(404).json({ error: "Webhook not found" });
+
+      const limit = parseLimit(req.query.limit);
+      const filter = { webhook: webhook._id };
+      if (req.query.cursor) filter._id = { $lt: req.query.cursor };
+      // Fetch one extra delivery to know whether another page exists
+      const items = await WebhookDelivery.find(filter)
+        .sort({ _id: -1 })
+        .limit(limit + 1)
+        .lean();
+      const hasMore = items.length > limit;
+      if (hasMore) items.pop();
+
+      res.json({
+        items: items.map(publicDelivery),
+        limit,
+        hasMore,
+        nextCursor: hasMore ? String(items[items.length - 1]._id) : null,
+      });
+    } catch (err) {
+      console.error(
+        "Route error (GET /admin/webhooks/:id/deliveries):",
+        err.message
+      );
+      res.status(500).json({ error: err.message });
+    }
+  }
+);
+
+module.exports = router;
@@ -0,0 +1,38 @@
+/*
+  Duplicate index backfill
+
+  Stores MinHash signatures (see utils/duplicates.js) on feedback created
+  before near-duplicate detection existed, so new submissions can match
+  them. Safe to re-run: only items without a signature are updated.
+
+    npm run backfill:duplicates
+*/
+
+require("dotenv").config();
+const mongoose = require("mongoose");
+const Feedback = require("../models/Feedback.model");
+const { duplicateFields } = require("../utils/duplicates");
+
+async function backfill() {
+  await mongoose.connect(process.env.MONGO_URI);
+
+  const cursor = Feedback.find({ duplicateBands: { $exists: false } })
+    .select("text")
+    .cursor();
+  let updated = 0;
+  for await (const feedback of cursor) {
+    await Feedback.updateOne(
+      { _id: feedback._id },
+      { $set: duplicateFields(feedback.text) }
+    );
+    updated++;
+  }
+
+  console.log(`Indexed ${updated} feedback item(s) for duplicate detection`);
+  await mongoose.disconnect();
+}
+
+backfill().catch((err) => {
+  console.error("Backfill failed:", err.message);
+  process.exit(1);
+});
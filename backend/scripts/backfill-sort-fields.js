@@ -0,0 +1,54 @@
+/*
+  Sort field backfill
+
+  Sets the fields the "most_commented" and "recently_updated" sort orders
+  use on feedback created before they existed: commentCount (its public
+  comments, counted like the comment routes do) and updatedAt (its
+  createdAt). Safe to re-run: only items missing a field are updated.
+
+    npm run backfill:sort-fields
+*/
+
+require("dotenv").config();
+const mongoose = require("mongoose");
+const Comment = require("../models/Comment.model");
+const Feedback = require("../models/Feedback.model");
+
+// Held and rejected comments are not counted until approved
+const COUNTED_COMMENTS = {
+  visibility: { $nin: ["pending_review", "rejected"] },
+};
+
+async function backfill() {
+  await mongoose.connect(process.env.MONGO_URI);
+
+  // The raw collection, so that Mongoose doesn't stamp updatedAt with now
+  const feedback = Feedback.collection;
+
+  const cursor = Feedback.find({ commentCount: { $exists: false } })
+    .select("_id")
+    .lean()
+    .cursor();
+  let counted = 0;
+  for await (const item of cursor) {
+    const commentCount = await Comment.countDocuments({
+      ...COUNTED_COMMENTS,
+      feedbackId: item._id,
+    });
+    await feedback.updateOne({ _id: item._id }, { $set: { commentCount } });
+    counted++;
+  }
+  console.log(`Counted comments of ${counted} feedback item(s)`);
+
+  const dated = await feedback.updateMany({ updatedAt: { $exists: false } }, [
+    { $set: { updatedAt: "$createdAt" } },
+  ]);
+  console.log(`Set updatedAt on ${dated.modifiedCount} feedback item(s)`);
+
+  await mongoose.disconnect();
+}
+
+backfill().catch((err) => {
+  console.error("Backfill failed:", err.message);
+  process.exit(1);
+});
@@ -0,0 +1,69 @@
+/*
+  Create an admin
+
+  Adds an admin directly in MongoDB, for scripted deployments and for
+  recovering access. Works whether or not admins exist already (unlike
+  POST /admin/init).
+
+    node scripts/create-admin.js <username> <password> [role] [organization-slug] [email]
+
+  role defaults to owner, the organization to the default one. Pass "-" as
+  the password to read it from ADMIN_PASSWORD instead, so it does not show
+  up in the process list or shell history.
+*/
+
+require("dotenv").config();
+const mongoose = require("mongoose");
+const Admin = require("../models/Admin.model");
+const { ROLES } = require("../utils/permissions");
+const {
+  DEFAULT_ORGANIZATION,
+  getOrganization,
+} = require("../utils/organizations");
+
+const USAGE =
+  "Usage: node scripts/create-admin.js <username> <password|-> [role] [organization-slug] [email]";
+
+async function create([
+  username,
+  password,
+  role = "owner",
+  slug = DEFAULT_ORGANIZATION,
+  email,
+]) {
+  if (password === "-") password = process.env.ADMIN_PASSWORD;
+  if (!username || !password) throw new Error(USAGE);
+  if (password.length < 8) {
+    throw new Error("The admin password must be at least 8 characters");
+  }
+  if (!ROLES.includes(role)) {
+    throw new Error(`Role must be one of: ${ROLES.join(", ")}`);
+  }
+
+  await mongoose.connect(process.env.MONGO_URI);
+  try {
+    if (await Admin.exists({ username })) {
+      throw new Error(`An admin named "${username}" already exists`);
+    }
+    const organization = await getOrganization(slug);
+    if (!organization) throw new Error(`Organization "${slug}" not found`);
+
+    await Admin.create({
+      username,
+      password,
+      role,
+      email,
+      organization: organization._id,
+    });
+    console.log(
+      `Created ${role} "${username}" of ${organization.name} (/o/${organization.slug})`
+    );
+  } finally {
+    await mongoose.disconnect();
+  }
+}
+
+create(process.argv.slice(2)).catch((err) => {
+  console.error(err.message);
+  process.exit(1);
+});
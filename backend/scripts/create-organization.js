@@ -0,0 +1,60 @@
+/*
+  Create an organization
+
+  Adds an organization with its own board (/o/<slug>) and its first admin,
+  who manages everything else from the dashboard.
+
+    npm run create:organization -- <slug> "<name>" <admin-username> <admin-password> [notification-email]
+*/
+
+require("dotenv").config();
+const mongoose = require("mongoose");
+const Admin = require("../models/Admin.model");
+const Organization = require("../models/Organization.model");
+
+const USAGE =
+  'Usage: npm run create:organization -- <slug> "<name>" <admin-username> <admin-password> [notification-email]';
+
+async function create([slug, name, username, password, notificationEmail]) {
+  if (!slug || !name || !username || !password) throw new Error(USAGE);
+  if (password.length < 8) {
+    throw new Error("The admin password must be at least 8 characters");
+  }
+
+  await mongoose.connect(process.env.MONGO_URI);
+  try {
+    if (await Admin.exists({ username })) {
+      throw new Error(`An admin named "${username}" already exists`);
+    }
+    const organization = await Organization.create({
+      slug,
+      name,
+      settings: { notificationEmail },
+    });
+    try {
+      await Admin.create({
+        username,
+        password,
+        role: "owner",
+        organization: organization._id,
+      });
+    } catch (err) {
+      await organization.deleteOne();
+      throw err;
+    }
+    console.log(
+      `Created ${organization.name}: board at /o/${organization.slug}, admin "${username}"`
+    );
+  } finally {
+    await mongoose.disconnect();
+  }
+}
+
+create(process.argv.slice(2)).catch((err) => {
+  console.error(
+    err.code === 11000
+      ? "An organization with this slug already exists"
+      : err.message
+  );
+  process.exit(1);
+});
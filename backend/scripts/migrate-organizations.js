@@ -0,0 +1,61 @@
+/*
+  Organization migration
+
+  Moves feedback, comments, tags, moderation rules and decisions, and admins
+  created before organizations into the default organization
+  (DEFAULT_ORGANIZATION, see utils/organizations.js), then rebuilds the
+  indexes that are now per organization (e.g. tag slugs). Safe to re-run:
+  only documents without an organization are updated.
+
+    npm run migrate:organizations
+*/
+
+require("dotenv").config();
+const mongoose = require("mongoose");
+const Admin = require("../models/Admin.model");
+const Comment = require("../models/Comment.model");
+const Feedback = require("../models/Feedback.model");
+const ModerationDecision = require("../models/ModerationDecision.model");
+const ModerationRule = require("../models/ModerationRule.model");
+const Organization = require("../models/Organization.model");
+const Tag = require("../models/Tag.model");
+const {
+  DEFAULT_ORGANIZATION,
+  getOrganization,
+} = require("../utils/organizations");
+
+const MODELS = [
+  Feedback,
+  Comment,
+  Tag,
+  ModerationRule,
+  ModerationDecision,
+  Admin,
+];
+
+async function migrate() {
+  await mongoose.connect(process.env.MONGO_URI);
+
+  await Organization.syncIndexes();
+  const organization = await getOrganization(DEFAULT_ORGANIZATION);
+  console.log(
+    `Default organization: ${organization.name} (/o/${organization.slug})`
+  );
+
+  for (const Model of MODELS) {
+    const result = await Model.updateMany(
+      { organization: { $exists: false } },
+      { $set: { organization: organization._id } }
+    );
+    console.log(`${Model.modelName}: ${result.modifiedCount} document(s) moved`);
+    // Drops the old global indexes (e.g. unique tag slugs) for the new ones
+    await Model.syncIndexes();
+  }
+
+  await mongoose.disconnect();
+}
+
+migrate().catch((err) => {
+  console.error("Migration failed:", err.message);
+  process.exit(1);
+});
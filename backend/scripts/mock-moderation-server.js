@@ -0,0 +1,126 @@
+/*
+  Mock moderation server
+
+  A local stand-in for the network moderation providers, scored with the
+  offline classifier (utils/localClassifier.js). Point the providers at it to
+  run the full pipeline in tests or air-gapped deployments:
+
+    node scripts/mock-moderation-server.js          # listens on :5055
+
+    PERSPECTIVE_API_URL=http://localhost:5055/v1alpha1/comments:analyze
+    OPENAI_MODERATION_URL=http://localhost:5055/v1/moderations
+    MODERATION_HTTP_URL=http://localhost:5055/moderate
+
+  Text containing "[mock:error]" gets a 500 and "[mock:slow]" is answered
+  after 5 seconds, to exercise provider failures and timeouts.
+*/
+
+const http = require("http");
+const { scoreText } = require("../utils/localClassifier");
+
+const FLAG_SCORE = 0.7;
+const SLOW_MS = 5000;
+
+// Perspective-shaped response
+const perspectiveResponse = (text) => {
+  const { score, categories } = scoreText(text);
+  const value = (v) => ({ summaryScore: { value: v, type: "PROBABILITY" } });
+  return {
+    attributeScores: {
+      TOXICITY: value(score),
+      SEVERE_TOXICITY: value(Math.max(categories.threat, categories.hate)),
+      IDENTITY_ATTACK: value(categories.hate),
+      INSULT: value(categories.insult),
+      PROFANITY: value(categories.profanity),
+      THREAT: value(categories.threat),
+    },
+  };
+};
+
+// OpenAI-moderation-shaped response
+const openAIResponse = (text) => {
+  const { score, categories } = scoreText(text);
+  const scores = {
+    harassment: Math.max(categories.insult, categories.harassment),
+    "harassment/threatening": categories.threat,
+    hate: categories.hate,
+    violence: categories.threat,
+  };
+  return {
+    id: "modr-mock",
+    model: "mock",
+    results: [
+      {
+        flagged: score >= FLAG_SCORE,
+        categories: Object.fromEntries(
+          Object.entries(scores).map(([k, v]) => [k, v >= FLAG_SCORE])
+        ),
+        category_scores: scores,
+      },
+    ],
+  };
+};
+
+// Generic { text } -> { flagged, score } response
+const genericResponse = (text) => {
+  const { score, categories, matches } = scoreText(text);
+  return {
+    flagged: score >= FLAG_SCORE,
+    score,
+    reason: matches.length ? `Matched: ${matches.join(", ")}` : "Clean",
+    details: categories,
+  };
+};
+
+const ROUTES = {
+  "/v1alpha1/comments:analyze": (body) => perspectiveResponse(body.comment?.text),
+  "/v1/moderations": (body) => openAIResponse(body.input),
+  "/moderate": (body) => genericResponse(body.text),
+};
+
+/**
+ * Creates (but does not start) the mock server.
+ */
+function createMockModerationServer() {
+  return http.createServer((req, res) => {
+    const route = ROUTES[req.url.split("?")[0]];
+    const send = (status, payload) => {
+      res.writeHead(status, { "Content-Type": "application/json" });
+      res.end(JSON.stringify(payload));
+    };
+
+    if (req.method !== "POST" || !route) {
+      return send(404, { error: "Not found" });
+    }
+
+    let raw = "";
+    req.on("data", (chunk) => (raw += chunk));
+    req.on("end", () => {
+      let body;
+      try {
+        body = JSON.parse(raw || "{}");
+      } catch {
+        return send(400, { error: "Invalid JSON" });
+      }
+      const text = JSON.stringify(body);
+      if (text.includes("[mock:error]")) {
+        return send(500, { error: "Mock failure" });
+      }
+      if (text.includes("[mock:slow]")) {
+        const timer = setTimeout(() => send(200, route(body)), SLOW_MS);
+        res.on("close", () => clearTimeout(timer));
+        return;
+      }
+      send(200, route(body));
+    });
+  });
+}
+
+if (require.main === module) {
+  const port = Number(process.env.MOCK_MODERATION_PORT || 5055);
+  createMockModerationServer().listen(port, () => {
+    console.log(`Mock moderation server listening on http://localhost:${port}`);
+  });
+}
+
+module.exports = { createMockModerationServer };
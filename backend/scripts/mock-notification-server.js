@@ -0,0 +1,148 @@
+/*
+  Mock notification server
+
+  Local stand-ins for where notification channels send to
+  (utils/notificationChannels.js), to try channels out in tests or without
+  the real services:
+
+    node scripts/mock-notification-server.js   # HTTP on :5056, SMTP on :2525
+
+  - HTTP: accepts a POST to any path, as the Slack, Teams and JSON channel
+    URL (e.g. http://localhost:5056/slack), and prints the JSON it got.
+    A body containing "[mock:error]" gets a 500, to exercise failures.
+  - SMTP: accepts any email, without authentication or TLS, and prints it.
+    Point the email settings at it:
+
+      EMAIL_HOST=localhost EMAIL_PORT=2525 EMAIL_SECURE=false
+
+  Both servers keep what they got (server.received, server.messages) for
+  tests to check.
+*/
+
+const http = require("http");
+const net = require("net");
+
+/**
+ * Creates (but does not start) the HTTP receiver. Each request is kept in
+ * server.received as { method, path, headers, body } (body parsed as JSON).
+ */
+function createMockNotificationServer({ log = false } = {}) {
+  const received = [];
+  const server = http.createServer((req, res) => {
+    let raw = "";
+    req.on("data", (chunk) => (raw += chunk));
+    req.on("end", () => {
+      let body;
+      try {
+        body = JSON.parse(raw || "{}");
+      } catch {
+        res.writeHead(400, { "Content-Type": "text/plain" });
+        return res.end("Invalid JSON");
+      }
+      received.push({
+        method: req.method,
+        path: req.url,
+        headers: req.headers,
+        body,
+      });
+      if (log) {
+        console.log(`${req.method} ${req.url}`);
+        console.log(JSON.stringify(body, null, 2));
+      }
+
+      res.writeHead(raw.includes("[mock:error]") ? 500 : 200, {
+        "Content-Type": "text/plain",
+      });
+      res.end(raw.includes("[mock:error]") ? "Mock failure" : "ok");
+    });
+  });
+  server.received = received;
+  return server;
+}
+
+/**
+ * Creates (but does not start) a minimal SMTP server. Each email is kept in
+ * server.messages as { from, to, data } (data = the raw message).
+ */
+function createMockSmtpServer({ log = false } = {}) {
+  const messages = [];
+  const server = net.createServer((socket) => {
+    let buffer = "";
+    let envelope = { from: null, to: [] };
+    let data = null; // the message while receiving DATA, else null
+
+    const reply = (line) => socket.write(`${line}\r\n`);
+
+    const command = (line) => {
+      const verb = line.split(" ")[0].toUpperCase();
+      if (verb === "EHLO" || verb === "HELO") {
+        return reply("250 mock-smtp");
+      }
+      if (verb === "MAIL") {
+        envelope = { from: line.replace(/^MAIL FROM:\s*/i, ""), to: [] };
+        return reply("250 OK");
+      }
+      if (verb === "RCPT") {
+        envelope.to.push(line.replace(/^RCPT TO:\s*/i, ""));
+        return reply("250 OK");
+      }
+      if (verb === "DATA") {
+        data = [];
+        return reply("354 End data with <CR><LF>.<CR><LF>");
+      }
+      if (verb === "RSET") {
+        envelope = { from: null, to: [] };
+        return reply("250 OK");
+      }
+      if (verb === "NOOP") return reply("250 OK");
+      if (verb === "QUIT") {
+        reply("221 Bye");
+        return socket.end();
+      }
+      reply("502 Command not implemented");
+    };
+
+    const dataLine = (line) => {
+      if (line !== ".") {
+        // Dot-stuffed lines lose their first dot
+        return data.push(line.startsWith("..") ? line.slice(1) : line);
+      }
+      const message = { ...envelope, data: data.join("\r\n") };
+      messages.push(message);
+      if (log) {
+        console.log(`Email from ${message.from} to ${message.to.join(", ")}`);
+        console.log(message.data);
+      }
+      data = null;
+      reply("250 OK: queued");
+    };
+
+    socket.on("data", (chunk) => {
+      buffer += chunk;
+      let end;
+      while ((end = buffer.indexOf("\r\n")) !== -1) {
+        const line = buffer.slice(0, end);
+        buffer = buffer.slice(end + 2);
+        if (data) dataLine(line);
+        else command(line);
+      }
+    });
+    socket.on("error", () => {});
+    reply("220 mock-smtp ESMTP");
+  });
+  server.messages = messages;
+  return server;
+}
+
+if (require.main === module) {
+  const httpPort = Number(process.env.MOCK_NOTIFICATION_PORT || 5056);
+  const smtpPort = Number(process.env.MOCK_SMTP_PORT || 2525);
+  createMockNotificationServer({ log: true }).listen(httpPort, () => {
+    console.log(`Mock notification receiver on http://localhost:${httpPort}`);
+  });
+  createMockSmtpServer({ log: true }).listen(smtpPort, () => {
+    console.log(`Mock SMTP server on localhost:${smtpPort}`);
+  });
+}
+
+module.exports = { createMockNotificationServer, createMockSmtpServer };
@@ -1,6 +1,8 @@
 const mongoose = require("mongoose");
 const app = require("./app");
 require("dotenv").config();
+const { issueSetupToken } = require("./utils/setupToken");
+const { startRetries } = require("./utils/webhooks");
 
 const PORT = process.env.PORT || 5000;
 
@@ -8,8 +10,17 @@ const PORT = process.env.PORT || 5000;
 if (process.env.NODE_ENV !== "test") {
   mongoose
     .connect(process.env.MONGO_URI)
-    .then(() => {
+    .then(async () => {
       console.log("MongoDB connected");
+      // First run: POST /admin/init needs this token (utils/setupToken.js)
+      const setupToken = await issueSetupToken();
+      if (setupToken) {
+        console.log(
+          `No admin exists yet. Create one with POST /admin/init using setup token: ${setupToken}`
+        );
+      }
+      // Failed webhook deliveries are retried in the background
+      startRetries();
       app.listen(PORT, () => console.log(`Server started on port ${PORT}`));
     })
     .catch((err) => console.error("MongoDB connection error:", err));
@@ -0,0 +1,78 @@
+const { registerStorage } = require("../utils/attachmentStorage");
+const {
+  MAX_ATTACHMENT_BYTES,
+  storeAttachments,
+  readAttachment,
+  removeAttachments,
+} = require("../utils/attachments");
+
+// In-memory stand-in for the disk
+const files = new Map();
+registerStorage({
+  name: "memory",
+  save: async (key, buffer) => files.set(key, buffer),
+  read: async (key) => files.get(key),
+  remove: async (key) => files.delete(key),
+});
+
+const png = (text) =>
+  Buffer.concat([
+    Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+    Buffer.from([0, 0, 0, text.length]),
+    Buffer.from(`tEXt${text}`, "latin1"),
+    Buffer.alloc(4),
+    Buffer.from([0, 0, 0, 0]),
+    Buffer.from("IEND", "latin1"),
+    Buffer.alloc(4),
+  ]);
+
+beforeAll(() => {
+  process.env.ATTACHMENT_STORAGE = "memory";
+});
+
+afterAll(() => {
+  delete process.env.ATTACHMENT_STORAGE;
+});
+
+afterEach(() => files.clear());
+
+describe("Attachments", () => {
+  it("should store scrubbed files under generated names", async () => {
+    const dataUrl = `data:image/png;base64,${png("Author\0Jane").toString("base64")}`;
+    const { attachments } = await storeAttachments([dataUrl]);
+
+    expect(attachments).toHaveLength(1);
+    expect(attachments[0]).toMatchObject({
+      name: "attachment-1.png",
+      contentType: "image/png",
+      storage: "memory",
+    });
+    const stored = await readAttachment(attachments[0]);
+    expect(stored.toString("latin1")).not.toContain("Jane");
+    expect(attachments[0].size).toBe(stored.length);
+
+    await removeAttachments(attachments);
+    expect(files.size).toBe(0);
+  });
+
+  it("should refuse unsupported, invalid and oversized files", async () => {
+    const html = Buffer.from("<html><script></script></html>").toString("base64");
+    expect((await storeAttachments([html])).error).toBe(
+      "The attachment must be a JPEG, PNG or WebP image or a PDF"
+    );
+
+    expect((await storeAttachments(["not base64!"])).error).toMatch(
+      /not valid base64/
+    );
+
+    const big = Buffer.alloc(MAX_ATTACHMENT_BYTES + 1);
+    png("").copy(big);
+    const result = await storeAttachments([
+      png("").toString("base64"),
+      big.toString("base64"),
+    ]);
+    expect(result.error).toMatch(/^Attachment 2 is larger than/);
+    // Nothing is kept when any file is refused
+    expect(files.size).toBe(0);
+  });
+});
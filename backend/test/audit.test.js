@@ -0,0 +1,166 @@
+const request = require("supertest");
+const mongoose = require("mongoose");
+const app = require("../server");
+const Admin = require("../models/Admin.model");
+const AuditLog = require("../models/AuditLog.model");
+const Feedback = require("../models/Feedback.model");
+const Comment = require("../models/Comment.model");
+const {
+  DEFAULT_ORGANIZATION,
+  getOrganization,
+} = require("../utils/organizations");
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || "test-secret";
+
+const owner = { username: "owner", password: "owner-password" };
+const responder = { username: "responder", password: "responder-password" };
+
+let organization;
+
+async function login(credentials) {
+  const res = await request(app).post("/admin/login").send(credentials);
+  expect(res.statusCode).toBe(200);
+  return { Authorization: `Bearer ${res.body.token}` };
+}
+
+// Entries are written once a response is sent; wait until they are in
+async function settle(count) {
+  for (let i = 0; i < 50; i++) {
+    if ((await AuditLog.countDocuments()) >= count) return;
+    await new Promise((resolve) => setTimeout(resolve, 20));
+  }
+}
+
+beforeAll(async () => {
+  await mongoose.connect("mongodb://localhost:27017/whistlespace_audit_test");
+  organization = await getOrganization(DEFAULT_ORGANIZATION);
+  await Admin.create([
+    { ...owner, role: "owner", organization: organization._id },
+    { ...responder, role: "responder", organization: organization._id },
+  ]);
+});
+
+afterAll(async () => {
+  await mongoose.connection.db.dropDatabase();
+  await mongoose.connection.close();
+});
+
+afterEach(async () => {
+  await AuditLog.collection.deleteMany({});
+  await Feedback.deleteMany({});
+  await Comment.deleteMany({});
+});
+
+describe("Audit log", () => {
+  it("should record admin actions with their details", async () => {
+    const auth = await login(owner);
+    const feedback = await Feedback.create({
+      organization: organization._id,
+      text: "Broken heating in room 12",
+    });
+    const comment = await Comment.create({
+      organization: organization._id,
+      feedbackId: feedback._id,
+      text: "Same on the second floor",
+    });
+
+    await request(app)
+      .patch(`/feedback/${feedback._id}`)
+      .set(auth)
+      .send({ status: "triaged" })
+      .expect(200);
+    await request(app)
+      .delete(`/feedback/${feedback._id}/comment/${comment._id}`)
+      .set(auth)
+      .expect(200);
+    // Anonymous submissions are not admin actions
+    await request(app).post("/feedback").send({ text: "Anonymous" });
+    await settle(3);
+
+    const res = await request(app).get("/admin/audit").set(auth);
+    expect(res.statusCode).toBe(200);
+    expect(res.body.items.map((e) => e.action)).toEqual([
+      "comment.deleted",
+      "feedback.status_changed",
+      "auth.login",
+    ]);
+    const [deleted, changed] = res.body.items;
+    expect(changed).toMatchObject({
+      actorUsername: "owner",
+      target: { type: "feedback", id: String(feedback._id) },
+      details: { from: "open", to: "triaged" },
+    });
+    expect(deleted.details).toMatchObject({
+      feedbackId: String(feedback._id),
+      text: "Same on the second floor",
+    });
+
+    const filtered = await request(app)
+      .get("/admin/audit?action=feedback&limit=1")
+      .set(auth);
+    expect(filtered.body.items.map((e) => e.action)).toEqual([
+      "feedback.status_changed",
+    ]);
+
+    const csv = await request(app).get("/admin/audit?format=csv").set(auth);
+    expect(csv.headers["content-type"]).toMatch(/text\/csv/);
+    const lines = csv.text.trim().split("\r\n");
+    expect(lines[0]).toBe(
+      "seq,time,actor,action,target_type,target_id,details,ip,hash"
+    );
+    expect(lines).toHaveLength(4);
+  });
+
+  it("should record failed sign-ins and sign-outs", async () => {
+    await request(app)
+      .post("/admin/login")
+      .send({ ...owner, password: "wrong" })
+      .expect(401);
+    const signedIn = await request(app).post("/admin/login").send(owner);
+    const cookie = signedIn.headers["set-cookie"].find((c) =>
+      c.startsWith("refreshToken=")
+    );
+    await request(app)
+      .post("/admin/logout")
+      .set("Cookie", cookie.split(";")[0])
+      .expect(204);
+    await settle(3);
+
+    const res = await request(app)
+      .get("/admin/audit?action=auth")
+      .set(await login(owner));
+    expect(res.body.items.map((e) => e.action)).toEqual(
+      expect.arrayContaining(["auth.login_failed", "auth.logout"])
+    );
+    await Admin.updateOne({ username: "owner" }, { $unset: { lockout: 1 } });
+  });
+
+  it("should detect entries changed in the database", async () => {
+    const auth = await login(owner);
+    await login(owner);
+    await login(owner);
+    await settle(3);
+
+    const intact = await request(app).get("/admin/audit/verify").set(auth);
+    expect(intact.body).toMatchObject({ valid: true, checked: 3 });
+
+    // The model refuses changes; a direct database write is the tampering
+    await expect(
+      AuditLog.updateOne({ seq: 2 }, { actorUsername: "someone" })
+    ).rejects.toThrow("cannot be changed");
+    await AuditLog.collection.updateOne(
+      { seq: 2 },
+      { $set: { actorUsername: "someone" } }
+    );
+
+    const broken = await request(app).get("/admin/audit/verify").set(auth);
+    expect(broken.body).toMatchObject({ valid: false, brokenAt: 2 });
+  });
+
+  it("should only be readable by owners and auditors", async () => {
+    const res = await request(app)
+      .get("/admin/audit")
+      .set(await login(responder));
+    expect(res.statusCode).toBe(403);
+  });
+});
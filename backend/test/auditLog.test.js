@@ -0,0 +1,79 @@
+const {
+  GENESIS_HASH,
+  hashEntry,
+  excerpt,
+  actionFor,
+} = require("../utils/auditLog");
+
+const entry = {
+  organization: "64b000000000000000000001",
+  seq: 1,
+  prevHash: GENESIS_HASH,
+  actor: "64b000000000000000000002",
+  actorUsername: "owner",
+  action: "feedback.status_changed",
+  target: { type: "feedback", id: "64b000000000000000000003" },
+  details: { from: "open", to: "in_progress" },
+  ip: "127.0.0.1",
+  createdAt: new Date("2026-01-01T00:00:00Z"),
+};
+
+describe("Audit log hash chain", () => {
+  it("should hash entries deterministically", () => {
+    const hash = hashEntry(entry);
+    expect(hash).toMatch(/^[0-9a-f]{64}$/);
+    // Key order and ObjectId vs string do not matter, as stored values vary
+    expect(
+      hashEntry({ ...entry, details: { to: "in_progress", from: "open" } })
+    ).toBe(hash);
+    expect(hashEntry({ ...entry, createdAt: entry.createdAt.toISOString() }))
+      .toBe(hash);
+  });
+
+  it("should change the hash when any field changes", () => {
+    const hash = hashEntry(entry);
+    const changes = [
+      { seq: 2 },
+      { prevHash: "f".repeat(64) },
+      { actorUsername: "someone" },
+      { action: "feedback.deleted" },
+      { target: { type: "feedback", id: "other" } },
+      { details: { from: "open", to: "closed" } },
+      { ip: "10.0.0.1" },
+      { createdAt: new Date("2026-01-01T00:00:01Z") },
+    ];
+    for (const change of changes) {
+      expect(hashEntry({ ...entry, ...change })).not.toBe(hash);
+    }
+  });
+
+  it("should shorten long deleted texts", () => {
+    expect(excerpt("short")).toBe("short");
+    const long = excerpt("x".repeat(500));
+    expect(long).toHaveLength(201);
+    expect(long.endsWith("…")).toBe(true);
+  });
+});
+
+describe("Audit action names", () => {
+  const req = (method, baseUrl, path) => ({ method, baseUrl, route: { path } });
+
+  it("should name known routes, on every organization's board", () => {
+    expect(actionFor(req("PATCH", "/feedback", "/:id"))).toBe(
+      "feedback.status_changed"
+    );
+    expect(actionFor(req("DELETE", "/o/acme/feedback", "/:id"))).toBe(
+      "feedback.deleted"
+    );
+    expect(
+      actionFor(req("DELETE", "/feedback", "/:feedbackId/comment/:commentId"))
+    ).toBe("comment.deleted");
+  });
+
+  it("should fall back to the route, and skip dry runs", () => {
+    expect(actionFor(req("POST", "/admin/things", "/:id/poke"))).toBe(
+      "POST /admin/things/:id/poke"
+    );
+    expect(actionFor(req("POST", "/admin/moderation", "/test"))).toBeNull();
+  });
+});
@@ -0,0 +1,59 @@
+const {
+  NUM_HASHES,
+  BANDS,
+  normalizeWords,
+  shingles,
+  signature,
+  similarity,
+  bands,
+} = require("../utils/duplicates");
+
+describe("Near-duplicate detection", () => {
+  it("should ignore case, punctuation and stop words", () => {
+    expect(normalizeWords("The Wi-Fi is DOWN again!")).toEqual([
+      "wi",
+      "fi",
+      "down",
+      "again",
+    ]);
+    expect([...shingles("The projector is broken")]).toEqual([
+      "projector broken",
+    ]);
+  });
+
+  it("should give identical texts identical signatures", () => {
+    const a = signature("The projector in room 204 is broken again");
+    const b = signature("projector in ROOM 204 broken again!!");
+    expect(a).toHaveLength(NUM_HASHES);
+    expect(similarity(a, b)).toBe(1);
+    expect(bands(a)).toEqual(bands(b));
+  });
+
+  it("should score rewordings above unrelated texts", () => {
+    const base = signature(
+      "The projector in room 204 keeps turning off during lectures"
+    );
+    const reworded = signature(
+      "Projector in room 204 keeps turning off during my lectures"
+    );
+    const unrelated = signature("Cafeteria food is always cold at lunch");
+
+    expect(similarity(base, reworded)).toBeGreaterThan(0.5);
+    expect(similarity(base, unrelated)).toBeLessThan(0.2);
+    // Similar texts share at least one LSH band, so they become candidates
+    const shared = bands(base).filter((band) => bands(reworded).includes(band));
+    expect(shared.length).toBeGreaterThan(0);
+  });
+
+  it("should not index texts without words", () => {
+    expect(signature("!!! ...")).toEqual([]);
+    expect(bands([])).toEqual([]);
+    expect(similarity([], [])).toBe(0);
+  });
+
+  it("should split signatures into stable band keys", () => {
+    const keys = bands(signature("Library hours are too short"));
+    expect(keys).toHaveLength(BANDS);
+    expect(keys[0]).toMatch(/^0:[0-9a-f]{12}$/);
+  });
+});
@@ -0,0 +1,13 @@
+const { escapeHtml } = require("../utils/escapeHtml");
+
+describe("escapeHtml", () => {
+  it("should escape markup and quotes", () => {
+    expect(escapeHtml(`<a href="x" title='y'>Tom & Jerry</a>`)).toBe(
+      "&lt;a href=&quot;x&quot; title=&#39;y&#39;&gt;Tom &amp; Jerry&lt;/a&gt;"
+    );
+  });
+
+  it("should turn other values into text", () => {
+    expect(escapeHtml(42)).toBe("42");
+  });
+});
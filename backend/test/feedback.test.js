@@ -1,11 +1,37 @@
 const request = require("supertest");
 const mongoose = require("mongoose");
 const app = require("../server");
+const { signIn } = require("./helpers/accessToken");
+const { ROLES } = require("../utils/permissions");
 const Feedback = require("../models/Feedback.model");
+const Comment = require("../models/Comment.model");
+const {
+  DEFAULT_ORGANIZATION,
+  getOrganization,
+} = require("../utils/organizations");
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || "test-secret";
+// Attachments of the test run go to a temporary directory
+process.env.ATTACHMENTS_DIR = require("path").join(
+  require("os").tmpdir(),
+  "whistlespace-test-uploads"
+);
+
+// The unprefixed routes serve the default organization
+let organization;
+
+// Documents created directly belong to it too
+const inOrganization = (doc) => ({ ...doc, organization: organization._id });
+
+// Access tokens for admin-only routes, one signed-in admin per role
+const tokens = {};
+const adminToken = (role = "owner") => tokens[role];
 
 // Use a test database
 beforeAll(async () => {
   await mongoose.connect("mongodb://localhost:27017/whistlespace_test");
+  organization = await getOrganization(DEFAULT_ORGANIZATION);
+  for (const role of ROLES) tokens[role] = await signIn(organization, role);
 });
 
 afterAll(async () => {
@@ -20,8 +46,9 @@ afterEach(async () => {
 describe("Feedback API", () => {
   it("should reject empty feedback", async () => {
     const res = await request(app).post("/feedback").send({ text: "" });
-    expect(res.statusCode).toBe(400);
+    expect(res.statusCode).toBe(422);
     expect(res.body.error).toBe("Text is required");
+    expect(res.body.fields).toEqual({ text: "Text is required" });
   });
 
   it("should accept valid feedback", async () => {
@@ -31,24 +58,511 @@ describe("Feedback API", () => {
     expect(res.statusCode).toBe(201);
     expect(res.body.text).toBe("Great job!");
     expect(res.body.tags).toContain("ui");
+    expect(res.body.receiptKey).toMatch(/^[0-9A-Z]{4}(-[0-9A-Z]{4}){5}$/);
+    expect(res.body.receiptHash).toBeUndefined();
+  });
+
+  it("should let the receipt holder follow up on their report", async () => {
+    const created = await request(app)
+      .post("/feedback")
+      .send({ text: "Broken lab equipment" });
+    const { receiptKey } = created.body;
+
+    const followUp = await request(app)
+      .post(`/feedback/receipt/${receiptKey}/comment`)
+      .send({ text: "It is still broken" });
+    expect(followUp.statusCode).toBe(201);
+    expect(followUp.body.authorType).toBe("reporter");
+
+    // Keys are matched case- and dash-insensitively
+    const res = await request(app).get(
+      `/feedback/receipt/${receiptKey.toLowerCase().replace(/-/g, "")}`
+    );
+    expect(res.statusCode).toBe(200);
+    expect(res.body.feedback.text).toBe("Broken lab equipment");
+    expect(res.body.comments).toHaveLength(1);
+
+    await Comment.deleteMany({});
+  });
+
+  it("should close follow-ups on closed reports", async () => {
+    const created = await request(app)
+      .post("/feedback")
+      .send({ text: "Leaking roof" });
+    const { receiptKey } = created.body;
+    await Feedback.updateOne({ _id: created.body._id }, { status: "closed" });
+
+    const report = await request(app).get(`/feedback/receipt/${receiptKey}`);
+    expect(report.body.followUpsOpen).toBe(false);
+    const followUp = await request(app)
+      .post(`/feedback/receipt/${receiptKey}/comment`)
+      .send({ text: "Still leaking" });
+    expect(followUp.statusCode).toBe(403);
+  });
+
+  it("should not find reports for unknown receipt keys", async () => {
+    const res = await request(app).get("/feedback/receipt/AAAA-BBBB");
+    expect(res.statusCode).toBe(404);
   });
 
   it("should list feedbacks", async () => {
-    await Feedback.create({ text: "Test feedback", tags: ["bug"] });
+    await Feedback.create(
+      inOrganization({ text: "Test feedback", tags: ["bug"] })
+    );
     const res = await request(app).get("/feedback");
     expect(res.statusCode).toBe(200);
-    expect(res.body.length).toBeGreaterThan(0);
+    expect(res.body.items.length).toBeGreaterThan(0);
+    expect(res.body.total).toBe(1);
+  });
+
+  it("should paginate feedbacks with a cursor", async () => {
+    await Feedback.create(
+      [1, 2, 3].map((n) =>
+        inOrganization({
+          text: `Feedback ${n}`,
+          createdAt: new Date(Date.now() - n * 1000),
+        })
+      )
+    );
+
+    const first = await request(app).get("/feedback?limit=2");
+    expect(first.statusCode).toBe(200);
+    expect(first.body.items.map((f) => f.text)).toEqual([
+      "Feedback 1",
+      "Feedback 2",
+    ]);
+    expect(first.body.hasMore).toBe(true);
+    expect(first.body.total).toBe(3);
+
+    const second = await request(app).get(
+      `/feedback?limit=2&cursor=${first.body.nextCursor}`
+    );
+    expect(second.body.items.map((f) => f.text)).toEqual(["Feedback 3"]);
+    expect(second.body.hasMore).toBe(false);
+    expect(second.body.nextCursor).toBeNull();
+  });
+
+  it("should support sort orders and field projection", async () => {
+    await Feedback.create(
+      [
+        { text: "Quiet", commentCount: 0 },
+        { text: "Busy", commentCount: 5 },
+      ].map(inOrganization)
+    );
+    const res = await request(app).get(
+      "/feedback?sort=most_commented&fields=text"
+    );
+    expect(res.statusCode).toBe(200);
+    expect(res.body.items[0].text).toBe("Busy");
+    expect(res.body.items[0].tags).toBeUndefined();
+  });
+
+  it("should page past items created before the sort fields", async () => {
+    await Feedback.create(
+      [
+        { text: "Busy", commentCount: 2 },
+        { text: "Quiet", commentCount: 0 },
+      ].map(inOrganization)
+    );
+    // Stored as they were: no commentCount or updatedAt
+    await Feedback.collection.insertMany(
+      ["Old 1", "Old 2"].map((text) =>
+        inOrganization({ text, status: "open", createdAt: new Date() })
+      )
+    );
+
+    for (const sort of ["most_commented", "recently_updated"]) {
+      const seen = [];
+      let cursor = "";
+      do {
+        const res = await request(app).get(
+          `/feedback?sort=${sort}&limit=1${cursor && `&cursor=${cursor}`}`
+        );
+        expect(res.statusCode).toBe(200);
+        seen.push(...res.body.items.map((f) => f.text));
+        cursor = res.body.nextCursor;
+      } while (cursor && seen.length < 10);
+
+      expect(seen).toHaveLength(4);
+      expect(new Set(seen).size).toBe(4);
+      // Items without a value sort last
+      expect(seen.slice(2).sort()).toEqual(["Old 1", "Old 2"]);
+    }
+  });
+
+  it("should search feedback and comments by relevance", async () => {
+    // Text indexes must exist before $text queries run
+    await Promise.all([Feedback.init(), Comment.init()]);
+
+    const [login, other] = await Feedback.create(
+      [
+        { text: "Login page is broken on mobile" },
+        { text: "Cafeteria food is cold" },
+      ].map(inOrganization)
+    );
+    await Comment.create(
+      inOrganization({ feedbackId: other._id, text: "Also cannot login" })
+    );
+
+    const res = await request(app).get("/feedback?q=login");
+    expect(res.statusCode).toBe(200);
+    expect(res.body.sort).toBe("relevance");
+    expect(res.body.items.map((f) => f._id)).toEqual([
+      String(login._id),
+      String(other._id),
+    ]);
+    expect(res.body.items[0].highlights[0].segments).toContainEqual({
+      text: "Login",
+      match: true,
+    });
+    expect(res.body.items[1].highlights[0].field).toBe("comment");
+
+    await Comment.deleteMany({});
+  });
+
+  it("should reject unknown sort orders and malformed cursors", async () => {
+    const badSort = await request(app).get("/feedback?sort=random");
+    expect(badSort.statusCode).toBe(422);
+    expect(badSort.body.fields.sort).toMatch(/must be one of/);
+
+    const noSearch = await request(app).get("/feedback?sort=relevance");
+    expect(noSearch.statusCode).toBe(422);
+
+    const badCursor = await request(app).get("/feedback?cursor=not-a-cursor");
+    expect(badCursor.statusCode).toBe(422);
+    expect(badCursor.body.fields.cursor).toBe("Invalid cursor");
+  });
+
+  it("should reject malformed ids", async () => {
+    const res = await request(app).get("/feedback/not-an-id");
+    expect(res.statusCode).toBe(422);
+    expect(res.body.fields.id).toBe("Feedback id is not a valid id");
   });
 
-  // Example for AI moderation (simulate flagged)
-  it.skip("should block inappropriate feedback (simulate AI)", async () => {
-    // Mock the moderateFeedback function
-    jest.mock("../utils/moderateFeedback", () =>
-      jest.fn(() => Promise.resolve({ flagged: true }))
+  it("should enforce the status workflow and record history", async () => {
+    const feedback = await Feedback.create(
+      inOrganization({ text: "Projector broken" })
     );
-    const res = await request(app).post("/feedback").send({ text: "badword" });
-    expect(res.statusCode).toBe(400);
-    expect(res.body.error).toMatch(/flagged/i);
-    jest.resetModules();
+    const auth = { Authorization: `Bearer ${adminToken()}` };
+
+    const skip = await request(app)
+      .patch(`/feedback/${feedback._id}`)
+      .set(auth)
+      .send({ status: "resolved" });
+    expect(skip.statusCode).toBe(400);
+
+    const noReason = await request(app)
+      .patch(`/feedback/${feedback._id}`)
+      .set(auth)
+      .send({ status: "rejected" });
+    expect(noReason.statusCode).toBe(400);
+    expect(noReason.body.error).toMatch(/reason/);
+
+    const triaged = await request(app)
+      .patch(`/feedback/${feedback._id}`)
+      .set(auth)
+      .send({ status: "triaged" });
+    expect(triaged.statusCode).toBe(200);
+    expect(triaged.body.statusHistory.map((h) => h.to)).toEqual([
+      "open",
+      "triaged",
+    ]);
+  });
+
+  it("should only allow actions the admin's role permits", async () => {
+    const feedback = await Feedback.create(
+      inOrganization({ text: "Cafeteria closes early" })
+    );
+    const as = (role) => ({ Authorization: `Bearer ${adminToken(role)}` });
+
+    const auditorDelete = await request(app)
+      .delete(`/feedback/${feedback._id}`)
+      .set(as("auditor"));
+    expect(auditorDelete.statusCode).toBe(403);
+
+    const responderLock = await request(app)
+      .patch(`/feedback/${feedback._id}/lock`)
+      .set(as("responder"))
+      .send({ locked: true });
+    expect(responderLock.statusCode).toBe(403);
+
+    const responderStatus = await request(app)
+      .patch(`/feedback/${feedback._id}`)
+      .set(as("responder"))
+      .send({ status: "triaged" });
+    expect(responderStatus.statusCode).toBe(200);
+
+    // Auditors still see what admins see
+    const auditorView = await request(app)
+      .get(`/feedback/${feedback._id}`)
+      .set(as("auditor"));
+    expect(auditorView.statusCode).toBe(200);
+
+    const moderatorDelete = await request(app)
+      .delete(`/feedback/${feedback._id}`)
+      .set(as("moderator"));
+    expect(moderatorDelete.statusCode).toBe(200);
+  });
+
+  it("should post official responses and pin one at a time", async () => {
+    const feedback = await Feedback.create(
+      inOrganization({ text: "Library hours too short" })
+    );
+    const auth = { Authorization: `Bearer ${adminToken()}` };
+
+    const first = await request(app)
+      .post(`/feedback/${feedback._id}/response`)
+      .set(auth)
+      .send({ text: "We are reviewing the schedule.", role: "Facilities" });
+    expect(first.statusCode).toBe(201);
+    expect(first.body.authorType).toBe("admin");
+    expect(first.body.authorRole).toBe("Facilities");
+    expect(first.body.authorId).toBeUndefined();
+
+    const second = await request(app)
+      .post(`/feedback/${feedback._id}/response`)
+      .set(auth)
+      .send({ text: "Hours extended from next week." });
+
+    for (const response of [first.body, second.body]) {
+      const pin = await request(app)
+        .patch(`/feedback/${feedback._id}/response/${response._id}/pin`)
+        .set(auth)
+        .send({ pinned: true });
+      expect(pin.statusCode).toBe(200);
+    }
+
+    const pinned = await Comment.find({ feedbackId: feedback._id, pinned: true });
+    expect(pinned.map((c) => String(c._id))).toEqual([second.body._id]);
+
+    await Comment.deleteMany({});
+  });
+
+  it("should require auth for official responses", async () => {
+    const feedback = await Feedback.create(
+      inOrganization({ text: "Needs answer" })
+    );
+    const res = await request(app)
+      .post(`/feedback/${feedback._id}/response`)
+      .send({ text: "Pretending to be staff" });
+    expect(res.statusCode).toBe(401);
+  });
+
+  it("should hold flagged feedback for review instead of rejecting it", async () => {
+    const res = await request(app)
+      .post("/feedback")
+      .send({ text: "The new manager is an idiot" });
+    expect(res.statusCode).toBe(202);
+    expect(res.body.visibility).toBe("pending_review");
+    // Why it was flagged is for admins only
+    expect(res.body.moderation).toBeUndefined();
+    expect(res.body.receiptKey).toBeDefined();
+
+    // Hidden from the public board and detail page
+    const list = await request(app).get("/feedback");
+    expect(list.body.items).toHaveLength(0);
+    const details = await request(app).get(`/feedback/${res.body._id}`);
+    expect(details.statusCode).toBe(404);
+
+    // Visible to admins in the review queue
+    const auth = { Authorization: `Bearer ${adminToken()}` };
+    const queue = await request(app)
+      .get("/feedback?visibility=pending_review")
+      .set(auth);
+    expect(queue.body.items.map((f) => f._id)).toEqual([res.body._id]);
+    expect(queue.body.items[0].moderation.flagged).toBe(true);
+
+    const approved = await request(app)
+      .patch(`/feedback/${res.body._id}/review`)
+      .set(auth)
+      .send({ decision: "approve" });
+    expect(approved.statusCode).toBe(200);
+    expect(approved.body.visibility).toBe("public");
+
+    // Public once approved, still without its moderation details
+    const published = await request(app).get(`/feedback/${res.body._id}`);
+    expect(published.body.feedback.moderation).toBeUndefined();
+    expect(published.body.feedback.review).toBeUndefined();
+    const board = await request(app).get("/feedback");
+    expect(board.body.items[0].moderation).toBeUndefined();
+  });
+
+  it("should not flag words that merely contain a listed word", async () => {
+    const res = await request(app)
+      .post("/feedback")
+      .send({ text: "A fatal error happens when I log my diet" });
+    expect(res.statusCode).toBe(201);
+    expect(res.body.visibility).toBe("public");
+  });
+
+  it("should hold flagged comments and close threads on closed items", async () => {
+    const feedback = await Feedback.create(
+      inOrganization({ text: "Bus is always late" })
+    );
+
+    const held = await request(app)
+      .post(`/feedback/${feedback._id}/comment`)
+      .send({ text: "The driver is a moron" });
+    expect(held.statusCode).toBe(202);
+    expect(held.body.visibility).toBe("pending_review");
+
+    const publicView = await request(app).get(`/feedback/${feedback._id}`);
+    expect(publicView.body.comments).toHaveLength(0);
+    expect(publicView.body.commentsOpen).toBe(true);
+
+    await Feedback.updateOne({ _id: feedback._id }, { status: "closed" });
+    const closed = await request(app)
+      .post(`/feedback/${feedback._id}/comment`)
+      .send({ text: "Any update?" });
+    expect(closed.statusCode).toBe(403);
+
+    await Comment.deleteMany({});
+  });
+
+  it("should require a reason to reject held feedback", async () => {
+    const feedback = await Feedback.create(
+      inOrganization({ text: "Held item", visibility: "pending_review" })
+    );
+    const res = await request(app)
+      .patch(`/feedback/${feedback._id}/review`)
+      .set({ Authorization: `Bearer ${adminToken()}` })
+      .send({ decision: "reject" });
+    expect(res.statusCode).toBe(422);
+    expect(res.body.fields.reason).toMatch(/reason is required/);
+  });
+
+  it("should return likely duplicates of a new submission", async () => {
+    const first = await request(app)
+      .post("/feedback")
+      .send({ text: "The projector in room 204 is broken again" });
+    expect(first.body.duplicates).toEqual([]);
+    expect(first.body.duplicateSignature).toBeUndefined();
+
+    const preview = await request(app)
+      .post("/feedback/similar")
+      .send({ text: "Projector in room 204 broken again!" });
+    expect(preview.statusCode).toBe(200);
+    expect(preview.body.matches).toHaveLength(1);
+    expect(preview.body.matches[0]._id).toBe(first.body._id);
+    expect(preview.body.matches[0].commentsOpen).toBe(true);
+
+    const second = await request(app)
+      .post("/feedback")
+      .send({ text: "projector in room 204 is broken AGAIN" });
+    expect(second.statusCode).toBe(201);
+    expect(second.body.duplicates.map((d) => d._id)).toEqual([first.body._id]);
+
+    const unrelated = await request(app)
+      .post("/feedback/similar")
+      .send({ text: "Cafeteria food is always cold" });
+    expect(unrelated.body.matches).toEqual([]);
+  });
+
+  it("should merge duplicates into a canonical item", async () => {
+    const canonical = await Feedback.create(
+      inOrganization({ text: "Wifi drops in library" })
+    );
+    const duplicate = await Feedback.create(
+      inOrganization({ text: "Library wifi keeps dropping" })
+    );
+    await Comment.create(
+      inOrganization({ feedbackId: duplicate._id, text: "Same here" })
+    );
+    await Feedback.updateOne({ _id: duplicate._id }, { commentCount: 1 });
+
+    const res = await request(app)
+      .post(`/feedback/${duplicate._id}/merge`)
+      .set({ Authorization: `Bearer ${adminToken()}` })
+      .send({ into: canonical._id });
+    expect(res.statusCode).toBe(200);
+    expect(res.body.feedback.mergedInto).toBe(String(canonical._id));
+    // The moved comment plus the duplicate's own text
+    expect(res.body.mergedInto.commentCount).toBe(2);
+
+    const thread = await Comment.find({ feedbackId: canonical._id });
+    expect(thread.map((c) => c.text).sort()).toEqual([
+      "Library wifi keeps dropping",
+      "Same here",
+    ]);
+
+    // Old links redirect; merged items leave the board
+    const old = await request(app).get(`/feedback/${duplicate._id}`);
+    expect(old.statusCode).toBe(301);
+    expect(old.headers.location).toBe(`/feedback/${canonical._id}`);
+    const list = await request(app).get("/feedback");
+    expect(list.body.items.map((f) => f._id)).toEqual([String(canonical._id)]);
+
+    const again = await request(app)
+      .post(`/feedback/${duplicate._id}/merge`)
+      .set({ Authorization: `Bearer ${adminToken()}` })
+      .send({ into: canonical._id });
+    expect(again.statusCode).toBe(409);
+
+    await Comment.deleteMany({});
+  });
+
+  it("should not merge feedback into itself or without a token", async () => {
+    const feedback = await Feedback.create(
+      inOrganization({ text: "Lonely item" })
+    );
+    const self = await request(app)
+      .post(`/feedback/${feedback._id}/merge`)
+      .set({ Authorization: `Bearer ${adminToken()}` })
+      .send({ into: feedback._id });
+    expect(self.statusCode).toBe(422);
+    expect(self.body.fields.into).toBeDefined();
+
+    const anonymous = await request(app)
+      .post(`/feedback/${feedback._id}/merge`)
+      .send({ into: feedback._id });
+    expect(anonymous.statusCode).toBe(401);
+  });
+
+  it("should show attachments to admins only, without metadata", async () => {
+    const png = Buffer.concat([
+      Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+      Buffer.from([0, 0, 0, 11]),
+      Buffer.from("tEXtAuthor\0Jane", "latin1"),
+      Buffer.alloc(4),
+      Buffer.from([0, 0, 0, 0]),
+      Buffer.from("IEND", "latin1"),
+      Buffer.alloc(4),
+    ]);
+    const created = await request(app)
+      .post("/feedback")
+      .send({ text: "Photo of the broken lock", attachments: [png.toString("base64")] });
+    expect(created.statusCode).toBe(201);
+    expect(created.body.attachments).toBeUndefined();
+
+    const anonymous = await request(app).get(`/feedback/${created.body._id}`);
+    expect(anonymous.body.feedback.attachments).toBeUndefined();
+
+    const auth = { Authorization: `Bearer ${adminToken()}` };
+    const admin = await request(app)
+      .get(`/feedback/${created.body._id}`)
+      .set(auth);
+    const [attachment] = admin.body.feedback.attachments;
+    expect(attachment.name).toBe("attachment-1.png");
+    expect(attachment.storageKey).toBeUndefined();
+
+    const url = `/feedback/${created.body._id}/attachments/${attachment._id}`;
+    expect((await request(app).get(url)).statusCode).toBe(401);
+    const file = await request(app).get(url).set(auth);
+    expect(file.statusCode).toBe(200);
+    expect(file.headers["content-type"]).toBe("image/png");
+    expect(file.body.toString("latin1")).not.toContain("Jane");
+
+    await request(app).delete(`/feedback/${created.body._id}`).set(auth);
+  });
+
+  it("should refuse unsupported attachments", async () => {
+    const res = await request(app)
+      .post("/feedback")
+      .send({
+        text: "See attached",
+        attachments: [Buffer.from("<svg onload=alert(1)>").toString("base64")],
+      });
+    expect(res.statusCode).toBe(422);
+    expect(res.body.fields.attachments).toMatch(/JPEG, PNG or WebP/);
   });
 });
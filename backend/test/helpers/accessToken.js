@@ -0,0 +1,36 @@
+const Admin = require("../../models/Admin.model");
+const Session = require("../../models/Session.model");
+const { generateToken, hashToken } = require("../../utils/secureToken");
+const { signAccessToken } = require("../../utils/adminSession");
+
+// Access tokens only work while their session exists (middleware/auth.js),
+// so tests sign admins in the way /admin/login does, minus the request.
+
+/**
+ * Starts a session for an existing admin of `organization` and resolves
+ * its access token.
+ */
+async function accessToken(admin, organization) {
+  const session = await Session.create({
+    admin: admin._id,
+    tokenHash: hashToken(generateToken()),
+    expiresAt: new Date(Date.now() + 60 * 60 * 1000),
+  });
+  return signAccessToken({ ...admin.toObject(), organization }, session);
+}
+
+/**
+ * Creates an admin with `role` in `organization` and resolves an access
+ * token for them.
+ */
+async function signIn(organization, role = "owner") {
+  const admin = await Admin.create({
+    username: `${organization.slug}-${role}`,
+    password: `${role}-password`,
+    role,
+    organization: organization._id,
+  });
+  return accessToken(admin, organization);
+}
+
+module.exports = { accessToken, signIn };
@@ -0,0 +1,66 @@
+const {
+  FREE_ATTEMPTS,
+  lockDuration,
+  lockRemaining,
+  rejectIfLocked,
+} = require("../utils/loginProtection");
+
+const MINUTE = 60 * 1000;
+
+// Enough of an Express response for rejectIfLocked
+const fakeResponse = () => {
+  const res = { headers: {} };
+  res.set = (name, value) => {
+    res.headers[name] = value;
+    return res;
+  };
+  res.status = (code) => {
+    res.statusCode = code;
+    return res;
+  };
+  res.json = (body) => {
+    res.body = body;
+    return res;
+  };
+  return res;
+};
+
+describe("Account lockout", () => {
+  it("should allow a few failures before locking", () => {
+    for (let failures = 0; failures < FREE_ATTEMPTS; failures++) {
+      expect(lockDuration(failures)).toBe(0);
+    }
+    expect(lockDuration(FREE_ATTEMPTS)).toBe(MINUTE);
+  });
+
+  it("should double the lock with every further failure, up to a day", () => {
+    expect(lockDuration(FREE_ATTEMPTS + 1)).toBe(2 * MINUTE);
+    expect(lockDuration(FREE_ATTEMPTS + 4)).toBe(16 * MINUTE);
+    expect(lockDuration(FREE_ATTEMPTS + 30)).toBe(24 * 60 * MINUTE);
+  });
+
+  it("should tell how long a lock has left", () => {
+    const now = Date.now();
+    const admin = { lockout: { lockedUntil: new Date(now + 90 * 1000) } };
+    expect(lockRemaining(admin, now)).toBe(90 * 1000);
+    expect(lockRemaining(admin, now + 2 * MINUTE)).toBe(0);
+    expect(lockRemaining({}, now)).toBe(0);
+  });
+
+  it("should refuse locked accounts with 429 and Retry-After", () => {
+    const locked = {
+      lockout: { lockedUntil: new Date(Date.now() + 3 * MINUTE - 1000) },
+    };
+    const res = fakeResponse();
+    expect(rejectIfLocked(locked, res)).toBe(true);
+    expect(res.statusCode).toBe(429);
+    expect(Number(res.headers["Retry-After"])).toBeGreaterThan(170);
+    expect(res.body.error).toMatch(/Try again in 3 minutes/);
+
+    const open = fakeResponse();
+    expect(rejectIfLocked({ lockout: { failedAttempts: 2 } }, open)).toBe(
+      false
+    );
+    expect(open.statusCode).toBeUndefined();
+  });
+});
@@ -0,0 +1,300 @@
+const { createModerator } = require("../utils/moderateFeedback");
+const { registerProvider } = require("../utils/moderationProviders");
+const { scoreText } = require("../utils/localClassifier");
+const {
+  DEFAULT_RULES,
+  compileRules,
+  evaluateRules,
+  thresholdsFor,
+} = require("../utils/moderationRules");
+const { toDecision, percentile } = require("../utils/moderationLog");
+const { createMockModerationServer } = require("../scripts/mock-moderation-server");
+
+// Mock HTTP stand-in for the network providers
+let server;
+let baseUrl;
+
+beforeAll((done) => {
+  server = createMockModerationServer().listen(0, () => {
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+    done();
+  });
+});
+
+afterAll((done) => {
+  server.close(done);
+});
+
+// Network-only chain pointed at the mock server
+const networkModerator = (policy, overrides = {}) =>
+  createModerator({
+    policy,
+    chain: ["perspective", "openai", "http"],
+    providers: {
+      perspective: { url: `${baseUrl}/v1alpha1/comments:analyze` },
+      openai: { url: `${baseUrl}/v1/moderations`, fallback: false },
+      http: { url: `${baseUrl}/moderate` },
+      ...overrides,
+    },
+  });
+
+describe("Local classifier", () => {
+  it("should score toxic phrases and leave ordinary feedback clean", () => {
+    expect(scoreText("I will kill you").score).toBeGreaterThan(0.9);
+    expect(scoreText("The cafeteria closes too early").score).toBe(0);
+  });
+
+  it("should combine several weak terms", () => {
+    const one = scoreText("useless").score;
+    const two = scoreText("useless and incompetent").score;
+    expect(two).toBeGreaterThan(one);
+    expect(two).toBeLessThan(1);
+  });
+});
+
+describe("Moderation pipeline", () => {
+  it("should run a local chain without network access", async () => {
+    const moderate = createModerator({ chain: ["local"] });
+    const flagged = await moderate("Watch your back tomorrow");
+    expect(flagged.flagged).toBe(true);
+    expect(flagged.provider).toBe("Local Classifier");
+
+    const clean = await moderate("Please add more bike racks");
+    expect(clean.flagged).toBe(false);
+    expect(clean.results.map((r) => r.provider)).toEqual(["local"]);
+  });
+
+  it("should stop at the first flag under the 'any' policy", async () => {
+    const moderate = networkModerator("any");
+    const result = await moderate("You are a pathetic clown, get lost");
+    expect(result.flagged).toBe(true);
+    expect(result.provider).toBe("Perspective API");
+    expect(result.results).toHaveLength(1);
+  });
+
+  it("should flag only on a majority under the 'majority' policy", async () => {
+    // Perspective flags at a low threshold, the other two do not
+    const moderate = networkModerator("majority", {
+      perspective: {
+        url: `${baseUrl}/v1alpha1/comments:analyze`,
+        thresholds: { TOXICITY: 0.1 },
+      },
+    });
+    const result = await moderate("This policy is useless");
+    expect(result.results).toHaveLength(3);
+    expect(result.flagged).toBe(false);
+
+    const toxic = await moderate("I will hurt you");
+    expect(toxic.flagged).toBe(true);
+    expect(toxic.reason).toBe("Flagged by 3 of 3 providers");
+  });
+
+  it("should record provider errors and timeouts without failing", async () => {
+    const moderate = createModerator({
+      chain: ["perspective", "openai", "http"],
+      timeoutMs: 200,
+      providers: {
+        perspective: { url: `${baseUrl}/v1alpha1/comments:analyze` },
+        openai: { url: `${baseUrl}/v1/moderations`, fallback: false },
+        http: { url: `${baseUrl}/moderate` },
+      },
+    });
+    const failed = await moderate("[mock:error] hello");
+    expect(failed.flagged).toBe(false);
+    expect(failed.results.every((r) => r.error)).toBe(true);
+
+    const slow = await moderate("[mock:slow] hello");
+    expect(slow.results[0].error).toMatch(/timeout|Timed out/);
+  });
+
+  it("should only call a fallback provider when earlier ones fail", async () => {
+    const moderate = createModerator({
+      chain: ["perspective", "openai"],
+      providers: {
+        perspective: { url: `${baseUrl}/v1alpha1/comments:analyze` },
+        openai: { url: `${baseUrl}/v1/moderations` },
+      },
+    });
+    const ok = await moderate("Fine feedback");
+    expect(ok.results.map((r) => r.provider)).toEqual(["perspective"]);
+
+    const failed = await moderate("[mock:error] fine feedback");
+    expect(failed.results.map((r) => r.provider)).toEqual(["perspective", "openai"]);
+  });
+
+  it("should skip providers that are not configured or disabled", async () => {
+    const moderate = createModerator({
+      chain: ["rules", "local", "perspective", "http"],
+      providers: {
+        perspective: { apiKey: undefined, url: undefined },
+        rules: { enabled: false },
+        local: { enabled: false },
+      },
+    });
+    const result = await moderate("Hello there");
+    expect(result.results).toEqual([]);
+    expect(result.flagged).toBe(false);
+  });
+
+  it("should accept custom providers from the registry", async () => {
+    registerProvider({
+      name: "always-flag",
+      check: async () => ({ flagged: true, reason: "Test provider" }),
+    });
+    const moderate = createModerator({ chain: ["always-flag"] });
+    const result = await moderate("Anything");
+    expect(result.flagged).toBe(true);
+    expect(result.reason).toBe("Test provider");
+  });
+
+  it("should scale provider thresholds for stricter organizations", async () => {
+    const seen = [];
+    registerProvider({
+      name: "threshold-probe",
+      defaults: { thresholds: { score: 0.5 } },
+      check: async (text, { thresholds }) => {
+        seen.push(thresholds.score);
+        return { flagged: false };
+      },
+    });
+    await createModerator({ chain: ["threshold-probe"] })("Anything");
+    await createModerator({
+      chain: ["threshold-probe"],
+      thresholdScale: 0.8,
+    })("Anything");
+    expect(seen).toEqual([0.5, 0.4]);
+  });
+
+  it("should reject unknown policies and providers", () => {
+    expect(() => createModerator({ policy: "unanimous" })).toThrow(/policy/);
+    expect(() => createModerator({ chain: ["nope"] })).toThrow(/provider/);
+  });
+});
+
+describe("Moderation rules", () => {
+  const withIds = (rules) => rules.map((rule, i) => ({ _id: `r${i}`, ...rule }));
+  const defaults = compileRules(withIds(DEFAULT_RULES));
+
+  it("should match terms on word boundaries only", () => {
+    expect(evaluateRules("He is an idiot", defaults).flagged).toBe(true);
+    expect(evaluateRules("My diet is fatal", defaults).flagged).toBe(false);
+  });
+
+  it("should keep case-sensitive regex rules case-sensitive", () => {
+    expect(evaluateRules("internationalization issues", defaults).flagged).toBe(false);
+    expect(evaluateRules("PLEASEFIXTHISRIGHTNOW", defaults).flagged).toBe(true);
+  });
+
+  it("should add up severities against the threshold", () => {
+    const ruleset = compileRules(
+      withIds([
+        { type: "term", pattern: "rubbish", severity: "low" },
+        { type: "term", pattern: "garbage", severity: "medium" },
+        { type: "threshold", tag: null, score: 3 },
+      ])
+    );
+    const one = evaluateRules("rubbish food", ruleset);
+    expect(one.score).toBe(1);
+    expect(one.flagged).toBe(false);
+
+    const both = evaluateRules("rubbish food, garbage service", ruleset);
+    expect(both.score).toBe(3);
+    expect(both.flagged).toBe(true);
+    expect(both.fired.map((f) => f.pattern)).toEqual(["rubbish", "garbage"]);
+  });
+
+  it("should skip allow-listed phrases", () => {
+    const ruleset = compileRules(
+      withIds([
+        { type: "term", pattern: "kill", severity: "high" },
+        { type: "allow", pattern: "kill time" },
+      ])
+    );
+    const allowed = evaluateRules("We kill time waiting for the bus", ruleset);
+    expect(allowed.flagged).toBe(false);
+    expect(allowed.allowed.map((a) => a.pattern)).toEqual(["kill time"]);
+
+    expect(evaluateRules("I will kill the project", ruleset).flagged).toBe(true);
+  });
+
+  it("should apply the strictest per-tag thresholds", () => {
+    const ruleset = compileRules(
+      withIds([
+        { type: "term", pattern: "creepy", severity: "medium" },
+        {
+          type: "threshold",
+          tag: null,
+          score: 3,
+          maxLength: 2000,
+          providerThresholds: { perspective: { TOXICITY: 0.5 } },
+        },
+        {
+          type: "threshold",
+          tag: "harassment",
+          score: 2,
+          providerThresholds: { perspective: { TOXICITY: 0.3 } },
+        },
+        { type: "threshold", tag: "facilities", score: 5, maxLength: 500 },
+      ])
+    );
+    expect(evaluateRules("A creepy hallway", ruleset, ["facilities"]).flagged).toBe(false);
+    expect(evaluateRules("A creepy coworker", ruleset, ["harassment"]).flagged).toBe(true);
+
+    const thresholds = thresholdsFor(ruleset, ["facilities", "harassment"]);
+    expect(thresholds).toEqual({
+      score: 2,
+      maxLength: 500,
+      providers: { perspective: { TOXICITY: 0.3 } },
+    });
+  });
+
+  it("should skip regex rules that backtrack catastrophically", () => {
+    jest.spyOn(console, "error").mockImplementation(() => {});
+    const ruleset = compileRules(
+      withIds([
+        { type: "regex", pattern: "(a|aa)+$", severity: "high" },
+        { type: "term", pattern: "aaa", severity: "high" },
+      ])
+    );
+    console.error.mockRestore();
+
+    expect(ruleset.skipped).toEqual([
+      { id: "r0", pattern: "(a|aa)+$", reason: expect.stringMatching(/slow/) },
+    ]);
+    expect(evaluateRules(`${"a".repeat(40)}!`, ruleset).fired).toEqual([]);
+    expect(defaults.skipped).toEqual([]);
+  });
+
+  it("should ignore disabled rules", () => {
+    const ruleset = compileRules(
+      withIds([{ type: "term", pattern: "idiot", severity: "high", enabled: false }])
+    );
+    expect(evaluateRules("idiot", ruleset).flagged).toBe(false);
+  });
+});
+
+describe("Moderation log", () => {
+  it("should compute nearest-rank percentiles", () => {
+    const values = Array.from({ length: 100 }, (_, i) => i + 1);
+    expect(percentile(values, 0.95)).toBe(95);
+    expect(percentile([7], 0.95)).toBe(7);
+    expect(percentile([], 0.95)).toBeNull();
+  });
+
+  it("should log provider outcomes without any submitter data", async () => {
+    const moderate = createModerator({
+      chain: ["perspective", "local"],
+      providers: { perspective: { url: `${baseUrl}/v1alpha1/comments:analyze` } },
+    });
+    const result = await moderate("[mock:error] you idiot");
+    const decision = toDecision(result, { subject: "feedback", tags: ["hr"] });
+
+    expect(decision.flagged).toBe(true);
+    expect(decision.results.map((r) => r.provider)).toEqual(["perspective", "local"]);
+    expect(decision.results[0].error).toBeDefined();
+    expect(decision.results[1].scores).toMatchObject({ insult: 0.8 });
+    expect(decision.results[1].score).toBeGreaterThan(0.7);
+    expect(typeof decision.latencyMs).toBe("number");
+    expect(decision).not.toHaveProperty("text");
+  });
+});
@@ -0,0 +1,228 @@
+const request = require("supertest");
+const mongoose = require("mongoose");
+const app = require("../server");
+const { signIn } = require("./helpers/accessToken");
+const ModerationRule = require("../models/ModerationRule.model");
+const ModerationDecision = require("../models/ModerationDecision.model");
+const { invalidateRules } = require("../utils/moderationRules");
+const {
+  DEFAULT_ORGANIZATION,
+  getOrganization,
+} = require("../utils/organizations");
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || "test-secret";
+
+// The unprefixed routes and the admin's token use the default organization
+let organization;
+
+// Access token for admin-only routes
+let token;
+const adminToken = () => token;
+
+beforeAll(async () => {
+  await mongoose.connect("mongodb://localhost:27017/whistlespace_rules_test");
+  organization = await getOrganization(DEFAULT_ORGANIZATION);
+  token = await signIn(organization);
+});
+
+afterAll(async () => {
+  await mongoose.connection.db.dropDatabase();
+  await mongoose.connection.close();
+});
+
+afterEach(async () => {
+  await ModerationRule.deleteMany({});
+  await ModerationDecision.deleteMany({});
+  invalidateRules();
+});
+
+// Decisions are logged without blocking the response; wait for one
+const waitForDecision = async (filter) => {
+  for (let i = 0; i < 20; i++) {
+    const decision = await ModerationDecision.findOne(filter);
+    if (decision) return decision;
+    await new Promise((resolve) => setTimeout(resolve, 50));
+  }
+  return null;
+};
+
+describe("Moderation rules API", () => {
+  const auth = () => ({ Authorization: `Bearer ${adminToken()}` });
+
+  it("should require an admin", async () => {
+    const res = await request(app).get("/admin/moderation/rules");
+    expect(res.statusCode).toBe(401);
+  });
+
+  it("should seed the default rules on first use", async () => {
+    const res = await request(app).get("/admin/moderation/rules").set(auth());
+    expect(res.statusCode).toBe(200);
+    expect(res.body.items.some((r) => r.pattern === "idiot")).toBe(true);
+    expect(res.body.items.some((r) => r.type === "threshold" && r.tag === null)).toBe(true);
+  });
+
+  it("should create, update and delete rules", async () => {
+    const created = await request(app)
+      .post("/admin/moderation/rules")
+      .set(auth())
+      .send({ type: "term", pattern: "rubbish", severity: "low" });
+    expect(created.statusCode).toBe(201);
+
+    const updated = await request(app)
+      .patch(`/admin/moderation/rules/${created.body._id}`)
+      .set(auth())
+      .send({ severity: "high" });
+    expect(updated.body.severity).toBe("high");
+
+    const deleted = await request(app)
+      .delete(`/admin/moderation/rules/${created.body._id}`)
+      .set(auth());
+    expect(deleted.statusCode).toBe(200);
+  });
+
+  it("should reject invalid regexes and duplicate tag thresholds", async () => {
+    const badRegex = await request(app)
+      .post("/admin/moderation/rules")
+      .set(auth())
+      .send({ type: "regex", pattern: "(unclosed" });
+    expect(badRegex.statusCode).toBe(422);
+    expect(badRegex.body.fields.pattern).toMatch(
+      /^Invalid regular expression/
+    );
+
+    const slow = await request(app)
+      .post("/admin/moderation/rules")
+      .set(auth())
+      .send({ type: "regex", pattern: "(a+)+$" });
+    expect(slow.statusCode).toBe(422);
+    expect(slow.body.fields.pattern).toMatch(/repeats itself/);
+
+    const invalid = await request(app)
+      .post("/admin/moderation/rules")
+      .set(auth())
+      .send({
+        type: "threshold",
+        score: 0,
+        providerThresholds: { perspective: { TOXICITY: "high" } },
+      });
+    expect(invalid.statusCode).toBe(422);
+    expect(invalid.body.fields).toMatchObject({
+      score: "Score must be at least 1",
+      providerThresholds: expect.stringContaining("perspective"),
+    });
+
+    const badId = await request(app)
+      .patch("/admin/moderation/rules/not-an-id")
+      .set(auth())
+      .send({ enabled: false });
+    expect(badId.statusCode).toBe(422);
+    expect(badId.body.fields).toEqual({ id: "Rule id is not a valid id" });
+
+    const threshold = { type: "threshold", tag: "safety", score: 2 };
+    await request(app).post("/admin/moderation/rules").set(auth()).send(threshold);
+    const duplicate = await request(app)
+      .post("/admin/moderation/rules")
+      .set(auth())
+      .send(threshold);
+    expect(duplicate.statusCode).toBe(409);
+  });
+
+  it("should apply new rules to submissions right away", async () => {
+    await request(app).get("/admin/moderation/rules").set(auth()); // seed
+    await request(app)
+      .post("/admin/moderation/rules")
+      .set(auth())
+      .send({ type: "term", pattern: "lazy bones", severity: "high" });
+
+    const res = await request(app)
+      .post("/feedback")
+      .send({ text: "Maintenance staff are lazy bones" });
+    expect(res.statusCode).toBe(202);
+  });
+
+  it("should show which rules fire in a dry run", async () => {
+    await request(app).get("/admin/moderation/rules").set(auth()); // seed
+    await request(app)
+      .post("/admin/moderation/rules")
+      .set(auth())
+      .send({ type: "allow", pattern: "die cast" });
+
+    const res = await request(app)
+      .post("/admin/moderation/test")
+      .set(auth())
+      .send({ text: "The die cast models will die here", tags: [] });
+    expect(res.statusCode).toBe(200);
+    expect(res.body.rules.fired.map((f) => f.pattern)).toEqual(["die"]);
+    expect(res.body.rules.allowed.map((a) => a.pattern)).toEqual(["die cast"]);
+    expect(res.body.pipeline.flagged).toBe(true);
+
+    const empty = await request(app)
+      .post("/admin/moderation/test")
+      .set(auth())
+      .send({ text: "  ", tags: "not a list" });
+    expect(empty.statusCode).toBe(422);
+    expect(empty.body.fields).toEqual({
+      text: "Text is required",
+      tags: "Tags must be a list",
+    });
+  });
+});
+
+describe("Moderation stats", () => {
+  const auth = () => ({ Authorization: `Bearer ${adminToken()}` });
+
+  it("should log each decision and the admin review", async () => {
+    const res = await request(app)
+      .post("/feedback")
+      .send({ text: "The new manager is an idiot" });
+    const decision = await waitForDecision({ subjectId: res.body._id });
+    expect(decision.flagged).toBe(true);
+    expect(decision.rules.map((r) => r.pattern)).toContain("idiot");
+
+    await request(app)
+      .patch(`/feedback/${res.body._id}/review`)
+      .set(auth())
+      .send({ decision: "approve" });
+    const reviewed = await waitForDecision({
+      subjectId: res.body._id,
+      review: "approved",
+    });
+    expect(reviewed).not.toBeNull();
+  });
+
+  it("should report flag rate, failures, latency and top rules", async () => {
+    const ruleId = new mongoose.Types.ObjectId();
+    await ModerationDecision.create([
+      {
+        organization: organization._id,
+        subject: "feedback",
+        flagged: true,
+        latencyMs: 40,
+        results: [{ provider: "rules", flagged: true, latencyMs: 2 }],
+        rules: [{ ruleId, pattern: "idiot", type: "term" }],
+      },
+      {
+        organization: organization._id,
+        subject: "comment",
+        flagged: false,
+        latencyMs: 900,
+        results: [
+          { provider: "rules", flagged: false, latencyMs: 3 },
+          { provider: "perspective", error: "Timed out after 800ms", latencyMs: 800 },
+        ],
+      },
+    ]);
+
+    const res = await request(app).get("/admin/moderation/stats?days=1").set(auth());
+    expect(res.statusCode).toBe(200);
+    expect(res.body.total).toBe(2);
+    expect(res.body.flagRate).toBe(0.5);
+    expect(res.body.p95LatencyMs).toBe(900);
+
+    const perspective = res.body.providers.find((p) => p.provider === "perspective");
+    expect(perspective.failureRate).toBe(1);
+    expect(res.body.topRules).toEqual([
+      { ruleId: String(ruleId), pattern: "idiot", type: "term", count: 1 },
+    ]);
+  });
+});
@@ -0,0 +1,196 @@
+const {
+  createMockNotificationServer,
+  createMockSmtpServer,
+} = require("../scripts/mock-notification-server");
+
+let receiver;
+let smtp;
+let baseUrl;
+// Required once the SMTP stand-in listens: sendEmail reads EMAIL_* on load
+let getChannel;
+let renderMessage;
+let routes;
+let fillTemplate;
+let sendTest;
+
+const organization = { _id: "org", slug: "default", name: "Acme" };
+
+const data = {
+  feedback: {
+    id: "64b000000000000000000001",
+    text: "The projector in room 4 is broken",
+    tags: ["facilities"],
+    status: "open",
+    visibility: "public",
+  },
+};
+
+const listen = (server) =>
+  new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+const close = (server) => new Promise((resolve) => server.close(resolve));
+
+beforeAll(async () => {
+  receiver = createMockNotificationServer();
+  smtp = createMockSmtpServer();
+  await listen(receiver);
+  await listen(smtp);
+  baseUrl = `http://127.0.0.1:${receiver.address().port}`;
+
+  process.env.EMAIL_HOST = "127.0.0.1";
+  process.env.EMAIL_PORT = String(smtp.address().port);
+  process.env.EMAIL_SECURE = "false";
+  process.env.EMAIL_USER = "alerts@whistlespace.test";
+  ({ getChannel } = require("../utils/notificationChannels"));
+  ({
+    renderMessage,
+    routes,
+    fillTemplate,
+    sendTest,
+  } = require("../utils/notifications"));
+});
+
+afterAll(async () => {
+  await close(receiver);
+  await close(smtp);
+});
+
+const channel = (type, overrides = {}) => ({
+  name: type,
+  type,
+  url: `${baseUrl}/${type}`,
+  email: "team@example.test",
+  events: ["feedback.created"],
+  tags: [],
+  statuses: [],
+  templates: {},
+  ...overrides,
+});
+
+// Sends feedback.created through a channel type
+const send = (target) =>
+  getChannel(target.type).send(
+    renderMessage(target, "feedback.created", data, organization),
+    target
+  );
+
+describe("Notification channels", () => {
+  it("should post Slack, Teams and JSON messages in their shapes", async () => {
+    await send(channel("slack"));
+    await send(channel("teams"));
+    await send(channel("json"));
+
+    const [slack, teams, json] = receiver.received.slice(-3);
+    expect(slack.path).toBe("/slack");
+    expect(slack.body).toMatchObject({
+      text: "New feedback (Acme)",
+      attachments: [
+        {
+          title: "New feedback (Acme)",
+          title_link: `http://localhost:5173/feedback/${data.feedback.id}`,
+          text: data.feedback.text,
+          fields: [
+            { title: "Tags", value: "facilities", short: true },
+            { title: "Status", value: "Open", short: true },
+          ],
+        },
+      ],
+    });
+
+    const card = teams.body.attachments[0];
+    expect(card.contentType).toBe("application/vnd.microsoft.card.adaptive");
+    expect(card.content.type).toBe("AdaptiveCard");
+    expect(card.content.body[0].text).toBe("New feedback (Acme)");
+    expect(card.content.body[2].facts).toContainEqual({
+      title: "Tags",
+      value: "facilities",
+    });
+
+    expect(json.body).toMatchObject({
+      event: "feedback.created",
+      title: "New feedback (Acme)",
+      data,
+    });
+  });
+
+  it("should send email over SMTP", async () => {
+    await send(channel("email"));
+
+    const [message] = smtp.messages.slice(-1);
+    expect(message.to).toEqual(["<team@example.test>"]);
+    expect(message.data).toContain("Subject: New feedback (Acme)");
+    expect(message.data).toContain("The projector in room 4 is broken");
+  });
+
+  it("should fail when the receiver does", async () => {
+    const target = channel("json", {
+      templates: { "feedback.created": { title: "[mock:error]" } },
+    });
+    await expect(send(target)).rejects.toThrow("500");
+    await expect(sendTest(target, organization)).rejects.toThrow("500");
+  });
+});
+
+describe("Notification templates", () => {
+  it("should fill placeholders and leave unknown ones empty", () => {
+    expect(
+      fillTemplate("{{ feedback.text }} ({{feedback.status}}){{nope}}", {
+        "feedback.text": "Hi",
+        "feedback.status": "Open",
+      })
+    ).toBe("Hi (Open)");
+  });
+
+  it("should use a channel's own title and text for an event", () => {
+    const message = renderMessage(
+      channel("json", {
+        templates: new Map([
+          ["feedback.created", { title: "{{organization.name}}: new" }],
+        ]),
+      }),
+      "feedback.created",
+      data,
+      organization
+    );
+    expect(message.title).toBe("Acme: new");
+    // Parts without a template of their own stay built in
+    expect(message.text).toBe(data.feedback.text);
+  });
+
+  it("should link held items to the dashboard", () => {
+    const held = {
+      feedback: { ...data.feedback, visibility: "pending_review" },
+    };
+    const message = renderMessage(
+      channel("json"),
+      "feedback.created",
+      held,
+      organization
+    );
+    expect(message.title).toBe("New feedback held for review (Acme)");
+    expect(message.url).toBe("http://localhost:5173/admin/dashboard");
+  });
+});
+
+describe("Notification routing", () => {
+  it("should only route subscribed events", () => {
+    expect(routes(channel("json"), "feedback.created", data)).toBe(true);
+    expect(routes(channel("json"), "feedback.deleted", data)).toBe(false);
+  });
+
+  it("should route by tag and status when a channel names them", () => {
+    const byTag = channel("json", { tags: ["it", "facilities"] });
+    const byStatus = channel("json", { statuses: ["resolved"] });
+    expect(routes(byTag, "feedback.created", data)).toBe(true);
+    expect(
+      routes(byTag, "feedback.created", {
+        feedback: { ...data.feedback, tags: ["catering"] },
+      })
+    ).toBe(false);
+    expect(routes(byStatus, "feedback.created", data)).toBe(false);
+    expect(
+      routes(byStatus, "feedback.created", {
+        feedback: { ...data.feedback, status: "resolved" },
+      })
+    ).toBe(true);
+  });
+});
@@ -0,0 +1,249 @@
+const request = require("supertest");
+const mongoose = require("mongoose");
+const app = require("../server");
+const { signIn } = require("./helpers/accessToken");
+const Feedback = require("../models/Feedback.model");
+const NotificationChannel = require("../models/NotificationChannel.model");
+const {
+  createMockNotificationServer,
+} = require("../scripts/mock-notification-server");
+const {
+  DEFAULT_ORGANIZATION,
+  getOrganization,
+} = require("../utils/organizations");
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || "test-secret";
+
+let organization;
+let receiver;
+let baseUrl;
+
+// Access tokens of signed-in admins, by role
+const tokens = {};
+const adminToken = (role = "owner") => tokens[role];
+
+const as = (role) => ({ Authorization: `Bearer ${adminToken(role)}` });
+
+// Notifications are sent after the response; wait until `count` arrived
+async function waitForMessages(count) {
+  for (let i = 0; i < 50 && receiver.received.length < count; i++) {
+    await new Promise((resolve) => setTimeout(resolve, 20));
+  }
+  expect(receiver.received).toHaveLength(count);
+}
+
+const addChannel = (body) =>
+  request(app)
+    .post("/admin/notifications/channels")
+    .set(as("owner"))
+    .send({ name: "Team", type: "json", url: `${baseUrl}/json`, ...body });
+
+beforeAll(async () => {
+  await mongoose.connect(
+    "mongodb://localhost:27017/whistlespace_notifications_test"
+  );
+  organization = await getOrganization(DEFAULT_ORGANIZATION);
+  for (const role of ["owner", "moderator"]) {
+    tokens[role] = await signIn(organization, role);
+  }
+
+  receiver = createMockNotificationServer();
+  await new Promise((resolve) => receiver.listen(0, "127.0.0.1", resolve));
+  baseUrl = `http://127.0.0.1:${receiver.address().port}`;
+});
+
+afterAll(async () => {
+  await new Promise((resolve) => receiver.close(resolve));
+  await mongoose.connection.db.dropDatabase();
+  await mongoose.connection.close();
+});
+
+afterEach(async () => {
+  await NotificationChannel.deleteMany({});
+  await Feedback.deleteMany({});
+  receiver.received.length = 0;
+});
+
+describe("Notification channels", () => {
+  it("should notify channels of new feedback with their template", async () => {
+    const created = await addChannel({
+      type: "slack",
+      url: `${baseUrl}/slack`,
+      events: ["feedback.created"],
+      templates: {
+        "feedback.created": { title: "Heads up: {{feedback.text}}" },
+      },
+    });
+    expect(created.statusCode).toBe(201);
+    expect(created.body.email).toBeUndefined();
+
+    await request(app).post("/feedback").send({ text: "Too few bike racks" });
+    await waitForMessages(1);
+
+    expect(receiver.received[0]).toMatchObject({
+      path: "/slack",
+      body: {
+        text: "Heads up: Too few bike racks",
+        attachments: [{ text: "Too few bike racks" }],
+      },
+    });
+  });
+
+  it("should keep the text of held feedback off channels", async () => {
+    await addChannel({ events: ["feedback.created"] });
+    const held = await request(app)
+      .post("/feedback")
+      .send({ text: "The new manager is an idiot" });
+    expect(held.statusCode).toBe(202);
+    await waitForMessages(1);
+
+    const [{ body }] = receiver.received;
+    expect(body.title).toMatch(/held for review/);
+    expect(JSON.stringify(body)).not.toMatch(/idiot/);
+
+    // Approving it publishes it, text included
+    await request(app)
+      .patch(`/feedback/${held.body._id}/review`)
+      .set(as("moderator"))
+      .send({ decision: "approve" })
+      .expect(200);
+    await waitForMessages(2);
+    expect(receiver.received[1].body.data.feedback.text).toBe(
+      "The new manager is an idiot"
+    );
+  });
+
+  it("should route status changes by tag and status", async () => {
+    await addChannel({
+      events: ["feedback.status_changed"],
+      tags: ["facilities"],
+      statuses: ["triaged"],
+    });
+    const [facilities, catering] = await Feedback.create([
+      {
+        organization: organization._id,
+        text: "Lights flicker in the gym",
+        tags: ["facilities"],
+      },
+      {
+        organization: organization._id,
+        text: "Cold coffee",
+        tags: ["catering"],
+      },
+    ]);
+
+    for (const feedback of [catering, facilities]) {
+      await request(app)
+        .patch(`/feedback/${feedback._id}`)
+        .set(as("owner"))
+        .send({ status: "triaged" })
+        .expect(200);
+    }
+    await waitForMessages(1);
+    // A moment more, for a message that should not come
+    await new Promise((resolve) => setTimeout(resolve, 100));
+
+    expect(receiver.received).toHaveLength(1);
+    expect(receiver.received[0].body).toMatchObject({
+      event: "feedback.status_changed",
+      data: { feedback: { text: "Lights flicker in the gym" }, to: "triaged" },
+    });
+  });
+
+  it("should skip paused channels and test them on request", async () => {
+    const created = await addChannel({
+      events: ["comment.created"],
+      active: false,
+    });
+    const feedback = await Feedback.create({
+      organization: organization._id,
+      text: "Broken window",
+    });
+    await request(app)
+      .post(`/feedback/${feedback._id}/comment`)
+      .send({ text: "Still broken" });
+
+    const res = await request(app)
+      .post(`/admin/notifications/channels/${created.body._id}/test`)
+      .set(as("owner"));
+    expect(res.statusCode).toBe(200);
+    await waitForMessages(1);
+    expect(receiver.received[0].body.title).toMatch(/^\[Test\] /);
+  });
+
+  it("should answer 502 when a test fails", async () => {
+    const created = await addChannel({
+      events: ["feedback.created"],
+      templates: { "feedback.created": { text: "[mock:error]" } },
+    });
+    const res = await request(app)
+      .post(`/admin/notifications/channels/${created.body._id}/test`)
+      .set(as("owner"));
+    expect(res.statusCode).toBe(502);
+    expect(res.body.error).toMatch(/^Sending failed/);
+  });
+
+  it("should update and delete channels", async () => {
+    const created = await addChannel({ events: ["feedback.created"] });
+    const id = created.body._id;
+
+    const switched = await request(app)
+      .patch(`/admin/notifications/channels/${id}`)
+      .set(as("owner"))
+      .send({ type: "email", email: "Team@Example.test" });
+    expect(switched.statusCode).toBe(200);
+    expect(switched.body).toMatchObject({
+      type: "email",
+      email: "team@example.test",
+    });
+    expect(switched.body.url).toBeUndefined();
+
+    const list = await request(app)
+      .get("/admin/notifications/channels")
+      .set(as("owner"));
+    expect(list.body.items).toHaveLength(1);
+    expect(list.body.types.map((t) => t.type)).toEqual([
+      "email",
+      "slack",
+      "teams",
+      "json",
+    ]);
+
+    await request(app)
+      .delete(`/admin/notifications/channels/${id}`)
+      .set(as("owner"))
+      .expect(200);
+    expect(await NotificationChannel.countDocuments()).toBe(0);
+  });
+
+  it("should validate channels and limit them to managers", async () => {
+    const invalid = await request(app)
+      .post("/admin/notifications/channels")
+      .set(as("owner"))
+      .send({
+        name: "Team",
+        type: "teams",
+        events: ["feedback.eaten"],
+        statuses: ["sleeping"],
+        templates: { "feedback.eaten": { title: "Hi" } },
+      });
+    expect(invalid.statusCode).toBe(422);
+    expect(invalid.body.fields).toMatchObject({
+      events: expect.stringContaining("must be one of"),
+      statuses: expect.stringContaining("must be one of"),
+      templates: 'Templates: unknown event "feedback.eaten"',
+    });
+
+    const noUrl = await addChannel({
+      url: undefined,
+      events: ["comment.created"],
+    });
+    expect(noUrl.statusCode).toBe(422);
+    expect(noUrl.body.fields).toEqual({ url: "URL is required" });
+
+    const moderator = await request(app)
+      .get("/admin/notifications/channels")
+      .set(as("moderator"));
+    expect(moderator.statusCode).toBe(403);
+  });
+});
@@ -0,0 +1,148 @@
+const request = require("supertest");
+const mongoose = require("mongoose");
+const app = require("../server");
+const { signIn } = require("./helpers/accessToken");
+const Feedback = require("../models/Feedback.model");
+const Organization = require("../models/Organization.model");
+const {
+  DEFAULT_ORGANIZATION,
+  getOrganization,
+  invalidateOrganization,
+} = require("../utils/organizations");
+const { invalidateTags } = require("../utils/tags");
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || "test-secret";
+
+let acme;
+let defaultOrganization;
+
+// Access tokens of an owner of each organization, by slug
+const tokens = {};
+const auth = (organization) => ({
+  Authorization: `Bearer ${tokens[organization.slug]}`,
+});
+
+beforeAll(async () => {
+  await mongoose.connect("mongodb://localhost:27017/whistlespace_orgs_test");
+  defaultOrganization = await getOrganization(DEFAULT_ORGANIZATION);
+  acme = (await Organization.create({ slug: "acme", name: "Acme" })).toObject();
+  for (const organization of [defaultOrganization, acme]) {
+    tokens[organization.slug] = await signIn(organization);
+  }
+});
+
+afterAll(async () => {
+  await mongoose.connection.db.dropDatabase();
+  await mongoose.connection.close();
+});
+
+afterEach(async () => {
+  await Feedback.deleteMany({});
+  await Organization.updateOne(
+    { _id: acme._id },
+    {
+      $set: { settings: { moderationStrictness: "standard", allowedTags: [] } },
+    }
+  );
+  invalidateOrganization();
+  invalidateTags();
+});
+
+describe("Organizations", () => {
+  it("should keep each organization's board separate", async () => {
+    const created = await request(app)
+      .post("/o/acme/feedback")
+      .send({ text: "Acme parking is full" });
+    expect(created.statusCode).toBe(201);
+
+    const acmeBoard = await request(app).get("/o/acme/feedback");
+    expect(acmeBoard.body.items.map((f) => f.text)).toEqual([
+      "Acme parking is full",
+    ]);
+    const defaultBoard = await request(app).get("/feedback");
+    expect(defaultBoard.body.total).toBe(0);
+
+    const elsewhere = await request(app).get(`/feedback/${created.body._id}`);
+    expect(elsewhere.statusCode).toBe(404);
+  });
+
+  it("should answer 404 for unknown organizations", async () => {
+    const res = await request(app).get("/o/nope/feedback");
+    expect(res.statusCode).toBe(404);
+    expect(res.body.error).toBe("Organization not found");
+
+    const info = await request(app).get("/o/acme");
+    expect(info.body).toEqual({ slug: "acme", name: "Acme" });
+  });
+
+  it("should only let admins act on their own organization", async () => {
+    const feedback = await Feedback.create({
+      organization: acme._id,
+      text: "Acme item",
+    });
+
+    const outsider = await request(app)
+      .patch(`/o/acme/feedback/${feedback._id}/lock`)
+      .set(auth(defaultOrganization))
+      .send({ locked: true });
+    expect(outsider.statusCode).toBe(403);
+
+    const member = await request(app)
+      .patch(`/o/acme/feedback/${feedback._id}/lock`)
+      .set(auth(acme))
+      .send({ locked: true });
+    expect(member.statusCode).toBe(200);
+
+    // Other organizations' admins get the public view
+    const browsing = await request(app)
+      .get("/o/acme/feedback")
+      .set(auth(defaultOrganization));
+    expect(browsing.statusCode).toBe(200);
+
+    // ...but not its review queue
+    const queue = await request(app)
+      .get("/o/acme/feedback?visibility=pending_review")
+      .set(auth(defaultOrganization));
+    expect(queue.statusCode).toBe(403);
+  });
+
+  it("should apply the organization's settings", async () => {
+    const invalid = await request(app)
+      .patch("/admin/organization")
+      .set(auth(acme))
+      .send({ allowedTags: ["nope"] });
+    expect(invalid.statusCode).toBe(422);
+    expect(invalid.body.fields.allowedTags).toBe("Unknown tag: nope");
+
+    const res = await request(app)
+      .patch("/admin/organization")
+      .set(auth(acme))
+      .send({
+        allowedTags: ["bug"],
+        moderationStrictness: "strict",
+        notificationEmail: "alerts@acme.test",
+      });
+    expect(res.statusCode).toBe(200);
+    expect(res.body.settings).toMatchObject({
+      allowedTags: ["bug"],
+      moderationStrictness: "strict",
+      notificationEmail: "alerts@acme.test",
+    });
+
+    const tags = await request(app).get("/o/acme/tags");
+    const allowed = tags.body.items.filter((t) => t.allowed).map((t) => t.slug);
+    expect(allowed).toEqual(["bug"]);
+
+    const refused = await request(app)
+      .post("/o/acme/feedback")
+      .send({ text: "Colors are off", tags: ["ui"] });
+    expect(refused.statusCode).toBe(422);
+    expect(refused.body.fields.tags).toBe("Unknown tag: ui");
+
+    // The default organization is unaffected
+    const elsewhere = await request(app)
+      .post("/feedback")
+      .send({ text: "Colors are off", tags: ["ui"] });
+    expect(elsewhere.statusCode).toBe(201);
+  });
+});
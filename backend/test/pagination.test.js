@@ -0,0 +1,58 @@
+const mongoose = require("mongoose");
+const Feedback = require("../models/Feedback.model");
+const {
+  SORT_OPTIONS,
+  encodeCursor,
+  decodeCursor,
+  cursorCondition,
+} = require("../utils/pagination");
+
+const { most_commented: mostCommented, oldest } = SORT_OPTIONS;
+
+// A document as loaded from the database
+const loaded = (fields) =>
+  Feedback.hydrate({
+    _id: new mongoose.Types.ObjectId(),
+    text: "x",
+    ...fields,
+  });
+
+describe("Pagination cursors", () => {
+  it("should round-trip the sort value and _id", () => {
+    const doc = loaded({ commentCount: 3 });
+    const cursor = encodeCursor(doc, mostCommented);
+    expect(decodeCursor(cursor, mostCommented)).toEqual({
+      value: 3,
+      id: doc._id,
+    });
+  });
+
+  it("should encode a missing sort field as null, not its default", () => {
+    const doc = loaded({});
+    expect(doc.commentCount).toBe(0);
+    const cursor = encodeCursor(doc, mostCommented);
+    expect(decodeCursor(cursor, mostCommented).value).toBeNull();
+
+    const { recently_updated: recentlyUpdated } = SORT_OPTIONS;
+    const undated = encodeCursor(loaded({}), recentlyUpdated);
+    expect(decodeCursor(undated, recentlyUpdated).value).toBeNull();
+  });
+
+  it("should page past items without the sort field", () => {
+    const id = new mongoose.Types.ObjectId();
+    // Descending: they come last, after every value
+    expect(cursorCondition({ value: 0, id }, mostCommented).$or).toContainEqual(
+      { commentCount: null }
+    );
+    expect(cursorCondition({ value: null, id }, mostCommented)).toEqual({
+      $or: [{ commentCount: null, _id: { $lt: id } }],
+    });
+    // Ascending: they come first, before every value
+    expect(cursorCondition({ value: null, id }, oldest)).toEqual({
+      $or: [
+        { createdAt: null, _id: { $gt: id } },
+        { createdAt: { $ne: null } },
+      ],
+    });
+  });
+});
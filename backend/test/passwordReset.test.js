@@ -0,0 +1,163 @@
+const request = require("supertest");
+const mongoose = require("mongoose");
+jest.mock("../utils/sendEmail", () => jest.fn().mockResolvedValue());
+const sendEmail = require("../utils/sendEmail");
+const app = require("../server");
+const Admin = require("../models/Admin.model");
+const PasswordReset = require("../models/PasswordReset.model");
+const Session = require("../models/Session.model");
+const {
+  DEFAULT_ORGANIZATION,
+  getOrganization,
+} = require("../utils/organizations");
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || "test-secret";
+
+const EMAIL = "owner@example.test";
+
+const forgot = (email) =>
+  request(app).post("/admin/password/forgot").send({ email });
+
+const reset = (token, password) =>
+  request(app).post("/admin/password/reset").send({ token, password });
+
+// Links are emailed after the response; wait for the email
+async function emailedToken() {
+  for (let i = 0; i < 50 && !sendEmail.mock.calls.length; i++) {
+    await new Promise((resolve) => setTimeout(resolve, 20));
+  }
+  const { text } = sendEmail.mock.calls.at(-1)[0];
+  return text.match(/\/admin\/reset-password\/(\w+)/)[1];
+}
+
+const login = (password) =>
+  request(app)
+    .post("/admin/login")
+    .send({ username: "owner", password });
+
+beforeAll(async () => {
+  await mongoose.connect(
+    "mongodb://localhost:27017/whistlespace_password_reset_test"
+  );
+});
+
+afterAll(async () => {
+  await mongoose.connection.db.dropDatabase();
+  await mongoose.connection.close();
+});
+
+beforeEach(async () => {
+  await Promise.all([
+    Admin.deleteMany({}),
+    PasswordReset.deleteMany({}),
+    Session.deleteMany({}),
+  ]);
+  const organization = await getOrganization(DEFAULT_ORGANIZATION);
+  await Admin.create({
+    username: "owner",
+    password: "old-password",
+    email: EMAIL,
+    organization: organization._id,
+  });
+  sendEmail.mockClear();
+});
+
+describe("Password reset", () => {
+  it("should email a link and set the new password", async () => {
+    const res = await forgot("Owner@Example.test");
+    expect(res.statusCode).toBe(200);
+    const token = await emailedToken();
+    expect(sendEmail.mock.calls[0][0].to).toBe(EMAIL);
+
+    const done = await reset(token, "new-password");
+    expect(done.statusCode).toBe(200);
+    expect((await login("old-password")).statusCode).toBe(401);
+    expect((await login("new-password")).statusCode).toBe(200);
+  });
+
+  it("should escape the username in the email", async () => {
+    await Admin.updateOne({ email: EMAIL }, { username: "<b>owner</b>" });
+    await forgot(EMAIL);
+    await emailedToken();
+    const { html } = sendEmail.mock.calls[0][0];
+    expect(html).toContain("&lt;b&gt;owner&lt;/b&gt;");
+    expect(html).not.toContain("<b>owner</b>");
+  });
+
+  it("should answer the same for unknown emails", async () => {
+    const res = await forgot("nobody@example.test");
+    expect(res.statusCode).toBe(200);
+    expect(res.body.message).toBe((await forgot(EMAIL)).body.message);
+    await emailedToken();
+    expect(sendEmail).toHaveBeenCalledTimes(1);
+  });
+
+  it("should only store a hash of the token", async () => {
+    await forgot(EMAIL);
+    const token = await emailedToken();
+    const stored = await PasswordReset.findOne().lean();
+    expect(stored.tokenHash).not.toBe(token);
+    expect(JSON.stringify(stored)).not.toContain(token);
+  });
+
+  it("should accept a link only once", async () => {
+    await forgot(EMAIL);
+    const token = await emailedToken();
+    expect((await reset(token, "new-password")).statusCode).toBe(200);
+    const again = await reset(token, "other-password");
+    expect(again.statusCode).toBe(400);
+    expect(again.body.error).toBe("Reset link is invalid or expired");
+  });
+
+  it("should reject expired links", async () => {
+    await forgot(EMAIL);
+    const token = await emailedToken();
+    await PasswordReset.updateMany({}, { expiresAt: new Date(Date.now() - 1) });
+    expect((await reset(token, "new-password")).statusCode).toBe(400);
+  });
+
+  it("should replace earlier links", async () => {
+    await forgot(EMAIL);
+    const first = await emailedToken();
+    sendEmail.mockClear();
+    await forgot(EMAIL);
+    const second = await emailedToken();
+    expect((await reset(first, "new-password")).statusCode).toBe(400);
+    expect((await reset(second, "new-password")).statusCode).toBe(200);
+  });
+
+  it("should sign the admin out everywhere", async () => {
+    const signedIn = await login("old-password");
+    const cookie = signedIn.headers["set-cookie"][0].split(";")[0];
+    await forgot(EMAIL);
+    await reset(await emailedToken(), "new-password");
+
+    expect(await Session.countDocuments()).toBe(0);
+    const refresh = await request(app)
+      .post("/admin/refresh")
+      .set("Cookie", cookie);
+    expect(refresh.statusCode).toBe(401);
+  });
+
+  it("should not send links to disabled admins", async () => {
+    await Admin.updateMany({}, { disabled: true });
+    await forgot(EMAIL);
+    await new Promise((resolve) => setTimeout(resolve, 200));
+    expect(sendEmail).not.toHaveBeenCalled();
+  });
+
+  it("should let admins set their own email", async () => {
+    await Admin.updateMany({}, { $unset: { email: 1 } });
+    const { token } = (await login("old-password")).body;
+    const res = await request(app)
+      .patch("/admin/users/me/email")
+      .set("Authorization", `Bearer ${token}`)
+      .send({ email: "New@Example.test" });
+    expect(res.statusCode).toBe(200);
+    expect(res.body.email).toBe("new@example.test");
+
+    await forgot("new@example.test");
+    await emailedToken();
+    expect(sendEmail.mock.calls[0][0].to).toBe("new@example.test");
+  });
+});
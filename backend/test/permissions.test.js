@@ -0,0 +1,60 @@
+const { ROLES, PERMISSIONS, can } = require("../utils/permissions");
+const { requirePermission } = require("../middleware/auth");
+
+// Runs the middleware for an admin with the given role; resolves what it did
+function run(permission, role) {
+  const request = { admin: role && { id: "1", role } };
+  const response = {
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(body) {
+      this.body = body;
+      return this;
+    },
+  };
+  let passed = false;
+  requirePermission(permission)(request, response, () => {
+    passed = true;
+  });
+  return { passed, res: response };
+}
+
+describe("Admin permissions", () => {
+  it("should give owners every permission", () => {
+    for (const permission of Object.keys(PERMISSIONS)) {
+      expect(can("owner", permission)).toBe(true);
+    }
+  });
+
+  it("should keep auditors read-only", () => {
+    const allowed = Object.keys(PERMISSIONS).filter((p) => can("auditor", p));
+    expect(allowed).toEqual(["feedback:read", "audit:read"]);
+  });
+
+  it("should only use known roles in the matrix", () => {
+    for (const roles of Object.values(PERMISSIONS)) {
+      for (const role of roles) expect(ROLES).toContain(role);
+    }
+  });
+
+  it("should deny unknown roles and permissions", () => {
+    expect(can("owner", "feedback:destroy")).toBe(false);
+    expect(can("superuser", "feedback:delete")).toBe(false);
+    expect(can(undefined, "feedback:read")).toBe(false);
+  });
+
+  it("should answer 403 when the role lacks the permission", () => {
+    const denied = run("feedback:delete", "responder");
+    expect(denied.passed).toBe(false);
+    expect(denied.res.statusCode).toBe(403);
+    expect(denied.res.body.error).toBe("Your role does not allow this action");
+
+    // Tokens issued before roles existed carry none
+    expect(run("feedback:read", undefined).passed).toBe(false);
+
+    expect(run("feedback:delete", "moderator").passed).toBe(true);
+    expect(run("feedback:status", "responder").passed).toBe(true);
+  });
+});
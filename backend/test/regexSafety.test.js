@@ -0,0 +1,37 @@
+const {
+  unsafeRegexReason,
+  hasNestedQuantifier,
+} = require("../utils/regexSafety");
+const { DEFAULT_RULES } = require("../utils/moderationRules");
+
+describe("Regex rule safety", () => {
+  it("should spot groups that repeat an unbounded repeat", () => {
+    expect(hasNestedQuantifier("(a+)+$")).toBe(true);
+    expect(hasNestedQuantifier("^(\\w+\\s?)*$")).toBe(true);
+    expect(hasNestedQuantifier("(?:x|(y*))*")).toBe(true);
+    expect(hasNestedQuantifier("(ab)+c+")).toBe(false);
+    expect(hasNestedQuantifier("(a{1,3})+")).toBe(false);
+    // Escaped and in a character class, ( and + are literals
+    expect(hasNestedQuantifier("\\(a+\\)+")).toBe(false);
+    expect(hasNestedQuantifier("[(a+)]+")).toBe(false);
+  });
+
+  it("should reject patterns that are slow on repetitive text", () => {
+    expect(unsafeRegexReason("(a+)+$")).toMatch(/repeats itself/);
+    expect(unsafeRegexReason("(a|aa)+$", "i")).toMatch(/too slow/);
+  });
+
+  it("should accept the default rules and ordinary patterns", () => {
+    const patterns = [
+      ...DEFAULT_RULES.filter((rule) => rule.type === "regex").map(
+        (rule) => rule.pattern
+      ),
+      "buy\\s+now",
+      "https?://\\S+",
+      "\\b(free|cheap)\\s+(pills|meds)\\b",
+    ];
+    for (const pattern of patterns) {
+      expect(unsafeRegexReason(pattern, "i")).toBeNull();
+    }
+  });
+});
@@ -0,0 +1,137 @@
+const zlib = require("zlib");
+const {
+  ScrubError,
+  detectType,
+  scrubMetadata,
+} = require("../utils/scrubMetadata");
+
+// JPEG segment: marker + length + data
+const segment = (marker, data) => {
+  const header = Buffer.from([0xff, marker, 0, 0]);
+  header.writeUInt16BE(data.length + 2, 2);
+  return Buffer.concat([header, Buffer.from(data, "latin1")]);
+};
+
+// PNG chunk (the CRC isn't checked by the scrubber)
+const chunk = (type, data) => {
+  const length = Buffer.alloc(4);
+  length.writeUInt32BE(data.length);
+  return Buffer.concat([
+    length,
+    Buffer.from(type + data, "latin1"),
+    Buffer.alloc(4),
+  ]);
+};
+
+// Minimal PDF with a cross-reference table pointing at each object
+function buildPdf(objects, trailer) {
+  let pdf = "%PDF-1.7\n";
+  const offsets = [];
+  objects.forEach((body, i) => {
+    offsets.push(Buffer.byteLength(pdf, "latin1"));
+    pdf += `${i + 1} 0 obj\n${body}\nendobj\n`;
+  });
+  const xref = Buffer.byteLength(pdf, "latin1");
+  pdf += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+  pdf += offsets.map((o) => `${String(o).padStart(10, "0")} 00000 n \n`).join("");
+  pdf += `trailer\n${trailer}\nstartxref\n${xref}\n%%EOF\n`;
+  return Buffer.from(pdf, "latin1");
+}
+
+// Object i (1-based) still starts where the xref table says
+const objectAt = (pdf, i) => {
+  const text = pdf.toString("latin1");
+  const table = text.slice(text.lastIndexOf("\nxref\n") + 1);
+  const offset = Number(table.split("\n")[2 + i].slice(0, 10));
+  return text.slice(offset, offset + `${i} 0 obj`.length);
+};
+
+describe("Metadata scrubbing", () => {
+  it("should detect types from content, not names", () => {
+    expect(detectType(Buffer.from([0xff, 0xd8, 0xff, 0xe0]))).toBe("image/jpeg");
+    expect(detectType(Buffer.from("%PDF-1.4\n"))).toBe("application/pdf");
+    expect(detectType(Buffer.from("<svg></svg>"))).toBeNull();
+  });
+
+  it("should strip EXIF and comments from JPEGs", () => {
+    const jpeg = Buffer.concat([
+      Buffer.from([0xff, 0xd8]),
+      segment(0xe0, "JFIF\0"),
+      segment(0xe1, "Exif\0\0GPS 51.5N Jane's phone"),
+      segment(0xfe, "taken by Jane"),
+      segment(0xdb, "quantization"),
+      Buffer.from([0xff, 0xda, 0x00, 0x02, 0x12, 0x34, 0xff, 0xd9]),
+    ]);
+    const clean = scrubMetadata(jpeg, "image/jpeg").toString("latin1");
+    expect(clean).toContain("JFIF");
+    expect(clean).toContain("quantization");
+    expect(clean).not.toContain("Jane");
+  });
+
+  it("should strip text chunks from PNGs", () => {
+    const png = Buffer.concat([
+      Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+      chunk("IHDR", "0123456789abc"),
+      chunk("tEXt", "Author\0Jane Doe"),
+      chunk("IDAT", "pixels"),
+      chunk("IEND", ""),
+    ]);
+    const clean = scrubMetadata(png, "image/png").toString("latin1");
+    expect(clean).toContain("IDAT");
+    expect(clean).not.toContain("Jane");
+  });
+
+  it("should blank PDF metadata without moving objects", () => {
+    const xmp = "<x:xmpmeta><dc:creator>Jane Doe</dc:creator></x:xmpmeta>";
+    const pdf = buildPdf(
+      [
+        "<< /Type /Catalog /Pages 2 0 R /Metadata 4 0 R >>",
+        "<< /Type /Pages /Kids [] /Count 0 >>",
+        "<< /Author (Jane \\(JD\\) Doe) /Creator <4A616E65> /CreationDate (D:20240101) >>",
+        `<< /Type /Metadata /Subtype /XML /Length ${xmp.length} >>\nstream\n${xmp}\nendstream`,
+      ],
+      "<< /Size 5 /Root 1 0 R /Info 3 0 R /ID [<0123ABCD><0123ABCD>] >>"
+    );
+    const clean = scrubMetadata(pdf, "application/pdf");
+    const text = clean.toString("latin1");
+
+    expect(clean.length).toBe(pdf.length);
+    expect(text).not.toContain("Jane");
+    expect(text).not.toContain("4A616E65");
+    expect(text).toContain("/ID [<00000000><00000000>]");
+    expect(text).toContain("/Type /Pages");
+    for (let i = 1; i <= 4; i++) expect(objectAt(clean, i)).toBe(`${i} 0 obj`);
+  });
+
+  it("should rewrite compressed object streams to the same length", () => {
+    const content = "3 0 << /Author (Jane Doe) /Producer (Writer) >>";
+    const data = zlib.deflateSync(Buffer.from(content), { level: 0 });
+    const pdf = buildPdf(
+      [
+        "<< /Type /Catalog /Pages 2 0 R >>",
+        "<< /Type /Pages /Kids [] /Count 0 >>",
+        "<< /Type /Filler >>",
+        `<< /Type /ObjStm /N 1 /First 4 /Filter /FlateDecode /Length ${data.length} >>\nstream\n${data.toString("latin1")}\nendstream`,
+      ],
+      "<< /Size 5 /Root 1 0 R /Info 3 0 R >>"
+    );
+    const clean = scrubMetadata(pdf, "application/pdf");
+    expect(clean.length).toBe(pdf.length);
+
+    const text = clean.toString("latin1");
+    const start = text.indexOf("stream\n", text.indexOf("/ObjStm")) + 7;
+    const inflated = zlib
+      .inflateSync(clean.subarray(start, start + data.length))
+      .toString();
+    expect(inflated).not.toContain("Jane");
+    expect(inflated.trim()).toMatch(/^3 0 << \/Author \(\) +\/Producer \(\) +>>$/);
+  });
+
+  it("should refuse encrypted PDFs", () => {
+    const pdf = buildPdf(
+      ["<< /Type /Catalog >>"],
+      "<< /Size 2 /Root 1 0 R /Encrypt 1 0 R >>"
+    );
+    expect(() => scrubMetadata(pdf, "application/pdf")).toThrow(ScrubError);
+  });
+});
@@ -0,0 +1,29 @@
+const { parseSearchTerms, buildSnippet } = require("../utils/search");
+
+describe("Search helpers", () => {
+  it("should keep phrases and drop negated terms", () => {
+    expect(parseSearchTerms('wifi "dark mode" -spam')).toEqual([
+      "wifi",
+      "dark mode",
+    ]);
+  });
+
+  it("should highlight matches at word starts", () => {
+    const segments = buildSnippet("Logins fail after login", ["login"]);
+    expect(segments.filter((s) => s.match).map((s) => s.text)).toEqual([
+      "Logins",
+      "login",
+    ]);
+  });
+
+  it("should trim long text around the first match", () => {
+    const text = `${"a ".repeat(200)}needle${" b".repeat(200)}`;
+    const segments = buildSnippet(text, ["needle"]);
+    expect(segments[0].text).toBe("…");
+    expect(segments[segments.length - 1].text).toBe("…");
+  });
+
+  it("should return null when nothing matches", () => {
+    expect(buildSnippet("nothing here", ["absent"])).toBeNull();
+  });
+});
@@ -0,0 +1,160 @@
+const request = require("supertest");
+const mongoose = require("mongoose");
+const jwt = require("jsonwebtoken");
+const app = require("../server");
+const Admin = require("../models/Admin.model");
+const Session = require("../models/Session.model");
+const {
+  DEFAULT_ORGANIZATION,
+  getOrganization,
+} = require("../utils/organizations");
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || "test-secret";
+
+const credentials = { username: "owner", password: "owner-password" };
+
+// Signs in from a device; returns its access token and refresh cookie
+async function login(userAgent = "jest") {
+  const res = await request(app)
+    .post("/admin/login")
+    .set("User-Agent", userAgent)
+    .send(credentials);
+  expect(res.statusCode).toBe(200);
+  return { token: res.body.token, cookie: refreshCookie(res) };
+}
+
+// "refreshToken=..." from a response's Set-Cookie header
+const refreshCookie = (res) =>
+  (res.headers["set-cookie"] || [])
+    .find((c) => c.startsWith("refreshToken="))
+    ?.split(";")[0];
+
+const refresh = (cookie) =>
+  request(app).post("/admin/refresh").set("Cookie", cookie);
+
+beforeAll(async () => {
+  await mongoose.connect(
+    "mongodb://localhost:27017/whistlespace_sessions_test"
+  );
+  const organization = await getOrganization(DEFAULT_ORGANIZATION);
+  await Admin.create({
+    ...credentials,
+    role: "owner",
+    organization: organization._id,
+  });
+});
+
+afterAll(async () => {
+  await mongoose.connection.db.dropDatabase();
+  await mongoose.connection.close();
+});
+
+afterEach(async () => {
+  await Session.deleteMany({});
+});
+
+describe("Admin sessions", () => {
+  it("should keep one session per device", async () => {
+    const laptop = await login("laptop");
+    const phone = await login("phone");
+
+    expect((await refresh(laptop.cookie)).statusCode).toBe(200);
+    expect((await refresh(phone.cookie)).statusCode).toBe(200);
+
+    const list = await request(app)
+      .get("/admin/sessions")
+      .set("Authorization", `Bearer ${phone.token}`);
+    expect(list.body.items.map((s) => s.userAgent).sort()).toEqual([
+      "laptop",
+      "phone",
+    ]);
+    expect(list.body.items.find((s) => s.current).userAgent).toBe("phone");
+    expect(list.body.items[0].tokenHash).toBeUndefined();
+  });
+
+  it("should rotate the refresh token on every refresh", async () => {
+    const { cookie } = await login();
+    const res = await refresh(cookie);
+    expect(res.statusCode).toBe(200);
+    expect(jwt.decode(res.body.accessToken).username).toBe("owner");
+
+    const next = refreshCookie(res);
+    expect(next).toBeDefined();
+    expect(next).not.toBe(cookie);
+    expect((await refresh(next)).statusCode).toBe(200);
+  });
+
+  it("should revoke the session when a replaced token is reused", async () => {
+    const { token, cookie } = await login();
+    const next = refreshCookie(await refresh(cookie));
+
+    // Right after rotating, the old token is taken for a concurrent tab
+    const concurrent = await refresh(cookie);
+    expect(concurrent.statusCode).toBe(200);
+    expect(refreshCookie(concurrent)).toBeUndefined();
+
+    // Later, it can only be a copy
+    await Session.updateMany({}, { rotatedAt: new Date(Date.now() - 60000) });
+    expect((await refresh(cookie)).statusCode).toBe(401);
+    expect((await refresh(next)).statusCode).toBe(401);
+    expect(await Session.countDocuments()).toBe(0);
+
+    // Its access token stops working too
+    const sessions = await request(app)
+      .get("/admin/sessions")
+      .set("Authorization", `Bearer ${token}`);
+    expect(sessions.statusCode).toBe(401);
+  });
+
+  it("should revoke one session or all of them", async () => {
+    const laptop = await login("laptop");
+    const phone = await login("phone");
+    const auth = { Authorization: `Bearer ${laptop.token}` };
+
+    const list = await request(app).get("/admin/sessions").set(auth);
+    const other = list.body.items.find((s) => !s.current);
+    const revoked = await request(app)
+      .delete(`/admin/sessions/${other._id}`)
+      .set(auth);
+    expect(revoked.statusCode).toBe(200);
+    expect((await refresh(phone.cookie)).statusCode).toBe(401);
+    expect((await refresh(laptop.cookie)).statusCode).toBe(200);
+
+    // The revoked device's access token is refused right away
+    const signedOut = await request(app)
+      .get("/admin/sessions")
+      .set("Authorization", `Bearer ${phone.token}`);
+    expect(signedOut.statusCode).toBe(401);
+
+    await login("tablet");
+    const everywhere = await request(app).delete("/admin/sessions").set(auth);
+    expect(everywhere.body.revoked).toBe(2);
+    expect(await Session.countDocuments()).toBe(0);
+  });
+
+  it("should sign out other devices when the password changes", async () => {
+    const laptop = await login("laptop");
+    const phone = await login("phone");
+    const changePassword = (currentPassword, newPassword) =>
+      request(app)
+        .patch("/admin/users/me/password")
+        .set("Authorization", `Bearer ${laptop.token}`)
+        .send({ currentPassword, newPassword });
+
+    const res = await changePassword(credentials.password, "changed-password");
+    expect(res.statusCode).toBe(200);
+    expect(res.body.revoked).toBe(1);
+    expect((await refresh(phone.cookie)).statusCode).toBe(401);
+    expect((await refresh(laptop.cookie)).statusCode).toBe(200);
+
+    // Back to the shared credentials
+    await changePassword("changed-password", credentials.password).expect(200);
+  });
+
+  it("should end the session on logout", async () => {
+    const { cookie } = await login();
+    const res = await request(app).post("/admin/logout").set("Cookie", cookie);
+    expect(res.statusCode).toBe(204);
+    expect((await refresh(cookie)).statusCode).toBe(401);
+  });
+});
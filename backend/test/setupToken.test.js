@@ -0,0 +1,55 @@
+const Admin = require("../models/Admin.model");
+const {
+  issueSetupToken,
+  consumeSetupToken,
+  restoreSetupToken,
+} = require("../utils/setupToken");
+
+afterEach(() => jest.restoreAllMocks());
+
+describe("First-run setup token", () => {
+  it("should only issue a token while no admin exists", async () => {
+    jest.spyOn(Admin, "exists").mockResolvedValue({ _id: "1" });
+    expect(await issueSetupToken()).toBeNull();
+
+    Admin.exists.mockResolvedValue(null);
+    expect(await issueSetupToken()).toMatch(/^[0-9a-f]{64}$/);
+  });
+
+  it("should accept the token once", async () => {
+    jest.spyOn(Admin, "exists").mockResolvedValue(null);
+    const token = await issueSetupToken();
+
+    expect(consumeSetupToken("wrong")).toBe(false);
+    expect(consumeSetupToken(undefined)).toBe(false);
+    expect(consumeSetupToken(token)).toBe(true);
+    expect(consumeSetupToken(token)).toBe(false);
+  });
+
+  it("should accept a restored token again", async () => {
+    jest.spyOn(Admin, "exists").mockResolvedValue(null);
+    const token = await issueSetupToken();
+
+    expect(consumeSetupToken(token)).toBe(true);
+    restoreSetupToken(token);
+    expect(consumeSetupToken(token)).toBe(true);
+  });
+
+  it("should invalidate earlier tokens when a new one is issued", async () => {
+    jest.spyOn(Admin, "exists").mockResolvedValue(null);
+    const first = await issueSetupToken();
+    const second = await issueSetupToken();
+
+    expect(consumeSetupToken(first)).toBe(false);
+    expect(consumeSetupToken(second)).toBe(true);
+  });
+
+  it("should accept nothing once setup is complete", async () => {
+    jest.spyOn(Admin, "exists").mockResolvedValue(null);
+    const token = await issueSetupToken();
+    Admin.exists.mockResolvedValue({ _id: "1" });
+    await issueSetupToken();
+
+    expect(consumeSetupToken(token)).toBe(false);
+  });
+});
@@ -0,0 +1,44 @@
+const workflow = require("../utils/statusWorkflow");
+const { createWorkflow } = require("../utils/statusWorkflow");
+
+describe("Status workflow", () => {
+  it("should allow configured transitions", () => {
+    expect(workflow.checkTransition("open", "triaged")).toBeNull();
+    expect(workflow.checkTransition("triaged", "in_progress")).toBeNull();
+    expect(workflow.checkTransition("in_progress", "resolved")).toBeNull();
+  });
+
+  it("should reject transitions that skip steps", () => {
+    expect(workflow.checkTransition("open", "resolved")).toMatch(
+      /Cannot change status/
+    );
+  });
+
+  it("should require a reason where configured", () => {
+    expect(workflow.checkTransition("open", "rejected")).toMatch(/reason/);
+    expect(workflow.checkTransition("open", "rejected", "Duplicate")).toBeNull();
+  });
+
+  it("should reject unknown statuses", () => {
+    expect(workflow.checkTransition("open", "done")).toMatch(/Invalid status/);
+  });
+
+  it("should let items in legacy statuses move to any known status", () => {
+    expect(workflow.checkTransition("pending", "closed")).toBeNull();
+  });
+
+  it("should close comments on closed and rejected items", () => {
+    expect(workflow.allowsComments("open")).toBe(true);
+    expect(workflow.allowsComments("closed")).toBe(false);
+    expect(workflow.allowsComments("rejected")).toBe(false);
+  });
+
+  it("should validate custom definitions", () => {
+    expect(() =>
+      createWorkflow({
+        initial: "new",
+        statuses: { new: { transitions: { done: {} } } },
+      })
+    ).toThrow(/unknown "done"/);
+  });
+});
@@ -0,0 +1,175 @@
+const request = require("supertest");
+const mongoose = require("mongoose");
+const app = require("../server");
+const { signIn } = require("./helpers/accessToken");
+const Tag = require("../models/Tag.model");
+const Feedback = require("../models/Feedback.model");
+const ModerationRule = require("../models/ModerationRule.model");
+const { invalidateTags } = require("../utils/tags");
+const { invalidateRules } = require("../utils/moderationRules");
+const {
+  DEFAULT_ORGANIZATION,
+  getOrganization,
+} = require("../utils/organizations");
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || "test-secret";
+
+// The unprefixed routes serve the default organization
+let organization;
+
+// Documents created directly belong to it too
+const inOrganization = (doc) => ({ ...doc, organization: organization._id });
+
+// Access token for admin-only routes
+let token;
+const adminToken = () => token;
+
+beforeAll(async () => {
+  await mongoose.connect("mongodb://localhost:27017/whistlespace_tags_test");
+  organization = await getOrganization(DEFAULT_ORGANIZATION);
+  token = await signIn(organization);
+});
+
+afterAll(async () => {
+  await mongoose.connection.db.dropDatabase();
+  await mongoose.connection.close();
+});
+
+afterEach(async () => {
+  await Tag.deleteMany({});
+  await Feedback.deleteMany({});
+  await ModerationRule.deleteMany({});
+  invalidateTags();
+  invalidateRules();
+});
+
+describe("Tags API", () => {
+  const auth = () => ({ Authorization: `Bearer ${adminToken()}` });
+
+  it("should seed and list the default tags publicly", async () => {
+    const res = await request(app).get("/tags");
+    expect(res.statusCode).toBe(200);
+    expect(res.body.items.map((t) => t.slug)).toEqual(
+      expect.arrayContaining(["bug", "feature", "ui", "performance", "other"])
+    );
+  });
+
+  it("should let only admins create tags", async () => {
+    const anonymous = await request(app)
+      .post("/tags")
+      .send({ slug: "safety", label: "Safety" });
+    expect(anonymous.statusCode).toBe(401);
+
+    const res = await request(app)
+      .post("/tags")
+      .set(auth())
+      .send({ slug: "safety", label: "Safety", color: "red" });
+    expect(res.statusCode).toBe(201);
+
+    const duplicate = await request(app)
+      .post("/tags")
+      .set(auth())
+      .send({ slug: "safety", label: "Safety again" });
+    expect(duplicate.statusCode).toBe(409);
+
+    const invalid = await request(app)
+      .post("/tags")
+      .set(auth())
+      .send({ slug: "not a slug", color: "plaid" });
+    expect(invalid.statusCode).toBe(422);
+    expect(invalid.body.fields).toMatchObject({
+      slug: "Slug may only contain a-z, 0-9 and dashes",
+      label: "Label is required",
+      color: expect.stringContaining("must be one of"),
+    });
+  });
+
+  it("should validate feedback tags against the taxonomy", async () => {
+    const unknown = await request(app)
+      .post("/feedback")
+      .send({ text: "Where do I file this?", tags: ["nonsense"] });
+    expect(unknown.statusCode).toBe(422);
+    expect(unknown.body.fields.tags).toBe("Unknown tag: nonsense");
+
+    await request(app).patch("/tags/other").set(auth()).send({ archived: true });
+    const archived = await request(app)
+      .post("/feedback")
+      .send({ text: "Misc report", tags: ["other"] });
+    expect(archived.statusCode).toBe(422);
+
+    const hidden = await request(app).get("/tags");
+    expect(hidden.body.items.map((t) => t.slug)).not.toContain("other");
+    const all = await request(app).get("/tags?archived=true");
+    expect(all.body.items.map((t) => t.slug)).toContain("other");
+
+    const ok = await request(app)
+      .post("/feedback")
+      .send({ text: "Button misaligned", tags: ["UI", "ui"] });
+    expect(ok.statusCode).toBe(201);
+    expect(ok.body.tags).toEqual(["ui"]);
+  });
+
+  it("should rename a tag on existing feedback and rules", async () => {
+    await request(app).get("/tags");
+    await Feedback.create(
+      inOrganization({ text: "Slow pages", tags: ["performance", "ui"] })
+    );
+    await ModerationRule.create(
+      inOrganization({ type: "threshold", tag: "performance", score: 2 })
+    );
+
+    const res = await request(app)
+      .patch("/tags/performance")
+      .set(auth())
+      .send({ slug: "speed", label: "Speed" });
+    expect(res.statusCode).toBe(200);
+    expect(res.body.updatedFeedback).toBe(1);
+
+    const feedback = await Feedback.findOne({ text: "Slow pages" });
+    expect(feedback.tags).toEqual(["speed", "ui"]);
+    expect(await ModerationRule.exists({ tag: "speed" })).toBeTruthy();
+  });
+
+  it("should merge a tag into another one", async () => {
+    await request(app).get("/tags");
+    await Feedback.create(
+      [
+        { text: "Crash on login", tags: ["bug"] },
+        { text: "Crash and wrong colors", tags: ["bug", "ui"] },
+      ].map(inOrganization)
+    );
+
+    const res = await request(app)
+      .post("/tags/bug/merge")
+      .set(auth())
+      .send({ into: "ui" });
+    expect(res.statusCode).toBe(200);
+    expect(res.body.updatedFeedback).toBe(2);
+
+    const items = await Feedback.find().sort({ text: 1 });
+    expect(items.map((f) => f.tags)).toEqual([["ui"], ["ui"]]);
+    expect(await Tag.exists({ slug: "bug" })).toBeNull();
+
+    const itself = await request(app)
+      .post("/tags/ui/merge")
+      .set(auth())
+      .send({ into: "UI" });
+    expect(itself.statusCode).toBe(422);
+    expect(itself.body.fields).toEqual({
+      into: "A tag cannot be merged into itself",
+    });
+  });
+
+  it("should only delete unused tags", async () => {
+    await request(app).get("/tags");
+    await Feedback.create(
+      inOrganization({ text: "New idea", tags: ["feature"] })
+    );
+
+    const inUse = await request(app).delete("/tags/feature").set(auth());
+    expect(inUse.statusCode).toBe(409);
+
+    const unused = await request(app).delete("/tags/other").set(auth());
+    expect(unused.statusCode).toBe(200);
+  });
+});
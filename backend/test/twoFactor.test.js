@@ -0,0 +1,164 @@
+const bcrypt = require("bcrypt");
+const Admin = require("../models/Admin.model");
+const {
+  base32Encode,
+  base32Decode,
+  generateSecret,
+  totp,
+  verifyTotp,
+  otpauthUrl,
+} = require("../utils/totp");
+const {
+  generateRecoveryCodes,
+  hashRecoveryCodes,
+  verifySecondFactor,
+} = require("../utils/twoFactor");
+
+// The RFC 6238 test secret, "12345678901234567890"
+const RFC_SECRET = "GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ";
+
+// An admin with two-factor enabled (enough of one for verifySecondFactor)
+const enrolledAdmin = async (secret, recoveryCodes = []) => ({
+  _id: "admin-id",
+  twoFactor: {
+    enabled: true,
+    secret,
+    recoveryCodes: await hashRecoveryCodes(recoveryCodes),
+  },
+});
+
+afterEach(() => jest.restoreAllMocks());
+
+describe("TOTP", () => {
+  it("should match the RFC 6238 test vectors", () => {
+    // [seconds since the epoch, 8-digit code]
+    const vectors = [
+      [59, "94287082"],
+      [1111111109, "07081804"],
+      [1111111111, "14050471"],
+      [1234567890, "89005924"],
+      [2000000000, "69279037"],
+      [20000000000, "65353130"],
+    ];
+    for (const [seconds, code] of vectors) {
+      expect(totp(RFC_SECRET, Math.floor(seconds / 30), 8)).toBe(code);
+    }
+    expect(totp(RFC_SECRET, 1)).toBe("287082");
+  });
+
+  it("should round-trip base32 and generate 160-bit secrets", () => {
+    const bytes = Buffer.from("12345678901234567890");
+    expect(base32Encode(bytes)).toBe(RFC_SECRET);
+    expect(base32Decode("gezd gnbv gy3t qojq gezd gnbv gy3t qojq")).toEqual(
+      bytes
+    );
+    expect(() => base32Decode("not base32!")).toThrow("Invalid base32");
+    expect(base32Decode(generateSecret())).toHaveLength(20);
+  });
+
+  it("should accept codes within one step of drift, once", () => {
+    const now = 1111111111 * 1000;
+    const step = Math.floor(now / 30000);
+
+    expect(verifyTotp(RFC_SECRET, totp(RFC_SECRET, step), { now })).toBe(step);
+    const late = totp(RFC_SECRET, step - 1);
+    expect(verifyTotp(RFC_SECRET, late, { now })).toBe(step - 1);
+    const spaced = totp(RFC_SECRET, step).replace(/^(\d{3})/, "$1 ");
+    expect(verifyTotp(RFC_SECRET, spaced, { now })).toBe(step);
+
+    expect(verifyTotp(RFC_SECRET, totp(RFC_SECRET, step - 2), { now })).toBe(
+      null
+    );
+    expect(
+      verifyTotp(RFC_SECRET, totp(RFC_SECRET, step), { now, after: step })
+    ).toBe(null);
+    expect(verifyTotp(RFC_SECRET, "12345", { now })).toBe(null);
+    expect(verifyTotp(RFC_SECRET, undefined, { now })).toBe(null);
+  });
+
+  it("should build otpauth URIs for authenticator apps", () => {
+    const url = otpauthUrl({
+      secret: RFC_SECRET,
+      account: "sam smith",
+      issuer: "WhistleSpace",
+    });
+    expect(url).toMatch(/^otpauth:\/\/totp\/WhistleSpace:sam%20smith\?/);
+    const params = new URL(url).searchParams;
+    expect(params.get("secret")).toBe(RFC_SECRET);
+    expect(params.get("issuer")).toBe("WhistleSpace");
+    expect(params.get("digits")).toBe("6");
+    expect(params.get("period")).toBe("30");
+  });
+});
+
+describe("Second factor", () => {
+  it("should generate distinct, readable recovery codes", () => {
+    const codes = generateRecoveryCodes();
+    expect(codes).toHaveLength(10);
+    expect(new Set(codes).size).toBe(10);
+    for (const code of codes) {
+      expect(code).toMatch(/^[2-9a-hjkmnp-tv-z]{5}-[2-9a-hjkmnp-tv-z]{5}$/);
+    }
+  });
+
+  it("should spend an app code in the database, once", async () => {
+    const admin = await enrolledAdmin(RFC_SECRET);
+    const step = Math.floor(Date.now() / 30000);
+    const code = totp(RFC_SECRET, step);
+    jest
+      .spyOn(Admin, "updateOne")
+      .mockResolvedValueOnce({ modifiedCount: 1 })
+      // A concurrent request spent it first
+      .mockResolvedValueOnce({ modifiedCount: 0 });
+
+    expect(await verifySecondFactor(admin, { code })).toBe("code");
+    expect(Admin.updateOne).toHaveBeenCalledWith(
+      {
+        _id: "admin-id",
+        "twoFactor.secret": RFC_SECRET,
+        "twoFactor.lastStep": { $not: { $gte: step } },
+      },
+      { $set: { "twoFactor.lastStep": step } }
+    );
+    expect(await verifySecondFactor(admin, { code })).toBe(null);
+
+    // Steps already used are refused without asking the database
+    admin.twoFactor.lastStep = step;
+    expect(await verifySecondFactor(admin, { code })).toBe(null);
+    expect(Admin.updateOne).toHaveBeenCalledTimes(2);
+  });
+
+  it("should spend each recovery code once", async () => {
+    const admin = await enrolledAdmin(RFC_SECRET, [
+      "abcde-fghjk",
+      "mnpqr-stvwx",
+    ]);
+    const [first] = admin.twoFactor.recoveryCodes;
+    jest
+      .spyOn(Admin, "updateOne")
+      .mockResolvedValueOnce({ modifiedCount: 1 })
+      .mockResolvedValueOnce({ modifiedCount: 0 });
+
+    expect(
+      await verifySecondFactor(admin, { recoveryCode: "ABCDE FGHJK" })
+    ).toBe("recoveryCode");
+    expect(Admin.updateOne).toHaveBeenCalledWith(
+      { _id: "admin-id", "twoFactor.recoveryCodes": first },
+      { $pull: { "twoFactor.recoveryCodes": first } }
+    );
+    expect(
+      await verifySecondFactor(admin, { recoveryCode: "abcde-fghjk" })
+    ).toBe(null);
+    expect(
+      await verifySecondFactor(admin, { recoveryCode: "wrong-codes" })
+    ).toBe(null);
+    expect(await verifySecondFactor(admin, {})).toBe(null);
+    expect(Admin.updateOne).toHaveBeenCalledTimes(2);
+  });
+
+  it("should accept nothing while two-factor is off", async () => {
+    const admin = { twoFactor: { enabled: false, recoveryCodes: [] } };
+    const code = totp(RFC_SECRET, Math.floor(Date.now() / 30000));
+    expect(await verifySecondFactor(admin, { code })).toBe(null);
+  });
+});
@@ -0,0 +1,443 @@
+const request = require("supertest");
+const mongoose = require("mongoose");
+const jwt = require("jsonwebtoken");
+
+// Capture invitation emails instead of sending them
+jest.mock("../utils/sendEmail", () => jest.fn().mockResolvedValue());
+const sendEmail = require("../utils/sendEmail");
+
+const app = require("../server");
+const { accessToken } = require("./helpers/accessToken");
+const Admin = require("../models/Admin.model");
+const Invitation = require("../models/Invitation.model");
+const {
+  DEFAULT_ORGANIZATION,
+  getOrganization,
+} = require("../utils/organizations");
+const { issueSetupToken } = require("../utils/setupToken");
+const { totp, timeStep } = require("../utils/totp");
+const Organization = require("../models/Organization.model");
+const { invalidateOrganization } = require("../utils/organizations");
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || "test-secret";
+
+let organization;
+let owner;
+
+// Signs an existing admin in; resolves the Authorization header
+const auth = async (admin) => ({
+  Authorization: `Bearer ${await accessToken(admin, organization)}`,
+});
+
+// Token from the link in the last invitation email
+const invitationToken = () =>
+  sendEmail.mock.calls.at(-1)[0].text.match(/\/admin\/invite\/(\w+)/)[1];
+
+beforeAll(async () => {
+  await mongoose.connect("mongodb://localhost:27017/whistlespace_users_test");
+  organization = await getOrganization(DEFAULT_ORGANIZATION);
+});
+
+afterAll(async () => {
+  await mongoose.connection.db.dropDatabase();
+  await mongoose.connection.close();
+});
+
+beforeEach(async () => {
+  owner = await Admin.create({
+    username: "owner",
+    password: "owner-password",
+    role: "owner",
+    organization: organization._id,
+  });
+});
+
+afterEach(async () => {
+  await Organization.updateOne(
+    { _id: organization._id },
+    { "settings.requireTwoFactor": false }
+  );
+  invalidateOrganization(organization.slug);
+  await Admin.deleteMany({});
+  await Invitation.deleteMany({});
+  sendEmail.mockClear();
+});
+
+describe("Admin users", () => {
+  it("should only create the first admin with the setup token", async () => {
+    await Admin.deleteMany({});
+    const setupToken = await issueSetupToken();
+    const admin = { username: "first", password: "first-password" };
+
+    const noToken = await request(app).post("/admin/init").send(admin);
+    expect(noToken.statusCode).toBe(422);
+    const wrong = await request(app)
+      .post("/admin/init")
+      .send({ ...admin, setupToken: "guess" });
+    expect(wrong.statusCode).toBe(403);
+
+    const res = await request(app)
+      .post("/admin/init")
+      .send({ ...admin, setupToken });
+    expect(res.statusCode).toBe(201);
+
+    const again = await request(app)
+      .post("/admin/init")
+      .send({ username: "second", password: "second-password", setupToken });
+    expect(again.statusCode).toBe(403);
+    expect(await Admin.countDocuments()).toBe(1);
+  });
+
+  it("should escape names in the invitation email", async () => {
+    const { name } = organization;
+    await Organization.updateOne(
+      { _id: organization._id },
+      { name: '<a href="https://evil.test">Acme</a>' }
+    );
+    invalidateOrganization(organization.slug);
+
+    await request(app)
+      .post("/admin/users/invitations")
+      .set(await auth(owner))
+      .send({ email: "sam@example.test", role: "responder" })
+      .expect(201);
+    const { html } = sendEmail.mock.calls[0][0];
+    expect(html).toContain("&lt;a href=&quot;https://evil.test&quot;&gt;");
+    expect(html).not.toContain('<a href="https://evil.test">');
+
+    await Organization.updateOne({ _id: organization._id }, { name });
+    invalidateOrganization(organization.slug);
+  });
+
+  it("should invite an admin with a one-time emailed link", async () => {
+    const invited = await request(app)
+      .post("/admin/users/invitations")
+      .set(await auth(owner))
+      .send({ email: "Sam@Example.test", role: "responder" });
+    expect(invited.statusCode).toBe(201);
+    expect(invited.body.email).toBe("sam@example.test");
+    expect(sendEmail).toHaveBeenCalledTimes(1);
+    expect(sendEmail.mock.calls[0][0].to).toBe("sam@example.test");
+
+    const token = invitationToken();
+    const info = await request(app).get(`/admin/users/invitations/${token}`);
+    expect(info.body).toMatchObject({ email: "sam@example.test", role: "responder" });
+
+    const accepted = await request(app)
+      .post(`/admin/users/invitations/${token}/accept`)
+      .send({ username: "sam", password: "sam-password" });
+    expect(accepted.statusCode).toBe(201);
+
+    const again = await request(app)
+      .post(`/admin/users/invitations/${token}/accept`)
+      .send({ username: "sam2", password: "sam-password" });
+    expect(again.statusCode).toBe(404);
+
+    const login = await request(app)
+      .post("/admin/login")
+      .send({ username: "sam", password: "sam-password" });
+    expect(login.statusCode).toBe(200);
+    expect(jwt.decode(login.body.token).role).toBe("responder");
+  });
+
+  it("should only let owners manage the team", async () => {
+    const moderator = await Admin.create({
+      username: "mod",
+      password: "mod-password",
+      role: "moderator",
+      organization: organization._id,
+    });
+
+    const list = await request(app).get("/admin/users").set(await auth(moderator));
+    expect(list.statusCode).toBe(200);
+    expect(list.body.items.map((a) => a.username)).toEqual(["mod", "owner"]);
+    expect(list.body.items[0].password).toBeUndefined();
+
+    const invite = await request(app)
+      .post("/admin/users/invitations")
+      .set(await auth(moderator))
+      .send({ email: "x@example.test", role: "owner" });
+    expect(invite.statusCode).toBe(403);
+
+    const promote = await request(app)
+      .patch(`/admin/users/${moderator._id}`)
+      .set(await auth(moderator))
+      .send({ role: "owner" });
+    expect(promote.statusCode).toBe(403);
+  });
+
+  it("should change roles and disable admins, but not oneself", async () => {
+    const moderator = await Admin.create({
+      username: "mod",
+      password: "mod-password",
+      role: "moderator",
+      organization: organization._id,
+    });
+
+    const self = await request(app)
+      .patch(`/admin/users/${owner._id}`)
+      .set(await auth(owner))
+      .send({ disabled: true });
+    expect(self.statusCode).toBe(400);
+
+    const res = await request(app)
+      .patch(`/admin/users/${moderator._id}`)
+      .set(await auth(owner))
+      .send({ role: "auditor", disabled: true });
+    expect(res.statusCode).toBe(200);
+    expect(res.body).toMatchObject({ role: "auditor", disabled: true });
+
+    const login = await request(app)
+      .post("/admin/login")
+      .send({ username: "mod", password: "mod-password" });
+    expect(login.statusCode).toBe(403);
+  });
+
+  it("should apply role changes and disabling to issued tokens", async () => {
+    const moderator = await Admin.create({
+      username: "mod",
+      password: "mod-password",
+      role: "moderator",
+      organization: organization._id,
+    });
+    const signedIn = await auth(moderator);
+    const createTag = (slug) =>
+      request(app).post("/tags").set(signedIn).send({ slug, label: slug });
+    expect((await createTag("before")).statusCode).toBe(201);
+
+    await request(app)
+      .patch(`/admin/users/${moderator._id}`)
+      .set(await auth(owner))
+      .send({ role: "auditor" })
+      .expect(200);
+    expect((await createTag("demoted")).statusCode).toBe(403);
+
+    // Disabled admins are signed out even without a session cleanup
+    await Admin.updateOne({ _id: moderator._id }, { disabled: true });
+    expect((await createTag("disabled")).statusCode).toBe(401);
+  });
+
+  it("should change one's own password", async () => {
+    const wrong = await request(app)
+      .patch("/admin/users/me/password")
+      .set(await auth(owner))
+      .send({ currentPassword: "nope", newPassword: "new-password" });
+    expect(wrong.statusCode).toBe(422);
+    expect(wrong.body.fields.currentPassword).toBe(
+      "Current password is incorrect"
+    );
+
+    const res = await request(app)
+      .patch("/admin/users/me/password")
+      .set(await auth(owner))
+      .send({ currentPassword: "owner-password", newPassword: "new-password" });
+    expect(res.statusCode).toBe(200);
+
+    const login = await request(app)
+      .post("/admin/login")
+      .send({ username: "owner", password: "new-password" });
+    expect(login.statusCode).toBe(200);
+  });
+});
+
+describe("Two-factor authentication", () => {
+  // A code from the app, `ahead` steps from now (each is accepted once)
+  const code = (secret, ahead = 0) => totp(secret, timeStep() + ahead);
+
+  const enrol = async (authHeaders) => {
+    const setup = await request(app)
+      .post("/admin/2fa/setup")
+      .set(authHeaders)
+      .send({});
+    expect(setup.statusCode).toBe(200);
+    expect(setup.body.otpauthUrl).toContain(`secret=${setup.body.secret}`);
+    expect(setup.body.qrCode).toMatch(/^data:image\/svg\+xml;base64,/);
+    return setup.body.secret;
+  };
+
+  it("should enrol and then require a code to sign in", async () => {
+    const secret = await enrol(await auth(owner));
+    const wrong = await request(app)
+      .post("/admin/2fa/enable")
+      .set(await auth(owner))
+      .send({ code: "000000" });
+    expect(wrong.statusCode).toBe(422);
+    const enabled = await request(app)
+      .post("/admin/2fa/enable")
+      .set(await auth(owner))
+      .send({ code: code(secret) });
+    expect(enabled.statusCode).toBe(200);
+    expect(enabled.body.recoveryCodes).toHaveLength(10);
+    expect(enabled.body.token).toBeUndefined();
+
+    const login = await request(app)
+      .post("/admin/login")
+      .send({ username: "owner", password: "owner-password" });
+    expect(login.body.token).toBeUndefined();
+    expect(login.body.twoFactorRequired).toBe(true);
+    const { challengeToken } = login.body;
+
+    // The challenge is no access token
+    const misuse = await request(app)
+      .get("/admin/users")
+      .set("Authorization", `Bearer ${challengeToken}`);
+    expect(misuse.statusCode).toBe(401);
+
+    const replay = await request(app)
+      .post("/admin/login/2fa")
+      .send({ challengeToken, code: code(secret) });
+    expect(replay.statusCode).toBe(401);
+
+    const second = await request(app)
+      .post("/admin/login/2fa")
+      .send({ challengeToken, code: code(secret, 1) });
+    expect(second.statusCode).toBe(200);
+    expect(jwt.decode(second.body.token).role).toBe("owner");
+
+    const recovery = await request(app)
+      .post("/admin/login/2fa")
+      .send({ challengeToken, recoveryCode: enabled.body.recoveryCodes[0] });
+    expect(recovery.statusCode).toBe(200);
+    expect(recovery.body.recoveryCodesLeft).toBe(9);
+  });
+
+  it("should let owners require 2FA, enrolling admins at sign-in", async () => {
+    const early = await request(app)
+      .patch("/admin/organization")
+      .set(await auth(owner))
+      .send({ requireTwoFactor: true });
+    expect(early.statusCode).toBe(422);
+
+    const secret = await enrol(await auth(owner));
+    await request(app)
+      .post("/admin/2fa/enable")
+      .set(await auth(owner))
+      .send({ code: code(secret) });
+    const required = await request(app)
+      .patch("/admin/organization")
+      .set(await auth(owner))
+      .send({ requireTwoFactor: true });
+    expect(required.statusCode).toBe(200);
+    expect(required.body.settings.requireTwoFactor).toBe(true);
+
+    const responder = await Admin.create({
+      username: "sam",
+      password: "sam-password",
+      role: "responder",
+      organization: organization._id,
+    });
+    const login = await request(app)
+      .post("/admin/login")
+      .send({ username: "sam", password: "sam-password" });
+    expect(login.body.twoFactorSetupRequired).toBe(true);
+    const { challengeToken } = login.body;
+
+    const setup = await request(app)
+      .post("/admin/2fa/setup")
+      .send({ challengeToken });
+    expect(setup.statusCode).toBe(200);
+    const enabled = await request(app)
+      .post("/admin/2fa/enable")
+      .send({ challengeToken, code: code(setup.body.secret) });
+    expect(enabled.statusCode).toBe(200);
+    expect(jwt.decode(enabled.body.token).username).toBe("sam");
+
+    const disable = await request(app)
+      .post("/admin/2fa/disable")
+      .set(await auth(responder))
+      .send({ password: "sam-password", code: code(setup.body.secret, 1) });
+    expect(disable.statusCode).toBe(403);
+  });
+});
+
+
+describe("Account lockout and sign-in alerts", () => {
+  const login = (password, cookie = "") =>
+    request(app)
+      .post("/admin/login")
+      .set("Cookie", cookie)
+      .send({ username: "owner", password });
+
+  // "deviceId=..." from a sign-in response
+  const deviceCookie = (res) =>
+    res.headers["set-cookie"]
+      .find((c) => c.startsWith("deviceId="))
+      .split(";")[0];
+
+  // Alerts are sent in the background
+  const settle = () => new Promise((resolve) => setTimeout(resolve, 50));
+
+  beforeEach(async () => {
+    await Admin.updateOne({ _id: owner._id }, { email: "owner@example.test" });
+  });
+
+  it("should lock the account after repeated failures and alert", async () => {
+    for (let i = 0; i < 5; i++) {
+      expect((await login("wrong")).statusCode).toBe(401);
+    }
+    await settle();
+    expect(sendEmail).toHaveBeenCalledTimes(1);
+    expect(sendEmail.mock.calls[0][0].to).toBe("owner@example.test");
+    expect(sendEmail.mock.calls[0][0].text).toMatch(/5 failed attempts/);
+
+    // Even the right password is refused while locked
+    const locked = await login("owner-password");
+    expect(locked.statusCode).toBe(429);
+    expect(locked.headers["retry-after"]).toBeDefined();
+
+    const team = await request(app).get("/admin/users").set(await auth(owner));
+    expect(team.body.items[0].lockedUntil).toBeTruthy();
+  });
+
+  it("should let owners unlock an admin", async () => {
+    await Admin.updateOne(
+      { _id: owner._id },
+      {
+        lockout: {
+          failedAttempts: 7,
+          lockedUntil: new Date(Date.now() + 60 * 60 * 1000),
+        },
+      }
+    );
+    const responder = await Admin.create({
+      username: "sam",
+      password: "sam-password",
+      role: "responder",
+      organization: organization._id,
+    });
+    const denied = await request(app)
+      .post(`/admin/users/${owner._id}/unlock`)
+      .set(await auth(responder));
+    expect(denied.statusCode).toBe(403);
+
+    const res = await request(app)
+      .post(`/admin/users/${owner._id}/unlock`)
+      .set(await auth(owner));
+    expect(res.statusCode).toBe(200);
+    expect(res.body.lockedUntil).toBeNull();
+    expect((await login("owner-password")).statusCode).toBe(200);
+  });
+
+  it("should clear the count on a successful sign-in", async () => {
+    for (let i = 0; i < 4; i++) await login("wrong");
+    expect((await login("owner-password")).statusCode).toBe(200);
+    const admin = await Admin.findById(owner._id);
+    expect(admin.lockout.failedAttempts).toBe(0);
+  });
+
+  it("should alert on sign-in from a new device only", async () => {
+    const first = await login("owner-password");
+    const cookie = deviceCookie(first);
+    await settle();
+    expect(sendEmail).not.toHaveBeenCalled(); // nothing to compare with
+
+    await login("owner-password", cookie);
+    await settle();
+    expect(sendEmail).not.toHaveBeenCalled();
+
+    await login("owner-password");
+    await settle();
+    expect(sendEmail).toHaveBeenCalledTimes(1);
+    expect(sendEmail.mock.calls[0][0].subject).toMatch(/New sign-in/);
+  });
+});
@@ -0,0 +1,113 @@
+const validate = require("../middleware/validate");
+
+const { string, number, boolean, objectId, url, array } = validate.rules;
+
+// Runs the middleware on a fake request; resolves what it did
+function run(schema, req) {
+  const request = { params: {}, query: {}, body: {}, ...req };
+  const response = {
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(body) {
+      this.body = body;
+      return this;
+    },
+  };
+  let passed = false;
+  validate(schema)(request, response, () => {
+    passed = true;
+  });
+  return { passed, req: request, res: response };
+}
+
+describe("Request validation", () => {
+  it("should report every invalid field at once with a 422", () => {
+    const { passed, res } = run(
+      {
+        body: {
+          text: string({ required: true }),
+          count: number({ integer: true }),
+        },
+      },
+      { body: { text: "  ", count: 1.5 } }
+    );
+    expect(passed).toBe(false);
+    expect(res.statusCode).toBe(422);
+    expect(res.body).toEqual({
+      error: "Text is required",
+      fields: {
+        text: "Text is required",
+        count: "Count must be a whole number",
+      },
+    });
+  });
+
+  it("should trim, convert and drop undeclared fields", () => {
+    const { passed, req } = run(
+      {
+        query: { limit: number({ min: 1 }), mine: boolean() },
+        body: { text: string({ max: 10 }) },
+      },
+      {
+        query: { limit: "5", mine: "true" },
+        body: { text: " hi ", admin: true },
+      }
+    );
+    expect(passed).toBe(true);
+    expect(req.query).toEqual({ limit: 5, mine: true });
+    expect(req.body).toEqual({ text: "hi" });
+  });
+
+  it("should check ids, lists and allowed values", () => {
+    const { res } = run(
+      {
+        params: { id: objectId({ label: "Feedback id" }) },
+        body: {
+          tags: array(string({ max: 3 }), { max: 2 }),
+          decision: string({ oneOf: ["approve", "reject"] }),
+        },
+      },
+      {
+        params: { id: "123" },
+        body: { tags: ["ok", "toolong"], decision: "maybe" },
+      }
+    );
+    expect(res.body.fields).toEqual({
+      id: "Feedback id is not a valid id",
+      tags: "Tags entries must be at most 3 characters",
+      decision: "Decision must be one of: approve, reject",
+    });
+  });
+
+  it("should accept only http(s) URLs", () => {
+    const schema = { body: { a: url(), b: url(), c: url() } };
+    const { res } = run(schema, {
+      body: { a: "not a url", b: "ftp://example.test", c: 5 },
+    });
+    expect(res.body.fields).toEqual({
+      a: "A is not a valid URL",
+      b: "B must start with http:// or https://",
+      c: "C must be text",
+    });
+    const { req } = run(schema, { body: { a: " HTTPS://Example.test " } });
+    expect(req.body).toEqual({ a: "https://example.test/" });
+  });
+
+  it("should run the cross-field check once fields pass", () => {
+    const schema = {
+      body: { decision: string(), reason: string() },
+      check: ({ body }) =>
+        body.decision === "reject" && !body.reason
+          ? { reason: "Reason is required" }
+          : null,
+    };
+    expect(run(schema, { body: { decision: "reject" } }).res.statusCode).toBe(
+      422
+    );
+    expect(
+      run(schema, { body: { decision: "reject", reason: "Spam" } }).passed
+    ).toBe(true);
+  });
+});
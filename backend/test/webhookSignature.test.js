@@ -0,0 +1,31 @@
+const crypto = require("crypto");
+const { sign, retryDelay, MAX_ATTEMPTS } = require("../utils/webhooks");
+
+describe("Webhook signatures", () => {
+  const body = JSON.stringify({ event: "feedback.created", data: {} });
+
+  it("should sign the timestamp and body with HMAC-SHA256", () => {
+    const expected = crypto
+      .createHmac("sha256", "secret")
+      .update(`1700000000.${body}`)
+      .digest("hex");
+    expect(sign("secret", 1700000000, body)).toBe(`sha256=${expected}`);
+  });
+
+  it("should change with the secret, the timestamp or the body", () => {
+    const signature = sign("secret", 1700000000, body);
+    expect(sign("other", 1700000000, body)).not.toBe(signature);
+    expect(sign("secret", 1700000001, body)).not.toBe(signature);
+    expect(sign("secret", 1700000000, `${body} `)).not.toBe(signature);
+  });
+});
+
+describe("Webhook retries", () => {
+  it("should back off exponentially from a minute", () => {
+    const delays = [];
+    for (let attempt = 1; attempt < MAX_ATTEMPTS; attempt++) {
+      delays.push(retryDelay(attempt) / 60000);
+    }
+    expect(delays).toEqual([1, 2, 4, 8, 16]);
+  });
+});
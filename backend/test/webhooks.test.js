@@ -0,0 +1,222 @@
+const http = require("http");
+const request = require("supertest");
+const mongoose = require("mongoose");
+const app = require("../server");
+const { signIn } = require("./helpers/accessToken");
+const Feedback = require("../models/Feedback.model");
+const Webhook = require("../models/Webhook.model");
+const WebhookDelivery = require("../models/WebhookDelivery.model");
+const { sign, retryDue } = require("../utils/webhooks");
+const {
+  DEFAULT_ORGANIZATION,
+  getOrganization,
+} = require("../utils/organizations");
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || "test-secret";
+
+let organization;
+let receiver;
+let receiverUrl;
+// Requests the receiver got, and the status it answers with
+let received = [];
+let answer = 200;
+
+// Access tokens of signed-in admins, by role
+const tokens = {};
+const adminToken = (role = "owner") => tokens[role];
+
+const as = (role) => ({ Authorization: `Bearer ${adminToken(role)}` });
+
+// Deliveries happen after the response; wait until `count` arrived
+async function waitForDeliveries(count) {
+  for (let i = 0; i < 50 && received.length < count; i++) {
+    await new Promise((resolve) => setTimeout(resolve, 20));
+  }
+  expect(received).toHaveLength(count);
+}
+
+const subscribe = (events) =>
+  request(app)
+    .post("/admin/webhooks")
+    .set(as("owner"))
+    .send({ url: receiverUrl, events });
+
+beforeAll(async () => {
+  await mongoose.connect("mongodb://localhost:27017/whistlespace_webhooks_test");
+  organization = await getOrganization(DEFAULT_ORGANIZATION);
+  for (const role of ["owner", "moderator"]) {
+    tokens[role] = await signIn(organization, role);
+  }
+
+  // Stands in for the organization's own tooling
+  receiver = http.createServer((req, res) => {
+    let body = "";
+    req.on("data", (chunk) => (body += chunk));
+    req.on("end", () => {
+      received.push({ headers: req.headers, body });
+      res.statusCode = answer;
+      res.end();
+    });
+  });
+  await new Promise((resolve) => receiver.listen(0, resolve));
+  receiverUrl = `http://127.0.0.1:${receiver.address().port}/hooks`;
+});
+
+afterAll(async () => {
+  await new Promise((resolve) => receiver.close(resolve));
+  await mongoose.connection.db.dropDatabase();
+  await mongoose.connection.close();
+});
+
+afterEach(async () => {
+  await Webhook.deleteMany({});
+  await WebhookDelivery.deleteMany({});
+  await Feedback.deleteMany({});
+  received = [];
+  answer = 200;
+});
+
+describe("Webhooks", () => {
+  it("should deliver subscribed events with a valid signature", async () => {
+    const created = await subscribe(["feedback.created"]);
+    expect(created.statusCode).toBe(201);
+    const { secret } = created.body;
+    expect(secret).toMatch(/^[0-9a-f]{64}$/);
+
+    await request(app).post("/feedback").send({ text: "Too few bike racks" });
+    await waitForDeliveries(1);
+
+    const [{ headers, body }] = received;
+    expect(headers["x-whistlespace-event"]).toBe("feedback.created");
+    expect(headers["x-whistlespace-signature"]).toBe(
+      sign(secret, headers["x-whistlespace-timestamp"], body)
+    );
+    const payload = JSON.parse(body);
+    expect(payload).toMatchObject({
+      event: "feedback.created",
+      organization: { slug: organization.slug },
+      data: { feedback: { text: "Too few bike racks", status: "open" } },
+    });
+    expect(payload.data.feedback.receiptHash).toBeUndefined();
+
+    // The secret is never listed again
+    const list = await request(app).get("/admin/webhooks").set(as("owner"));
+    expect(list.body.items[0].secret).toBeUndefined();
+  });
+
+  it("should only send the events a webhook subscribes to", async () => {
+    await subscribe(["feedback.status_changed"]);
+    const feedback = await Feedback.create({
+      organization: organization._id,
+      text: "Lights flicker in the gym",
+    });
+
+    await request(app)
+      .post(`/feedback/${feedback._id}/comment`)
+      .send({ text: "Still flickering" });
+    await request(app)
+      .patch(`/feedback/${feedback._id}`)
+      .set(as("owner"))
+      .send({ status: "triaged" })
+      .expect(200);
+    await waitForDeliveries(1);
+
+    expect(JSON.parse(received[0].body).data).toMatchObject({
+      from: "open",
+      to: "triaged",
+      feedback: { id: String(feedback._id) },
+    });
+  });
+
+  it("should hold back held feedback until it is approved", async () => {
+    await subscribe(["feedback.created"]);
+    const held = await request(app)
+      .post("/feedback")
+      .send({ text: "The new manager is an idiot" });
+    expect(held.statusCode).toBe(202);
+    await new Promise((resolve) => setTimeout(resolve, 100));
+    expect(received).toHaveLength(0);
+
+    await request(app)
+      .patch(`/feedback/${held.body._id}/review`)
+      .set(as("moderator"))
+      .send({ decision: "approve" })
+      .expect(200);
+    await waitForDeliveries(1);
+    expect(JSON.parse(received[0].body).data.feedback).toMatchObject({
+      id: held.body._id,
+      visibility: "public",
+    });
+  });
+
+  it("should retry failed deliveries and keep every attempt", async () => {
+    await subscribe(["feedback.created"]);
+    answer = 500;
+    await request(app).post("/feedback").send({ text: "Broken window" });
+    await waitForDeliveries(1);
+
+    let delivery = await WebhookDelivery.findOne();
+    for (let i = 0; i < 50 && delivery.attempts.length === 0; i++) {
+      await new Promise((resolve) => setTimeout(resolve, 20));
+      delivery = await WebhookDelivery.findOne();
+    }
+    expect(delivery.status).toBe("pending");
+    expect(delivery.attempts[0]).toMatchObject({ statusCode: 500 });
+    expect(delivery.nextAttemptAt.getTime()).toBeGreaterThan(Date.now());
+
+    // Due now; the receiver is back up
+    await WebhookDelivery.updateOne(
+      { _id: delivery._id },
+      { nextAttemptAt: new Date() }
+    );
+    answer = 204;
+    await retryDue();
+
+    delivery = await WebhookDelivery.findById(delivery._id);
+    expect(delivery.status).toBe("delivered");
+    expect(delivery.attempts.map((a) => a.statusCode)).toEqual([500, 204]);
+    expect(received[1].body).toBe(received[0].body);
+    expect(received[1].headers["x-whistlespace-delivery"]).toBe(
+      String(delivery._id)
+    );
+
+    const log = await request(app)
+      .get(`/admin/webhooks/${delivery.webhook}/deliveries`)
+      .set(as("owner"));
+    expect(log.body.items).toHaveLength(1);
+    expect(log.body.items[0].attempts).toHaveLength(2);
+  });
+
+  it("should send a test event on request", async () => {
+    const created = await subscribe(["comment.created"]);
+    answer = 404;
+
+    const res = await request(app)
+      .post(`/admin/webhooks/${created.body._id}/test`)
+      .set(as("owner"));
+    expect(res.statusCode).toBe(200);
+    expect(res.body).toMatchObject({
+      event: "webhook.test",
+      status: "failed",
+      attempts: [{ statusCode: 404, error: "Answered 404" }],
+    });
+    expect(received).toHaveLength(1);
+  });
+
+  it("should validate subscriptions and limit them to owners", async () => {
+    const invalid = await request(app)
+      .post("/admin/webhooks")
+      .set(as("owner"))
+      .send({ url: "ftp://example.test", events: ["feedback.eaten"] });
+    expect(invalid.statusCode).toBe(422);
+    expect(invalid.body.fields).toMatchObject({
+      url: "URL must start with http:// or https://",
+      events: expect.stringContaining("must be one of"),
+    });
+
+    const moderator = await request(app)
+      .get("/admin/webhooks")
+      .set(as("moderator"));
+    expect(moderator.statusCode).toBe(403);
+  });
+});
@@ -0,0 +1,206 @@
+const jwt = require("jsonwebtoken");
+const Session = require("../models/Session.model");
+const { generateToken, hashToken } = require("./secureToken");
+const { recordSuccess } = require("./loginProtection");
+
+/*
+  Admin sign-in tokens
+
+  Signing in starts a session (models/Session.model.js), one per device, so
+  an admin can be signed in on several at once. A session is a short-lived
+  access token (sent as a Bearer header, see middleware/auth.js) plus a
+  refresh token in an HTTP-only cookie that POST /admin/refresh trades for
+  new access tokens. Access tokens name their session, and only work while
+  it exists, so deleting it signs the device out at once.
+
+  Refresh tokens are random and replaced on every refresh. A token that
+  was already replaced coming back means two parties hold the session (the
+  token leaked), so the session is revoked, signing both out. A second
+  browser tab refreshing at the same moment looks alike; for that, the
+  token just replaced is still accepted for a few seconds, without
+  rotating again.
+
+  Admins with two-factor authentication get neither from their password
+  alone: login answers with a challenge token instead, which only the
+  second step (POST /admin/login/2fa, or enrolment when the organization
+  requires 2FA) accepts. Challenge tokens carry a `purpose` claim, which
+  the auth middleware refuses, so they never work as access tokens.
+*/
+
+const ACCESS_TOKEN_TTL = "15m";
+const CHALLENGE_TTL = "5m";
+
+// Sessions end after a day without a refresh, or 30 days after sign-in
+const SESSION_IDLE_MS = 24 * 60 * 60 * 1000;
+const SESSION_MAX_AGE_MS = 30 * 24 * 60 * 60 * 1000;
+
+// How long a replaced refresh token is still accepted (concurrent tabs)
+const ROTATION_GRACE_MS = 30 * 1000;
+
+// Replaced tokens remembered per session to detect their reuse
+const USED_TOKENS_KEPT = 100;
+
+// Helper: Use NODE_ENV to determine local vs production
+const isLocal = process.env.NODE_ENV !== "production";
+const cookieOptions = {
+  httpOnly: true,
+  sameSite: "None",
+  secure: !isLocal, // true in production (HTTPS), false in local (HTTP)
+  maxAge: SESSION_IDLE_MS,
+};
+
+// Token claims: the admin, their role, the organization they manage (see
+// middleware/auth.js) and the session. Expects admin.organization to be
+// populated.
+const tokenPayload = (admin, session) => ({
+  id: admin._id,
+  username: admin.username,
+  role: admin.role,
+  organization: admin.organization._id,
+  organizationSlug: admin.organization.slug,
+  sid: session._id,
+});
+
+const signAccessToken = (admin, session) =>
+  jwt.sign(tokenPayload(admin, session), process.env.JWT_SECRET, {
+    expiresIn: ACCESS_TOKEN_TTL,
+  });
+
+const userAgentOf = (req) => String(req.get("user-agent") || "").slice(0, 500);
+
+const setRefreshCookie = (res, refreshToken) =>
+  res.cookie("refreshToken", refreshToken, cookieOptions);
+
+/**
+ * Signs the admin in on this device: starts a session, sets its refresh
+ * token cookie and returns the access token to send back. Also clears
+ * failed sign-ins and recognises the device (utils/loginProtection.js).
+ *
+ * @param {import("express").Request} req
+ * @param {import("express").Response} res
+ * @param {object} admin - Admin document, organization populated
+ * @returns {Promise<string>} Access token
+ */
+async function startSession(req, res, admin) {
+  const refreshToken = generateToken();
+  const session = await Session.create({
+    admin: admin._id,
+    tokenHash: hashToken(refreshToken),
+    userAgent: userAgentOf(req),
+    expiresAt: new Date(Date.now() + SESSION_IDLE_MS),
+  });
+
+  await recordSuccess(req, res, admin);
+
+  // Set refresh token as HTTP-only cookie
+  setRefreshCookie(res, refreshToken);
+  return signAccessToken(admin, session);
+}
+
+/**
+ * The live session of a refresh token, as { session }, or null. The token
+ * just replaced, shortly after, gives { session, concurrent: true }: use the
+ * session without rotating it again. Any older token revokes the session.
+ */
+async function findSession(refreshToken) {
+  const hash = hashToken(refreshToken);
+  const now = new Date();
+  const session = await Session.findOne({
+    tokenHash: hash,
+    expiresAt: { $gt: now },
+  });
+  if (session) return { session };
+
+  const replaced = await Session.findOne({ usedTokenHashes: hash });
+  if (!replaced) return null;
+  if (
+    replaced.usedTokenHashes.at(-1) === hash &&
+    now - replaced.rotatedAt < ROTATION_GRACE_MS &&
+    replaced.expiresAt > now
+  ) {
+    return { session: replaced, concurrent: true };
+  }
+
+  await replaced.deleteOne();
+  console.warn(
+    `Refresh token reused: revoked session ${replaced._id} ` +
+      `of admin ${replaced.admin}`
+  );
+  return null;
+}
+
+/**
+ * Replaces the session's refresh token (and cookie) and extends the
+ * session. Resolves false when a concurrent refresh replaced it first.
+ */
+async function rotateSession(req, res, session) {
+  const refreshToken = generateToken();
+  const now = Date.now();
+  const rotated = await Session.findOneAndUpdate(
+    { _id: session._id, tokenHash: session.tokenHash },
+    {
+      tokenHash: hashToken(refreshToken),
+      $push: {
+        usedTokenHashes: {
+          $each: [session.tokenHash],
+          $slice: -USED_TOKENS_KEPT,
+        },
+      },
+      rotatedAt: now,
+      lastSeenAt: now,
+      userAgent: userAgentOf(req),
+      expiresAt: new Date(
+        Math.min(
+          now + SESSION_IDLE_MS,
+          session.createdAt.getTime() + SESSION_MAX_AGE_MS
+        )
+      ),
+    }
+  );
+  if (!rotated) return false;
+
+  setRefreshCookie(res, refreshToken);
+  return true;
+}
+
+/**
+ * Ends the session of a refresh token (signing out). Resolves to the
+ * ended session, or null.
+ */
+const endSession = (refreshToken) =>
+  Session.findOneAndDelete({ tokenHash: hashToken(refreshToken) });
+
+/**
+ * A challenge token for the second step of signing in.
+ *
+ * @param {object} admin
+ * @param {"2fa"|"2fa-setup"} purpose - Enter a code, or enrol first
+ *   (when the organization requires two-factor authentication)
+ */
+const signChallenge = (admin, purpose) =>
+  jwt.sign({ id: admin._id, purpose }, process.env.JWT_SECRET, {
+    expiresIn: CHALLENGE_TTL,
+  });
+
+/**
+ * Claims of a valid challenge token for `purpose`, or null.
+ */
+function verifyChallenge(token, purpose) {
+  try {
+    const payload = jwt.verify(String(token), process.env.JWT_SECRET);
+    return payload.purpose === purpose ? payload : null;
+  } catch {
+    return null;
+  }
+}
+
+module.exports = {
+  cookieOptions,
+  signAccessToken,
+  startSession,
+  findSession,
+  rotateSession,
+  endSession,
+  signChallenge,
+  verifyChallenge,
+};
@@ -0,0 +1,70 @@
+const fs = require("fs/promises");
+const path = require("path");
+
+/*
+  Attachment storage registry
+
+  A storage is a plain object:
+  {
+    name: "s3",
+    save: async (key, buffer, { type }) => {},
+    read: async (key) => Buffer,
+    remove: async (key) => {},   // must not fail for a missing key
+  }
+
+  Keys are random and carry no information about the file or its sender.
+  ATTACHMENT_STORAGE picks the storage (default "local": files on disk in
+  ATTACHMENTS_DIR, default backend/uploads). Other backends are added with
+  registerStorage() before the app starts. Each attachment records the
+  storage it was saved to, so switching storages keeps older files readable
+  as long as the old storage stays registered.
+*/
+
+const storages = new Map();
+
+/**
+ * Adds (or replaces) a storage in the registry.
+ */
+function registerStorage(storage) {
+  for (const method of ["save", "read", "remove"]) {
+    if (!storage?.name || typeof storage[method] !== "function") {
+      throw new Error(
+        "An attachment storage needs a name, save, read and remove"
+      );
+    }
+  }
+  storages.set(storage.name, storage);
+  return storage;
+}
+
+/**
+ * A registered storage; by default the one selected by ATTACHMENT_STORAGE.
+ */
+function getStorage(name = process.env.ATTACHMENT_STORAGE || "local") {
+  const storage = storages.get(name);
+  if (!storage) throw new Error(`Unknown attachment storage: ${name}`);
+  return storage;
+}
+
+const attachmentsDir = () =>
+  process.env.ATTACHMENTS_DIR || path.join(__dirname, "..", "uploads");
+
+// Keys are generated by us, but never let one point outside the directory
+const filePath = (key) => {
+  if (!/^[a-f0-9]+$/.test(key)) throw new Error("Invalid attachment key");
+  return path.join(attachmentsDir(), key);
+};
+
+registerStorage({
+  name: "local",
+  save: async (key, buffer) => {
+    await fs.mkdir(attachmentsDir(), { recursive: true });
+    await fs.writeFile(filePath(key), buffer, { flag: "wx" });
+  },
+  read: async (key) => fs.readFile(filePath(key)),
+  remove: async (key) => {
+    await fs.rm(filePath(key), { force: true });
+  },
+});
+
+module.exports = { registerStorage, getStorage };
@@ -0,0 +1,143 @@
+const crypto = require("crypto");
+const { getStorage } = require("./attachmentStorage");
+const {
+  ScrubError,
+  detectType,
+  scrubMetadata,
+} = require("./scrubMetadata");
+
+/*
+  Feedback attachments
+
+  Evidence (screenshots, photos, PDFs) is sent with POST /feedback as
+  base64 strings; data: URLs as produced by FileReader are accepted too.
+  Each file is:
+
+  1) checked against the count and size limits,
+  2) identified by its content (the client's file name and type are never
+     trusted or kept: a name like "jane-doe-notes.pdf" would give the
+     sender away),
+  3) stripped of identifying metadata (see scrubMetadata.js),
+  4) stored under a random key (see attachmentStorage.js).
+
+  Attachments are only ever shown to admins.
+*/
+
+const MAX_ATTACHMENTS = Number(process.env.ATTACHMENT_MAX_COUNT || 3);
+const MAX_ATTACHMENT_BYTES = Number(
+  process.env.ATTACHMENT_MAX_BYTES || 5 * 1024 * 1024
+);
+
+// JSON body limit for submissions: base64 is a third larger than the file,
+// plus room for the text and tags
+const MAX_SUBMISSION_BYTES =
+  Math.ceil((MAX_ATTACHMENTS * MAX_ATTACHMENT_BYTES * 4) / 3) + 100 * 1024;
+
+// Accepted types and the extension of their stored name
+const EXTENSIONS = {
+  "image/jpeg": "jpg",
+  "image/png": "png",
+  "image/webp": "webp",
+  "application/pdf": "pdf",
+};
+
+const DATA_URL_PREFIX = /^data:[\w.+/-]*;base64,/;
+const BASE64 = /^[A-Za-z0-9+/]*={0,2}$/;
+
+const formatSize = (bytes) => `${Math.round(bytes / 1024 / 1024)} MB`;
+
+// Decoded bytes of a base64 string or data: URL, or null
+function decode(data) {
+  const base64 = data.replace(DATA_URL_PREFIX, "").replace(/\s/g, "");
+  if (!base64 || !BASE64.test(base64)) return null;
+  return Buffer.from(base64, "base64");
+}
+
+/**
+ * Removes stored files (best effort: failures are logged, not thrown).
+ *
+ * @param {Array<{ storage: string, storageKey: string }>} attachments
+ */
+async function removeAttachments(attachments = []) {
+  for (const attachment of attachments) {
+    try {
+      await getStorage(attachment.storage).remove(attachment.storageKey);
+    } catch (err) {
+      console.error("Failed to remove attachment:", err.message);
+    }
+  }
+}
+
+/**
+ * Checks, scrubs and stores submitted attachments. Nothing is stored when
+ * any of them is refused.
+ *
+ * @param {string[]} [list] - Base64 strings or data: URLs
+ * @returns {Promise<{ attachments: object[] } | { error: string }>}
+ *   `attachments` are Feedback.attachments entries
+ */
+async function storeAttachments(list = []) {
+  if (list.length > MAX_ATTACHMENTS) {
+    return { error: `At most ${MAX_ATTACHMENTS} attachments are allowed` };
+  }
+
+  const files = [];
+  for (const [i, data] of list.entries()) {
+    const label = list.length > 1 ? `Attachment ${i + 1}` : "The attachment";
+    const buffer = decode(data);
+    if (!buffer) return { error: `${label} is not valid base64 data` };
+    if (buffer.length > MAX_ATTACHMENT_BYTES) {
+      return {
+        error: `${label} is larger than ${formatSize(MAX_ATTACHMENT_BYTES)}`,
+      };
+    }
+    const type = detectType(buffer);
+    if (!type) {
+      return { error: `${label} must be a JPEG, PNG or WebP image or a PDF` };
+    }
+    try {
+      files.push({ type, buffer: scrubMetadata(buffer, type) });
+    } catch (err) {
+      if (!(err instanceof ScrubError)) throw err;
+      return { error: `${label}: ${err.message}` };
+    }
+  }
+
+  const storage = getStorage();
+  const attachments = [];
+  try {
+    for (const [i, file] of files.entries()) {
+      const storageKey = crypto.randomBytes(16).toString("hex");
+      await storage.save(storageKey, file.buffer, { type: file.type });
+      attachments.push({
+        name: `attachment-${i + 1}.${EXTENSIONS[file.type]}`,
+        contentType: file.type,
+        size: file.buffer.length,
+        storage: storage.name,
+        storageKey,
+      });
+    }
+  } catch (err) {
+    await removeAttachments(attachments);
+    throw err;
+  }
+  return { attachments };
+}
+
+/**
+ * Contents of a stored attachment.
+ *
+ * @returns {Promise<Buffer>}
+ */
+function readAttachment(attachment) {
+  return getStorage(attachment.storage).read(attachment.storageKey);
+}
+
+module.exports = {
+  MAX_ATTACHMENTS,
+  MAX_ATTACHMENT_BYTES,
+  MAX_SUBMISSION_BYTES,
+  storeAttachments,
+  readAttachment,
+  removeAttachments,
+};
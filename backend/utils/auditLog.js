@@ -0,0 +1,238 @@
+const crypto = require("crypto");
+const AuditLog = require("../models/AuditLog.model");
+
+/*
+  Audit log
+
+  Every admin mutation (see middleware/audit.js) and every sign-in, failed
+  sign-in and sign-out is recorded, per organization, in an append-only
+  collection (models/AuditLog.model.js).
+
+  Entries are hash-chained: each stores the hash of the one before it, and
+  its own hash covers that and all of its fields. Editing, removing or
+  reordering entries directly in the database breaks the chain from that
+  point on, which verifyChain() reports. Dropping the newest entries, or
+  rewriting the whole chain, leaves a valid chain behind; exported copies
+  of the log (CSV) reveal those.
+
+  Writes are serialized per organization within the process; across
+  processes, the unique (organization, seq) index makes a concurrent write
+  fail and retry on top of the new last entry.
+*/
+
+const GENESIS_HASH = "0".repeat(64);
+const MAX_APPEND_ATTEMPTS = 5;
+
+// "METHOD /route" of admin mutations -> action name. The route is the
+// mounted path without the /o/:slug prefix; unlisted routes are recorded
+// under "METHOD /route" itself.
+const ACTIONS = {
+  "PATCH /feedback/:id": "feedback.status_changed",
+  "DELETE /feedback/:id": "feedback.deleted",
+  "PATCH /feedback/:id/review": "feedback.reviewed",
+  "PATCH /feedback/:id/lock": "feedback.lock_changed",
+  "POST /feedback/:id/merge": "feedback.merged",
+  "POST /feedback/:id/response": "response.created",
+  "PATCH /feedback/:feedbackId/response/:responseId/pin": "response.pinned",
+  "PATCH /feedback/:feedbackId/comment/:commentId/review": "comment.reviewed",
+  "DELETE /feedback/:feedbackId/comment/:commentId": "comment.deleted",
+  "POST /tags/": "tag.created",
+  "PATCH /tags/:slug": "tag.updated",
+  "POST /tags/:slug/merge": "tag.merged",
+  "DELETE /tags/:slug": "tag.deleted",
+  "POST /admin/moderation/rules": "moderation_rule.created",
+  "PATCH /admin/moderation/rules/:id": "moderation_rule.updated",
+  "DELETE /admin/moderation/rules/:id": "moderation_rule.deleted",
+  "PATCH /admin/organization": "organization.updated",
+  "POST /admin/users/invitations": "invitation.created",
+  "DELETE /admin/users/invitations/:id": "invitation.revoked",
+  "PATCH /admin/users/me/email": "admin.email_changed",
+  "PATCH /admin/users/me/password": "admin.password_changed",
+  "POST /admin/users/:id/unlock": "admin.unlocked",
+  "PATCH /admin/users/:id": "admin.updated",
+  "POST /admin/2fa/enable": "two_factor.enabled",
+  "POST /admin/2fa/disable": "two_factor.disabled",
+  "POST /admin/2fa/recovery-codes": "two_factor.recovery_codes_replaced",
+  "DELETE /admin/sessions": "session.revoked_all",
+  "DELETE /admin/sessions/:id": "session.revoked",
+  "POST /admin/webhooks/": "webhook.created",
+  "PATCH /admin/webhooks/:id": "webhook.updated",
+  "POST /admin/webhooks/:id/secret": "webhook.secret_rotated",
+  "DELETE /admin/webhooks/:id": "webhook.deleted",
+  "POST /admin/notifications/channels": "notification_channel.created",
+  "PATCH /admin/notifications/channels/:id": "notification_channel.updated",
+  "DELETE /admin/notifications/channels/:id": "notification_channel.deleted",
+};
+
+// Mutating requests that change nothing worth recording
+const NOT_RECORDED = new Set([
+  "POST /admin/moderation/test", // dry run of the rules
+  "POST /admin/2fa/setup", // nothing is on until POST /admin/2fa/enable
+  "POST /admin/webhooks/:id/test", // its delivery log records it
+  "POST /admin/notifications/channels/:id/test", // changes nothing
+]);
+
+// JSON with object keys sorted, so equal entries always hash the same
+function stableStringify(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(",")}]`;
+  }
+  if (value && typeof value === "object") {
+    return `{${Object.keys(value)
+      .sort()
+      .filter((key) => value[key] !== undefined)
+      .map((key) => `${JSON.stringify(key)}:${stableStringify(value[key])}`)
+      .join(",")}}`;
+  }
+  return JSON.stringify(value ?? null);
+}
+
+/**
+ * Hash of an entry: its fields (as stored) plus the previous entry's hash.
+ */
+function hashEntry(entry) {
+  const fields = {
+    organization: String(entry.organization),
+    seq: entry.seq,
+    prevHash: entry.prevHash,
+    actor: entry.actor ? String(entry.actor) : null,
+    actorUsername: entry.actorUsername ?? null,
+    action: entry.action,
+    target: {
+      type: entry.target?.type ?? null,
+      id: entry.target?.id ?? null,
+    },
+    details: entry.details ?? null,
+    ip: entry.ip ?? null,
+    createdAt: new Date(entry.createdAt).toISOString(),
+  };
+  return crypto
+    .createHash("sha256")
+    .update(stableStringify(fields))
+    .digest("hex");
+}
+
+// Characters of deleted text kept in an entry
+const EXCERPT_LENGTH = 200;
+
+/**
+ * The start of a text, to record what a deleted item said.
+ */
+const excerpt = (text = "") =>
+  text.length > EXCERPT_LENGTH ? `${text.slice(0, EXCERPT_LENGTH)}…` : text;
+
+// Last write per organization, so the next one starts after it
+const tails = new Map();
+
+async function append(fields) {
+  for (let attempt = 1; ; attempt++) {
+    const last = await AuditLog.findOne(
+      { organization: fields.organization },
+      "seq hash"
+    )
+      .sort({ seq: -1 })
+      .lean();
+    const entry = {
+      ...fields,
+      seq: (last?.seq || 0) + 1,
+      prevHash: last?.hash || GENESIS_HASH,
+      createdAt: new Date(),
+    };
+    entry.hash = hashEntry(entry);
+    try {
+      return await AuditLog.create(entry);
+    } catch (err) {
+      // Another process took this seq; build on its entry
+      if (err.code !== 11000 || attempt >= MAX_APPEND_ATTEMPTS) throw err;
+    }
+  }
+}
+
+/**
+ * Appends an entry to the organization's audit log. Never rejects: a
+ * failed write is logged, and the action it describes still stands.
+ *
+ * @param {object} entry
+ * @param {*} entry.organization - Organization id
+ * @param {string} entry.action - e.g. "auth.login"
+ * @param {{ id, username }} [entry.actor] - The admin who acted
+ * @param {{ type: string, id: string }} [entry.target]
+ * @param {object} [entry.details] - JSON-serializable specifics
+ * @param {import("express").Request} [entry.req] - For the IP address
+ * @returns {Promise<object|null>} The stored entry
+ */
+function record({ organization, action, actor, target, details, req }) {
+  const key = String(organization);
+  const fields = {
+    organization,
+    actor: actor?.id,
+    actorUsername: actor?.username,
+    action,
+    target,
+    // Dates become strings, undefined values disappear: as read back
+    details: details ? JSON.parse(JSON.stringify(details)) : undefined,
+    ip: req?.ip,
+  };
+
+  const write = (tails.get(key) || Promise.resolve())
+    .then(() => append(fields))
+    .catch((err) => {
+      console.error(`Audit log error (${action}):`, err.message);
+      return null;
+    });
+  tails.set(key, write);
+  write.then(() => {
+    if (tails.get(key) === write) tails.delete(key);
+  });
+  return write;
+}
+
+/**
+ * Action name of an admin mutation request, from the route it matched, or
+ * null when it is not recorded.
+ */
+function actionFor(req) {
+  const mount = req.baseUrl.replace(/^\/o\/[^/]+/, "");
+  const route = `${req.method} ${mount}${req.route?.path || ""}`;
+  if (NOT_RECORDED.has(route)) return null;
+  return ACTIONS[route] || route;
+}
+
+/**
+ * Recomputes an organization's chain. Returns { valid, checked } and, when
+ * broken, brokenAt: the seq of the first entry that does not match.
+ */
+async function verifyChain(organization) {
+  let prevHash = GENESIS_HASH;
+  let expectedSeq = 1;
+  let checked = 0;
+
+  const cursor = AuditLog.find({ organization })
+    .sort({ seq: 1 })
+    .lean()
+    .cursor();
+  for await (const entry of cursor) {
+    if (
+      entry.seq !== expectedSeq ||
+      entry.prevHash !== prevHash ||
+      hashEntry(entry) !== entry.hash
+    ) {
+      await cursor.close();
+      return { valid: false, checked, brokenAt: expectedSeq };
+    }
+    prevHash = entry.hash;
+    expectedSeq += 1;
+    checked += 1;
+  }
+  return { valid: true, checked };
+}
+
+module.exports = {
+  GENESIS_HASH,
+  ACTIONS,
+  hashEntry,
+  excerpt,
+  record,
+  actionFor,
+  verifyChain,
+};
@@ -0,0 +1,203 @@
+const crypto = require("crypto");
+
+/*
+  Near-duplicate detection for feedback (MinHash + LSH)
+
+  1) Text is normalized (lowercase, punctuation and very common words
+     dropped) and cut into overlapping word shingles ("projector is broken"
+     -> "projector broken", ...).
+  2) A MinHash signature of NUM_HASHES values summarizes the shingle set.
+     The share of equal positions in two signatures estimates the Jaccard
+     similarity of their shingle sets.
+  3) The signature is split into LSH bands, stored on the item
+     (`duplicateBands`). Items sharing at least one band are candidates;
+     only candidates are compared, so a submission never scans the whole
+     collection.
+
+  Signatures are stored when feedback is created. Older items can be
+  indexed with `npm run backfill:duplicates`.
+*/
+
+// Words per shingle (texts shorter than this form a single shingle)
+const SHINGLE_SIZE = 2;
+
+// Signature length, split into BANDS bands of NUM_HASHES / BANDS rows.
+// With 16 bands of 4 rows, pairs above ~0.5 similarity almost always
+// share a band, pairs below ~0.2 rarely do.
+const NUM_HASHES = 64;
+const BANDS = 16;
+const ROWS = NUM_HASHES / BANDS;
+
+// Estimated similarity from which an item counts as a likely duplicate
+const MIN_SIMILARITY = Number(process.env.DUPLICATE_MIN_SIMILARITY || 0.5);
+
+// Matches returned to clients
+const MAX_MATCHES = 3;
+
+// Candidates compared per submission (most recent first)
+const MAX_CANDIDATES = 200;
+
+// Words too common to tell two reports apart
+const STOP_WORDS = new Set(
+  (
+    "a an and are as at be but by for from has have i if in is it its " +
+    "me my of on or our so that the their there this to too was we were " +
+    "with you your very really just"
+  ).split(" ")
+);
+
+// 2^32 - 5, the largest prime below 2^32; hash values stay below it
+const PRIME = 4294967291;
+
+// Fixed (a, b) pairs for the hash functions h(x) = (a * x + b) mod PRIME.
+// Derived from a constant seed so signatures stay comparable across
+// restarts and servers.
+const COEFFICIENTS = Array.from({ length: NUM_HASHES }, (_, i) => {
+  const digest = crypto.createHash("sha256").update(`minhash:${i}`).digest();
+  return [(digest.readUInt32BE(0) % (PRIME - 1)) + 1, digest.readUInt32BE(4) % PRIME];
+});
+
+/**
+ * Lowercased words of a text, without punctuation and stop words.
+ */
+function normalizeWords(text) {
+  return String(text || "")
+    .toLowerCase()
+    .normalize("NFKD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .split(/[^a-z0-9]+/)
+    .filter((word) => word && !STOP_WORDS.has(word));
+}
+
+/**
+ * Set of word shingles of a text.
+ */
+function shingles(text, size = SHINGLE_SIZE) {
+  const words = normalizeWords(text);
+  if (words.length === 0) return new Set();
+  if (words.length <= size) return new Set([words.join(" ")]);
+
+  const set = new Set();
+  for (let i = 0; i <= words.length - size; i++) {
+    set.add(words.slice(i, i + size).join(" "));
+  }
+  return set;
+}
+
+// 32-bit FNV-1a hash of a shingle
+function hashShingle(shingle) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < shingle.length; i++) {
+    hash ^= shingle.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193) >>> 0;
+  }
+  return hash;
+}
+
+// (a * x + b) mod PRIME without losing precision on 64-bit products
+function universalHash([a, b], x) {
+  return Number((BigInt(a) * BigInt(x) + BigInt(b)) % BigInt(PRIME));
+}
+
+/**
+ * MinHash signature of a text (empty for texts without words).
+ *
+ * @returns {number[]} NUM_HASHES values, or [] for an empty text
+ */
+function signature(text) {
+  const hashes = [...shingles(text)].map(hashShingle);
+  if (hashes.length === 0) return [];
+  return COEFFICIENTS.map((coefficients) => {
+    let min = PRIME;
+    for (const x of hashes) {
+      const h = universalHash(coefficients, x);
+      if (h < min) min = h;
+    }
+    return min;
+  });
+}
+
+/**
+ * Estimated Jaccard similarity (0-1) of two signatures.
+ */
+function similarity(a, b) {
+  if (!a || !b || a.length === 0 || a.length !== b.length) return 0;
+  let equal = 0;
+  for (let i = 0; i < a.length; i++) {
+    if (a[i] === b[i]) equal++;
+  }
+  return equal / a.length;
+}
+
+/**
+ * LSH band keys of a signature ("<band>:<hash of its rows>").
+ */
+function bands(sig) {
+  if (!sig || sig.length !== NUM_HASHES) return [];
+  return Array.from({ length: BANDS }, (_, band) => {
+    const rows = sig.slice(band * ROWS, (band + 1) * ROWS).join(",");
+    const digest = crypto.createHash("sha1").update(rows).digest("hex");
+    return `${band}:${digest.slice(0, 12)}`;
+  });
+}
+
+/**
+ * Fields stored on a Feedback for duplicate lookups.
+ */
+function duplicateFields(text) {
+  const sig = signature(text);
+  return { duplicateSignature: sig, duplicateBands: bands(sig) };
+}
+
+/**
+ * Most similar existing items for a text, best first.
+ *
+ * @param {import("mongoose").Model} Feedback
+ * @param {string} text
+ * @param {object} [options]
+ * @param {object} [options.filter] - Extra conditions on candidates
+ * @param {*} [options.excludeId] - Item to leave out (the text's own item)
+ * @param {number} [options.limit]
+ * @param {number} [options.minSimilarity]
+ * @returns {Promise<Array<{ feedback: object, similarity: number }>>}
+ */
+async function findSimilar(Feedback, text, options = {}) {
+  const {
+    filter = {},
+    excludeId,
+    limit = MAX_MATCHES,
+    minSimilarity = MIN_SIMILARITY,
+  } = options;
+  const sig = signature(text);
+  if (sig.length === 0) return [];
+
+  const query = { ...filter, duplicateBands: { $in: bands(sig) } };
+  if (excludeId) query._id = { $ne: excludeId };
+
+  const candidates = await Feedback.find(query)
+    .select("+duplicateSignature")
+    .sort({ createdAt: -1 })
+    .limit(MAX_CANDIDATES);
+
+  return candidates
+    .map((feedback) => ({
+      feedback,
+      similarity: similarity(sig, feedback.duplicateSignature),
+    }))
+    .filter((match) => match.similarity >= minSimilarity)
+    .sort((a, b) => b.similarity - a.similarity)
+    .slice(0, limit);
+}
+
+module.exports = {
+  NUM_HASHES,
+  BANDS,
+  MIN_SIMILARITY,
+  normalizeWords,
+  shingles,
+  signature,
+  similarity,
+  bands,
+  duplicateFields,
+  findSimilar,
+};
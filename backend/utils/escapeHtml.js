@@ -0,0 +1,24 @@
+/*
+  HTML escaping for emails
+
+  Anything an admin or a submitter typed (usernames, organization names,
+  feedback) is escaped before it goes into an email's HTML, so it shows as
+  text and cannot add markup or links.
+*/
+
+const ENTITIES = {
+  "&": "&amp;",
+  "<": "&lt;",
+  ">": "&gt;",
+  '"': "&quot;",
+  "'": "&#39;",
+};
+
+/**
+ * Escapes text for use in HTML content and quoted attribute values.
+ */
+function escapeHtml(text) {
+  return String(text).replace(/[&<>"']/g, (char) => ENTITIES[char]);
+}
+
+module.exports = { escapeHtml };
@@ -0,0 +1,99 @@
+/*
+  Offline keyword-weighted toxicity scorer
+
+  Used by the "local" moderation provider and by the mock moderation server,
+  so the whole pipeline runs without network access.
+
+  Each lexicon entry has a weight in [0, 1] and a category. Weights combine
+  like independent probabilities (noisy-OR): a single strong term scores its
+  own weight, several weak terms add up without ever exceeding 1.
+*/
+
+const LEXICON = {
+  insult: {
+    idiot: 0.8,
+    moron: 0.8,
+    stupid: 0.6,
+    dumb: 0.5,
+    loser: 0.6,
+    pathetic: 0.5,
+    useless: 0.3,
+    incompetent: 0.3,
+    clown: 0.4,
+    "shut up": 0.5,
+  },
+  threat: {
+    "kill you": 0.95,
+    "hurt you": 0.9,
+    "beat you": 0.8,
+    "find you": 0.5,
+    "watch your back": 0.9,
+    "you will pay": 0.7,
+    "burn down": 0.7,
+  },
+  harassment: {
+    creep: 0.5,
+    pervert: 0.8,
+    stalker: 0.6,
+    "get lost": 0.4,
+  },
+  hate: {
+    racist: 0.6,
+    bigot: 0.6,
+    subhuman: 0.95,
+    vermin: 0.7,
+  },
+  profanity: {
+    damn: 0.2,
+    crap: 0.3,
+    hell: 0.15,
+    bastard: 0.7,
+    bitch: 0.8,
+  },
+};
+
+const escapeRegExp = (s) => s.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+// Whole-word / whole-phrase patterns, built once
+const ENTRIES = Object.entries(LEXICON).flatMap(([category, terms]) =>
+  Object.entries(terms).map(([term, weight]) => ({
+    term,
+    weight,
+    category,
+    pattern: new RegExp(`\\b${escapeRegExp(term).replace(/ /g, "\\s+")}\\b`, "i"),
+  }))
+);
+
+/**
+ * Scores text against the lexicon.
+ *
+ * @param {string} text
+ * @returns {{ score: number, categories: Object<string, number>, matches: string[] }}
+ *   `score` is the overall toxicity in [0, 1]; `categories` holds the
+ *   per-category scores; `matches` lists the lexicon terms found.
+ */
+function scoreText(text) {
+  const categories = Object.fromEntries(
+    Object.keys(LEXICON).map((category) => [category, 0])
+  );
+  const matches = [];
+  let clean = 1;
+
+  for (const { term, weight, category, pattern } of ENTRIES) {
+    if (!pattern.test(text || "")) continue;
+    matches.push(term);
+    clean *= 1 - weight;
+    categories[category] = 1 - (1 - categories[category]) * (1 - weight);
+  }
+
+  const round = (n) => Math.round(n * 1000) / 1000;
+  return {
+    score: round(1 - clean),
+    categories: Object.fromEntries(
+      Object.entries(categories).map(([k, v]) => [k, round(v)])
+    ),
+    matches,
+  };
+}
+
+module.exports = { LEXICON, scoreText };
@@ -0,0 +1,218 @@
+const Admin = require("../models/Admin.model");
+const sendEmail = require("./sendEmail");
+const { generateToken, hashToken } = require("./secureToken");
+const { record } = require("./auditLog");
+
+/*
+  Account lockout and sign-in alerts
+
+  Failed sign-ins (wrong password or two-factor code) are counted on the
+  admin, so guessing is slowed per account whatever the IP and across
+  restarts, unlike the production rate limiter in app.js. After
+  FREE_ATTEMPTS failures every further one locks the account, for a minute
+  at first and twice as long each time, up to a day. A complete sign-in
+  clears the count, as does a day without failures; owners can unlock an
+  admin from the team page.
+
+  Admins with an email hear about it: when failures pile up, and when they
+  sign in from a device not seen before. Devices are told apart by a
+  random id in a long-lived cookie; the admin keeps hashes of the ids of
+  their recent devices.
+
+  Sign-ins, failed ones included, also go to the audit log
+  (utils/auditLog.js).
+*/
+
+const FREE_ATTEMPTS = 5;
+const BASE_LOCK_MS = 60 * 1000;
+const MAX_LOCK_MS = 24 * 60 * 60 * 1000;
+
+// Failures older than this no longer count
+const FAILURE_WINDOW_MS = 24 * 60 * 60 * 1000;
+
+// Alert the owner of the account every this many failures
+const ALERT_EVERY = FREE_ATTEMPTS;
+
+// Devices remembered per admin
+const KNOWN_DEVICES_KEPT = 20;
+
+const DEVICE_COOKIE = "deviceId";
+const deviceCookieOptions = {
+  httpOnly: true,
+  sameSite: "None",
+  secure: process.env.NODE_ENV === "production",
+  maxAge: 365 * 24 * 60 * 60 * 1000,
+};
+
+/**
+ * How long the failure numbered `failures` locks the account, in ms
+ * (0 for the first FREE_ATTEMPTS).
+ */
+function lockDuration(failures) {
+  if (failures < FREE_ATTEMPTS) return 0;
+  return Math.min(BASE_LOCK_MS * 2 ** (failures - FREE_ATTEMPTS), MAX_LOCK_MS);
+}
+
+/**
+ * Milliseconds until the admin may try again (0 when not locked).
+ */
+function lockRemaining(admin, now = Date.now()) {
+  const until = admin.lockout?.lockedUntil;
+  return until ? Math.max(0, until.getTime() - now) : 0;
+}
+
+const plural = (n, unit) => `${n} ${unit}${n === 1 ? "" : "s"}`;
+
+// "3 minutes", "2 hours"
+const formatWait = (ms) => {
+  const minutes = Math.ceil(ms / 60000);
+  return minutes < 60
+    ? plural(minutes, "minute")
+    : plural(Math.ceil(minutes / 60), "hour");
+};
+
+/**
+ * Answers 429 if the account is locked. Returns whether it did.
+ */
+function rejectIfLocked(admin, res) {
+  const remaining = lockRemaining(admin);
+  if (!remaining) return false;
+  res.set("Retry-After", String(Math.ceil(remaining / 1000)));
+  res.status(429).json({
+    error:
+      "Too many failed sign-in attempts. " +
+      `Try again in ${formatWait(remaining)}.`,
+    lockedUntil: admin.lockout.lockedUntil,
+  });
+  return true;
+}
+
+// Alerts go out in the background; a failed email must not fail sign-in
+const alert = (admin, subject, text) => {
+  if (!admin.email) return;
+  sendEmail({ to: admin.email, subject, text }).catch((err) =>
+    console.error("Sign-in alert email error:", err.message)
+  );
+};
+
+const describeRequest = (req) =>
+  `IP address: ${req.ip}\nBrowser: ${req.get("user-agent") || "unknown"}`;
+
+// Audit log entry of a sign-in event (the admin's organization may be
+// populated or not)
+const recordSignIn = (req, admin, action, details) =>
+  record({
+    organization: admin.organization._id,
+    actor: { id: admin._id, username: admin.username },
+    action,
+    target: { type: "admin", id: String(admin._id) },
+    details: { userAgent: req.get("user-agent"), ...details },
+    req,
+  });
+
+/**
+ * Counts a failed sign-in of the admin, locking the account when due.
+ *
+ * @param {"password"|"code"} step - What was wrong
+ */
+async function recordFailure(req, admin, step) {
+  const now = Date.now();
+  await Admin.updateOne(
+    {
+      _id: admin._id,
+      "lockout.lastFailedAt": { $lt: new Date(now - FAILURE_WINDOW_MS) },
+    },
+    { lockout: { failedAttempts: 0 } }
+  );
+  // Counted atomically, so parallel guesses cannot share one increment
+  const updated = await Admin.findByIdAndUpdate(
+    admin._id,
+    {
+      $inc: { "lockout.failedAttempts": 1 },
+      $set: { "lockout.lastFailedAt": new Date(now) },
+    },
+    { new: true, projection: "username email lockout" }
+  );
+  if (!updated) return;
+
+  const failures = updated.lockout.failedAttempts;
+  const lock = lockDuration(failures);
+  if (lock) {
+    await Admin.updateOne(
+      { _id: admin._id },
+      { "lockout.lockedUntil": new Date(now + lock) }
+    );
+  }
+  recordSignIn(req, admin, "auth.login_failed", {
+    step,
+    failedAttempts: failures,
+    ...(lock && { lockedUntil: new Date(now + lock) }),
+  });
+
+  if (failures % ALERT_EVERY === 0) {
+    alert(
+      updated,
+      "Failed sign-in attempts on your WhistleSpace account",
+      `There were ${failures} failed attempts to sign in as ` +
+        `${updated.username}. Sign-in is locked for ${formatWait(lock)}.\n` +
+        `The last one came from:\n${describeRequest(req)}\n` +
+        "If these were not you, your password may be targeted; consider " +
+        "changing it and turning on two-factor authentication."
+    );
+  }
+}
+
+/**
+ * A complete sign-in: clears the failure count and recognises the device,
+ * alerting the admin when it is new. Sets the device cookie.
+ */
+async function recordSuccess(req, res, admin) {
+  const presented = req.cookies?.[DEVICE_COOKIE];
+  const known = admin.knownDevices || [];
+  const isKnown = !!presented && known.includes(hashToken(presented));
+  const deviceId = isKnown ? presented : generateToken();
+  const deviceHash = hashToken(deviceId);
+
+  await Admin.updateOne(
+    { _id: admin._id },
+    {
+      lockout: { failedAttempts: 0 },
+      // Most recent last
+      knownDevices: known
+        .filter((hash) => hash !== deviceHash)
+        .concat(deviceHash)
+        .slice(-KNOWN_DEVICES_KEPT),
+    }
+  );
+  res.cookie(DEVICE_COOKIE, deviceId, deviceCookieOptions);
+  recordSignIn(req, admin, "auth.login", { newDevice: !isKnown });
+
+  // The very first sign-in has nothing to compare with
+  if (!isKnown && known.length) {
+    alert(
+      admin,
+      "New sign-in to your WhistleSpace account",
+      `${admin.username} just signed in from a new device.\n` +
+        `${describeRequest(req)}\nTime: ${new Date().toUTCString()}\n` +
+        "If this was not you, reset your password and revoke the session " +
+        "under Sessions in the dashboard."
+    );
+  }
+}
+
+/**
+ * Clears a lockout (owners unlocking an admin, or a password reset).
+ */
+const unlock = (adminId) =>
+  Admin.updateOne({ _id: adminId }, { lockout: { failedAttempts: 0 } });
+
+module.exports = {
+  FREE_ATTEMPTS,
+  recordSignIn,
+  lockDuration,
+  lockRemaining,
+  rejectIfLocked,
+  recordFailure,
+  recordSuccess,
+  unlock,
+};
@@ -1,227 +1,307 @@
-const axios = require("axios");
+const fs = require("fs");
+const { getProvider, listProviders } = require("./moderationProviders");
+const { getRuleset, thresholdsFor } = require("./moderationRules");
 
 /*
-  Lightweight moderation pipeline
+  Moderation pipeline
 
-  Order of checks (fast to slow):
-  1) Rule-based (local): quick bad-words and simple spam patterns.
-  2) One AI provider (if configured): Perspective (preferred) or OpenAI.
-     - Short HTTP timeout to avoid slow responses and reduce load.
-  3) If the primary AI call fails, optionally try the other provider.
+  Text runs through an ordered chain of providers from the registry in
+  moderationProviders.js (fast local checks first, then network services).
+  Providers that are disabled, or not configured (no API key / URL), are
+  skipped. Each call is capped by the provider's timeout; a provider that
+  errors or times out gives no verdict rather than failing the request.
 
-  Returns a consistent object: { flagged, reason, provider, ... }
+  Policies:
+  - "any":      flag as soon as one provider flags (later ones are not called)
+  - "majority": call every provider, flag when more than half of those that
+                gave a verdict flag
 
-  Environment variables:
-  - PERSPECTIVE_API_KEY (optional)
-  - OPENAI_API_KEY (optional)
-  - MODERATION_TIMEOUT_MS (optional, default 2000ms)
-*/
+  A provider marked "fallback" (OpenAI by default) only runs when no earlier
+  network provider gave a verdict.
 
-// Create an HTTP client with a tight timeout so external calls don't hang.
-const HTTP_TIMEOUT_MS = Number(process.env.MODERATION_TIMEOUT_MS || 2000);
-const http = axios.create({ timeout: HTTP_TIMEOUT_MS });
+  Threshold rules in the ModerationRule collection (see moderationRules.js)
+  override provider thresholds per call, depending on the item's tags.
 
-/**
- * Calls Google's Perspective API to score toxicity and related attributes.
- * Flags if any key metric crosses the threshold.
- */
-async function perspectiveModeration(text) {
-  const API_KEY = process.env.PERSPECTIVE_API_KEY;
-  if (!API_KEY) throw new Error("Perspective API key not configured");
-
-  const request = {
-    comment: { text },
-    requestedAttributes: {
-      TOXICITY: {},
-      SEVERE_TOXICITY: {},
-      IDENTITY_ATTACK: {},
-      INSULT: {},
-      PROFANITY: {},
-      THREAT: {},
-    },
-  };
+  Each organization picks a moderation strictness (see STRICTNESS):
+  "standard" runs the configured pipeline, "relaxed" only flags what most
+  providers agree on, and "strict" flags on the first provider that does,
+  with every provider threshold lowered by a fifth.
 
-  const url = `https://commentanalyzer.googleapis.com/v1alpha1/comments:analyze?key=${API_KEY}`;
-  const response = await http.post(url, request);
+  Returns a consistent object: { flagged, reason, provider, details, policy,
+  results, latencyMs }, where `results` holds each provider's outcome and
+  latency (see moderationLog.js for how decisions are recorded).
 
-  const scores = response.data?.attributeScores ?? {};
-  const getAttr = (name) => scores?.[name]?.summaryScore?.value ?? 0;
+  Configuration (all optional):
+  - MODERATION_CONFIG_FILE: JSON file with the shape
+    {
+      "policy": "any",
+      "chain": ["rules", "local", "perspective", "openai", "http"],
+      "providers": {
+        "local": { "thresholds": { "score": 0.6 } },
+        "perspective": { "enabled": true, "timeoutMs": 1500,
+                         "thresholds": { "TOXICITY": 0.7 } }
+      }
+    }
+  - MODERATION_CHAIN: comma-separated provider names (overrides the file)
+  - MODERATION_POLICY: "any" or "majority" (overrides the file)
+  - MODERATION_TIMEOUT_MS: default timeout for network providers
+*/
 
-  const toxicityScore = getAttr("TOXICITY");
-  const severeToxicity = getAttr("SEVERE_TOXICITY");
-  const threatScore = getAttr("THREAT");
+const POLICIES = ["any", "majority"];
 
-  const flagged =
-    toxicityScore > 0.5 || severeToxicity > 0.5 || threatScore > 0.5;
+// Config overrides per organization strictness (settings.moderationStrictness)
+const STRICTNESS = {
+  relaxed: { policy: "majority" },
+  standard: {},
+  strict: { policy: "any", thresholdScale: 0.8 },
+};
 
-  return {
-    flagged,
-    score: toxicityScore,
-    provider: "Perspective API",
-    reason: flagged ? "High toxicity detected by Perspective AI" : "Clean",
-    details: {
-      toxicity: toxicityScore,
-      severeToxicity,
-      identityAttack: getAttr("IDENTITY_ATTACK"),
-      insult: getAttr("INSULT"),
-      profanity: getAttr("PROFANITY"),
-      threat: threatScore,
-    },
-  };
-}
+const DEFAULT_CONFIG = {
+  policy: "any",
+  chain: ["rules", "local", "perspective", "openai", "http"],
+  providers: {},
+};
 
 /**
- * Calls OpenAI's Moderation endpoint.
- * Returns categories and scores; flags when OpenAI flags.
+ * Checks that a moderation config only names known policies and providers.
+ * Throws with a descriptive message otherwise.
  */
-async function openAIModeration(text) {
-  const OPENAI_API_KEY = process.env.OPENAI_API_KEY;
-  if (!OPENAI_API_KEY) throw new Error("OpenAI API key not configured");
-
-  const response = await http.post(
-    "https://api.openai.com/v1/moderations",
-
-    { input: text },
-    {
-      headers: {
-        Authorization: `Bearer ${OPENAI_API_KEY}`,
-        "Content-Type": "application/json",
-      },
+function validateConfig(config) {
+  if (!POLICIES.includes(config.policy)) {
+    throw new Error(
+      `Unknown moderation policy "${config.policy}". Use one of: ${POLICIES.join(", ")}`
+    );
+  }
+  if (!Array.isArray(config.chain) || config.chain.length === 0) {
+    throw new Error("Moderation chain must list at least one provider");
+  }
+  for (const name of [...config.chain, ...Object.keys(config.providers || {})]) {
+    if (!getProvider(name)) {
+      throw new Error(
+        `Unknown moderation provider "${name}". Registered: ${listProviders().join(", ")}`
+      );
     }
-  );
+  }
+  return config;
+}
 
-  const result = response.data?.results?.[0] ?? {
-    flagged: false,
-    categories: {},
-    category_scores: {},
-  };
+/**
+ * Loads the moderation config from MODERATION_CONFIG_FILE and the
+ * MODERATION_* environment variables, over the defaults.
+ */
+function loadModerationConfig(env = process.env) {
+  const fromFile = env.MODERATION_CONFIG_FILE
+    ? JSON.parse(fs.readFileSync(env.MODERATION_CONFIG_FILE, "utf8"))
+    : {};
+  const config = { ...DEFAULT_CONFIG, ...fromFile };
+
+  if (env.MODERATION_CHAIN) {
+    config.chain = env.MODERATION_CHAIN.split(",")
+      .map((name) => name.trim())
+      .filter(Boolean);
+  }
+  if (env.MODERATION_POLICY) config.policy = env.MODERATION_POLICY;
+  if (env.MODERATION_TIMEOUT_MS) {
+    config.timeoutMs = Number(env.MODERATION_TIMEOUT_MS);
+  }
+  return validateConfig(config);
+}
 
-  return {
-    flagged: result.flagged,
-    provider: "OpenAI",
-    reason: result.flagged ? "Content flagged by OpenAI moderation" : "Clean",
-    details: result.categories,
-    scores: result.category_scores,
+/**
+ * Merges a provider's defaults with its overrides from the config and
+ * decides whether it is enabled.
+ */
+function resolveSettings(provider, config) {
+  const overrides = config.providers?.[provider.name] || {};
+  const settings = {
+    ...provider.defaults,
+    ...(provider.network && config.timeoutMs && { timeoutMs: config.timeoutMs }),
+    ...overrides,
+    thresholds: { ...provider.defaults.thresholds, ...overrides.thresholds },
   };
+  settings.enabled = overrides.enabled ?? provider.isAvailable(settings);
+  return settings;
 }
 
 /**
- * Super-fast local checks:
- * - Looks for simple bad words (substring match).
- * - Detects spammy patterns (repeated chars, ALL CAPS, etc.).
- * - Flags if text is excessively long.
+ * Multiplies numeric thresholds by `scale` (lower = stricter).
  */
-function ruleBasedModeration(text) {
-  // Basic word list (substring match).
-  const badWords = [
-    "spam",
-    "scam",
-    "hate",
-    "abuse",
-    "threat",
-    "violence",
-    "die",
-    "stupid",
-    "idiot",
-    "moron",
-    "loser",
-    "ugly",
-    "fat",
-    "racist",
-  ];
-
-  // Simple patterns to catch spammy or noisy text.
-  const suspiciousPatterns = [
-    /(.)\1{5,}/g, // 6+ repeated characters
-    /[A-Z]{15,}/g, // 15+ consecutive uppercase letters
-    /\b\d{10,}\b/g, // very long numbers
-    /(.{1,3})\1{4,}/g, // short chunk repeated 5+ times
-  ];
-
-  const lowerText = text.toLowerCase();
-
-  // Quick bad-words check (fast path).
-  const containsBadWords = badWords.some((word) => lowerText.includes(word));
-
-  // Additional lightweight checks.
-  const containsSuspicious = suspiciousPatterns.some((pattern) =>
-    pattern.test(text)
+function scaleThresholds(thresholds, scale) {
+  if (!scale || scale === 1) return thresholds;
+  return Object.fromEntries(
+    Object.entries(thresholds).map(([key, value]) => [
+      key,
+      typeof value === "number" ? value * scale : value,
+    ])
   );
-  const tooLong = text.length > 2000;
-  const hasSpam = /(.)\1{8,}/.test(text); // 9+ repeated characters
+}
 
-  const flagged = containsBadWords || containsSuspicious || tooLong || hasSpam;
+/**
+ * Rejects if the promise has not settled within `ms`.
+ */
+function withTimeout(promise, ms) {
+  if (!ms) return promise;
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => reject(new Error(`Timed out after ${ms}ms`)), ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
 
-  return {
-    flagged,
-    provider: "Rule-based Filter",
-    reason: flagged ? "Content flagged by automated rules" : "Clean",
-    details: {
-      badWords: containsBadWords,
-      suspicious: containsSuspicious,
-      tooLong,
-      spam: hasSpam,
-    },
-  };
+/**
+ * Runs one provider, recording its latency. Errors become part of the
+ * result instead of being thrown.
+ */
+async function runProvider(provider, settings, text, context) {
+  const started = Date.now();
+  try {
+    const result = await withTimeout(
+      Promise.resolve().then(() => provider.check(text, settings, context)),
+      settings.timeoutMs
+    );
+    return {
+      ...result,
+      provider: provider.name,
+      label: provider.label,
+      flagged: !!result?.flagged,
+      latencyMs: Date.now() - started,
+    };
+  } catch (err) {
+    return {
+      provider: provider.name,
+      label: provider.label,
+      error: err.message,
+      latencyMs: Date.now() - started,
+    };
+  }
 }
 
 /**
- * Main entry: runs the moderation pipeline.
- * 1) Rule-based first (no network).
- * 2) One AI provider (Perspective preferred, else OpenAI).
- * 3) If primary AI fails, try the other (to be resilient).
+ * Combines per-provider results into the final verdict.
  */
-async function moderateFeedback(text) {
-  // Treat empty or whitespace-only input as clean (nothing to moderate).
-  if (!text || text.trim().length === 0) {
-    return { flagged: false, reason: "Empty text", provider: "validation" };
+function decide(results, policy) {
+  const votes = results.filter((r) => !r.error);
+  const flaggedBy = votes.filter((r) => r.flagged);
+  const base = { policy, results };
+
+  if (policy === "any" && flaggedBy.length > 0) {
+    const [first] = flaggedBy;
+    return {
+      ...base,
+      flagged: true,
+      provider: first.label,
+      reason: first.reason,
+      score: first.score,
+      details: first.details,
+    };
   }
 
-  // 1) Fast local check first to avoid external calls on obvious cases.
-  const ruleResult = ruleBasedModeration(text);
-  if (ruleResult.flagged) return ruleResult;
-
-  // 2) Choose ONE primary AI provider to minimize load and latency.
-  const hasPerspective = !!process.env.PERSPECTIVE_API_KEY;
-  const hasOpenAI = !!process.env.OPENAI_API_KEY;
-
-  const primaryProvider = hasPerspective
-    ? perspectiveModeration
-    : hasOpenAI
-    ? openAIModeration
-    : null;
-
-  // Secondary is only used if the primary fails (error), not for clean double-checks.
-  const secondaryProvider =
-    hasPerspective && hasOpenAI
-      ? primaryProvider === perspectiveModeration
-        ? openAIModeration
-        : perspectiveModeration
-      : null;
-
-  // If no external providers are configured, the local rule-based result is final.
-  if (!primaryProvider) {
-    return { flagged: false, reason: "Clean", provider: "Rule-based only" };
+  if (policy === "majority" && flaggedBy.length * 2 > votes.length) {
+    return {
+      ...base,
+      flagged: true,
+      provider: flaggedBy.map((r) => r.label).join(", "),
+      reason: `Flagged by ${flaggedBy.length} of ${votes.length} providers`,
+      details: Object.fromEntries(votes.map((r) => [r.provider, r.flagged])),
+    };
   }
 
-  // 3) Try the primary AI provider (short timeout caps latency).
-  try {
-    const primaryResult = await primaryProvider(text);
-    if (primaryResult.flagged) return primaryResult;
-  } catch (_) {
-    // If the primary provider fails, optionally try the other one.
-    if (secondaryProvider) {
-      try {
-        const secondaryResult = await secondaryProvider(text);
-        if (secondaryResult.flagged) return secondaryResult;
-      } catch (_) {
-        // Ignore errors; we'll treat as clean below.
-      }
+  return {
+    ...base,
+    flagged: false,
+    reason: "Clean",
+    provider: votes.length ? votes.map((r) => r.label).join(", ") : "None",
+  };
+}
+
+/**
+ * Builds a moderation function for a config.
+ *
+ * `config.resolveThresholds(context)` may return per-call provider
+ * thresholds, e.g. { perspective: { TOXICITY: 0.3 } }. `config.thresholdScale`
+ * multiplies every provider threshold (0.8 = a fifth stricter).
+ *
+ * @param {object} [config] - Defaults to loadModerationConfig()
+ * @returns {(text: string, context?: { tags?: string[], organization?: object })
+ *   => Promise<object>}
+ */
+function createModerator(config = loadModerationConfig()) {
+  const resolved = validateConfig({ ...DEFAULT_CONFIG, ...config });
+  const steps = resolved.chain
+    .map((name) => {
+      const provider = getProvider(name);
+      return { provider, settings: resolveSettings(provider, resolved) };
+    })
+    .filter(({ settings }) => settings.enabled);
+
+  return async function moderate(text, context = {}) {
+    // Treat empty or whitespace-only input as clean (nothing to moderate).
+    if (!text || text.trim().length === 0) {
+      return {
+        flagged: false,
+        reason: "Empty text",
+        provider: "validation",
+        policy: resolved.policy,
+        results: [],
+      };
     }
-  }
 
-  // If all checks pass, the text is considered clean.
-  return { flagged: false, reason: "Clean", provider: "All" };
+    const started = Date.now();
+    const overrides = resolved.resolveThresholds
+      ? await resolved.resolveThresholds(context).catch(() => ({}))
+      : {};
+
+    const results = [];
+    let networkVerdict = false;
+    for (const { provider, settings } of steps) {
+      if (settings.fallback && networkVerdict) continue;
+
+      const callSettings =
+        overrides[provider.name] || resolved.thresholdScale
+          ? {
+              ...settings,
+              thresholds: scaleThresholds(
+                { ...settings.thresholds, ...overrides[provider.name] },
+                resolved.thresholdScale
+              ),
+            }
+          : settings;
+      const result = await runProvider(provider, callSettings, text, context);
+      results.push(result);
+      if (provider.network && !result.error) networkVerdict = true;
+      if (resolved.policy === "any" && result.flagged) break;
+    }
+
+    return { ...decide(results, resolved.policy), latencyMs: Date.now() - started };
+  };
+}
+
+const baseConfig = {
+  ...loadModerationConfig(),
+  resolveThresholds: async ({ tags, organization }) =>
+    thresholdsFor(await getRuleset(organization), tags).providers,
+};
+const moderators = Object.fromEntries(
+  Object.entries(STRICTNESS).map(([strictness, overrides]) => [
+    strictness,
+    createModerator({ ...baseConfig, ...overrides }),
+  ])
+);
+
+/**
+ * Moderates text with the pipeline matching the strictness of the
+ * organization it was submitted to.
+ *
+ * @param {string} text
+ * @param {{ tags?: string[], organization: object }} context
+ */
+function moderateFeedback(text, context) {
+  const strictness = context.organization.settings?.moderationStrictness;
+  return (moderators[strictness] || moderators.standard)(text, context);
 }
 
 module.exports = moderateFeedback;
+module.exports.createModerator = createModerator;
+module.exports.loadModerationConfig = loadModerationConfig;
+module.exports.POLICIES = POLICIES;
+module.exports.STRICTNESS = STRICTNESS;
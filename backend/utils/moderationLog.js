@@ -0,0 +1,178 @@
+const ModerationDecision = require("../models/ModerationDecision.model");
+
+/*
+  Moderation decision log and effectiveness metrics
+
+  Every moderation run on submitted text is stored (ModerationDecision):
+  each provider's verdict, scores, latency and error, the rules that fired
+  and the final verdict. No submitter identity is stored.
+
+  Logging is best-effort (like sendEmail): a failed write is reported on
+  the console and never blocks or fails the submission.
+*/
+
+// Rules listed in the stats
+const TOP_RULES_LIMIT = 10;
+
+/**
+ * Numeric scores from a provider result, for the log.
+ */
+function numericScores(result) {
+  if (result.scores) return result.scores;
+  const scores = Object.entries(result.details || {}).filter(
+    ([, value]) => typeof value === "number"
+  );
+  return scores.length ? Object.fromEntries(scores) : undefined;
+}
+
+/**
+ * Builds the log document for a moderation result.
+ *
+ * @param {object} result - Return value of moderateFeedback()
+ * @param {{ subject: string, subjectId?: any, tags?: string[],
+ *   organization?: any }} item
+ */
+function toDecision(result, { subject, subjectId, tags = [], organization }) {
+  return {
+    organization,
+    subject,
+    subjectId,
+    tags,
+    policy: result.policy,
+    flagged: !!result.flagged,
+    provider: result.provider,
+    reason: result.reason,
+    results: (result.results || []).map((r) => ({
+      provider: r.provider,
+      flagged: r.error ? undefined : r.flagged,
+      score: typeof r.score === "number" ? r.score : undefined,
+      scores: numericScores(r),
+      reason: r.reason,
+      error: r.error,
+      latencyMs: r.latencyMs,
+    })),
+    rules: (result.results || []).flatMap((r) => r.rules || []),
+    latencyMs: result.latencyMs,
+  };
+}
+
+/**
+ * Stores a moderation decision without waiting for it.
+ */
+function logDecision(result, item) {
+  ModerationDecision.create(toDecision(result, item)).catch((err) => {
+    console.error("Failed to log moderation decision:", err.message);
+  });
+}
+
+/**
+ * Records the admin's review of a held item on its decision.
+ */
+function logReview(subject, subjectId, decision) {
+  ModerationDecision.updateOne(
+    { subject, subjectId },
+    { review: decision === "approve" ? "approved" : "rejected" }
+  ).catch((err) => {
+    console.error("Failed to log moderation review:", err.message);
+  });
+}
+
+/**
+ * Nearest-rank percentile of a list of numbers (null when empty).
+ */
+function percentile(values, p) {
+  const sorted = values.filter((v) => typeof v === "number").sort((a, b) => a - b);
+  if (sorted.length === 0) return null;
+  const rank = Math.ceil(p * sorted.length);
+  return sorted[Math.min(sorted.length, Math.max(1, rank)) - 1];
+}
+
+const rate = (part, total) => (total ? part / total : 0);
+
+/**
+ * Effectiveness metrics over an organization's decisions made since `since`.
+ */
+async function moderationStats(since, organization) {
+  const match = {
+    $match: { organization: organization._id, createdAt: { $gte: since } },
+  };
+
+  const [totals = {}] = await ModerationDecision.aggregate([
+    match,
+    {
+      $group: {
+        _id: null,
+        total: { $sum: 1 },
+        flagged: { $sum: { $cond: ["$flagged", 1, 0] } },
+        reviewed: { $sum: { $cond: [{ $ifNull: ["$review", false] }, 1, 0] } },
+        overturned: { $sum: { $cond: [{ $eq: ["$review", "approved"] }, 1, 0] } },
+        latencies: { $push: "$latencyMs" },
+      },
+    },
+  ]);
+
+  const providers = await ModerationDecision.aggregate([
+    match,
+    { $unwind: "$results" },
+    {
+      $group: {
+        _id: "$results.provider",
+        calls: { $sum: 1 },
+        errors: { $sum: { $cond: [{ $ifNull: ["$results.error", false] }, 1, 0] } },
+        flagged: { $sum: { $cond: ["$results.flagged", 1, 0] } },
+        latencies: { $push: "$results.latencyMs" },
+      },
+    },
+    { $sort: { calls: -1 } },
+  ]);
+
+  const topRules = await ModerationDecision.aggregate([
+    match,
+    { $unwind: "$rules" },
+    {
+      $group: {
+        _id: "$rules.ruleId",
+        pattern: { $last: "$rules.pattern" },
+        type: { $last: "$rules.type" },
+        count: { $sum: 1 },
+      },
+    },
+    { $sort: { count: -1, pattern: 1 } },
+    { $limit: TOP_RULES_LIMIT },
+  ]);
+
+  const total = totals.total || 0;
+  return {
+    since,
+    total,
+    flagged: totals.flagged || 0,
+    flagRate: rate(totals.flagged, total),
+    reviewed: totals.reviewed || 0,
+    // Share of reviewed held items that admins published anyway
+    overturnRate: rate(totals.overturned, totals.reviewed),
+    p95LatencyMs: percentile(totals.latencies || [], 0.95),
+    providers: providers.map((p) => ({
+      provider: p._id,
+      calls: p.calls,
+      errors: p.errors,
+      failureRate: rate(p.errors, p.calls),
+      flagged: p.flagged,
+      flagRate: rate(p.flagged, p.calls - p.errors),
+      p95LatencyMs: percentile(p.latencies, 0.95),
+    })),
+    topRules: topRules.map((r) => ({
+      ruleId: r._id,
+      pattern: r.pattern,
+      type: r.type,
+      count: r.count,
+    })),
+  };
+}
+
+module.exports = {
+  toDecision,
+  logDecision,
+  logReview,
+  percentile,
+  moderationStats,
+};
@@ -0,0 +1,261 @@
+const axios = require("axios");
+const { scoreText } = require("./localClassifier");
+const { evaluateRules, getRuleset } = require("./moderationRules");
+
+/*
+  Moderation provider registry
+
+  A provider is a plain object:
+  {
+    name: "perspective",          // key used in the chain and config file
+    label: "Perspective API",     // stored on moderated items, shown to admins
+    network: true,                // calls out over HTTP
+    defaults: {                   // overridable per deployment (see moderateFeedback.js)
+      timeoutMs: 2000,
+      thresholds: { TOXICITY: 0.5 },
+    },
+    isAvailable: (settings) => bool,   // enabled when not set explicitly
+    // context: { tags, organization } of the item being moderated
+    check: async (text, settings, context) => ({ flagged, score, reason, details }),
+  }
+
+  Built-in providers:
+  - rules:       admin-editable terms and patterns (local, moderationRules.js)
+  - local:       keyword-weighted scorer (local, see localClassifier.js)
+  - perspective: Google Perspective API (PERSPECTIVE_API_KEY / PERSPECTIVE_API_URL)
+  - openai:      OpenAI moderation (OPENAI_API_KEY / OPENAI_MODERATION_URL)
+  - http:        any service taking { text } and answering { flagged, score }
+                 (MODERATION_HTTP_URL), e.g. scripts/mock-moderation-server.js
+
+  The *_URL variables point a provider at a stand-in server, so tests and
+  air-gapped deployments can run the full pipeline without the real APIs.
+*/
+
+const PERSPECTIVE_URL =
+  "https://commentanalyzer.googleapis.com/v1alpha1/comments:analyze";
+const OPENAI_URL = "https://api.openai.com/v1/moderations";
+
+const providers = new Map();
+
+/**
+ * Adds (or replaces) a provider in the registry.
+ */
+function registerProvider(provider) {
+  if (!provider?.name || typeof provider.check !== "function") {
+    throw new Error("A moderation provider needs a name and a check function");
+  }
+  providers.set(provider.name, {
+    label: provider.name,
+    network: false,
+    defaults: {},
+    isAvailable: () => true,
+    ...provider,
+  });
+  return provider;
+}
+
+/**
+ * Returns a registered provider, or undefined.
+ */
+function getProvider(name) {
+  return providers.get(name);
+}
+
+/**
+ * Names of all registered providers, in registration order.
+ */
+function listProviders() {
+  return [...providers.keys()];
+}
+
+/**
+ * Admin-editable rules from the ModerationRule collection: terms, regexes,
+ * allow-list and per-tag thresholds (see moderationRules.js).
+ */
+registerProvider({
+  name: "rules",
+  label: "Rule-based Filter",
+  defaults: { timeoutMs: 1000 },
+  check: async (text, settings, { tags, organization } = {}) => {
+    const result = evaluateRules(text, await getRuleset(organization), tags);
+    return {
+      flagged: result.flagged,
+      score: result.score,
+      reason: result.flagged ? "Content flagged by automated rules" : "Clean",
+      details: {
+        matches: result.fired.map((f) => f.match),
+        tooLong: result.tooLong,
+      },
+      rules: result.fired.map((f) => ({
+        ruleId: f.id,
+        pattern: f.pattern,
+        type: f.type,
+      })),
+    };
+  },
+});
+
+registerProvider({
+  name: "local",
+  label: "Local Classifier",
+  defaults: { timeoutMs: 100, thresholds: { score: 0.7 } },
+  check: async (text, { thresholds }) => {
+    const { score, categories, matches } = scoreText(text);
+    const flagged = score >= thresholds.score;
+    return {
+      flagged,
+      score,
+      reason: flagged
+        ? `Toxic language detected (${matches.join(", ")})`
+        : "Clean",
+      details: { ...categories, matches },
+    };
+  },
+});
+
+/**
+ * Calls Google's Perspective API to score toxicity and related attributes.
+ * Flags if any attribute with a threshold crosses it.
+ */
+registerProvider({
+  name: "perspective",
+  label: "Perspective API",
+  network: true,
+  defaults: {
+    timeoutMs: 2000,
+    apiKey: process.env.PERSPECTIVE_API_KEY,
+    url: process.env.PERSPECTIVE_API_URL,
+    thresholds: { TOXICITY: 0.5, SEVERE_TOXICITY: 0.5, THREAT: 0.5 },
+  },
+  isAvailable: ({ apiKey, url }) => !!(apiKey || url),
+  check: async (text, { apiKey, url, thresholds, timeoutMs }) => {
+    const attributes = [
+      "TOXICITY",
+      "SEVERE_TOXICITY",
+      "IDENTITY_ATTACK",
+      "INSULT",
+      "PROFANITY",
+      "THREAT",
+    ];
+    const response = await axios.post(
+      url || PERSPECTIVE_URL,
+      {
+        comment: { text },
+        requestedAttributes: Object.fromEntries(attributes.map((a) => [a, {}])),
+      },
+      { timeout: timeoutMs, params: apiKey ? { key: apiKey } : undefined }
+    );
+
+    const scores = response.data?.attributeScores ?? {};
+    const getAttr = (name) => scores?.[name]?.summaryScore?.value ?? 0;
+    const details = Object.fromEntries(attributes.map((a) => [a, getAttr(a)]));
+    const fired = Object.entries(thresholds).filter(
+      ([attr, threshold]) => details[attr] > threshold
+    );
+
+    return {
+      flagged: fired.length > 0,
+      score: details.TOXICITY,
+      reason: fired.length
+        ? `High ${fired.map(([attr]) => attr.toLowerCase()).join(", ")} detected by Perspective AI`
+        : "Clean",
+      details,
+    };
+  },
+});
+
+/**
+ * Calls OpenAI's Moderation endpoint.
+ * Flags when OpenAI flags, or when a category score crosses a threshold.
+ * By default it only runs when Perspective could not give a verdict.
+ */
+registerProvider({
+  name: "openai",
+  label: "OpenAI",
+  network: true,
+  defaults: {
+    timeoutMs: 2000,
+    fallback: true,
+    apiKey: process.env.OPENAI_API_KEY,
+    url: process.env.OPENAI_MODERATION_URL,
+    thresholds: {},
+  },
+  isAvailable: ({ apiKey, url }) => !!(apiKey || url),
+  check: async (text, { apiKey, url, thresholds, timeoutMs }) => {
+    const response = await axios.post(
+      url || OPENAI_URL,
+      { input: text },
+      {
+        timeout: timeoutMs,
+        headers: {
+          ...(apiKey && { Authorization: `Bearer ${apiKey}` }),
+          "Content-Type": "application/json",
+        },
+      }
+    );
+
+    const result = response.data?.results?.[0] ?? {
+      flagged: false,
+      categories: {},
+      category_scores: {},
+    };
+    const scores = result.category_scores || {};
+    const overThreshold = Object.entries(thresholds).some(
+      ([category, threshold]) => (scores[category] ?? 0) > threshold
+    );
+    const flagged = !!result.flagged || overThreshold;
+
+    return {
+      flagged,
+      score: Math.max(0, ...Object.values(scores)),
+      reason: flagged ? "Content flagged by OpenAI moderation" : "Clean",
+      details: result.categories,
+      scores,
+    };
+  },
+});
+
+/**
+ * Generic HTTP provider: POSTs { text } and expects { flagged } and/or
+ * { score } back (plus optional reason and details).
+ */
+registerProvider({
+  name: "http",
+  label: "HTTP Moderation Service",
+  network: true,
+  defaults: {
+    timeoutMs: 2000,
+    url: process.env.MODERATION_HTTP_URL,
+    token: process.env.MODERATION_HTTP_TOKEN,
+    thresholds: { score: 0.7 },
+  },
+  isAvailable: ({ url }) => !!url,
+  check: async (text, { url, token, thresholds, timeoutMs }) => {
+    const response = await axios.post(
+      url,
+      { text },
+      {
+        timeout: timeoutMs,
+        headers: token ? { Authorization: `Bearer ${token}` } : undefined,
+      }
+    );
+    const data = response.data || {};
+    const flagged =
+      typeof data.flagged === "boolean"
+        ? data.flagged
+        : (data.score ?? 0) >= thresholds.score;
+
+    return {
+      flagged,
+      score: data.score,
+      reason: data.reason || (flagged ? "Content flagged by moderation service" : "Clean"),
+      details: data.details,
+    };
+  },
+});
+
+module.exports = {
+  registerProvider,
+  getProvider,
+  listProviders,
+};
@@ -0,0 +1,271 @@
+const ModerationRule = require("../models/ModerationRule.model");
+const { unsafeRegexReason } = require("./regexSafety");
+
+/*
+  Admin-editable moderation rules (ModerationRule collection)
+
+  - term rules match whole words/phrases only ("die" does not match "diet")
+  - regex rules are regular expressions (case-insensitive unless marked
+    caseSensitive)
+  - allow rules blank out exempt phrases before matching ("kill time")
+  - every term/regex rule that fires adds its severity to the item's score;
+    the item is flagged when the score reaches the threshold, or when the
+    text is longer than the length limit
+  - threshold rules set the score, length limit and network-provider
+    thresholds; a rule with a tag applies to items carrying that tag, the
+    one without a tag to everything. The strictest value wins.
+
+  Regex rules that could backtrack catastrophically are rejected when
+  saved (see utils/regexSafety.js); ones stored before that check are
+  skipped here.
+
+  Each organization has its own rules; one without any is seeded with
+  DEFAULT_RULES (the former hard-coded word list, spam patterns and
+  limits). Compiled rules are cached for CACHE_TTL_MS, and dropped
+  immediately when an admin edits them.
+*/
+
+const SEVERITY_SCORES = { low: 1, medium: 2, high: 3 };
+
+// Used when no threshold rule sets a value
+const BASE_THRESHOLD = { score: 3, maxLength: 2000 };
+
+const CACHE_TTL_MS = 60 * 1000;
+
+const DEFAULT_RULES = [
+  ...[
+    "spam",
+    "scam",
+    "hate",
+    "abuse",
+    "threat",
+    "violence",
+    "die",
+    "stupid",
+    "idiot",
+    "moron",
+    "loser",
+    "ugly",
+    "fat",
+    "racist",
+  ].map((pattern) => ({ type: "term", pattern, severity: "high" })),
+  { type: "regex", pattern: "(.)\\1{5,}", severity: "high", note: "6+ repeated characters" },
+  {
+    type: "regex",
+    pattern: "[A-Z]{15,}",
+    caseSensitive: true,
+    severity: "high",
+    note: "15+ consecutive capitals",
+  },
+  { type: "regex", pattern: "\\b\\d{10,}\\b", severity: "high", note: "Very long numbers" },
+  { type: "regex", pattern: "(.{1,3})\\1{4,}", severity: "high", note: "Short chunk repeated 5+ times" },
+  {
+    type: "threshold",
+    tag: null,
+    score: BASE_THRESHOLD.score,
+    maxLength: BASE_THRESHOLD.maxLength,
+    providerThresholds: {
+      perspective: { TOXICITY: 0.5, SEVERE_TOXICITY: 0.5, THREAT: 0.5 },
+    },
+  },
+];
+
+const escapeRegExp = (s) => s.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+// Whole word/phrase, any run of whitespace between words
+const phrasePattern = (phrase, flags = "i") =>
+  new RegExp(
+    `(?<!\\w)${escapeRegExp(phrase.trim()).replace(/\s+/g, "\\s+")}(?!\\w)`,
+    flags
+  );
+
+const regexPattern = (rule) => {
+  const flags = rule.caseSensitive ? "" : "i";
+  const unsafe = unsafeRegexReason(rule.pattern, flags);
+  if (unsafe) throw new Error(unsafe);
+  return new RegExp(rule.pattern, flags);
+};
+
+/**
+ * Compiles rule documents into matchers. Disabled rules are skipped, and
+ * so are invalid or unsafe patterns (listed in `skipped` with the reason).
+ */
+function compileRules(rules) {
+  const ruleset = {
+    matchers: [],
+    allow: [],
+    thresholds: new Map(),
+    skipped: [],
+  };
+
+  for (const rule of rules) {
+    if (rule.enabled === false) continue;
+    try {
+      if (rule.type === "term") {
+        ruleset.matchers.push({ rule, re: phrasePattern(rule.pattern) });
+      } else if (rule.type === "regex") {
+        ruleset.matchers.push({ rule, re: regexPattern(rule) });
+      } else if (rule.type === "allow") {
+        ruleset.allow.push({ rule, re: phrasePattern(rule.pattern, "gi") });
+      } else if (rule.type === "threshold") {
+        ruleset.thresholds.set(rule.tag || null, rule);
+      }
+    } catch (err) {
+      console.error(`Skipping moderation rule ${rule._id}:`, err.message);
+      ruleset.skipped.push({
+        id: rule._id,
+        pattern: rule.pattern,
+        reason: err.message,
+      });
+    }
+  }
+  return ruleset;
+}
+
+/**
+ * Effective thresholds for an item with the given tags: the default rule,
+ * tightened by any tag-specific rules.
+ *
+ * @returns {{ score: number, maxLength: number, providers: object }}
+ */
+function thresholdsFor(ruleset, tags = []) {
+  const base = ruleset.thresholds.get(null);
+  const effective = {
+    score: base?.score ?? BASE_THRESHOLD.score,
+    maxLength: base?.maxLength ?? BASE_THRESHOLD.maxLength,
+    providers: Object.fromEntries(
+      Object.entries(base?.providerThresholds || {}).map(([name, values]) => [
+        name,
+        { ...values },
+      ])
+    ),
+  };
+
+  // Tag rules can only make moderation stricter
+  const lower = (current, value) =>
+    value == null ? current : current == null ? value : Math.min(current, value);
+  for (const tag of tags) {
+    const rule = ruleset.thresholds.get(String(tag).toLowerCase());
+    if (!rule) continue;
+    effective.score = lower(effective.score, rule.score);
+    effective.maxLength = lower(effective.maxLength, rule.maxLength);
+    for (const [name, values] of Object.entries(rule.providerThresholds || {})) {
+      const merged = (effective.providers[name] ||= {});
+      for (const [key, value] of Object.entries(values || {})) {
+        merged[key] = lower(merged[key], value);
+      }
+    }
+  }
+  return effective;
+}
+
+/**
+ * Runs the rules over a text.
+ *
+ * @returns {{ flagged: boolean, score: number, threshold: number,
+ *   maxLength: number, tooLong: boolean, fired: object[], allowed: object[] }}
+ */
+function evaluateRules(text, ruleset, tags = []) {
+  const thresholds = thresholdsFor(ruleset, tags);
+
+  // Blank out allow-listed phrases (keeping offsets) before matching
+  let scanned = text;
+  const allowed = [];
+  for (const { rule, re } of ruleset.allow) {
+    let hit = false;
+    scanned = scanned.replace(re, (m) => {
+      hit = true;
+      return " ".repeat(m.length);
+    });
+    if (hit) allowed.push({ id: rule._id, pattern: rule.pattern });
+  }
+
+  const fired = [];
+  for (const { rule, re } of ruleset.matchers) {
+    const match = scanned.match(re);
+    if (!match) continue;
+    fired.push({
+      id: rule._id,
+      type: rule.type,
+      pattern: rule.pattern,
+      severity: rule.severity,
+      match: match[0],
+    });
+  }
+
+  const score = fired.reduce(
+    (sum, f) => sum + (SEVERITY_SCORES[f.severity] || 0),
+    0
+  );
+  const tooLong = text.length > thresholds.maxLength;
+
+  return {
+    flagged: score >= thresholds.score || tooLong,
+    score,
+    threshold: thresholds.score,
+    maxLength: thresholds.maxLength,
+    tooLong,
+    fired,
+    allowed,
+  };
+}
+
+const cache = new Map(); // organization id -> { ruleset, expires }
+const loading = new Map(); // organization id -> in-flight load, shared by concurrent callers
+
+async function loadRuleset(organization) {
+  let rules = await ModerationRule.find({ organization }).lean();
+  if (rules.length === 0) {
+    await ModerationRule.insertMany(
+      DEFAULT_RULES.map((rule) => ({ ...rule, organization }))
+    );
+    rules = await ModerationRule.find({ organization }).lean();
+  }
+  return compileRules(rules);
+}
+
+/**
+ * Loads and compiles an organization's rules (cached). Seeds the defaults
+ * into an organization without rules.
+ *
+ * @param {{ _id: * }} organization
+ */
+async function getRuleset(organization) {
+  const key = String(organization._id);
+  const cached = cache.get(key);
+  if (cached && cached.expires > Date.now()) return cached.ruleset;
+
+  if (!loading.has(key)) {
+    loading.set(
+      key,
+      loadRuleset(organization._id)
+        .then((ruleset) => {
+          cache.set(key, { ruleset, expires: Date.now() + CACHE_TTL_MS });
+          return ruleset;
+        })
+        .finally(() => {
+          loading.delete(key);
+        })
+    );
+  }
+  return loading.get(key);
+}
+
+/**
+ * Drops an organization's cached rules (call after editing them); every
+ * organization's when none is given.
+ */
+function invalidateRules(organization) {
+  if (organization) cache.delete(String(organization._id));
+  else cache.clear();
+}
+
+module.exports = {
+  SEVERITY_SCORES,
+  DEFAULT_RULES,
+  compileRules,
+  thresholdsFor,
+  evaluateRules,
+  getRuleset,
+  invalidateRules,
+};
@@ -0,0 +1,203 @@
+const axios = require("axios");
+const sendEmail = require("./sendEmail");
+const { escapeHtml } = require("./escapeHtml");
+
+/*
+  Notification channel registry
+
+  A channel type is a plain object:
+  {
+    type: "slack",                 // stored on NotificationChannel documents
+    label: "Slack",                // shown to admins
+    target: "url",                 // the field sent to: "url" or "email"
+    send: async (message, channel) => {},   // throws when sending fails
+  }
+
+  Every type gets the same rendered message (utils/notifications.js):
+  {
+    event: "feedback.created",
+    title: "New feedback",
+    text: "The projector in room 4 is broken",
+    fields: [{ label: "Tags", value: "facilities" }],
+    url: "https://…/feedback/…",  // may be missing
+    color: "teal",                 // Chakra colour of the event
+    data: { feedback, … },         // what the event is about
+  }
+
+  Built-in types:
+  - email: sendEmail (EMAIL_HOST etc.; point them at an SMTP stand-in such
+           as scripts/mock-notification-server.js to test)
+  - slack: Slack-compatible incoming webhooks (Slack, Mattermost,
+           Rocket.Chat), using message attachments
+  - teams: Microsoft Teams workflow webhooks, with an Adaptive Card
+  - json:  the message as JSON, for anything else
+*/
+
+const REQUEST_TIMEOUT_MS = 10 * 1000;
+
+// Hex colours of the Chakra colour schemes events use
+const HEX_COLORS = {
+  teal: "#319795",
+  blue: "#3182CE",
+  orange: "#DD6B20",
+  red: "#E53E3E",
+  gray: "#718096",
+};
+
+const channelTypes = new Map();
+
+/**
+ * Adds (or replaces) a channel type in the registry.
+ */
+function registerChannel(channelType) {
+  if (!channelType?.type || typeof channelType.send !== "function") {
+    throw new Error("A notification channel needs a type and a send function");
+  }
+  channelTypes.set(channelType.type, {
+    label: channelType.type,
+    target: "url",
+    ...channelType,
+  });
+  return channelType;
+}
+
+/**
+ * Returns a registered channel type, or undefined.
+ */
+function getChannel(type) {
+  return channelTypes.get(type);
+}
+
+/**
+ * Registered channel types, in registration order.
+ */
+function listChannels() {
+  return [...channelTypes.values()];
+}
+
+const post = (url, body) =>
+  axios.post(url, body, {
+    headers: { "User-Agent": "WhistleSpace-Notifications" },
+    timeout: REQUEST_TIMEOUT_MS,
+    maxRedirects: 0,
+  });
+
+// Submitted text is escaped: it must not become markup in the email
+function emailHtml({ title, text, fields, url }) {
+  const field = ({ label, value }) =>
+    `<p><strong>${escapeHtml(label)}:</strong> ${escapeHtml(value)}</p>`;
+  return [
+    `<h3>${escapeHtml(title)}</h3>`,
+    `<p>${escapeHtml(text).replace(/\n/g, "<br>")}</p>`,
+    ...fields.map(field),
+    ...(url
+      ? [`<p><a href="${escapeHtml(url)}">Open in WhistleSpace</a></p>`]
+      : []),
+  ].join("\n");
+}
+
+registerChannel({
+  type: "email",
+  label: "Email",
+  target: "email",
+  send: (message, channel) =>
+    sendEmail({
+      to: channel.email,
+      subject: message.title,
+      text: [
+        message.text,
+        "",
+        ...message.fields.map(({ label, value }) => `${label}: ${value}`),
+        ...(message.url ? ["", message.url] : []),
+      ].join("\n"),
+      html: emailHtml(message),
+    }),
+});
+
+registerChannel({
+  type: "slack",
+  label: "Slack-compatible webhook",
+  send: (message, channel) =>
+    post(channel.url, {
+      text: message.title,
+      attachments: [
+        {
+          fallback: `${message.title}: ${message.text}`,
+          color: HEX_COLORS[message.color] || HEX_COLORS.gray,
+          title: message.title,
+          title_link: message.url,
+          text: message.text,
+          fields: message.fields.map(({ label, value }) => ({
+            title: label,
+            value,
+            short: true,
+          })),
+        },
+      ],
+    }),
+});
+
+registerChannel({
+  type: "teams",
+  label: "Microsoft Teams",
+  send: (message, channel) =>
+    post(channel.url, {
+      type: "message",
+      attachments: [
+        {
+          contentType: "application/vnd.microsoft.card.adaptive",
+          content: {
+            $schema: "http://adaptivecards.io/schemas/adaptive-card.json",
+            type: "AdaptiveCard",
+            version: "1.4",
+            body: [
+              {
+                type: "TextBlock",
+                text: message.title,
+                weight: "Bolder",
+                size: "Medium",
+                wrap: true,
+              },
+              { type: "TextBlock", text: message.text, wrap: true },
+              {
+                type: "FactSet",
+                facts: message.fields.map(({ label, value }) => ({
+                  title: label,
+                  value,
+                })),
+              },
+            ],
+            actions: message.url
+              ? [
+                  {
+                    type: "Action.OpenUrl",
+                    title: "Open in WhistleSpace",
+                    url: message.url,
+                  },
+                ]
+              : [],
+          },
+        },
+      ],
+    }),
+});
+
+registerChannel({
+  type: "json",
+  label: "JSON POST",
+  send: (message, channel) =>
+    post(channel.url, {
+      event: message.event,
+      title: message.title,
+      text: message.text,
+      fields: message.fields,
+      url: message.url,
+      data: message.data,
+    }),
+});
+
+module.exports = {
+  registerChannel,
+  getChannel,
+  listChannels,
+};
@@ -0,0 +1,305 @@
+const NotificationChannel = require("../models/NotificationChannel.model");
+const { getChannel } = require("./notificationChannels");
+const { DEFAULT_ORGANIZATION } = require("./organizations");
+const workflow = require("./statusWorkflow");
+
+/*
+  Notifications
+
+  Admins are told about feedback events through the organization's
+  notification channels (models/NotificationChannel.model.js): email,
+  Slack-compatible and Teams webhooks, or a JSON POST
+  (utils/notificationChannels.js). A channel gets an event when it
+  subscribes to it and, if it names tags or statuses, the item has one of
+  them. The organization's notification email (settings.notificationEmail)
+  acts as one more email channel, for new feedback.
+
+  Every event has a built-in template giving the message's title, text and
+  fields. A channel can replace the title and text per event, with
+  placeholders filled in from the event:
+
+    {{organization.name}} {{event}} {{feedback.id}} {{feedback.text}}
+    {{feedback.status}} {{feedback.tags}} {{feedback.url}} {{comment.text}}
+    {{comment.author}} {{from}} {{to}} {{reason}}
+
+  Channels often post to third-party services, so items and comments not
+  yet public (held for review or rejected) go out as a notice without their
+  text. Approving a held item sends its event again, text included.
+
+  Like webhooks, notifications are sent in the background: notify() never
+  holds up the request that caused the event, and failures are only logged.
+*/
+
+const APP_URL = process.env.FRONTEND_URL || "http://localhost:5173";
+
+const PLACEHOLDERS = [
+  "organization.name",
+  "event",
+  "feedback.id",
+  "feedback.text",
+  "feedback.status",
+  "feedback.tags",
+  "feedback.url",
+  "comment.text",
+  "comment.author",
+  "from",
+  "to",
+  "reason",
+];
+
+const statusLabel = (status) => workflow.statuses[status]?.label || status;
+
+const COMMENT_AUTHORS = {
+  admin: "Official response",
+  reporter: "Submitter",
+  anonymous: "Anonymous",
+};
+
+// Held items and comments are only shown to admins until reviewed
+const isHeld = (item) => item?.visibility === "pending_review";
+
+// What channels get instead of the text of items that are not public
+const HIDDEN_TEXT = "Not public yet: read it in the review queue.";
+
+const isHidden = (item) => isHeld(item) || item?.visibility === "rejected";
+
+// The event's data without the text of items that are not public
+const withoutHiddenText = (data) => {
+  const redact = (item) =>
+    isHidden(item) ? { ...item, text: HIDDEN_TEXT } : item;
+  return {
+    ...data,
+    feedback: redact(data.feedback),
+    ...(data.comment && { comment: redact(data.comment) }),
+  };
+};
+
+// Where admins look at an item
+function feedbackUrl(organization, feedback) {
+  if (!feedback?.id) return undefined;
+  if (isHeld(feedback)) return `${APP_URL}/admin/dashboard`;
+  const board =
+    organization.slug === DEFAULT_ORGANIZATION ? "" : `/o/${organization.slug}`;
+  return `${APP_URL}${board}/feedback/${feedback.id}`;
+}
+
+const tagList = (feedback) =>
+  feedback?.tags?.length ? feedback.tags.join(", ") : "None";
+
+// Built-in templates: event -> (data, organization) -> message parts
+const TEMPLATES = {
+  "feedback.created": ({ feedback }, { name }) => ({
+    title: isHeld(feedback)
+      ? `New feedback held for review (${name})`
+      : `New feedback (${name})`,
+    text: feedback.text,
+    fields: [
+      { label: "Tags", value: tagList(feedback) },
+      { label: "Status", value: statusLabel(feedback.status) },
+    ],
+    color: isHeld(feedback) ? "orange" : "teal",
+  }),
+  "feedback.status_changed": ({ feedback, from, to, reason }, { name }) => ({
+    title: `Feedback moved to ${statusLabel(to)} (${name})`,
+    text: feedback.text,
+    fields: [
+      { label: "From", value: statusLabel(from) },
+      { label: "To", value: statusLabel(to) },
+      ...(reason ? [{ label: "Reason", value: reason }] : []),
+      { label: "Tags", value: tagList(feedback) },
+    ],
+    color: "blue",
+  }),
+  "comment.created": ({ feedback, comment }, { name }) => ({
+    title:
+      comment.authorType === "admin"
+        ? `Official response posted (${name})`
+        : isHeld(comment)
+          ? `New comment held for review (${name})`
+          : `New comment (${name})`,
+    text: comment.text,
+    fields: [
+      { label: "On", value: feedback.text },
+      { label: "By", value: COMMENT_AUTHORS[comment.authorType] },
+      { label: "Tags", value: tagList(feedback) },
+    ],
+    color: "orange",
+  }),
+  "feedback.deleted": ({ feedback, mergedDuplicates }, { name }) => ({
+    title: `Feedback deleted (${name})`,
+    text: feedback.text,
+    fields: [
+      { label: "Status", value: statusLabel(feedback.status) },
+      ...(mergedDuplicates
+        ? [{ label: "Merged duplicates deleted", value: mergedDuplicates }]
+        : []),
+    ],
+    color: "red",
+  }),
+};
+
+// Placeholder values of an event
+const variables = (event, data, organization) => ({
+  "organization.name": organization.name,
+  event,
+  "feedback.id": data.feedback?.id,
+  "feedback.text": data.feedback?.text,
+  "feedback.status": data.feedback && statusLabel(data.feedback.status),
+  "feedback.tags": data.feedback && tagList(data.feedback),
+  "feedback.url": feedbackUrl(organization, data.feedback),
+  "comment.text": data.comment?.text,
+  "comment.author": data.comment && COMMENT_AUTHORS[data.comment.authorType],
+  from: data.from && statusLabel(data.from),
+  to: data.to && statusLabel(data.to),
+  reason: data.reason,
+});
+
+/**
+ * Fills {{placeholders}} in a template; unknown or empty ones become "".
+ */
+const fillTemplate = (template, values) =>
+  template.replace(/{{\s*([\w.]+)\s*}}/g, (_, name) =>
+    values[name] == null ? "" : String(values[name])
+  );
+
+// A channel's own template for an event (stored as a Map, or a plain
+// object when read with lean())
+const customTemplate = (channel, event) =>
+  channel.templates instanceof Map
+    ? channel.templates.get(event)
+    : channel.templates?.[event];
+
+/**
+ * The message a channel sends for an event.
+ */
+function renderMessage(channel, event, data, organization) {
+  const message = {
+    event,
+    ...TEMPLATES[event](data, organization),
+    url: feedbackUrl(organization, data.feedback),
+    data,
+  };
+  message.fields = message.fields.map(({ label, value }) => ({
+    label,
+    value: String(value),
+  }));
+  const custom = customTemplate(channel, event);
+  if (custom?.title || custom?.text) {
+    const values = variables(event, data, organization);
+    if (custom.title) message.title = fillTemplate(custom.title, values);
+    if (custom.text) message.text = fillTemplate(custom.text, values);
+  }
+  return message;
+}
+
+/**
+ * Whether a channel wants an event about an item: it subscribes to the
+ * event, and the item has one of its tags and statuses (if it names any).
+ */
+function routes(channel, event, data) {
+  const { feedback } = data;
+  const tags = channel.tags || [];
+  const statuses = channel.statuses || [];
+  return (
+    channel.events.includes(event) &&
+    (tags.length === 0 || !!feedback?.tags?.some((t) => tags.includes(t))) &&
+    (statuses.length === 0 || statuses.includes(feedback?.status))
+  );
+}
+
+// settings.notificationEmail, as a channel
+const organizationEmailChannel = (organization) =>
+  organization.settings?.notificationEmail
+    ? [
+        {
+          name: "Notification email",
+          type: "email",
+          email: organization.settings.notificationEmail,
+          events: ["feedback.created"],
+        },
+      ]
+    : [];
+
+/**
+ * Sends one channel's message for an event. Throws when sending fails.
+ */
+async function send(channel, event, data, organization) {
+  const channelType = getChannel(channel.type);
+  if (!channelType) throw new Error(`Unknown channel type "${channel.type}"`);
+  await channelType.send(
+    renderMessage(channel, event, data, organization),
+    channel
+  );
+}
+
+/**
+ * Notifies the organization's channels of an event in the background.
+ * Never rejects; failures are logged.
+ *
+ * @param {object} organization - With _id, slug, name and settings
+ * @param {string} event - One of NOTIFICATION_EVENTS
+ * @param {object} data - The event's data, as sent to webhooks
+ *   (utils/webhooks.js): feedback, plus comment, from, to, reason, ...
+ * @returns {Promise<void>} Settles once every channel was tried
+ */
+async function notify(organization, event, data) {
+  data = withoutHiddenText(data);
+  try {
+    const channels = [
+      ...organizationEmailChannel(organization),
+      ...(await NotificationChannel.find({
+        organization: organization._id,
+        events: event,
+        active: true,
+      }).lean()),
+    ].filter((channel) => routes(channel, event, data));
+
+    await Promise.all(
+      channels.map((channel) =>
+        send(channel, event, data, organization).catch((err) =>
+          console.error(
+            `Notification error (${channel.type} "${channel.name}", ${event}):`,
+            err.message
+          )
+        )
+      )
+    );
+  } catch (err) {
+    console.error(`Notification error (${event}):`, err.message);
+  }
+}
+
+/**
+ * Sends a channel a sample of its first event, marked as a test, whatever
+ * its routing says. Throws when sending fails.
+ */
+async function sendTest(channel, organization) {
+  const [event] = channel.events;
+  const status = channel.statuses?.[0] || workflow.initial;
+  const data = {
+    feedback: {
+      id: "test",
+      text: "This is a test notification from WhistleSpace.",
+      tags: channel.tags?.slice(0, 1) || [],
+      status,
+      visibility: "public",
+    },
+    comment: { text: "A sample comment.", authorType: "anonymous" },
+    from: workflow.initial,
+    to: status,
+  };
+  const message = renderMessage(channel, event, data, organization);
+  message.title = `[Test] ${message.title}`;
+  delete message.url;
+  await getChannel(channel.type).send(message, channel);
+}
+
+module.exports = {
+  PLACEHOLDERS,
+  TEMPLATES,
+  fillTemplate,
+  renderMessage,
+  routes,
+  notify,
+  sendTest,
+};
@@ -0,0 +1,86 @@
+const Organization = require("../models/Organization.model");
+
+/*
+  Organizations
+
+  Every board belongs to an organization (models/Organization.model.js),
+  looked up by the slug in /o/:slug/... and cached here for a short while,
+  since every public request needs one.
+
+  The unprefixed routes (/feedback, /tags) serve DEFAULT_ORGANIZATION. It is
+  created on first use, so deployments from before organizations keep
+  working; its notification email starts out as ADMIN_EMAIL. Existing data
+  is moved into it with `npm run migrate:organizations`.
+*/
+
+const DEFAULT_ORGANIZATION = process.env.DEFAULT_ORGANIZATION || "default";
+
+const CACHE_TTL_MS = 60 * 1000;
+
+const cache = new Map(); // slug -> { organization, expires }
+const loading = new Map(); // slug -> in-flight load, shared by concurrent callers
+
+async function loadOrganization(slug) {
+  if (slug !== DEFAULT_ORGANIZATION) {
+    return Organization.findOne({ slug }).lean();
+  }
+  return Organization.findOneAndUpdate(
+    { slug },
+    {
+      $setOnInsert: {
+        name: "WhistleSpace",
+        settings: {
+          moderationStrictness: "standard",
+          allowedTags: [],
+          ...(process.env.ADMIN_EMAIL && {
+            notificationEmail: process.env.ADMIN_EMAIL.toLowerCase(),
+          }),
+        },
+      },
+    },
+    { upsert: true, new: true }
+  ).lean();
+}
+
+/**
+ * An organization by slug (cached), or null. The default organization is
+ * created when missing.
+ */
+async function getOrganization(slug) {
+  if (!slug) return null;
+  const cached = cache.get(slug);
+  if (cached && cached.expires > Date.now()) return cached.organization;
+
+  if (!loading.has(slug)) {
+    loading.set(
+      slug,
+      loadOrganization(slug)
+        .then((organization) => {
+          // Unknown slugs aren't cached, so a new organization shows up at once
+          if (organization) {
+            cache.set(slug, { organization, expires: Date.now() + CACHE_TTL_MS });
+          }
+          return organization;
+        })
+        .finally(() => {
+          loading.delete(slug);
+        })
+    );
+  }
+  return loading.get(slug);
+}
+
+/**
+ * Drops a cached organization (call after editing it); all of them when
+ * no slug is given.
+ */
+function invalidateOrganization(slug) {
+  if (slug) cache.delete(slug);
+  else cache.clear();
+}
+
+module.exports = {
+  DEFAULT_ORGANIZATION,
+  getOrganization,
+  invalidateOrganization,
+};
@@ -0,0 +1,142 @@
+const mongoose = require("mongoose");
+
+/*
+  Cursor-based (keyset) pagination helpers for list endpoints.
+
+  A cursor is an opaque base64url string holding the sort key value and _id
+  of the last item on the previous page. The next page is everything that
+  sorts strictly after that pair, so pages stay stable while new items are
+  being added (unlike skip/limit).
+*/
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+// Supported sort orders -> sort field, direction and value type
+const SORT_OPTIONS = {
+  newest: { field: "createdAt", direction: -1, type: "date" },
+  oldest: { field: "createdAt", direction: 1, type: "date" },
+  most_commented: { field: "commentCount", direction: -1, type: "number" },
+  recently_updated: { field: "updatedAt", direction: -1, type: "date" },
+};
+
+// Extra sort orders only available when searching (score = text relevance)
+const SEARCH_SORT_OPTIONS = {
+  relevance: { field: "score", direction: -1, type: "number" },
+};
+
+/**
+ * Clamps the requested page size to 1..MAX_LIMIT (default DEFAULT_LIMIT).
+ */
+function parseLimit(value) {
+  const limit = parseInt(value, 10);
+  if (!Number.isFinite(limit) || limit < 1) return DEFAULT_LIMIT;
+  return Math.min(limit, MAX_LIMIT);
+}
+
+/**
+ * Encodes the sort key + _id of a document into an opaque cursor.
+ */
+function encodeCursor(doc, sortOption) {
+  // Items older than the sort field don't have it: that is null here, not
+  // the default Mongoose fills in when loading them (e.g. commentCount 0)
+  const missing =
+    typeof doc.$isDefault === "function" && doc.$isDefault(sortOption.field);
+  const value = missing ? null : doc[sortOption.field];
+  const payload = {
+    v: value instanceof Date ? value.toISOString() : value ?? null,
+    id: String(doc._id),
+  };
+  return Buffer.from(JSON.stringify(payload)).toString("base64url");
+}
+
+/**
+ * Decodes a cursor back into { value, id }. Throws on malformed input.
+ */
+function decodeCursor(cursor, sortOption) {
+  let payload;
+  try {
+    payload = JSON.parse(Buffer.from(cursor, "base64url").toString("utf8"));
+  } catch (_) {
+    throw new Error("Invalid cursor");
+  }
+  if (!payload || !mongoose.Types.ObjectId.isValid(payload.id)) {
+    throw new Error("Invalid cursor");
+  }
+
+  const id = new mongoose.Types.ObjectId(payload.id);
+  // The last item had no sort value (see cursorCondition)
+  if (payload.v === null) return { value: null, id };
+
+  let value = payload.v;
+  if (sortOption.type === "date") {
+    value = new Date(value);
+    if (Number.isNaN(value.getTime())) throw new Error("Invalid cursor");
+  } else if (typeof value !== "number") {
+    throw new Error("Invalid cursor");
+  }
+
+  return { value, id };
+}
+
+/**
+ * Builds the query condition that selects items after the cursor position.
+ * Ties on the sort field are broken by _id in the same direction.
+ * Items without the sort field (null) sort lowest, as in MongoDB: last when
+ * descending, first when ascending.
+ */
+function cursorCondition({ value, id }, sortOption) {
+  const { field, direction } = sortOption;
+  const op = direction === -1 ? "$lt" : "$gt";
+  if (value === null) {
+    return {
+      $or: [
+        { [field]: null, _id: { [op]: id } },
+        ...(direction === 1 ? [{ [field]: { $ne: null } }] : []),
+      ],
+    };
+  }
+  return {
+    $or: [
+      { [field]: { [op]: value } },
+      { [field]: value, _id: { [op]: id } },
+      ...(direction === -1 ? [{ [field]: null }] : []),
+    ],
+  };
+}
+
+/**
+ * Mongo sort document for a sort option (sort field, then _id).
+ */
+function sortSpec(sortOption) {
+  return { [sortOption.field]: sortOption.direction, _id: sortOption.direction };
+}
+
+/**
+ * Parses a comma-separated `fields` param into a projection string.
+ * Only whitelisted fields are kept; the sort field is always included so
+ * the next cursor can be computed. Returns null when no projection applies.
+ */
+function parseFields(value, allowedFields, sortOption) {
+  if (!value) return null;
+  const fields = String(value)
+    .split(",")
+    .map((f) => f.trim())
+    .filter((f) => allowedFields.includes(f));
+  if (fields.length === 0) return null;
+  if (!fields.includes(sortOption.field)) fields.push(sortOption.field);
+  return fields.join(" ");
+}
+
+module.exports = {
+  DEFAULT_LIMIT,
+  MAX_LIMIT,
+  SORT_OPTIONS,
+  SEARCH_SORT_OPTIONS,
+  parseLimit,
+  encodeCursor,
+  decodeCursor,
+  cursorCondition,
+  sortSpec,
+  parseFields,
+};
@@ -0,0 +1,52 @@
+/*
+  Admin roles and permissions
+
+  Every admin has one role. Routes name the permission they need with
+  requirePermission() (middleware/auth.js), which checks the admin's
+  current role against the matrix below:
+
+  - owner:     everything, including the organization's settings, team
+               and webhooks
+  - moderator: reviews, locks, merges and deletes; manages tags and rules
+  - responder: changes statuses and posts official responses
+  - auditor:   read-only access to everything admins can see, and the
+               audit log
+
+  The frontend mirrors this matrix (frontend/src/utils/permissions.js) to
+  hide actions an admin cannot perform; keep the two in sync.
+*/
+
+const ROLES = ["owner", "moderator", "responder", "auditor"];
+
+const ALL = ROLES;
+
+// permission -> roles that have it
+const PERMISSIONS = {
+  // Held items and comments, attachments, moderation rules and stats
+  "feedback:read": ALL,
+  // Approve or reject held items, lock threads, merge duplicates
+  "feedback:moderate": ["owner", "moderator"],
+  "feedback:status": ["owner", "moderator", "responder"],
+  // Post and pin official responses
+  "feedback:respond": ["owner", "moderator", "responder"],
+  // Delete feedback and comments
+  "feedback:delete": ["owner", "moderator"],
+  "tags:manage": ["owner", "moderator"],
+  "moderation:manage": ["owner", "moderator"],
+  "organization:manage": ["owner"],
+  // Invite admins, change their roles, disable them
+  "admins:manage": ["owner"],
+  // Read and export the audit log (utils/auditLog.js)
+  "audit:read": ["owner", "auditor"],
+  // Outbound webhooks and their delivery logs (utils/webhooks.js)
+  "webhooks:manage": ["owner"],
+};
+
+/**
+ * Whether `role` has `permission`. Unknown roles and permissions have
+ * nothing, so a typo denies access instead of granting it.
+ */
+const can = (role, permission) =>
+  (PERMISSIONS[permission] || []).includes(role);
+
+module.exports = { ROLES, PERMISSIONS, can };
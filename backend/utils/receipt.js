@@ -0,0 +1,52 @@
+const crypto = require("crypto");
+
+/*
+  Anonymous case receipts
+
+  When feedback is submitted the submitter receives a one-time secret key.
+  Only a SHA-256 hash of the key is stored, so the plain key exists nowhere
+  but with the submitter. Holding the key is what proves "I filed this
+  report" — there is no account behind it.
+
+  Keys carry 120 bits of randomness, so a fast hash is sufficient (a slow,
+  salted hash is only needed for low-entropy secrets like passwords) and
+  lets us look the report up by hash directly.
+*/
+
+// Readable alphabet (Crockford base32: no I, L, O, U)
+const ALPHABET = "0123456789ABCDEFGHJKMNPQRSTVWXYZ";
+const KEY_LENGTH = 24; // 24 chars * 5 bits = 120 bits
+const GROUP_SIZE = 4;
+
+/**
+ * Generates a new receipt key like "K7QM-2XWD-...".
+ */
+function generateReceiptKey() {
+  const bytes = crypto.randomBytes(KEY_LENGTH);
+  let key = "";
+  for (let i = 0; i < KEY_LENGTH; i++) {
+    key += ALPHABET[bytes[i] % ALPHABET.length];
+  }
+  return key.match(new RegExp(`.{${GROUP_SIZE}}`, "g")).join("-");
+}
+
+/**
+ * Normalizes user input (case, spaces, dashes) so "k7qm 2xwd" still matches.
+ */
+function normalizeReceiptKey(key) {
+  return String(key || "")
+    .toUpperCase()
+    .replace(/[^0-9A-Z]/g, "");
+}
+
+/**
+ * Hash stored on Feedback.receiptHash and used for lookups.
+ */
+function hashReceiptKey(key) {
+  return crypto
+    .createHash("sha256")
+    .update(normalizeReceiptKey(key))
+    .digest("hex");
+}
+
+module.exports = { generateReceiptKey, normalizeReceiptKey, hashReceiptKey };
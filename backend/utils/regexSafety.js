@@ -0,0 +1,113 @@
+/*
+  Regex rule safety
+
+  Regex moderation rules run synchronously on every submission, so a
+  pattern that backtracks catastrophically ("(a+)+$" on "aaaa…!") would
+  stall the server for everyone. Before a pattern is stored (and again
+  when rules are compiled, for ones stored earlier) it is:
+
+  - rejected when a quantified group repeats something already
+    unbounded ("(a+)+", "(\w*\s?)*"), the usual cause of exponential
+    backtracking
+  - run against pathological inputs (runs of one character, as long as
+    the longest text moderated, then a character that fails the match)
+    and rejected when that takes longer than PROBE_TIMEOUT_MS
+
+  Backreferences are allowed; the probe catches the slow ones.
+*/
+
+const vm = require("vm");
+
+// Longest text a rule runs on (feedback; see routes/feedback.routes.js)
+const PROBE_LENGTH = 5000;
+// Short runs are enough to expose exponential backtracking
+const SHORT_PROBE_LENGTH = 40;
+const PROBE_TIMEOUT_MS = 100;
+
+// Characters the probe repeats, besides the pattern's own literals
+const PROBE_CHARACTERS = ["a", "A", "1", " ", "-", "."];
+
+// *, + and {n,} (but not {n,m}) right after position `i`
+const UNBOUNDED_QUANTIFIER = /^(?:[*+]|\{\d+,\})/;
+
+/**
+ * Whether a quantified group in the pattern contains an unbounded
+ * quantifier itself, e.g. "(a+)+" or "(?:x|y*)*". Character classes and
+ * escapes are skipped.
+ */
+function hasNestedQuantifier(pattern) {
+  // One entry per open group: does it contain an unbounded quantifier?
+  const groups = [];
+  let quantifiedInside = false;
+
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i];
+    if (char === "\\") {
+      i++;
+    } else if (char === "[") {
+      // Skip to the end of the class ("]" first in it is a literal)
+      i++;
+      if (pattern[i] === "]") i++;
+      while (i < pattern.length && pattern[i] !== "]") {
+        if (pattern[i] === "\\") i++;
+        i++;
+      }
+    } else if (char === "(") {
+      groups.push(quantifiedInside);
+      quantifiedInside = false;
+    } else if (char === ")") {
+      const quantified = UNBOUNDED_QUANTIFIER.test(pattern.slice(i + 1));
+      if (quantified && quantifiedInside) return true;
+      quantifiedInside = groups.pop() || quantifiedInside || quantified;
+    } else if (UNBOUNDED_QUANTIFIER.test(pattern.slice(i))) {
+      quantifiedInside = true;
+    }
+  }
+  return false;
+}
+
+// Inputs the probe runs the pattern on
+function probeInputs(pattern) {
+  const literals = pattern.replace(/\\.|[^\w\s]/g, "");
+  const characters = [...new Set([...PROBE_CHARACTERS, ...literals])];
+  return characters.flatMap((char) => [
+    char.repeat(SHORT_PROBE_LENGTH) + "!",
+    char.repeat(PROBE_LENGTH) + "!",
+  ]);
+}
+
+/**
+ * Why a regex rule's pattern is unsafe to run on submissions, or null
+ * when it is safe (or not a valid regex; that is reported elsewhere).
+ *
+ * @param {string} pattern
+ * @param {string} [flags] - e.g. "i"
+ * @returns {string|null}
+ */
+function unsafeRegexReason(pattern, flags = "") {
+  let re;
+  try {
+    re = new RegExp(pattern, flags);
+  } catch (_) {
+    return null;
+  }
+  if (hasNestedQuantifier(pattern)) {
+    return "Pattern repeats a group that repeats itself, e.g. (a+)+";
+  }
+  try {
+    vm.runInNewContext(
+      "for (const input of inputs) re.test(input);",
+      { re, inputs: probeInputs(pattern) },
+      { timeout: PROBE_TIMEOUT_MS }
+    );
+  } catch (err) {
+    if (err.code !== "ERR_SCRIPT_EXECUTION_TIMEOUT") throw err;
+    return (
+      "Pattern is too slow on long or repetitive text; " +
+      "bound its repeats, e.g. {1,50} instead of +"
+    );
+  }
+  return null;
+}
+
+module.exports = { unsafeRegexReason, hasNestedQuantifier };
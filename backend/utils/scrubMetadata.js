@@ -0,0 +1,463 @@
+const zlib = require("zlib");
+
+/*
+  Metadata scrubbing for attachments
+
+  Uploaded evidence must not reveal who sent it, so identifying metadata is
+  removed before a file is stored:
+
+  - JPEG: APP1 (EXIF incl. GPS position and camera serial, XMP), APP3-APP13
+    (IPTC, Photoshop) and APP15 segments plus comments. JFIF, ICC colour
+    profiles and the Adobe segment are kept so the image looks the same.
+    EXIF orientation is lost with the rest of EXIF, so a photo may show
+    rotated.
+  - PNG: text chunks (tEXt, zTXt, iTXt), eXIf and tIME.
+  - WebP: EXIF and XMP chunks.
+  - PDF: the document information dictionary (author, creator, dates, ...),
+    XMP metadata streams, the document /ID and the EXIF of embedded JPEGs.
+    PDFs are edited in place with every value blanked to the same length,
+    so the cross-reference offsets stay valid without rewriting the file.
+
+  Files whose metadata can't be removed reliably (e.g. encrypted PDFs) are
+  refused with a ScrubError rather than stored as they are.
+*/
+
+class ScrubError extends Error {}
+
+const JPEG_SIGNATURE = Buffer.from([0xff, 0xd8, 0xff]);
+const PNG_SIGNATURE = Buffer.from([
+  0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a,
+]);
+
+/**
+ * Detects a supported file type from its first bytes. The type a client
+ * declares is never trusted.
+ *
+ * @returns {"image/jpeg"|"image/png"|"image/webp"|"application/pdf"|null}
+ */
+function detectType(buffer) {
+  if (buffer.subarray(0, 3).equals(JPEG_SIGNATURE)) return "image/jpeg";
+  if (buffer.subarray(0, 8).equals(PNG_SIGNATURE)) return "image/png";
+  if (
+    buffer.toString("latin1", 0, 4) === "RIFF" &&
+    buffer.toString("latin1", 8, 12) === "WEBP"
+  ) {
+    return "image/webp";
+  }
+  if (buffer.toString("latin1", 0, 5) === "%PDF-") return "application/pdf";
+  return null;
+}
+
+// ---------------------------------------------------------------------------
+// Images
+
+// JPEG markers kept; APP0 (JFIF), APP2 (ICC profile), APP14 (Adobe)
+const JPEG_KEPT_APP_MARKERS = new Set([0xe0, 0xe2, 0xee]);
+const JPEG_COMMENT = 0xfe;
+const JPEG_START_OF_SCAN = 0xda;
+
+function scrubJpeg(buffer) {
+  const parts = [buffer.subarray(0, 2)]; // SOI
+  let i = 2;
+  while (i < buffer.length) {
+    if (buffer[i] !== 0xff) throw new ScrubError("Invalid JPEG file");
+    const marker = buffer[i + 1];
+    if (marker === 0xff) {
+      i++; // fill byte
+      continue;
+    }
+    // Entropy-coded data follows; nothing after it is metadata we strip
+    if (marker === JPEG_START_OF_SCAN) {
+      parts.push(buffer.subarray(i));
+      break;
+    }
+    // Markers without a length (RSTn, SOI, EOI, TEM)
+    if ((marker >= 0xd0 && marker <= 0xd9) || marker === 0x01) {
+      parts.push(buffer.subarray(i, i + 2));
+      i += 2;
+      continue;
+    }
+    if (i + 4 > buffer.length) throw new ScrubError("Invalid JPEG file");
+    const end = i + 2 + buffer.readUInt16BE(i + 2);
+    if (end > buffer.length) throw new ScrubError("Invalid JPEG file");
+
+    const isApp = marker >= 0xe0 && marker <= 0xef;
+    const drop =
+      marker === JPEG_COMMENT || (isApp && !JPEG_KEPT_APP_MARKERS.has(marker));
+    if (!drop) parts.push(buffer.subarray(i, end));
+    i = end;
+  }
+  return Buffer.concat(parts);
+}
+
+const PNG_DROPPED_CHUNKS = new Set(["tEXt", "zTXt", "iTXt", "eXIf", "tIME"]);
+
+function scrubPng(buffer) {
+  const parts = [buffer.subarray(0, 8)]; // signature
+  let i = 8;
+  while (i < buffer.length) {
+    if (i + 12 > buffer.length) throw new ScrubError("Invalid PNG file");
+    const length = buffer.readUInt32BE(i);
+    const type = buffer.toString("latin1", i + 4, i + 8);
+    const end = i + 12 + length; // length, type, data, CRC
+    if (end > buffer.length) throw new ScrubError("Invalid PNG file");
+    if (!PNG_DROPPED_CHUNKS.has(type)) parts.push(buffer.subarray(i, end));
+    i = end;
+    if (type === "IEND") break;
+  }
+  return Buffer.concat(parts);
+}
+
+const WEBP_DROPPED_CHUNKS = new Set(["EXIF", "XMP "]);
+// VP8X feature flags announcing the dropped chunks
+const WEBP_EXIF_FLAG = 0x08;
+const WEBP_XMP_FLAG = 0x04;
+
+function scrubWebp(buffer) {
+  const chunks = [];
+  let i = 12; // "RIFF" <size> "WEBP"
+  while (i < buffer.length) {
+    if (i + 8 > buffer.length) throw new ScrubError("Invalid WebP file");
+    const type = buffer.toString("latin1", i, i + 4);
+    const size = buffer.readUInt32LE(i + 4);
+    const end = i + 8 + size + (size % 2); // chunks are padded to even sizes
+    if (i + 8 + size > buffer.length) {
+      throw new ScrubError("Invalid WebP file");
+    }
+    if (!WEBP_DROPPED_CHUNKS.has(type)) {
+      const chunk = Buffer.from(
+        buffer.subarray(i, Math.min(end, buffer.length))
+      );
+      if (type === "VP8X") chunk[8] &= ~(WEBP_EXIF_FLAG | WEBP_XMP_FLAG);
+      chunks.push(chunk);
+    }
+    i = end;
+  }
+  const body = Buffer.concat(chunks);
+  const header = Buffer.from("RIFF0000WEBP", "latin1");
+  header.writeUInt32LE(body.length + 4, 4);
+  return Buffer.concat([header, body]);
+}
+
+// ---------------------------------------------------------------------------
+// PDF
+
+// Adler-32 checksum ending a zlib stream
+function adler32(buffer) {
+  let a = 1;
+  let b = 0;
+  for (let i = 0; i < buffer.length; i++) {
+    a = (a + buffer[i]) % 65521;
+    b = (b + a) % 65521;
+  }
+  return ((b << 16) | a) >>> 0;
+}
+
+const MAX_STORED_BLOCK = 65535;
+
+const unscrubbable = () =>
+  new ScrubError("PDF metadata could not be removed from this file");
+
+/**
+ * Deflates `plain` into exactly `length` bytes, so a rewritten stream keeps
+ * its /Length and every offset after it. The compressed data is followed by
+ * stored (uncompressed) blocks of spaces that fill the remaining room;
+ * decoders see the spaces as trailing whitespace.
+ */
+function deflateToLength(plain, length) {
+  const body = zlib.deflateSync(plain, {
+    level: 9,
+    finishFlush: zlib.constants.Z_SYNC_FLUSH, // byte-aligned, not final
+  });
+  let room = length - body.length - 4; // 4: Adler-32
+  if (room < 5) throw unscrubbable();
+
+  const blocks = [];
+  const padding = [];
+  while (room > 0) {
+    const last = room - 5 <= MAX_STORED_BLOCK;
+    const size = last ? room - 5 : Math.min(MAX_STORED_BLOCK, room - 10);
+    const header = Buffer.alloc(5);
+    header[0] = last ? 1 : 0; // BFINAL, BTYPE 00 (stored)
+    header.writeUInt16LE(size, 1);
+    header.writeUInt16LE(~size & 0xffff, 3);
+    const spaces = Buffer.alloc(size, 0x20);
+    blocks.push(header, spaces);
+    padding.push(spaces);
+    room -= 5 + size;
+  }
+
+  const checksum = Buffer.alloc(4);
+  checksum.writeUInt32BE(adler32(Buffer.concat([plain, ...padding])));
+  return Buffer.concat([body, ...blocks, checksum]);
+}
+
+// Index just past the string starting at `start` ("(" or "<")
+function stringEnd(text, start) {
+  if (text[start] === "<") {
+    const end = text.indexOf(">", start);
+    return end === -1 ? text.length : end + 1;
+  }
+  let depth = 0;
+  for (let i = start; i < text.length; i++) {
+    const c = text[i];
+    if (c === "\\") i++;
+    else if (c === "(") depth++;
+    else if (c === ")" && --depth === 0) return i + 1;
+  }
+  return text.length;
+}
+
+/**
+ * Blanks every string value in bytes [start, end): "(Jane Doe)" becomes
+ * "()" followed by spaces, hex strings likewise. Returns true if anything
+ * changed.
+ */
+function blankStrings(bytes, start, end) {
+  const text = bytes.toString("latin1", start, end);
+  let changed = false;
+  for (let i = 0; i < text.length; i++) {
+    const c = text[i];
+    if (c === "<" && text[i + 1] === "<") {
+      i++; // dictionary
+      continue;
+    }
+    if (c !== "(" && c !== "<") continue;
+    const close = stringEnd(text, i);
+    if (close - i > 2) {
+      bytes[start + i + 1] = c === "(" ? 0x29 : 0x3e; // ")" or ">"
+      bytes.fill(0x20, start + i + 2, start + close);
+      changed = true;
+    }
+    i = close - 1;
+  }
+  return changed;
+}
+
+// Direct value of /Length, or one stored in another object ("12 0 R")
+function streamLength(dict, text) {
+  const match = /\/Length\s+(\d+)(?:\s+(\d+)\s+R)?/.exec(dict);
+  if (!match) return null;
+  if (match[2] === undefined) return Number(match[1]);
+  const target = new RegExp(
+    `(?:^|[^0-9])${match[1]}\\s+${match[2]}\\s+obj\\s*(\\d+)\\s*endobj`
+  ).exec(text);
+  return target ? Number(target[1]) : null;
+}
+
+// "none", "flate", "dct" or "other" for a stream dictionary
+function streamEncoding(dict) {
+  const match = /\/Filter\s*(?:\/(\w+)|\[\s*((?:\/\w+\s*)*)\])/.exec(dict);
+  if (!match) return "none";
+  const filters = match[1]
+    ? [match[1]]
+    : match[2].split(/[\s/]+/).filter(Boolean);
+  if (filters.length === 0) return "none";
+  if (filters.length > 1) return "other";
+  if (filters[0] === "FlateDecode" && !/\/DecodeParms/.test(dict)) {
+    return "flate";
+  }
+  return filters[0] === "DCTDecode" ? "dct" : "other";
+}
+
+/**
+ * Top-level objects of a PDF: { num, gen, start, end, dict, stream }, where
+ * `stream` is the data range of stream objects. Scanning skips over stream
+ * data, so binary content is never mistaken for object syntax.
+ */
+function pdfObjects(text) {
+  const objects = [];
+  const header = /(\d+)\s+(\d+)\s+obj\b/g;
+  let match;
+  while ((match = header.exec(text))) {
+    const start = match.index + match[0].length;
+    const endObj = text.indexOf("endobj", start);
+    if (endObj === -1) break;
+    const streamKeyword = /\bstream(\r\n|\n|\r)/g;
+    streamKeyword.lastIndex = start;
+    const stream = streamKeyword.exec(text);
+
+    const object = { num: Number(match[1]), gen: Number(match[2]), start };
+    if (stream && stream.index < endObj) {
+      object.dict = text.slice(start, stream.index);
+      const dataStart = stream.index + stream[0].length;
+      let length = streamLength(object.dict, text);
+      if (length === null || dataStart + length > text.length) {
+        const endStream = text.indexOf("endstream", dataStart);
+        if (endStream === -1) break;
+        length = endStream - dataStart;
+      }
+      object.stream = { start: dataStart, end: dataStart + length };
+      object.end = text.indexOf("endobj", object.stream.end);
+      if (object.end === -1) break;
+    } else {
+      object.dict = text.slice(start, endObj);
+      object.end = endObj;
+    }
+    objects.push(object);
+    header.lastIndex = object.end;
+  }
+  return objects;
+}
+
+// Decoded content of a stream, or null for encodings we can't rewrite
+function readStream(bytes, object) {
+  const data = bytes.subarray(object.stream.start, object.stream.end);
+  const encoding = streamEncoding(object.dict);
+  if (encoding === "none") return Buffer.from(data);
+  if (encoding !== "flate") return null;
+  try {
+    return zlib.inflateSync(data);
+  } catch {
+    return null;
+  }
+}
+
+// Writes new content into a stream without changing its length
+function writeStream(bytes, object, plain) {
+  const length = object.stream.end - object.stream.start;
+  let data;
+  if (streamEncoding(object.dict) === "none") {
+    if (plain.length > length) throw unscrubbable();
+    data = Buffer.concat([plain, Buffer.alloc(length - plain.length, 0x20)]);
+  } else {
+    data = deflateToLength(plain, length);
+  }
+  data.copy(bytes, object.stream.start);
+}
+
+// Objects inside an object stream: [{ num, start, end }] relative to content
+function objectStreamEntries(dict, content) {
+  const count = Number((/\/N\s+(\d+)/.exec(dict) || [])[1]);
+  const first = Number((/\/First\s+(\d+)/.exec(dict) || [])[1]);
+  if (!count || Number.isNaN(first)) return [];
+  const numbers = content
+    .toString("latin1", 0, first)
+    .trim()
+    .split(/\s+/)
+    .map(Number);
+  const entries = [];
+  for (let i = 0; i < count; i++) {
+    const next = i + 1 < count ? numbers[2 * i + 3] : content.length - first;
+    entries.push({
+      num: numbers[2 * i],
+      start: first + numbers[2 * i + 1],
+      end: first + next,
+    });
+  }
+  return entries;
+}
+
+function scrubPdf(buffer) {
+  const bytes = Buffer.from(buffer);
+  const text = bytes.toString("latin1");
+
+  if (/\/Encrypt\s/.test(text)) {
+    throw new ScrubError(
+      "Encrypted PDFs can't be accepted; please remove the password first"
+    );
+  }
+
+  // Every revision's trailer (or cross-reference stream) names its Info dict
+  const infoNumbers = new Set(
+    [...text.matchAll(/\/Info\s+(\d+)\s+\d+\s+R/g)].map((m) => Number(m[1]))
+  );
+
+  // Document IDs are derived from the file name, time and author; hex IDs
+  // keep their length as zeros
+  for (const match of text.matchAll(/\/ID\s*\[([^\]]*)\]/g)) {
+    const start = match.index + match[0].indexOf("[") + 1;
+    if (/^[\s<>0-9A-Fa-f]*$/.test(match[1])) {
+      const zeros = match[1].replace(/[0-9A-Fa-f]/g, "0");
+      bytes.write(zeros, start, "latin1");
+    } else {
+      blankStrings(bytes, start, start + match[1].length);
+    }
+  }
+
+  const objects = pdfObjects(text);
+  const topLevel = new Set(objects.map((object) => object.num));
+  const infoCompressed = [...infoNumbers].some((num) => !topLevel.has(num));
+
+  for (const object of objects) {
+    if (infoNumbers.has(object.num)) {
+      blankStrings(bytes, object.start, object.end);
+      continue;
+    }
+    if (!object.stream) continue;
+
+    // XMP packets (document and image metadata) are emptied
+    if (/\/Type\s*\/Metadata\b/.test(object.dict)) {
+      if (!["none", "flate"].includes(streamEncoding(object.dict))) {
+        throw unscrubbable();
+      }
+      writeStream(bytes, object, Buffer.alloc(0));
+      continue;
+    }
+
+    // The Info dict may sit compressed inside an object stream
+    if (/\/Type\s*\/ObjStm\b/.test(object.dict)) {
+      const content = readStream(bytes, object);
+      if (!content) {
+        if (infoCompressed) throw unscrubbable();
+        continue;
+      }
+      let changed = false;
+      for (const entry of objectStreamEntries(object.dict, content)) {
+        if (infoNumbers.has(entry.num)) {
+          changed = blankStrings(content, entry.start, entry.end) || changed;
+        }
+      }
+      if (changed) writeStream(bytes, object, content);
+      continue;
+    }
+
+    // Embedded photos keep their own EXIF; trailing padding after the
+    // image's end marker is ignored by decoders
+    if (streamEncoding(object.dict) === "dct") {
+      const data = bytes.subarray(object.stream.start, object.stream.end);
+      try {
+        const clean = scrubJpeg(data);
+        if (clean.length < data.length) {
+          Buffer.concat([clean, Buffer.alloc(data.length - clean.length)]).copy(
+            bytes,
+            object.stream.start
+          );
+        }
+      } catch (err) {
+        if (!(err instanceof ScrubError)) throw err;
+      }
+    }
+  }
+  return bytes;
+}
+
+// ---------------------------------------------------------------------------
+
+const SCRUBBERS = {
+  "image/jpeg": scrubJpeg,
+  "image/png": scrubPng,
+  "image/webp": scrubWebp,
+  "application/pdf": scrubPdf,
+};
+
+/**
+ * Returns a copy of the file without identifying metadata.
+ *
+ * @param {Buffer} buffer
+ * @param {string} type - A type returned by detectType()
+ * @returns {Buffer}
+ * @throws {ScrubError} When the file is malformed or can't be scrubbed
+ */
+function scrubMetadata(buffer, type) {
+  const scrub = SCRUBBERS[type];
+  if (!scrub) throw new ScrubError("Unsupported file type");
+  return scrub(buffer);
+}
+
+module.exports = {
+  ScrubError,
+  SUPPORTED_TYPES: Object.keys(SCRUBBERS),
+  detectType,
+  scrubMetadata,
+};
@@ -0,0 +1,190 @@
+const Feedback = require("../models/Feedback.model");
+const Comment = require("../models/Comment.model");
+
+/*
+  Full-text search over feedback and their comments.
+
+  Both collections carry a MongoDB text index on `text`. A search:
+  1) Scores matching feedback and matching comments separately.
+  2) Merges them per feedback item (comment hits count for less).
+  3) Sorts the merged set in memory and pages through it with the same
+     opaque cursors as the plain list endpoint.
+  4) Attaches highlighted snippets so clients can show why an item matched.
+
+  Snippets are returned as segments ({ text, match }) rather than HTML,
+  so clients never have to inject markup built from user text.
+*/
+
+// Upper bound on matches considered per collection for a single search
+const MAX_SEARCH_RESULTS = 500;
+
+// Comment matches contribute less than a match on the feedback itself
+const COMMENT_SCORE_WEIGHT = 0.5;
+
+// Characters of context kept around the first match in a snippet
+const SNIPPET_RADIUS = 80;
+
+const escapeRegExp = (s) => s.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+/**
+ * Extracts the positive search terms from a $text query string.
+ * Quoted phrases stay whole; negated terms ("-word") are dropped.
+ */
+function parseSearchTerms(q) {
+  const terms = [];
+  const re = /(-?)"([^"]+)"|(-?)(\S+)/g;
+  let m;
+  while ((m = re.exec(q)) !== null) {
+    const negated = m[1] || m[3];
+    const term = (m[2] || m[4] || "").trim();
+    if (!negated && term) terms.push(term.toLowerCase());
+  }
+  return [...new Set(terms)];
+}
+
+/**
+ * Builds a short highlighted snippet around the first term match.
+ * Terms match at word starts so stemmed hits ("login" -> "logins") still
+ * highlight. Returns null when nothing in the text matches.
+ */
+function buildSnippet(text, terms) {
+  if (!text || terms.length === 0) return null;
+  const pattern = new RegExp(
+    `\\b(${terms.map(escapeRegExp).join("|")})\\w*`,
+    "gi"
+  );
+
+  const first = pattern.exec(text);
+  if (!first) return null;
+
+  const start = Math.max(0, first.index - SNIPPET_RADIUS);
+  const end = Math.min(text.length, first.index + SNIPPET_RADIUS * 2);
+  const excerpt = text.slice(start, end);
+
+  const segments = [];
+  let last = 0;
+  pattern.lastIndex = 0;
+  let m;
+  while ((m = pattern.exec(excerpt)) !== null) {
+    if (m.index > last) {
+      segments.push({ text: excerpt.slice(last, m.index), match: false });
+    }
+    segments.push({ text: m[0], match: true });
+    last = m.index + m[0].length;
+  }
+  if (last < excerpt.length) {
+    segments.push({ text: excerpt.slice(last), match: false });
+  }
+
+  if (start > 0) segments.unshift({ text: "…", match: false });
+  if (end < text.length) segments.push({ text: "…", match: false });
+  return segments;
+}
+
+/**
+ * Compares two items by the sort option (sort field, then _id).
+ */
+function compareBy(sortOption) {
+  const { field, direction } = sortOption;
+  return (a, b) => {
+    const av = a[field] instanceof Date ? a[field].getTime() : a[field] ?? 0;
+    const bv = b[field] instanceof Date ? b[field].getTime() : b[field] ?? 0;
+    if (av !== bv) return av < bv ? -direction : direction;
+    const aid = String(a._id);
+    const bid = String(b._id);
+    if (aid === bid) return 0;
+    return aid < bid ? -direction : direction;
+  };
+}
+
+/**
+ * True when `doc` sorts strictly after the cursor position.
+ */
+function isAfterCursor(doc, position, sortOption) {
+  const compare = compareBy(sortOption);
+  const cursorDoc = {
+    [sortOption.field]: position.value,
+    _id: position.id,
+  };
+  return compare(cursorDoc, doc) < 0;
+}
+
+/**
+ * Runs a search and returns every matching feedback item (lean objects),
+ * each with `score` and `highlights`, unsorted.
+ *
+ * @param {string} q - User search query ($text syntax)
+ * @param {object} filter - Extra Feedback filter (organization, tags,
+ *   status, ...)
+ */
+async function searchFeedback(q, filter = {}) {
+  const terms = parseSearchTerms(q);
+
+  const [feedbackHits, commentHits] = await Promise.all([
+    Feedback.find(
+      { ...filter, $text: { $search: q } },
+      { score: { $meta: "textScore" } }
+    )
+      .sort({ score: { $meta: "textScore" } })
+      .limit(MAX_SEARCH_RESULTS)
+      .lean(),
+    // Held or rejected comments never surface in search
+    Comment.find(
+      {
+        $text: { $search: q },
+        ...(filter.organization && { organization: filter.organization }),
+        visibility: { $nin: ["pending_review", "rejected"] },
+      },
+      { feedbackId: 1, text: 1, score: { $meta: "textScore" } }
+    )
+      .sort({ score: { $meta: "textScore" } })
+      .limit(MAX_SEARCH_RESULTS)
+      .lean(),
+  ]);
+
+  // Best comment hit per feedback item
+  const bestComment = new Map();
+  for (const c of commentHits) {
+    const key = String(c.feedbackId);
+    if (!bestComment.has(key) || bestComment.get(key).score < c.score) {
+      bestComment.set(key, c);
+    }
+  }
+
+  // Feedback that only matched through a comment still has to pass the filter
+  const matchedIds = new Set(feedbackHits.map((f) => String(f._id)));
+  const commentOnlyIds = [...bestComment.keys()].filter(
+    (id) => !matchedIds.has(id)
+  );
+  const commentOnly = commentOnlyIds.length
+    ? await Feedback.find({ ...filter, _id: { $in: commentOnlyIds } }).lean()
+    : [];
+
+  return [...feedbackHits, ...commentOnly].map((fb) => {
+    const comment = bestComment.get(String(fb._id));
+    const highlights = [];
+
+    const textSnippet = buildSnippet(fb.text, terms);
+    if (textSnippet) highlights.push({ field: "text", segments: textSnippet });
+    const commentSnippet = comment && buildSnippet(comment.text, terms);
+    if (commentSnippet) {
+      highlights.push({ field: "comment", segments: commentSnippet });
+    }
+
+    return {
+      ...fb,
+      score:
+        (fb.score || 0) + (comment ? comment.score * COMMENT_SCORE_WEIGHT : 0),
+      highlights,
+    };
+  });
+}
+
+module.exports = {
+  MAX_SEARCH_RESULTS,
+  parseSearchTerms,
+  buildSnippet,
+  compareBy,
+  isAfterCursor,
+  searchFeedback,
+};
@@ -0,0 +1,25 @@
+const crypto = require("crypto");
+
+/*
+  One-time tokens sent to admins (invitation links and the like)
+
+  Like receipt keys (utils/receipt.js), only a SHA-256 hash of a token is
+  stored and used for lookups, so a database leak exposes no usable links.
+  256 random bits make a fast, unsalted hash sufficient.
+*/
+
+/**
+ * Generates a new URL-safe token (64 hex characters).
+ */
+function generateToken() {
+  return crypto.randomBytes(32).toString("hex");
+}
+
+/**
+ * Hash stored in place of the token.
+ */
+function hashToken(token) {
+  return crypto.createHash("sha256").update(String(token)).digest("hex");
+}
+
+module.exports = { generateToken, hashToken };
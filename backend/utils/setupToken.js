@@ -0,0 +1,54 @@
+const crypto = require("crypto");
+const Admin = require("../models/Admin.model");
+const { generateToken, hashToken } = require("./secureToken");
+
+/*
+  First-run setup token
+
+  POST /admin/init creates the first admin, so it must not be open to
+  whoever reaches the API first. While no admin exists, the server prints a
+  one-time setup token at start (server.js); /admin/init only works with
+  it. The token lives in memory only: it is gone once used, and a restart
+  prints a new one as long as there are still no admins.
+
+  Deployments that cannot read the server log create admins with
+  `node scripts/create-admin.js` instead.
+*/
+
+let tokenHash = null;
+
+/**
+ * Issues a new setup token if no admin exists yet, replacing any earlier
+ * one. Resolves the token (to print), or null when setup is complete.
+ */
+async function issueSetupToken() {
+  tokenHash = null;
+  if (await Admin.exists({})) return null;
+  const token = generateToken();
+  tokenHash = hashToken(token);
+  return token;
+}
+
+/**
+ * Checks `token` in constant time and, if it matches, uses it up so a
+ * second request with the same token fails.
+ */
+function consumeSetupToken(token) {
+  if (!tokenHash || typeof token !== "string") return false;
+  const matches = crypto.timingSafeEqual(
+    Buffer.from(hashToken(token), "hex"),
+    Buffer.from(tokenHash, "hex")
+  );
+  if (matches) tokenHash = null;
+  return matches;
+}
+
+/**
+ * Makes a consumed `token` usable again, for when creating the first admin
+ * failed after it was used up. Does nothing if a new token was issued since.
+ */
+function restoreSetupToken(token) {
+  if (!tokenHash) tokenHash = hashToken(token);
+}
+
+module.exports = { issueSetupToken, consumeSetupToken, restoreSetupToken };
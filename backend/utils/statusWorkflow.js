@@ -0,0 +1,165 @@
+const fs = require("fs");
+
+/*
+  Feedback status workflow (state machine)
+
+  Each status lists the statuses it may move to. A transition can require a
+  reason (e.g. rejecting or reopening), which is stored in the item's status
+  history. A status can set "allowComments": false to close the public
+  comment thread while an item is in it.
+
+  The default workflow below can be replaced by pointing STATUS_WORKFLOW_FILE
+  at a JSON file with the same shape:
+  {
+    "initial": "open",
+    "statuses": {
+      "open": { "label": "Open", "color": "orange",
+                "transitions": { "triaged": {}, "rejected": { "requireReason": true } } },
+      ...
+    }
+  }
+*/
+
+const DEFAULT_WORKFLOW = {
+  initial: "open",
+  statuses: {
+    open: {
+      label: "Open",
+      color: "orange",
+      transitions: {
+        triaged: {},
+        closed: { requireReason: true },
+        rejected: { requireReason: true },
+      },
+    },
+    triaged: {
+      label: "Triaged",
+      color: "blue",
+      transitions: {
+        in_progress: {},
+        closed: { requireReason: true },
+        rejected: { requireReason: true },
+      },
+    },
+    in_progress: {
+      label: "In progress",
+      color: "purple",
+      transitions: {
+        resolved: {},
+        closed: { requireReason: true },
+        rejected: { requireReason: true },
+      },
+    },
+    resolved: {
+      label: "Resolved",
+      color: "green",
+      transitions: { open: { requireReason: true }, closed: {} },
+    },
+    closed: {
+      label: "Closed",
+      color: "gray",
+      allowComments: false,
+      transitions: { open: { requireReason: true } },
+    },
+    rejected: {
+      label: "Rejected",
+      color: "red",
+      allowComments: false,
+      transitions: { open: { requireReason: true } },
+    },
+  },
+};
+
+/**
+ * Checks that a workflow definition is internally consistent.
+ * Throws with a descriptive message otherwise.
+ */
+function validateDefinition(definition) {
+  const statuses = definition?.statuses;
+  if (!statuses || typeof statuses !== "object") {
+    throw new Error("Status workflow must define `statuses`");
+  }
+  if (!statuses[definition.initial]) {
+    throw new Error(`Unknown initial status "${definition.initial}"`);
+  }
+  for (const [name, status] of Object.entries(statuses)) {
+    for (const target of Object.keys(status.transitions || {})) {
+      if (!statuses[target]) {
+        throw new Error(`Status "${name}" transitions to unknown "${target}"`);
+      }
+    }
+  }
+  return definition;
+}
+
+/**
+ * Builds a workflow object around a definition.
+ */
+function createWorkflow(definition) {
+  validateDefinition(definition);
+  const { initial, statuses } = definition;
+
+  const isValidStatus = (status) =>
+    Object.prototype.hasOwnProperty.call(statuses, status);
+
+  const transitionsFrom = (status) =>
+    Object.keys(statuses[status]?.transitions || {});
+
+  // Items left in a status the workflow no longer knows may move anywhere
+  const canTransition = (from, to) =>
+    isValidStatus(to) &&
+    (!isValidStatus(from) || transitionsFrom(from).includes(to));
+
+  const allowsComments = (status) => statuses[status]?.allowComments !== false;
+
+  const requiresReason = (from, to) =>
+    !!statuses[from]?.transitions?.[to]?.requireReason;
+
+  /**
+   * Returns an error message if the change is not allowed, else null.
+   */
+  const checkTransition = (from, to, reason) => {
+    if (!isValidStatus(to)) {
+      return `Invalid status "${to}". Use one of: ${Object.keys(statuses).join(", ")}`;
+    }
+    if (from === to) return `Feedback is already ${to}`;
+    if (!canTransition(from, to)) {
+      const allowed = transitionsFrom(from);
+      return `Cannot change status from "${from}" to "${to}". Allowed: ${
+        allowed.length ? allowed.join(", ") : "none"
+      }`;
+    }
+    if (requiresReason(from, to) && !(reason && reason.trim())) {
+      return `A reason is required to change status from "${from}" to "${to}"`;
+    }
+    return null;
+  };
+
+  return {
+    initial,
+    statuses,
+    isValidStatus,
+    transitionsFrom,
+    canTransition,
+    requiresReason,
+    allowsComments,
+    checkTransition,
+    // Serializable definition for clients (GET /feedback/statuses)
+    toJSON: () => ({ initial, statuses }),
+  };
+}
+
+/**
+ * Loads the workflow from STATUS_WORKFLOW_FILE, or the default one.
+ */
+function loadWorkflow() {
+  const file = process.env.STATUS_WORKFLOW_FILE;
+  if (!file) return createWorkflow(DEFAULT_WORKFLOW);
+  return createWorkflow(JSON.parse(fs.readFileSync(file, "utf8")));
+}
+
+const workflow = loadWorkflow();
+
+module.exports = workflow;
+module.exports.createWorkflow = createWorkflow;
+module.exports.DEFAULT_WORKFLOW = DEFAULT_WORKFLOW;
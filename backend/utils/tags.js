@@ -0,0 +1,122 @@
+const Tag = require("../models/Tag.model");
+
+/*
+  Tag taxonomy
+
+  Tags are managed by each organization's admins (models/Tag.model.js) and
+  cached here for a short while, since every submission is checked against
+  them. An organization without tags is seeded with the tags the app
+  shipped with.
+*/
+
+const CACHE_TTL_MS = 60 * 1000;
+
+// Tags seeded into an empty taxonomy
+const DEFAULT_TAGS = [
+  { slug: "bug", label: "Bug", color: "red", description: "Something is broken" },
+  { slug: "feature", label: "Feature", color: "purple", description: "A request for something new" },
+  { slug: "ui", label: "UI", color: "blue", description: "Layout, design and usability" },
+  { slug: "performance", label: "Performance", color: "orange", description: "Slowness and timeouts" },
+  { slug: "other", label: "Other", color: "gray" },
+];
+
+const cache = new Map(); // organization id -> { tags, expires }
+const loading = new Map(); // organization id -> in-flight load, shared by concurrent callers
+
+async function loadTags(organization) {
+  const find = () => Tag.find({ organization }).sort({ label: 1 }).lean();
+  let tags = await find();
+  if (tags.length === 0) {
+    // ordered: false so a concurrent seed on another server doesn't fail this one
+    await Tag.insertMany(
+      DEFAULT_TAGS.map((tag) => ({ ...tag, organization })),
+      { ordered: false }
+    ).catch((err) => {
+      if (err.code !== 11000) throw err;
+    });
+    tags = await find();
+  }
+  return tags;
+}
+
+/**
+ * All tags of an organization, archived included (cached). Seeds the
+ * defaults into an empty taxonomy.
+ *
+ * @param {{ _id: * }} organization
+ */
+async function getTags(organization) {
+  const key = String(organization._id);
+  const cached = cache.get(key);
+  if (cached && cached.expires > Date.now()) return cached.tags;
+
+  if (!loading.has(key)) {
+    loading.set(
+      key,
+      loadTags(organization._id)
+        .then((tags) => {
+          cache.set(key, { tags, expires: Date.now() + CACHE_TTL_MS });
+          return tags;
+        })
+        .finally(() => {
+          loading.delete(key);
+        })
+    );
+  }
+  return loading.get(key);
+}
+
+/**
+ * Drops an organization's cached tags (call after editing them); every
+ * organization's when none is given.
+ */
+function invalidateTags(organization) {
+  if (organization) cache.delete(String(organization._id));
+  else cache.clear();
+}
+
+/**
+ * Whether new feedback may be filed under a tag: it is active and, when the
+ * organization restricts tags (settings.allowedTags), one of the allowed.
+ */
+function isAllowedTag(tag, organization) {
+  const allowed = organization.settings?.allowedTags || [];
+  return !tag.archived && (allowed.length === 0 || allowed.includes(tag.slug));
+}
+
+/**
+ * Checks the tags of a new submission against the organization's taxonomy.
+ * Accepts slugs in any case; archived, disallowed and unknown tags are
+ * rejected.
+ *
+ * @param {*} tags - Request value (array of slugs, or missing)
+ * @param {object} organization
+ * @returns {Promise<{ tags?: string[], error?: string }>} normalized slugs
+ *   or an error message
+ */
+async function validateTags(tags, organization) {
+  if (tags == null) return { tags: [] };
+  if (!Array.isArray(tags) || tags.some((t) => typeof t !== "string")) {
+    return { error: "Tags must be an array of strings" };
+  }
+
+  const slugs = [...new Set(tags.map((t) => t.trim().toLowerCase()))];
+  const active = new Set(
+    (await getTags(organization))
+      .filter((t) => isAllowedTag(t, organization))
+      .map((t) => t.slug)
+  );
+  const unknown = slugs.filter((slug) => !active.has(slug));
+  if (unknown.length) {
+    return { error: `Unknown tag${unknown.length > 1 ? "s" : ""}: ${unknown.join(", ")}` };
+  }
+  return { tags: slugs };
+}
+
+module.exports = {
+  DEFAULT_TAGS,
+  getTags,
+  invalidateTags,
+  isAllowedTag,
+  validateTags,
+};
@@ -0,0 +1,133 @@
+const crypto = require("crypto");
+
+/*
+  Time-based one-time passwords (TOTP, RFC 6238)
+
+  The codes authenticator apps (Google Authenticator, 1Password, ...) show
+  for two-factor sign-in: HMAC-SHA1 of the number of 30-second steps since
+  the epoch, keyed with a shared secret, truncated to 6 digits (RFC 4226).
+
+  Secrets are exchanged base32-encoded (RFC 4648, no padding), either typed
+  in or scanned from an otpauth:// URI (shown as a QR code at enrolment,
+  see routes/twoFactor.routes.js).
+*/
+
+const PERIOD_SECONDS = 30;
+const DIGITS = 6;
+const SECRET_BYTES = 20; // 160 bits, as RFC 4226 recommends
+
+const BASE32 = "ABCDEFGHIJKLMNOPQRSTUVWXYZ234567";
+
+function base32Encode(buffer) {
+  let bits = 0;
+  let value = 0;
+  let output = "";
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) output += BASE32[(value << (5 - bits)) & 31];
+  return output;
+}
+
+// Lenient about case, spaces and padding, as users type secrets in
+function base32Decode(text) {
+  const clean = String(text).toUpperCase().replace(/[\s=-]/g, "");
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+  for (const char of clean) {
+    const index = BASE32.indexOf(char);
+    if (index === -1) throw new Error("Invalid base32 secret");
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(bytes);
+}
+
+/**
+ * A new random secret, base32-encoded.
+ */
+function generateSecret() {
+  return base32Encode(crypto.randomBytes(SECRET_BYTES));
+}
+
+/**
+ * Time step a moment falls in.
+ */
+function timeStep(now = Date.now()) {
+  return Math.floor(now / 1000 / PERIOD_SECONDS);
+}
+
+/**
+ * The code for `secret` at time step `step`.
+ */
+function totp(secret, step, digits = DIGITS) {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+  const hmac = crypto
+    .createHmac("sha1", base32Decode(secret))
+    .update(counter)
+    .digest();
+  const offset = hmac[hmac.length - 1] & 0xf;
+  const value = hmac.readUInt32BE(offset) & 0x7fffffff;
+  return String(value % 10 ** digits).padStart(digits, "0");
+}
+
+/**
+ * Checks a code typed by the user, allowing `window` steps of clock drift
+ * either way. Steps up to `after` are refused, so a code cannot be replayed
+ * once used. Resolves the matching step (to remember as `after`) or null.
+ *
+ * @param {string} secret - Base32 secret
+ * @param {string} code - e.g. "123 456"
+ * @param {object} [options]
+ * @param {number} [options.after] - Last step already used
+ * @param {number} [options.window] - Steps of drift allowed (default 1)
+ * @param {number} [options.now] - Time in ms (tests)
+ */
+function verifyTotp(secret, code, { after = -1, window = 1, now } = {}) {
+  const typed = String(code || "").replace(/\s/g, "");
+  if (!new RegExp(`^\\d{${DIGITS}}$`).test(typed)) return null;
+  const current = timeStep(now);
+  for (let step = current - window; step <= current + window; step++) {
+    const expected = Buffer.from(totp(secret, step));
+    if (step > after && crypto.timingSafeEqual(expected, Buffer.from(typed))) {
+      return step;
+    }
+  }
+  return null;
+}
+
+/**
+ * The otpauth:// URI authenticator apps import (usually as a QR code).
+ */
+function otpauthUrl({ secret, account, issuer }) {
+  const label = `${encodeURIComponent(issuer)}:${encodeURIComponent(account)}`;
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: "SHA1",
+    digits: String(DIGITS),
+    period: String(PERIOD_SECONDS),
+  });
+  return `otpauth://totp/${label}?${params}`;
+}
+
+module.exports = {
+  base32Encode,
+  base32Decode,
+  generateSecret,
+  timeStep,
+  totp,
+  verifyTotp,
+  otpauthUrl,
+};
@@ -0,0 +1,101 @@
+const crypto = require("crypto");
+const bcrypt = require("bcrypt");
+const Admin = require("../models/Admin.model");
+const { verifyTotp } = require("./totp");
+
+/*
+  Two-factor authentication
+
+  Admins who enrol scan a TOTP secret into an authenticator app (see
+  utils/totp.js) and from then on sign in with a code from it after their
+  password. Recovery codes, shown once at enrolment, stand in for the app
+  when it is lost; each works a single time.
+
+  Recovery codes have 50 random bits, too few for a fast hash (compare
+  utils/secureToken.js), so they are stored bcrypt-hashed like passwords.
+*/
+
+const RECOVERY_CODE_COUNT = 10;
+
+// No 0/o, 1/i/l or u, which are easily misread when typed in
+const RECOVERY_ALPHABET = "23456789abcdefghjkmnpqrstvwxyz";
+const RECOVERY_CODE_LENGTH = 10;
+
+const normalizeRecoveryCode = (code) =>
+  String(code || "")
+    .toLowerCase()
+    .replace(/[\s-]/g, "");
+
+/**
+ * New recovery codes, formatted "xxxxx-xxxxx".
+ */
+function generateRecoveryCodes(count = RECOVERY_CODE_COUNT) {
+  return Array.from({ length: count }, () => {
+    let code = "";
+    for (let i = 0; i < RECOVERY_CODE_LENGTH; i++) {
+      code += RECOVERY_ALPHABET[crypto.randomInt(RECOVERY_ALPHABET.length)];
+    }
+    return `${code.slice(0, 5)}-${code.slice(5)}`;
+  });
+}
+
+/**
+ * Hashes stored in place of the recovery codes.
+ */
+const hashRecoveryCodes = (codes) =>
+  Promise.all(
+    codes.map((code) => bcrypt.hash(normalizeRecoveryCode(code), 10))
+  );
+
+/**
+ * Checks the second factor an admin entered: a code from their app or one
+ * of their recovery codes. A code is spent once accepted, with a
+ * conditional update in the database, so of concurrent requests with the
+ * same code only one gets through. `admin` itself is left as loaded.
+ *
+ * @param {object} admin - Admin document with two-factor enabled
+ * @param {object} input
+ * @param {string} [input.code] - Code from the authenticator app
+ * @param {string} [input.recoveryCode]
+ * @returns {Promise<"code"|"recoveryCode"|null>} What was accepted
+ */
+async function verifySecondFactor(admin, { code, recoveryCode }) {
+  const twoFactor = admin.twoFactor;
+  if (!twoFactor?.enabled || !twoFactor.secret) return null;
+
+  if (code) {
+    const step = verifyTotp(twoFactor.secret, code, {
+      after: twoFactor.lastStep ?? -1,
+    });
+    if (step === null) return null;
+    const spent = await Admin.updateOne(
+      {
+        _id: admin._id,
+        "twoFactor.secret": twoFactor.secret,
+        "twoFactor.lastStep": { $not: { $gte: step } },
+      },
+      { $set: { "twoFactor.lastStep": step } }
+    );
+    return spent.modifiedCount === 1 ? "code" : null;
+  }
+
+  const typed = normalizeRecoveryCode(recoveryCode);
+  if (!typed) return null;
+  for (const hash of twoFactor.recoveryCodes) {
+    if (await bcrypt.compare(typed, hash)) {
+      const spent = await Admin.updateOne(
+        { _id: admin._id, "twoFactor.recoveryCodes": hash },
+        { $pull: { "twoFactor.recoveryCodes": hash } }
+      );
+      return spent.modifiedCount === 1 ? "recoveryCode" : null;
+    }
+  }
+  return null;
+}
+
+module.exports = {
+  RECOVERY_CODE_COUNT,
+  generateRecoveryCodes,
+  hashRecoveryCodes,
+  verifySecondFactor,
+};
@@ -0,0 +1,245 @@
+const crypto = require("crypto");
+const axios = require("axios");
+const Webhook = require("../models/Webhook.model");
+const WebhookDelivery = require("../models/WebhookDelivery.model");
+
+/*
+  Outbound webhooks
+
+  Organizations subscribe URLs to feedback events (models/Webhook.model.js).
+  Each event is POSTed as JSON to every active subscription:
+
+    { id, event, createdAt, organization: { id, slug }, data }
+
+  with these headers:
+
+    X-WhistleSpace-Event:      feedback.created
+    X-WhistleSpace-Delivery:   id of the delivery (the same on retries)
+    X-WhistleSpace-Timestamp:  Unix time of the attempt, in seconds
+    X-WhistleSpace-Signature:  sha256=<hex HMAC-SHA256 of "<timestamp>.<body>">
+
+  The HMAC is keyed with the subscription's secret. Receivers recompute it
+  over the raw body and ignore old timestamps, so a captured request can't
+  be replayed later.
+
+  Like the new-feedback email, delivery is best-effort and never holds up
+  the request that caused the event: emit() returns at once. Any 2xx answer
+  delivers; anything else is retried after 1, 2, 4, 8 and 16 minutes, then
+  the delivery is marked failed. Attempts are kept in the delivery log
+  (models/WebhookDelivery.model.js), where the retry timer (startRetries(),
+  started with the server) finds the due ones, so a restart loses none.
+*/
+
+const MAX_ATTEMPTS = 6;
+const BASE_RETRY_MS = 60 * 1000;
+const REQUEST_TIMEOUT_MS = 10 * 1000;
+// A delivery being attempted is left alone by other retry runs this long
+const CLAIM_MS = 60 * 1000;
+const RETRY_POLL_MS = 30 * 1000;
+// Deliveries retried per poll
+const RETRY_BATCH = 20;
+
+// Sent by the "send test event" button; never retried
+const TEST_EVENT = "webhook.test";
+
+/**
+ * Signature header value for a body sent at `timestamp` (Unix seconds).
+ */
+function sign(secret, timestamp, body) {
+  const hmac = crypto
+    .createHmac("sha256", secret)
+    .update(`${timestamp}.${body}`)
+    .digest("hex");
+  return `sha256=${hmac}`;
+}
+
+/**
+ * Wait before attempt `attempt + 1`, after `attempt` failed ones.
+ */
+const retryDelay = (attempt) => BASE_RETRY_MS * 2 ** (attempt - 1);
+
+// What events tell about an item and a comment
+const feedbackData = (feedback) => ({
+  id: String(feedback._id),
+  text: feedback.text,
+  tags: feedback.tags,
+  status: feedback.status,
+  visibility: feedback.visibility,
+  createdAt: feedback.createdAt,
+});
+
+const commentData = (comment) => ({
+  id: String(comment._id),
+  feedbackId: String(comment.feedbackId),
+  text: comment.text,
+  authorType: comment.authorType,
+  authorRole: comment.authorRole,
+  visibility: comment.visibility,
+  createdAt: comment.createdAt,
+});
+
+// Sends a delivery once and records the attempt
+async function attempt(delivery, webhook) {
+  const timestamp = Math.floor(Date.now() / 1000);
+  const started = Date.now();
+  const result = { at: new Date() };
+  try {
+    if (!webhook) throw new Error("Webhook was removed");
+    if (!webhook.active) throw new Error("Webhook is paused");
+    const res = await axios.post(webhook.url, delivery.body, {
+      headers: {
+        "Content-Type": "application/json",
+        "User-Agent": "WhistleSpace-Webhooks",
+        "X-WhistleSpace-Event": delivery.event,
+        "X-WhistleSpace-Delivery": String(delivery._id),
+        "X-WhistleSpace-Timestamp": String(timestamp),
+        "X-WhistleSpace-Signature": sign(
+          webhook.secret,
+          timestamp,
+          delivery.body
+        ),
+      },
+      timeout: REQUEST_TIMEOUT_MS,
+      maxRedirects: 0,
+      // Any answer is recorded; only 2xx counts as delivered
+      validateStatus: () => true,
+    });
+    result.statusCode = res.status;
+    if (res.status < 200 || res.status >= 300) {
+      result.error = `Answered ${res.status}`;
+    }
+  } catch (err) {
+    result.error = err.message;
+  }
+  result.durationMs = Date.now() - started;
+
+  const attempts = delivery.attempts.length + 1;
+  const retry =
+    result.error &&
+    webhook?.active &&
+    delivery.event !== TEST_EVENT &&
+    attempts < MAX_ATTEMPTS;
+  const update = retry
+    ? {
+        $set: {
+          status: "pending",
+          nextAttemptAt: new Date(Date.now() + retryDelay(attempts)),
+        },
+      }
+    : {
+        $set: { status: result.error ? "failed" : "delivered" },
+        $unset: { nextAttemptAt: 1 },
+      };
+  return WebhookDelivery.findByIdAndUpdate(
+    delivery._id,
+    { ...update, $push: { attempts: result } },
+    { new: true }
+  );
+}
+
+// Creates a delivery of an event to one webhook and makes the first attempt
+async function deliver(webhook, event, envelope) {
+  const delivery = await WebhookDelivery.create({
+    organization: webhook.organization,
+    webhook: webhook._id,
+    event,
+    body: JSON.stringify(envelope),
+    nextAttemptAt: new Date(Date.now() + CLAIM_MS),
+  });
+  return attempt(delivery, webhook);
+}
+
+const envelopeFor = (organization, event, data) => ({
+  id: crypto.randomUUID(),
+  event,
+  createdAt: new Date().toISOString(),
+  organization: { id: String(organization._id), slug: organization.slug },
+  data,
+});
+
+/**
+ * Sends an event to the organization's subscribed webhooks in the
+ * background. Never rejects; failures end up in the delivery log.
+ *
+ * @param {object} organization - With _id and slug
+ * @param {string} event - One of WEBHOOK_EVENTS
+ * @param {object} data - JSON-serializable event specifics
+ * @returns {Promise<void>} Settles once every first attempt is made
+ */
+async function emit(organization, event, data) {
+  try {
+    const webhooks = await Webhook.find({
+      organization: organization._id,
+      events: event,
+      active: true,
+    }).select("+secret");
+    if (webhooks.length === 0) return;
+
+    const envelope = envelopeFor(organization, event, data);
+    await Promise.all(
+      webhooks.map((webhook) =>
+        deliver(webhook, event, envelope).catch((err) =>
+          console.error(`Webhook delivery error (${event}):`, err.message)
+        )
+      )
+    );
+  } catch (err) {
+    console.error(`Webhook error (${event}):`, err.message);
+  }
+}
+
+/**
+ * Sends a test event to one webhook, paused or not, and returns the
+ * delivery with its single attempt.
+ */
+async function sendTest(webhook, organization) {
+  const envelope = envelopeFor(organization, TEST_EVENT, {
+    message: "Test event from WhistleSpace",
+  });
+  return deliver({ ...webhook.toObject(), active: true }, TEST_EVENT, envelope);
+}
+
+/**
+ * Attempts the pending deliveries that are due. Each is claimed first, so
+ * several servers can run this side by side.
+ */
+async function retryDue() {
+  for (let i = 0; i < RETRY_BATCH; i++) {
+    const now = new Date();
+    const delivery = await WebhookDelivery.findOneAndUpdate(
+      { status: "pending", nextAttemptAt: { $lte: now } },
+      { $set: { nextAttemptAt: new Date(now.getTime() + CLAIM_MS) } },
+      { sort: { nextAttemptAt: 1 }, new: true }
+    );
+    if (!delivery) return;
+    const webhook = await Webhook.findById(delivery.webhook).select("+secret");
+    await attempt(delivery, webhook);
+  }
+}
+
+/**
+ * Starts retrying failed deliveries in the background.
+ */
+function startRetries() {
+  const timer = setInterval(() => {
+    retryDue().catch((err) =>
+      console.error("Webhook retry error:", err.message)
+    );
+  }, RETRY_POLL_MS);
+  // Doesn't keep the process alive on its own
+  timer.unref();
+  return timer;
+}
+
+module.exports = {
+  MAX_ATTEMPTS,
+  TEST_EVENT,
+  sign,
+  retryDelay,
+  feedbackData,
+  commentData,
+  emit,
+  sendTest,
+  retryDue,
+  startRetries,
+};
@@ -5,10 +5,25 @@ import AdminRoute from "./components/AdminRoute";
 
 const FeedbackBoard = lazy(() => import("./pages/FeedbackBoard"));
 const FeedbackDetails = lazy(() => import("./pages/FeedbackDetails"));
+const CheckReport = lazy(() => import("./pages/CheckReport"));
 import NotFound from "./pages/NotFound";
 import Layout from "./components/Layout";
 const AdminLogin = lazy(() => import("./pages/AdminLogin"));
 const AdminDashboard = lazy(() => import("./pages/AdminDashboard"));
+const ModerationSettings = lazy(() => import("./pages/ModerationSettings"));
+const TagSettings = lazy(() => import("./pages/TagSettings"));
+const OrganizationSettings = lazy(() =>
+  import("./pages/OrganizationSettings")
+);
+const TeamSettings = lazy(() => import("./pages/TeamSettings"));
+const AcceptInvitation = lazy(() => import("./pages/AcceptInvitation"));
+const ForgotPassword = lazy(() => import("./pages/ForgotPassword"));
+const ResetPassword = lazy(() => import("./pages/ResetPassword"));
+const AuditLog = lazy(() => import("./pages/AuditLog"));
+const WebhookSettings = lazy(() => import("./pages/WebhookSettings"));
+const NotificationSettings = lazy(() =>
+  import("./pages/NotificationSettings")
+);
 function App() {
   return (
     <AdminAuthProvider>
@@ -19,7 +34,27 @@ function App() {
             <Routes>
               <Route path="/" element={<FeedbackBoard />} />
               <Route path="/feedback/:id" element={<FeedbackDetails />} />
+              <Route path="/report" element={<CheckReport />} />
+              {/* Boards of other organizations */}
+              <Route path="/o/:slug" element={<FeedbackBoard />} />
+              <Route
+                path="/o/:slug/feedback/:id"
+                element={<FeedbackDetails />}
+              />
+              <Route path="/o/:slug/report" element={<CheckReport />} />
               <Route path="/admin/login" element={<AdminLogin />} />
+              <Route
+                path="/admin/invite/:token"
+                element={<AcceptInvitation />}
+              />
+              <Route
+                path="/admin/forgot-password"
+                element={<ForgotPassword />}
+              />
+              <Route
+                path="/admin/reset-password/:token"
+                element={<ResetPassword />}
+              />
               <Route
                 path="/admin/dashboard"
                 element={
@@ -28,6 +63,62 @@ function App() {
                   </AdminRoute>
                 }
               />
+              <Route
+                path="/admin/moderation"
+                element={
+                  <AdminRoute>
+                    <ModerationSettings />
+                  </AdminRoute>
+                }
+              />
+              <Route
+                path="/admin/tags"
+                element={
+                  <AdminRoute>
+                    <TagSettings />
+                  </AdminRoute>
+                }
+              />
+              <Route
+                path="/admin/organization"
+                element={
+                  <AdminRoute>
+                    <OrganizationSettings />
+                  </AdminRoute>
+                }
+              />
+              <Route
+                path="/admin/team"
+                element={
+                  <AdminRoute>
+                    <TeamSettings />
+                  </AdminRoute>
+                }
+              />
+              <Route
+                path="/admin/audit"
+                element={
+                  <AdminRoute>
+                    <AuditLog />
+                  </AdminRoute>
+                }
+              />
+              <Route
+                path="/admin/webhooks"
+                element={
+                  <AdminRoute>
+                    <WebhookSettings />
+                  </AdminRoute>
+                }
+              />
+              <Route
+                path="/admin/notifications"
+                element={
+                  <AdminRoute>
+                    <NotificationSettings />
+                  </AdminRoute>
+                }
+              />
               <Route path="*" element={<NotFound />} />
             </Routes>
           </Suspense>
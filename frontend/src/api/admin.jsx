@@ -1,19 +1,158 @@
 /* eslint-disable react-refresh/only-export-components */
 import API from './axios';
+import { getAdminOrganization } from '../utils/token';
+
+// Feedback and tags of the signed-in admin's organization (see api/feedback.js)
+const board = () => {
+  const org = getAdminOrganization();
+  return org ? `/o/${encodeURIComponent(org)}` : '';
+};
 
 // Auth
 export const adminLogin = (data, config = {}) => API.post('/admin/login', data, config);
 
+// Second sign-in step: { challengeToken, code } or { challengeToken, recoveryCode }
+export const verifyLoginCode = (data, config = {}) => API.post('/admin/login/2fa', data, config);
+
 // Feedback moderation
-export const getAllFeedbacks = (params, config = {}) => API.get('/feedback', { params, ...config });
+export const getAllFeedbacks = (params, config = {}) => API.get(`${board()}/feedback`, { params, ...config });
+
+export const updateFeedbackStatus = (id, status, reason, config = {}) => API.patch(`${board()}/feedback/${id}`, { status, reason }, config);
+
+export const reviewFeedback = (id, decision, reason, config = {}) => API.patch(`${board()}/feedback/${id}/review`, { decision, reason }, config);
+
+export const lockFeedback = (id, locked, config = {}) => API.patch(`${board()}/feedback/${id}/lock`, { locked }, config);
+
+export const mergeFeedback = (id, into, config = {}) => API.post(`${board()}/feedback/${id}/merge`, { into }, config);
+
+export const findSimilarFeedback = (text, config = {}) => API.post(`${board()}/feedback/similar`, { text }, config);
+
+export const deleteFeedback = (id, config = {}) => API.delete(`${board()}/feedback/${id}`, config);
 
-export const updateFeedbackStatus = (id, status, config = {}) => API.patch(`/feedback/${id}`, { status }, config);
+// Official responses
+export const addOfficialResponse = (feedbackId, data, config = {}) => API.post(`${board()}/feedback/${feedbackId}/response`, data, config);
 
-export const deleteFeedback = (id, config = {}) => API.delete(`/feedback/${id}`, config);
+export const pinResponse = (feedbackId, responseId, pinned, config = {}) => API.patch(`${board()}/feedback/${feedbackId}/response/${responseId}/pin`, { pinned }, config);
 
 // Comments moderation
-export const deleteComment = (feedbackId, commentId, config = {}) => API.delete(`/feedback/${feedbackId}/comment/${commentId}`, config);
+export const deleteComment = (feedbackId, commentId, config = {}) => API.delete(`${board()}/feedback/${feedbackId}/comment/${commentId}`, config);
+
+// Comments held by moderation
+export const getPendingComments = (params, config = {}) => API.get(`${board()}/feedback/comments/pending`, { params, ...config });
+
+export const reviewComment = (feedbackId, commentId, decision, reason, config = {}) => API.patch(`${board()}/feedback/${feedbackId}/comment/${commentId}/review`, { decision, reason }, config);
+
+export const getFeedbackById = (id, config = {}) => API.get(`${board()}/feedback/${id}`, config);
+
+// Attachment contents as a Blob (for previews)
+export const getAttachment = (feedbackId, attachmentId, config = {}) => API.get(`${board()}/feedback/${feedbackId}/attachments/${attachmentId}`, { responseType: 'blob', ...config });
+
+// Moderation rules
+export const getModerationRules = (params, config = {}) => API.get('/admin/moderation/rules', { params, ...config });
+
+export const createModerationRule = (data, config = {}) => API.post('/admin/moderation/rules', data, config);
+
+export const updateModerationRule = (id, data, config = {}) => API.patch(`/admin/moderation/rules/${id}`, data, config);
+
+export const deleteModerationRule = (id, config = {}) => API.delete(`/admin/moderation/rules/${id}`, config);
+
+export const testModeration = (text, tags, config = {}) => API.post('/admin/moderation/test', { text, tags }, config);
+
+export const getModerationStats = (params, config = {}) => API.get('/admin/moderation/stats', { params, ...config });
+
+// Tags
+export const getTags = (params, config = {}) => API.get(`${board()}/tags`, { params, ...config });
+
+export const createTag = (data, config = {}) => API.post(`${board()}/tags`, data, config);
+
+export const updateTag = (slug, data, config = {}) => API.patch(`${board()}/tags/${slug}`, data, config);
+
+export const mergeTag = (slug, into, config = {}) => API.post(`${board()}/tags/${slug}/merge`, { into }, config);
+
+export const deleteTag = (slug, config = {}) => API.delete(`${board()}/tags/${slug}`, config);
+
+// Organization settings
+export const getOrganizationSettings = (config = {}) => API.get('/admin/organization', config);
+
+export const updateOrganizationSettings = (data, config = {}) => API.patch('/admin/organization', data, config);
+
+// Team (admins of the organization)
+export const getAdminUsers = (config = {}) => API.get('/admin/users', config);
+
+export const inviteAdmin = (data, config = {}) => API.post('/admin/users/invitations', data, config);
+
+export const revokeInvitation = (id, config = {}) => API.delete(`/admin/users/invitations/${id}`, config);
+
+export const updateAdminUser = (id, data, config = {}) => API.patch(`/admin/users/${id}`, data, config);
+
+export const unlockAdminUser = (id, config = {}) => API.post(`/admin/users/${id}/unlock`, {}, config);
+
+export const changePassword = (data, config = {}) => API.patch('/admin/users/me/password', data, config);
+
+export const changeEmail = (data, config = {}) => API.patch('/admin/users/me/email', data, config);
+
+// Two-factor authentication. While enrolling during sign-in, data carries
+// the challengeToken from login in place of a session.
+export const getTwoFactorStatus = (config = {}) => API.get('/admin/2fa', config);
+
+export const startTwoFactorSetup = (data = {}, config = {}) => API.post('/admin/2fa/setup', data, config);
+
+export const enableTwoFactor = (data, config = {}) => API.post('/admin/2fa/enable', data, config);
+
+export const disableTwoFactor = (data, config = {}) => API.post('/admin/2fa/disable', data, config);
+
+export const regenerateRecoveryCodes = (data, config = {}) => API.post('/admin/2fa/recovery-codes', data, config);
+
+// Signed-in devices of the current admin
+export const getSessions = (config = {}) => API.get('/admin/sessions', config);
+
+export const revokeSession = (id, config = {}) => API.delete(`/admin/sessions/${id}`, config);
+
+export const revokeAllSessions = (config = {}) => API.delete('/admin/sessions', config);
+
+// Audit log of the organization (owners and auditors)
+export const getAuditLog = (params, config = {}) => API.get('/admin/audit', { params, ...config });
+
+export const exportAuditLog = (params, config = {}) => API.get('/admin/audit', { params: { ...params, format: 'csv' }, responseType: 'blob', ...config });
+
+export const verifyAuditLog = (config = {}) => API.get('/admin/audit/verify', config);
+
+// Webhooks of the organization (owners). Creating one, or replacing its
+// secret, returns the signing secret once.
+export const getWebhooks = (config = {}) => API.get('/admin/webhooks', config);
+
+export const createWebhook = (data, config = {}) => API.post('/admin/webhooks', data, config);
+
+export const updateWebhook = (id, data, config = {}) => API.patch(`/admin/webhooks/${id}`, data, config);
+
+export const deleteWebhook = (id, config = {}) => API.delete(`/admin/webhooks/${id}`, config);
+
+export const rotateWebhookSecret = (id, config = {}) => API.post(`/admin/webhooks/${id}/secret`, {}, config);
+
+export const testWebhook = (id, config = {}) => API.post(`/admin/webhooks/${id}/test`, {}, config);
+
+export const getWebhookDeliveries = (id, params, config = {}) => API.get(`/admin/webhooks/${id}/deliveries`, { params, ...config });
+
+// Notification channels of the organization (email, Slack, Teams, JSON),
+// with their routing rules and templates
+export const getNotificationChannels = (config = {}) => API.get('/admin/notifications/channels', config);
+
+export const createNotificationChannel = (data, config = {}) => API.post('/admin/notifications/channels', data, config);
+
+export const updateNotificationChannel = (id, data, config = {}) => API.patch(`/admin/notifications/channels/${id}`, data, config);
+
+export const deleteNotificationChannel = (id, config = {}) => API.delete(`/admin/notifications/channels/${id}`, config);
+
+export const testNotificationChannel = (id, config = {}) => API.post(`/admin/notifications/channels/${id}/test`, {}, config);
+
+// Invitation links (no sign-in needed)
+export const getInvitation = (token, config = {}) => API.get(`/admin/users/invitations/${token}`, config);
+
+export const acceptInvitation = (token, data, config = {}) => API.post(`/admin/users/invitations/${token}/accept`, data, config);
+
+// Forgotten passwords (no sign-in needed)
+export const requestPasswordReset = (data, config = {}) => API.post('/admin/password/forgot', data, config);
 
-export const getFeedbackById = (id, config = {}) => API.get(`/feedback/${id}`, config);
+export const resetPassword = (data, config = {}) => API.post('/admin/password/reset', data, config);
 
 export default API;
\ No newline at end of file
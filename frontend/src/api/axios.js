@@ -17,16 +17,31 @@ API.interceptors.request.use((config) => {
   return config;
 });
 
+// The refresh in progress, shared by requests that fail together: every
+// refresh replaces the session's refresh token, so only one may be sent.
+let refreshing = null;
+
 // Response interceptor to handle token refresh.
 API.interceptors.response.use(
   (res) => res,
   async (error) => {
     const originalRequest = error.config;
 
-    if (error.response?.status === 401 && !originalRequest._retry) {
+    // A 401 from signing in means wrong credentials or code, not an
+    // expired session
+    const signingIn = originalRequest?.url?.startsWith("/admin/login");
+
+    if (
+      error.response?.status === 401 &&
+      !originalRequest._retry &&
+      !signingIn
+    ) {
       originalRequest._retry = true;
       try {
-        const res = await API.post("/admin/refresh");
+        refreshing ??= API.post("/admin/refresh").finally(() => {
+          refreshing = null;
+        });
+        const res = await refreshing;
         const newToken = res.data.accessToken;
 
         localStorage.setItem("adminAccessToken", newToken);
@@ -1,13 +1,47 @@
 import API from "./axios.js";
 
+// Every board belongs to an organization: `org` is its slug (/o/:slug/...).
+// Without one, the unprefixed routes serve the default organization.
+const board = (org) => (org ? `/o/${encodeURIComponent(org)}` : "");
+
+// Organization APIs
+export const getOrganization = (org, config = {}) =>
+  API.get(board(org), config);
+
 // Feedback APIs
-export const createFeedback = (data, config = {}) =>
-  API.post("/feedback", data, config);
+export const createFeedback = (org, data, config = {}) =>
+  API.post(`${board(org)}/feedback`, data, config);
+
+// Existing items similar to a draft (nothing is stored)
+export const findSimilarFeedback = (org, data, config = {}) =>
+  API.post(`${board(org)}/feedback/similar`, data, config);
+
+// params: { sort, limit, cursor, fields, tags, status }
+export const getFeedbacks = (org, params = {}, config = {}) =>
+  API.get(`${board(org)}/feedback`, { params, ...config });
+
+export const getFeedbackById = (org, id, config = {}) =>
+  API.get(`${board(org)}/feedback/${id}`, config);
+
+export const addComment = (org, id, data, config = {}) =>
+  API.post(`${board(org)}/feedback/${id}/comment`, data, config);
+
+// Receipt (submitter follow-up) APIs
+export const getReportByReceipt = (org, key, config = {}) =>
+  API.get(`${board(org)}/feedback/receipt/${encodeURIComponent(key)}`, config);
 
-export const getFeedbacks = (config = {}) => API.get("/feedback", config);
+export const addReceiptFollowUp = (org, key, data, config = {}) =>
+  API.post(
+    `${board(org)}/feedback/receipt/${encodeURIComponent(key)}/comment`,
+    data,
+    config
+  );
 
-export const getFeedbackById = (id, config = {}) =>
-  API.get(`/feedback/${id}`, config);
+// Status workflow definition (statuses, colors, allowed transitions); the
+// same for every organization
+export const getStatusWorkflow = (config = {}) =>
+  API.get("/feedback/statuses", config);
 
-export const addComment = (id, data, config = {}) =>
-  API.post(`/feedback/${id}/comment`, data, config);
+// Tag taxonomy; params: { archived: true } to include archived tags
+export const getTags = (org, params = {}, config = {}) =>
+  API.get(`${board(org)}/tags`, { params, ...config });
@@ -0,0 +1,193 @@
+// ActiveSessions: dashboard panel listing the devices the admin is signed
+// in on, with per-device revocation and "log out everywhere". A revoked
+// device is signed out once its current access token expires.
+
+import { useEffect, useRef, useState } from "react";
+import {
+  Alert,
+  AlertIcon,
+  Badge,
+  Box,
+  Button,
+  Flex,
+  Heading,
+  Spinner,
+  Table,
+  Tbody,
+  Td,
+  Text,
+  Th,
+  Thead,
+  Tr,
+  useToast,
+  useColorModeValue,
+} from "@chakra-ui/react";
+
+import { getSessions, revokeSession, revokeAllSessions } from "../api/admin";
+import { useAdminAuth } from "../context/AdminAuthContext";
+import { getErrorMessage, handleApiError } from "../utils/errorHandler";
+
+const BROWSERS = [
+  ["Edge", /Edg\//],
+  ["Opera", /OPR\//],
+  ["Firefox", /Firefox\//],
+  ["Chrome", /Chrome\//],
+  ["Safari", /Safari\//],
+];
+
+const SYSTEMS = [
+  ["iOS", /iPhone|iPad/],
+  ["Android", /Android/],
+  ["Windows", /Windows/],
+  ["macOS", /Mac OS X/],
+  ["Linux", /Linux/],
+];
+
+// "Chrome on Windows" from a user agent string
+const describeDevice = (userAgent = "") => {
+  const match = (list) => list.find(([, pattern]) => pattern.test(userAgent));
+  const browser = match(BROWSERS)?.[0];
+  const system = match(SYSTEMS)?.[0];
+  if (browser && system) return `${browser} on ${system}`;
+  return browser || system || userAgent || "Unknown device";
+};
+
+const ActiveSessions = () => {
+  const [sessions, setSessions] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState("");
+  // Id of the session being revoked, or "all"
+  const [revoking, setRevoking] = useState(null);
+  const { logout } = useAdminAuth();
+  const toast = useToast();
+  const abortControllerRef = useRef(null);
+
+  const cardBg = useColorModeValue("white", "gray.800");
+  const subTextColor = useColorModeValue("gray.500", "gray.400");
+
+  const fetchSessions = async () => {
+    if (abortControllerRef.current) abortControllerRef.current.abort();
+    abortControllerRef.current = new AbortController();
+
+    setLoading(true);
+    setError("");
+    try {
+      const res = await getSessions({
+        signal: abortControllerRef.current.signal,
+      });
+      setSessions(res.data.items);
+    } catch (err) {
+      if (err.name !== "AbortError" && err.message !== "canceled") {
+        setError(getErrorMessage(err));
+      }
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    fetchSessions();
+    return () => abortControllerRef.current?.abort();
+  }, []);
+
+  const handleRevoke = async (session) => {
+    setRevoking(session._id);
+    try {
+      await revokeSession(session._id);
+      // Revoking this device is the same as logging out
+      if (session.current) return logout();
+      setSessions((prev) => prev.filter((s) => s._id !== session._id));
+      toast({ title: "Session revoked", status: "success", duration: 3000, isClosable: true });
+    } catch (err) {
+      handleApiError(err, toast, "Failed to revoke session");
+    } finally {
+      setRevoking(null);
+    }
+  };
+
+  const handleRevokeAll = async () => {
+    setRevoking("all");
+    try {
+      await revokeAllSessions();
+      logout();
+    } catch (err) {
+      handleApiError(err, toast, "Failed to log out everywhere");
+      setRevoking(null);
+    }
+  };
+
+  return (
+    <Box p={5} borderWidth={1} borderRadius="xl" bg={cardBg} boxShadow="sm">
+      <Flex justify="space-between" align="center" mb={2} wrap="wrap" gap={3}>
+        <Heading size="md" color="blue.400">
+          Active sessions
+        </Heading>
+        <Button
+          size="sm"
+          colorScheme="red"
+          variant="outline"
+          onClick={handleRevokeAll}
+          isLoading={revoking === "all"}
+          isDisabled={loading || !!error}
+        >
+          Log out everywhere
+        </Button>
+      </Flex>
+      <Text fontSize="sm" color={subTextColor} mb={4}>
+        Devices signed in to your account. Revoke any you do not recognize;
+        they are signed out within 15 minutes.
+      </Text>
+
+      {loading ? (
+        <Spinner />
+      ) : error ? (
+        <Alert status="error" borderRadius="md">
+          <AlertIcon />
+          {error}
+        </Alert>
+      ) : (
+        <Box overflowX="auto">
+          <Table size="sm">
+            <Thead>
+              <Tr>
+                <Th>Device</Th>
+                <Th>Last active</Th>
+                <Th>Signed in</Th>
+                <Th />
+              </Tr>
+            </Thead>
+            <Tbody>
+              {sessions.map((session) => (
+                <Tr key={session._id}>
+                  <Td>
+                    <Text title={session.userAgent}>
+                      {describeDevice(session.userAgent)}{" "}
+                      {session.current && (
+                        <Badge colorScheme="green">This device</Badge>
+                      )}
+                    </Text>
+                  </Td>
+                  <Td>{new Date(session.lastSeenAt).toLocaleString()}</Td>
+                  <Td>{new Date(session.createdAt).toLocaleString()}</Td>
+                  <Td textAlign="right">
+                    <Button
+                      size="xs"
+                      variant="outline"
+                      onClick={() => handleRevoke(session)}
+                      isLoading={revoking === session._id}
+                      isDisabled={!!revoking && revoking !== session._id}
+                    >
+                      {session.current ? "Log out" : "Revoke"}
+                    </Button>
+                  </Td>
+                </Tr>
+              ))}
+            </Tbody>
+          </Table>
+        </Box>
+      )}
+    </Box>
+  );
+};
+
+export default ActiveSessions;
@@ -0,0 +1,105 @@
+// Previews of a feedback item's attachments (admins only). Files are loaded
+// with the admin's token and shown from in-memory object URLs: images as
+// thumbnails, PDFs in an embedded viewer. Each opens full size in a new tab.
+
+import { useEffect, useState } from "react";
+import {
+  Box,
+  HStack,
+  Image,
+  Link,
+  SimpleGrid,
+  Spinner,
+  Text,
+  useColorModeValue,
+} from "@chakra-ui/react";
+import { ExternalLinkIcon } from "@chakra-ui/icons";
+import { getAttachment } from "../api/admin";
+import { getErrorMessage } from "../utils/errorHandler";
+
+const formatSize = (bytes) =>
+  bytes < 1024 * 1024
+    ? `${Math.max(1, Math.round(bytes / 1024))} KB`
+    : `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+
+const AttachmentPreview = ({ feedbackId, attachment }) => {
+  const [url, setUrl] = useState("");
+  const [error, setError] = useState("");
+  const borderColor = useColorModeValue("gray.200", "gray.600");
+  const subTextColor = useColorModeValue("gray.500", "gray.400");
+
+  useEffect(() => {
+    const controller = new AbortController();
+    let objectUrl = "";
+    setUrl("");
+    setError("");
+    getAttachment(feedbackId, attachment._id, { signal: controller.signal })
+      .then((res) => {
+        objectUrl = URL.createObjectURL(res.data);
+        setUrl(objectUrl);
+      })
+      .catch((err) => {
+        if (err.name !== "AbortError" && err.message !== "canceled") {
+          setError(getErrorMessage(err));
+        }
+      });
+    return () => {
+      controller.abort();
+      if (objectUrl) URL.revokeObjectURL(objectUrl);
+    };
+  }, [feedbackId, attachment._id]);
+
+  const isPdf = attachment.contentType === "application/pdf";
+
+  return (
+    <Box borderWidth={1} borderColor={borderColor} borderRadius="md" p={2}>
+      <Box
+        h="160px"
+        mb={2}
+        display="flex"
+        alignItems="center"
+        justifyContent="center"
+        overflow="hidden"
+      >
+        {error ? (
+          <Text fontSize="sm" color="red.400">
+            {error}
+          </Text>
+        ) : !url ? (
+          <Spinner size="sm" />
+        ) : isPdf ? (
+          <Box as="iframe" src={url} title={attachment.name} w="100%" h="100%" />
+        ) : (
+          <Image src={url} alt={attachment.name} maxH="100%" objectFit="contain" />
+        )}
+      </Box>
+      <HStack justify="space-between" fontSize="sm">
+        <Text color={subTextColor}>
+          {attachment.name} · {formatSize(attachment.size)}
+        </Text>
+        {url && (
+          <Link href={url} isExternal color="teal.500">
+            Open <ExternalLinkIcon mx="2px" />
+          </Link>
+        )}
+      </HStack>
+    </Box>
+  );
+};
+
+const AttachmentList = ({ feedbackId, attachments = [] }) => {
+  if (attachments.length === 0) return null;
+  return (
+    <SimpleGrid columns={{ base: 1, md: 2 }} spacing={3}>
+      {attachments.map((attachment) => (
+        <AttachmentPreview
+          key={attachment._id}
+          feedbackId={feedbackId}
+          attachment={attachment}
+        />
+      ))}
+    </SimpleGrid>
+  );
+};
+
+export default AttachmentList;
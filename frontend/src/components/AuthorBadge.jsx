@@ -0,0 +1,29 @@
+// Small badge marking who posted a comment. Plain anonymous comments
+// render nothing. Comments moved in from a merged duplicate are marked as
+// such (their reporter is not this item's reporter).
+
+import { Badge } from "@chakra-ui/react";
+
+const AUTHOR_BADGES = {
+  reporter: { label: "Original reporter", colorScheme: "purple" },
+  admin: { label: "Official response", colorScheme: "teal" },
+};
+
+const MERGED_BADGES = {
+  anonymous: { label: "From a merged report", colorScheme: "gray" },
+  reporter: { label: "Merged duplicate report", colorScheme: "purple" },
+};
+
+const AuthorBadge = ({ authorType, mergedFrom, ...props }) => {
+  const badge = mergedFrom
+    ? MERGED_BADGES[authorType] || AUTHOR_BADGES[authorType]
+    : AUTHOR_BADGES[authorType];
+  if (!badge) return null;
+  return (
+    <Badge colorScheme={badge.colorScheme} {...props}>
+      {badge.label}
+    </Badge>
+  );
+};
+
+export default AuthorBadge;
@@ -1,11 +1,19 @@
-// FeedbackForm: lets users submit anonymous feedback (text + optional tags).
+// FeedbackForm: lets users submit anonymous feedback (text + optional tags
+// from the tag taxonomy).
 // Shows inline errors and success toasts, and calls onSuccess after submit.
+// After a successful submit it shows the one-time receipt key the submitter
+// needs to check on their report later (it cannot be shown again).
+// Before submitting it checks for similar existing reports and offers to add
+// the text to one of them instead.
+// Screenshots, photos and PDFs can be attached as evidence; the server
+// removes identifying metadata from them and only admins can see them.
 
-import { useState } from "react";
+import { useRef, useState } from "react";
 import {
   Box,
   Button,
   FormControl,
+  FormErrorMessage,
   FormLabel,
   Textarea,
   Tag,
@@ -15,23 +23,185 @@ import {
   useToast,
   Alert,
   AlertIcon,
+  AlertTitle,
+  AlertDescription,
+  Code,
+  Text,
+  VStack,
+  Badge,
+  IconButton,
+  useClipboard,
 } from "@chakra-ui/react";
-import { createFeedback } from "../api/feedback";
+import { AttachmentIcon, CloseIcon } from "@chakra-ui/icons";
+import { Link as RouterLink, useNavigate } from "react-router-dom";
+import {
+  createFeedback,
+  findSimilarFeedback,
+  addComment,
+} from "../api/feedback";
+import { getFieldErrors, handleApiError } from "../utils/errorHandler";
+import StatusBadge from "./StatusBadge";
+import useTags from "../hooks/useTags";
+import useOrganization from "../hooks/useOrganization";
+
+// Attachment limits (see backend utils/attachments.js)
+const MAX_ATTACHMENTS = 3;
+const MAX_ATTACHMENT_BYTES = 5 * 1024 * 1024;
+const ATTACHMENT_TYPES = ["image/jpeg", "image/png", "image/webp", "application/pdf"];
+
+// File contents as a data: URL (what POST /feedback accepts)
+const readAsDataUrl = (file) =>
+  new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(reader.error);
+    reader.readAsDataURL(file);
+  });
+
+// "Save your key" screen shown once after submitting.
+// `heldMessage` is set when moderation held the feedback for review.
+const ReceiptKeyNotice = ({ receiptKey, heldMessage, onDone }) => {
+  const { hasCopied, onCopy } = useClipboard(receiptKey);
+  const { path } = useOrganization();
+
+  return (
+    <Box p={4} borderWidth={1} borderRadius="md" mb={6}>
+      <Alert status={heldMessage ? "info" : "success"} mb={4} borderRadius="md">
+        <AlertIcon />
+        <Box>
+          <AlertTitle>
+            {heldMessage ? "Feedback received" : "Feedback submitted!"}
+          </AlertTitle>
+          <AlertDescription>
+            {heldMessage && `${heldMessage} `}
+            Save this key to check on your report and reply to admins later.
+          </AlertDescription>
+        </Box>
+      </Alert>
 
-// Available tags to choose from
-const TAG_OPTIONS = ["bug", "feature", "ui", "performance", "other"];
+      <VStack spacing={3}>
+        <Code fontSize="lg" px={3} py={2} borderRadius="md" userSelect="all">
+          {receiptKey}
+        </Code>
+        <Text fontSize="sm" color="gray.500" textAlign="center">
+          This key is shown only once and is the only link between you and
+          your report. We cannot recover it for you.
+        </Text>
+        <HStack>
+          <Button onClick={onCopy} size="sm">
+            {hasCopied ? "Copied" : "Copy key"}
+          </Button>
+          <Button as={RouterLink} to={path("/report")} size="sm" variant="outline">
+            Check my report
+          </Button>
+          <Button colorScheme="teal" size="sm" onClick={onDone}>
+            I've saved it
+          </Button>
+        </HStack>
+      </VStack>
+    </Box>
+  );
+};
+
+// "This looks like an existing report" prompt: add the draft to a match as a
+// comment, or submit it as a new report anyway
+const DuplicateNotice = ({
+  matches,
+  path,
+  adding,
+  submitting,
+  hasAttachments,
+  onAddVoice,
+  onSubmitAnyway,
+}) => (
+  <Alert status="info" mb={3} borderRadius="md" alignItems="flex-start">
+    <AlertIcon />
+    <Box flex="1" textAlign="left">
+      <AlertTitle>This looks like an existing report</AlertTitle>
+      <AlertDescription>
+        Add your voice to it instead?
+        {hasAttachments &&
+          " Attachments can only be sent with a new report."}
+      </AlertDescription>
+      <VStack align="stretch" spacing={2} mt={3}>
+        {matches.map((match) => (
+          <Box key={match._id} p={3} borderWidth={1} borderRadius="md">
+            <Text noOfLines={2} mb={2}>
+              {match.text}
+            </Text>
+            <HStack justify="space-between" flexWrap="wrap">
+              <HStack>
+                <StatusBadge status={match.status} />
+                <Badge>{Math.round(match.similarity * 100)}% similar</Badge>
+                <Text fontSize="xs" color="gray.500">
+                  {match.commentCount} comment
+                  {match.commentCount === 1 ? "" : "s"}
+                </Text>
+              </HStack>
+              <HStack>
+                <Button
+                  as={RouterLink}
+                  to={path(`/feedback/${match._id}`)}
+                  size="xs"
+                  variant="ghost"
+                >
+                  View
+                </Button>
+                {match.commentsOpen && (
+                  <Button
+                    size="xs"
+                    colorScheme="teal"
+                    isLoading={adding === match._id}
+                    onClick={() => onAddVoice(match)}
+                  >
+                    Add my voice
+                  </Button>
+                )}
+              </HStack>
+            </HStack>
+          </Box>
+        ))}
+      </VStack>
+      <Button
+        mt={3}
+        size="sm"
+        variant="outline"
+        isLoading={submitting}
+        onClick={onSubmitAnyway}
+      >
+        No, submit as a new report
+      </Button>
+    </Box>
+  </Alert>
+);
 
 const FeedbackForm = ({ onSuccess }) => {
   // Form state
   const [text, setText] = useState("");
   const [tags, setTags] = useState([]);
+  const [files, setFiles] = useState([]);
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState("");
+  const [fieldErrors, setFieldErrors] = useState({});
+  const [receiptKey, setReceiptKey] = useState("");
+  const [heldMessage, setHeldMessage] = useState("");
+  const [duplicates, setDuplicates] = useState([]);
+  const [addingVoice, setAddingVoice] = useState(null);
   const toast = useToast();
+  const navigate = useNavigate();
+  const fileInputRef = useRef(null);
+  const { slug, path } = useOrganization();
+  const { activeTags, tagLabel, tagColor } = useTags(slug);
+
+  // Editing a field clears the error shown under it
+  const clearFieldError = (field) => {
+    if (fieldErrors[field]) setFieldErrors({ ...fieldErrors, [field]: "" });
+  };
 
   // Add a tag if not already selected
   const handleAddTag = (tag) => {
     if (!tags.includes(tag)) setTags([...tags, tag]);
+    clearFieldError("tags");
   };
 
   // Remove a selected tag
@@ -39,29 +209,118 @@ const FeedbackForm = ({ onSuccess }) => {
     setTags(tags.filter((t) => t !== tag));
   };
 
-  // Submit handler: basic validation + API call + success/error UI
-  const handleSubmit = async (e) => {
-    e.preventDefault();
+  // Add chosen files, checking the limits the server enforces
+  const handleAddFiles = (e) => {
+    const chosen = [...e.target.files];
+    e.target.value = ""; // allow choosing the same file again
+    const invalid = chosen.find(
+      (file) =>
+        !ATTACHMENT_TYPES.includes(file.type) || file.size > MAX_ATTACHMENT_BYTES
+    );
+    if (invalid) {
+      setFieldErrors({
+        ...fieldErrors,
+        attachments: `${invalid.name}: only JPEG, PNG or WebP images and PDFs up to 5 MB can be attached`,
+      });
+      return;
+    }
+    if (files.length + chosen.length > MAX_ATTACHMENTS) {
+      setFieldErrors({
+        ...fieldErrors,
+        attachments: `At most ${MAX_ATTACHMENTS} files can be attached`,
+      });
+      return;
+    }
+    setFiles([...files, ...chosen]);
+    clearFieldError("attachments");
+  };
+
+  const handleRemoveFile = (file) => {
+    setFiles(files.filter((f) => f !== file));
+    clearFieldError("attachments");
+  };
+
+  // The duplicate check applies to the text it was run on
+  const handleTextChange = (e) => {
+    setText(e.target.value);
+    clearFieldError("text");
+    if (duplicates.length) setDuplicates([]);
+  };
+
+  // Post the draft as a comment on an existing report and go there
+  const handleAddVoice = async (match) => {
+    setAddingVoice(match._id);
+    try {
+      const res = await addComment(slug, match._id, { text });
+      toast({
+        title:
+          res.status === 202 ? res.data.message : "Your voice was added.",
+        status: res.status === 202 ? "info" : "success",
+      });
+      setText("");
+      setTags([]);
+      setFiles([]);
+      setDuplicates([]);
+      navigate(path(`/feedback/${match._id}`));
+    } catch (err) {
+      handleApiError(err, toast, "Failed to add your comment");
+    }
+    setAddingVoice(null);
+  };
+
+  // Submit handler: basic validation + duplicate check + API call +
+  // success/error UI. `skipDuplicateCheck` submits even if similar
+  // reports exist.
+  const handleSubmit = async (e, skipDuplicateCheck = false) => {
+    e?.preventDefault();
     setLoading(true);
     setError("");
+    setFieldErrors({});
 
     // Require some text
     if (!text.trim()) {
       setLoading(false);
-      toast({ title: "Feedback text is required.", status: "error" });
+      setFieldErrors({ text: "Feedback text is required." });
       return;
     }
 
+    if (!skipDuplicateCheck) {
+      try {
+        const similar = await findSimilarFeedback(slug, { text });
+        if (similar.data.matches?.length) {
+          setDuplicates(similar.data.matches);
+          setLoading(false);
+          return;
+        }
+      } catch {
+        // The check is a convenience; submit as usual if it fails
+      }
+    }
+    setDuplicates([]);
+
     try {
-      await createFeedback({ text, tags });
-      // Reset form and notify
+      const attachments = files.length
+        ? await Promise.all(files.map(readAsDataUrl))
+        : undefined;
+      const res = await createFeedback(slug, { text, tags, attachments });
+      // Reset form and show the receipt key
       setText("");
       setTags([]);
-      toast({ title: "Feedback submitted!", status: "success" });
+      setFiles([]);
+      setReceiptKey(res.data.receiptKey || "");
+      // 202 = saved but held for moderator review
+      setHeldMessage(res.status === 202 ? res.data.message : "");
+      if (!res.data.receiptKey) {
+        toast({ title: "Feedback submitted!", status: "success" });
+      }
       if (onSuccess) onSuccess();
     } catch (err) {
-      // Show AI/block or generic errors
-      if (err.message.includes("blocked")) {
+      // Field errors go next to their inputs; AI/block or generic errors
+      // are shown above the form
+      const fields = getFieldErrors(err);
+      if (Object.keys(fields).length) {
+        setFieldErrors(fields);
+      } else if (err.message.includes("blocked")) {
         setError(err.message);
       } else {
         setError("Submission failed.");
@@ -71,6 +330,16 @@ const FeedbackForm = ({ onSuccess }) => {
     setLoading(false);
   };
 
+  if (receiptKey) {
+    return (
+      <ReceiptKeyNotice
+        receiptKey={receiptKey}
+        heldMessage={heldMessage}
+        onDone={() => setReceiptKey("")}
+      />
+    );
+  }
+
   return (
     <Box
       as="form"
@@ -91,43 +360,112 @@ const FeedbackForm = ({ onSuccess }) => {
       )}
 
       {/* Feedback text input */}
-      <FormControl mb={3} isRequired>
+      <FormControl mb={3} isRequired isInvalid={!!fieldErrors.text}>
         <FormLabel>Feedback</FormLabel>
         <Textarea
           value={text}
-          onChange={(e) => setText(e.target.value)}
+          onChange={handleTextChange}
           placeholder="Share your feedback..."
         />
+        <FormErrorMessage>{fieldErrors.text}</FormErrorMessage>
       </FormControl>
 
       {/* Tags: selected + available */}
-      <FormControl mb={3}>
+      <FormControl mb={3} isInvalid={!!fieldErrors.tags}>
         <FormLabel>Tags</FormLabel>
 
         {/* Selected tags */}
         <HStack spacing={2} mb={2}>
           {tags.map((tag) => (
-            <Tag key={tag} colorScheme="blue">
-              <TagLabel>{tag}</TagLabel>
+            <Tag key={tag} colorScheme={tagColor(tag)}>
+              <TagLabel>{tagLabel(tag)}</TagLabel>
               <TagCloseButton onClick={() => handleRemoveTag(tag)} />
             </Tag>
           ))}
         </HStack>
 
         {/* Tag choices (hide ones already selected) */}
-        <HStack spacing={2}>
-          {TAG_OPTIONS.filter((tag) => !tags.includes(tag)).map((tag) => (
-            <Button key={tag} size="sm" onClick={() => handleAddTag(tag)}>
-              {tag}
-            </Button>
-          ))}
+        <HStack spacing={2} flexWrap="wrap" justify="center">
+          {activeTags
+            .filter((tag) => !tags.includes(tag.slug))
+            .map((tag) => (
+              <Button
+                key={tag.slug}
+                size="sm"
+                title={tag.description}
+                onClick={() => handleAddTag(tag.slug)}
+              >
+                {tag.label}
+              </Button>
+            ))}
         </HStack>
+        <FormErrorMessage justifyContent="center">
+          {fieldErrors.tags}
+        </FormErrorMessage>
       </FormControl>
 
-      {/* Submit button with loading state */}
-      <Button colorScheme="teal" type="submit" isLoading={loading}>
-        Submit Anonymously
-      </Button>
+      {/* Evidence files */}
+      <FormControl mb={3} isInvalid={!!fieldErrors.attachments}>
+        <FormLabel>Attachments</FormLabel>
+        <input
+          ref={fileInputRef}
+          type="file"
+          accept={ATTACHMENT_TYPES.join(",")}
+          multiple
+          hidden
+          onChange={handleAddFiles}
+        />
+        <VStack spacing={1} mb={2}>
+          {files.map((file, i) => (
+            <HStack key={i} spacing={2}>
+              <Text fontSize="sm">{file.name}</Text>
+              <IconButton
+                size="xs"
+                variant="ghost"
+                icon={<CloseIcon boxSize={2} />}
+                aria-label={`Remove ${file.name}`}
+                onClick={() => handleRemoveFile(file)}
+              />
+            </HStack>
+          ))}
+        </VStack>
+        <Button
+          size="sm"
+          leftIcon={<AttachmentIcon />}
+          onClick={() => fileInputRef.current?.click()}
+          isDisabled={files.length >= MAX_ATTACHMENTS}
+        >
+          Attach screenshots or PDFs
+        </Button>
+        <Text fontSize="xs" color="gray.500" mt={1}>
+          Up to {MAX_ATTACHMENTS} files, 5 MB each. Location, author and
+          device details are removed before saving; only admins can see
+          attachments.
+        </Text>
+        <FormErrorMessage justifyContent="center">
+          {fieldErrors.attachments}
+        </FormErrorMessage>
+      </FormControl>
+
+      {/* Similar existing reports */}
+      {duplicates.length > 0 && (
+        <DuplicateNotice
+          matches={duplicates}
+          path={path}
+          adding={addingVoice}
+          submitting={loading}
+          hasAttachments={files.length > 0}
+          onAddVoice={handleAddVoice}
+          onSubmitAnyway={() => handleSubmit(null, true)}
+        />
+      )}
+
+      {/* Submit button with loading state (the duplicate prompt has its own) */}
+      {duplicates.length === 0 && (
+        <Button colorScheme="teal" type="submit" isLoading={loading}>
+          Submit Anonymously
+        </Button>
+      )}
     </Box>
   );
 };
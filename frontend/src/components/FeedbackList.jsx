@@ -1,4 +1,6 @@
 // Shows a list of feedback cards with loading skeletons, error state, and empty state.
+// Pages through results with a cursor ("Load more") and lets users pick a sort order.
+// A search box keeps its query in the URL (?q=) and matches show highlighted snippets.
 // Uses Chakra UI for styling and a small timeout to avoid skeleton flicker.
 
 import React, { useEffect, useRef, useState } from "react";
@@ -8,19 +10,24 @@ import {
   Text,
   Tag,
   HStack,
-  Badge,
   Button,
+  Select,
   Alert,
   AlertIcon,
   Skeleton,
   SkeletonText,
   useColorModeValue,
 } from "@chakra-ui/react";
-import { Link } from "react-router-dom";
+import { Link, useSearchParams } from "react-router-dom";
 import { keyframes } from "@emotion/react";
 
 import { getFeedbacks } from "../api/feedback";
+import useOrganization from "../hooks/useOrganization";
 import { getErrorMessage } from "../utils/errorHandler";
+import { PAGE_SIZE, resolveSort, sortOptionsFor } from "../utils/feedbackSort";
+import HighlightedText from "./HighlightedText";
+import SearchInput from "./SearchInput";
+import StatusBadge from "./StatusBadge";
 
 // Subtle breathing border animation for the empty state card
 const breathingAnimation = keyframes`
@@ -29,6 +36,9 @@ const breathingAnimation = keyframes`
   100% { border-color: var(--chakra-colors-teal-200); box-shadow: 0 0 5px rgba(45, 212, 191, 0.2); }
 `;
 
+// Only the fields rendered on a card are requested
+const LIST_FIELDS = "text,tags,status,createdAt";
+
 // Skeleton card used while loading
 const FeedbackCardSkeleton = () => {
   const cardBg = useColorModeValue("white", "gray.800");
@@ -56,11 +66,61 @@ const FeedbackCardSkeleton = () => {
   );
 };
 
+// Card body: highlighted snippets for search results, plain text otherwise
+const FeedbackText = ({ fb, color, subColor }) => {
+  const textHighlight = fb.highlights?.find((h) => h.field === "text");
+  const commentHighlight = fb.highlights?.find((h) => h.field === "comment");
+
+  return (
+    <>
+      {textHighlight ? (
+        <HighlightedText
+          segments={textHighlight.segments}
+          mt={2}
+          mb={2}
+          fontSize="md"
+          fontWeight="medium"
+          color={color}
+        />
+      ) : (
+        <Text
+          mt={2}
+          mb={2}
+          fontSize="md"
+          fontWeight="medium"
+          color={color}
+          noOfLines={2}
+        >
+          {fb.text}
+        </Text>
+      )}
+      {commentHighlight && (
+        <HStack align="baseline" spacing={1} fontSize="sm" color={subColor}>
+          <Text flexShrink={0}>💬 In comments:</Text>
+          <HighlightedText segments={commentHighlight.segments} />
+        </HStack>
+      )}
+    </>
+  );
+};
+
 const FeedbackList = () => {
   // Data + UI state
   const [feedbacks, setFeedbacks] = useState([]);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState("");
+  const { slug, path } = useOrganization();
+
+  // Search query lives in the URL so results can be shared/bookmarked
+  const [searchParams] = useSearchParams();
+  const q = searchParams.get("q") || "";
+
+  // Pagination + sorting state ("" = server default for the current search)
+  const [sort, setSort] = useState("");
+  const activeSort = resolveSort(sort, q);
+  const [nextCursor, setNextCursor] = useState(null);
+  const [total, setTotal] = useState(0);
+  const [loadingMore, setLoadingMore] = useState(false);
 
   // Keep references for aborting requests and clearing timeouts
   const abortControllerRef = useRef(null);
@@ -72,20 +132,30 @@ const FeedbackList = () => {
   const textColor = useColorModeValue("gray.700", "gray.200");
   const subTextColor = useColorModeValue("gray.500", "gray.400");
 
-  // Fetch feedbacks with cancellation and basic error handling
-  const fetchFeedbacks = async () => {
+  // Fetch a page of feedbacks with cancellation and basic error handling.
+  // Without a cursor the list is replaced; with one the page is appended.
+  const fetchFeedbacks = async (cursor = null) => {
     // Cancel any in-flight request
     if (abortControllerRef.current) abortControllerRef.current.abort();
     abortControllerRef.current = new AbortController();
 
-    setLoading(true);
+    if (cursor) setLoadingMore(true);
+    else setLoading(true);
     setError("");
 
     try {
-      const res = await getFeedbacks({
+      const params = { sort: activeSort, limit: PAGE_SIZE, fields: LIST_FIELDS };
+      if (q) params.q = q;
+      if (cursor) params.cursor = cursor;
+
+      const res = await getFeedbacks(slug, params, {
         signal: abortControllerRef.current.signal,
       });
-      setFeedbacks(res.data || []);
+      const items = res.data?.items || [];
+      setFeedbacks((prev) => (cursor ? [...prev, ...items] : items));
+      setNextCursor(res.data?.nextCursor || null);
+      setTotal(res.data?.total || 0);
+      setLoadingMore(false);
 
       // Tiny delay so the skeleton doesn't flash too quickly
       setTimeout(() => setLoading(false), 150);
@@ -99,6 +169,7 @@ const FeedbackList = () => {
         setError(getErrorMessage(err) || "Failed to load feedback");
       }
       setLoading(false);
+      setLoadingMore(false);
     } finally {
       // Clear any global timeout if set
       if (timeoutRef.current) {
@@ -108,7 +179,7 @@ const FeedbackList = () => {
     }
   };
 
-  // On mount: load data and set a 10s safety timeout
+  // On mount and when the search or sort changes: load the first page and set a 10s safety timeout
   useEffect(() => {
     fetchFeedbacks();
 
@@ -131,12 +202,42 @@ const FeedbackList = () => {
       }
     };
     // eslint-disable-next-line react-hooks/exhaustive-deps
-  }, []);
+  }, [slug, q, activeSort]);
+
+  // Search + sort bar (stays mounted while results reload)
+  const toolbar = (
+    <Stack spacing={3}>
+      <SearchInput bg={cardBg} borderRadius="md" />
+      <HStack justify="space-between">
+        <Text fontSize="sm" color={subTextColor}>
+          {loading
+            ? "Loading..."
+            : q
+            ? `${total} result${total === 1 ? "" : "s"} for "${q}"`
+            : `Showing ${feedbacks.length} of ${total}`}
+        </Text>
+        <Select
+          value={activeSort}
+          onChange={(e) => setSort(e.target.value)}
+          maxW="200px"
+          size="sm"
+          bg={cardBg}
+        >
+          {sortOptionsFor(q).map((option) => (
+            <option key={option.value} value={option.value}>
+              {option.label}
+            </option>
+          ))}
+        </Select>
+      </HStack>
+    </Stack>
+  );
 
   // Loading state: show 3 skeleton cards
   if (loading)
     return (
       <Stack spacing={5}>
+        {toolbar}
         {[...Array(3)].map((_, i) => (
           <FeedbackCardSkeleton key={i} />
         ))}
@@ -146,19 +247,24 @@ const FeedbackList = () => {
   // Error state with retry button
   if (error) {
     return (
-      <Alert status="error" borderRadius="md">
-        <AlertIcon />
-        {error}
-        <Button ml={4} size="sm" onClick={fetchFeedbacks}>
-          Retry
-        </Button>
-      </Alert>
+      <Stack spacing={5}>
+        {toolbar}
+        <Alert status="error" borderRadius="md">
+          <AlertIcon />
+          {error}
+          <Button ml={4} size="sm" onClick={() => fetchFeedbacks()}>
+            Retry
+          </Button>
+        </Alert>
+      </Stack>
     );
   }
 
-  // Main content: empty state or list of feedback cards
+  // Main content: toolbar, then empty state or list of feedback cards
   return (
     <Stack spacing={5}>
+      {toolbar}
+
       {feedbacks.length === 0 ? (
         // Empty state card
         <Box
@@ -178,15 +284,28 @@ const FeedbackList = () => {
           }}
           transition="transform 0.3s ease"
         >
-          <Text fontSize="xl" color={subTextColor} mb={3} fontWeight="semibold">
-            📝 No feedback yet
-          </Text>
-          <Text fontSize="md" color={subTextColor} mb={4}>
-            Be the first to share your thoughts and help us improve!
-          </Text>
-          <Text fontSize="sm" color={subTextColor}>
-            Your anonymous feedback is valuable to us. 💭
-          </Text>
+          {q ? (
+            <>
+              <Text fontSize="xl" color={subTextColor} mb={3} fontWeight="semibold">
+                🔍 No matches
+              </Text>
+              <Text fontSize="md" color={subTextColor}>
+                Nothing matched "{q}". Try different words.
+              </Text>
+            </>
+          ) : (
+            <>
+              <Text fontSize="xl" color={subTextColor} mb={3} fontWeight="semibold">
+                📝 No feedback yet
+              </Text>
+              <Text fontSize="md" color={subTextColor} mb={4}>
+                Be the first to share your thoughts and help us improve!
+              </Text>
+              <Text fontSize="sm" color={subTextColor}>
+                Your anonymous feedback is valuable to us. 💭
+              </Text>
+            </>
+          )}
         </Box>
       ) : (
         // Feedback list
@@ -224,27 +343,16 @@ const FeedbackList = () => {
                 ))}
               </HStack>
 
-              <Badge
-                colorScheme={fb.status === "resolved" ? "green" : "orange"}
+              <StatusBadge
+                status={fb.status}
                 fontSize="0.9em"
                 px={3}
                 py={1}
                 borderRadius="md"
-              >
-                {fb.status.toUpperCase()}
-              </Badge>
+              />
             </HStack>
 
-            <Text
-              mt={2}
-              mb={2}
-              fontSize="md"
-              fontWeight="medium"
-              color={textColor}
-              noOfLines={2}
-            >
-              {fb.text}
-            </Text>
+            <FeedbackText fb={fb} color={textColor} subColor={subTextColor} />
 
             <HStack justify="space-between" mt={3}>
               <Text fontSize="sm" color={subTextColor}>
@@ -252,7 +360,7 @@ const FeedbackList = () => {
               </Text>
               <Button
                 as={Link}
-                to={`/feedback/${fb._id}`}
+                to={path(`/feedback/${fb._id}`)}
                 size="sm"
                 colorScheme="teal"
                 variant="outline"
@@ -264,6 +372,20 @@ const FeedbackList = () => {
           </Box>
         ))
       )}
+
+      {/* Next page */}
+      {nextCursor && (
+        <Button
+          onClick={() => fetchFeedbacks(nextCursor)}
+          isLoading={loadingMore}
+          loadingText="Loading..."
+          colorScheme="teal"
+          variant="ghost"
+          alignSelf="center"
+        >
+          Load more
+        </Button>
+      )}
     </Stack>
   );
 };
@@ -0,0 +1,27 @@
+// Renders a search snippet returned by the API: an array of
+// { text, match } segments, with matched segments wrapped in <mark>.
+
+import { Box, Text } from "@chakra-ui/react";
+
+const HighlightedText = ({ segments = [], ...props }) => (
+  <Text {...props}>
+    {segments.map((segment, i) =>
+      segment.match ? (
+        <Box
+          as="mark"
+          key={i}
+          bg="yellow.200"
+          color="gray.800"
+          px="1px"
+          borderRadius="sm"
+        >
+          {segment.text}
+        </Box>
+      ) : (
+        <span key={i}>{segment.text}</span>
+      )
+    )}
+  </Text>
+);
+
+export default HighlightedText;
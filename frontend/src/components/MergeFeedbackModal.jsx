@@ -0,0 +1,151 @@
+// Merges a duplicate feedback item into a canonical one. Suggests likely
+// originals (near-duplicate detection) and also accepts a pasted item id.
+// The merge moves the comments; the duplicate's link then redirects.
+
+import { useCallback, useEffect, useState } from "react";
+import {
+  Badge,
+  Box,
+  Button,
+  FormControl,
+  FormHelperText,
+  FormLabel,
+  Input,
+  Modal,
+  ModalBody,
+  ModalCloseButton,
+  ModalContent,
+  ModalFooter,
+  ModalHeader,
+  ModalOverlay,
+  Radio,
+  RadioGroup,
+  Spinner,
+  Stack,
+  Text,
+  useToast,
+} from "@chakra-ui/react";
+import { findSimilarFeedback, mergeFeedback } from "../api/admin";
+import { handleApiError } from "../utils/errorHandler";
+import StatusBadge from "./StatusBadge";
+
+const MergeFeedbackModal = ({ isOpen, onClose, feedback, onMerged }) => {
+  const [suggestions, setSuggestions] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [target, setTarget] = useState("");
+  const [merging, setMerging] = useState(false);
+  const toast = useToast();
+  const feedbackId = feedback?._id;
+  const feedbackText = feedback?.text;
+
+  // Likely originals of the item, itself excluded
+  const searchSimilar = useCallback(
+    (signal) =>
+      findSimilarFeedback(feedbackText, { signal }).then((res) =>
+        (res.data?.matches || []).filter((m) => m._id !== feedbackId)
+      ),
+    [feedbackId, feedbackText]
+  );
+
+  // Load likely originals whenever the modal opens for an item
+  useEffect(() => {
+    if (!isOpen || !feedbackId) return;
+    const controller = new AbortController();
+    setTarget("");
+    setSuggestions([]);
+    setLoading(true);
+    searchSimilar(controller.signal)
+      .then(setSuggestions)
+      .catch((err) => {
+        if (err.name !== "AbortError" && err.message !== "canceled") {
+          handleApiError(err, toast, "Failed to load similar feedback");
+        }
+      })
+      .finally(() => setLoading(false));
+    return () => controller.abort();
+  }, [isOpen, feedbackId, searchSimilar, toast]);
+
+  const handleMerge = async () => {
+    setMerging(true);
+    try {
+      const res = await mergeFeedback(feedback._id, target.trim());
+      toast({
+        title: "Feedback merged",
+        status: "success",
+        duration: 3000,
+        isClosable: true,
+      });
+      onMerged?.(res.data);
+      onClose();
+    } catch (err) {
+      handleApiError(err, toast, "Failed to merge feedback");
+    } finally {
+      setMerging(false);
+    }
+  };
+
+  return (
+    <Modal isOpen={isOpen} onClose={onClose} size="lg" isCentered>
+      <ModalOverlay />
+      <ModalContent>
+        <ModalHeader>Merge into another item</ModalHeader>
+        <ModalCloseButton />
+        <ModalBody>
+          <Text fontSize="sm" color="gray.500" mb={4}>
+            Comments move to the selected item and this item's text is added
+            to its thread. This item leaves the board and its link redirects.
+          </Text>
+
+          {loading ? (
+            <Spinner size="sm" />
+          ) : suggestions.length === 0 ? (
+            <Text fontSize="sm" mb={4}>
+              No similar items found.
+            </Text>
+          ) : (
+            <RadioGroup value={target} onChange={setTarget} mb={4}>
+              <Stack spacing={2}>
+                {suggestions.map((s) => (
+                  <Box key={s._id} p={2} borderWidth={1} borderRadius="md">
+                    <Radio value={s._id} alignItems="flex-start">
+                      <Text noOfLines={2}>{s.text}</Text>
+                      <Stack direction="row" mt={1}>
+                        <StatusBadge status={s.status} />
+                        <Badge>{Math.round(s.similarity * 100)}% similar</Badge>
+                      </Stack>
+                    </Radio>
+                  </Box>
+                ))}
+              </Stack>
+            </RadioGroup>
+          )}
+
+          <FormControl>
+            <FormLabel>Target item id</FormLabel>
+            <Input
+              value={target}
+              onChange={(e) => setTarget(e.target.value)}
+              placeholder="Pick a suggestion or paste an id"
+              fontFamily="mono"
+            />
+            <FormHelperText>The item that stays on the board.</FormHelperText>
+          </FormControl>
+        </ModalBody>
+        <ModalFooter>
+          <Button
+            colorScheme="teal"
+            mr={3}
+            onClick={handleMerge}
+            isLoading={merging}
+            isDisabled={!target.trim()}
+          >
+            Merge
+          </Button>
+          <Button onClick={onClose}>Cancel</Button>
+        </ModalFooter>
+      </ModalContent>
+    </Modal>
+  );
+};
+
+export default MergeFeedbackModal;
@@ -0,0 +1,198 @@
+// ModerationStats: dashboard panel with moderation effectiveness metrics
+// (flag rate, provider failures and latency, most triggered rules), used
+// to tune rule thresholds.
+
+import { useCallback, useEffect, useRef, useState } from "react";
+import {
+  Box,
+  Button,
+  HStack,
+  Heading,
+  Select,
+  SimpleGrid,
+  Spinner,
+  Stack,
+  Stat,
+  StatHelpText,
+  StatLabel,
+  StatNumber,
+  Table,
+  Tbody,
+  Td,
+  Text,
+  Th,
+  Thead,
+  Tr,
+  Badge,
+  Alert,
+  AlertIcon,
+  useColorModeValue,
+} from "@chakra-ui/react";
+import { Link as RouterLink } from "react-router-dom";
+import { getModerationStats } from "../api/admin";
+import { getErrorMessage } from "../utils/errorHandler";
+
+const WINDOWS = [1, 7, 30, 90];
+
+const percent = (value) => `${Math.round((value || 0) * 1000) / 10}%`;
+const ms = (value) => (value == null ? "—" : `${value} ms`);
+
+const ModerationStats = () => {
+  const [days, setDays] = useState(7);
+  const [stats, setStats] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState("");
+  const abortControllerRef = useRef(null);
+
+  const cardBg = useColorModeValue("white", "gray.800");
+  const subTextColor = useColorModeValue("gray.500", "gray.400");
+
+  const fetchStats = useCallback(async () => {
+    if (abortControllerRef.current) abortControllerRef.current.abort();
+    abortControllerRef.current = new AbortController();
+
+    setLoading(true);
+    setError("");
+    try {
+      const res = await getModerationStats(
+        { days },
+        { signal: abortControllerRef.current.signal }
+      );
+      setStats(res.data);
+    } catch (err) {
+      if (err.name !== "AbortError" && err.message !== "canceled") {
+        setError(getErrorMessage(err));
+      }
+    }
+    setLoading(false);
+  }, [days]);
+
+  useEffect(() => {
+    fetchStats();
+    return () => abortControllerRef.current?.abort();
+  }, [fetchStats]);
+
+  if (error) {
+    return (
+      <Alert status="error" borderRadius="md">
+        <AlertIcon />
+        {error}
+        <Button ml={4} size="sm" onClick={fetchStats}>
+          Retry
+        </Button>
+      </Alert>
+    );
+  }
+
+  return (
+    <Stack spacing={6}>
+      <HStack justify="space-between">
+        <Select w="200px" value={days} onChange={(e) => setDays(Number(e.target.value))}>
+          {WINDOWS.map((d) => (
+            <option key={d} value={d}>
+              Last {d === 1 ? "24 hours" : `${d} days`}
+            </option>
+          ))}
+        </Select>
+        <Button as={RouterLink} to="/admin/moderation" size="sm" variant="outline" colorScheme="teal">
+          Tune rules
+        </Button>
+      </HStack>
+
+      {loading || !stats ? (
+        <Spinner size="lg" />
+      ) : (
+        <>
+          <SimpleGrid columns={{ base: 2, md: 4 }} spacing={4}>
+            <Stat p={4} borderWidth={1} borderRadius="lg" bg={cardBg}>
+              <StatLabel>Decisions</StatLabel>
+              <StatNumber>{stats.total}</StatNumber>
+              <StatHelpText>{stats.flagged} held</StatHelpText>
+            </Stat>
+            <Stat p={4} borderWidth={1} borderRadius="lg" bg={cardBg}>
+              <StatLabel>Flag rate</StatLabel>
+              <StatNumber>{percent(stats.flagRate)}</StatNumber>
+              <StatHelpText>of submissions held</StatHelpText>
+            </Stat>
+            <Stat p={4} borderWidth={1} borderRadius="lg" bg={cardBg}>
+              <StatLabel>Overturned</StatLabel>
+              <StatNumber>{percent(stats.overturnRate)}</StatNumber>
+              <StatHelpText>of {stats.reviewed} reviewed were approved</StatHelpText>
+            </Stat>
+            <Stat p={4} borderWidth={1} borderRadius="lg" bg={cardBg}>
+              <StatLabel>p95 latency</StatLabel>
+              <StatNumber>{ms(stats.p95LatencyMs)}</StatNumber>
+              <StatHelpText>whole pipeline</StatHelpText>
+            </Stat>
+          </SimpleGrid>
+
+          <Box>
+            <Heading size="sm" mb={3} color="blue.400">
+              Providers
+            </Heading>
+            {stats.providers.length === 0 ? (
+              <Text color={subTextColor}>No decisions in this period.</Text>
+            ) : (
+              <Table size="sm" bg={cardBg} borderRadius="lg">
+                <Thead>
+                  <Tr>
+                    <Th>Provider</Th>
+                    <Th isNumeric>Calls</Th>
+                    <Th isNumeric>Flag rate</Th>
+                    <Th isNumeric>Failure rate</Th>
+                    <Th isNumeric>p95 latency</Th>
+                  </Tr>
+                </Thead>
+                <Tbody>
+                  {stats.providers.map((p) => (
+                    <Tr key={p.provider}>
+                      <Td>{p.provider}</Td>
+                      <Td isNumeric>{p.calls}</Td>
+                      <Td isNumeric>{percent(p.flagRate)}</Td>
+                      <Td isNumeric>
+                        <Badge colorScheme={p.failureRate > 0.05 ? "red" : "green"}>
+                          {percent(p.failureRate)}
+                        </Badge>
+                      </Td>
+                      <Td isNumeric>{ms(p.p95LatencyMs)}</Td>
+                    </Tr>
+                  ))}
+                </Tbody>
+              </Table>
+            )}
+          </Box>
+
+          <Box>
+            <Heading size="sm" mb={3} color="blue.400">
+              Top triggered rules
+            </Heading>
+            {stats.topRules.length === 0 ? (
+              <Text color={subTextColor}>No rules fired in this period.</Text>
+            ) : (
+              <Table size="sm" bg={cardBg} borderRadius="lg">
+                <Thead>
+                  <Tr>
+                    <Th>Rule</Th>
+                    <Th>Type</Th>
+                    <Th isNumeric>Times fired</Th>
+                  </Tr>
+                </Thead>
+                <Tbody>
+                  {stats.topRules.map((r) => (
+                    <Tr key={r.ruleId || r.pattern}>
+                      <Td fontFamily={r.type === "regex" ? "mono" : undefined}>{r.pattern}</Td>
+                      <Td>{r.type}</Td>
+                      <Td isNumeric>{r.count}</Td>
+                    </Tr>
+                  ))}
+                </Tbody>
+              </Table>
+            )}
+          </Box>
+        </>
+      )}
+    </Stack>
+  );
+};
+
+export default ModerationStats;
@@ -0,0 +1,174 @@
+// ModerationTester: "test this text" dry run against the moderation rules
+// and the full provider pipeline. Nothing is stored.
+
+import { useState } from "react";
+import {
+  Box,
+  Button,
+  Input,
+  Textarea,
+  Text,
+  HStack,
+  Stack,
+  Badge,
+  Table,
+  Thead,
+  Tbody,
+  Tr,
+  Th,
+  Td,
+  useToast,
+  useColorModeValue,
+} from "@chakra-ui/react";
+import { testModeration } from "../api/admin";
+import { handleApiError } from "../utils/errorHandler";
+
+const SEVERITY_COLORS = { low: "yellow", medium: "orange", high: "red" };
+
+const VerdictBadge = ({ flagged }) => (
+  <Badge colorScheme={flagged ? "red" : "green"}>{flagged ? "Held" : "Clean"}</Badge>
+);
+
+const ModerationTester = () => {
+  const [text, setText] = useState("");
+  const [tags, setTags] = useState("");
+  const [result, setResult] = useState(null);
+  const [running, setRunning] = useState(false);
+  const toast = useToast();
+  const subTextColor = useColorModeValue("gray.500", "gray.400");
+
+  const handleRun = async (e) => {
+    e.preventDefault();
+    if (!text.trim()) return;
+    setRunning(true);
+    try {
+      const tagList = tags
+        .split(",")
+        .map((t) => t.trim())
+        .filter(Boolean);
+      const res = await testModeration(text, tagList);
+      setResult(res.data);
+    } catch (err) {
+      handleApiError(err, toast, "Dry run failed");
+    } finally {
+      setRunning(false);
+    }
+  };
+
+  return (
+    <Stack spacing={4}>
+      <Box as="form" onSubmit={handleRun}>
+        <Textarea
+          mb={2}
+          value={text}
+          onChange={(e) => setText(e.target.value)}
+          placeholder="Paste some text to see which rules fire"
+          rows={3}
+        />
+        <HStack>
+          <Input
+            size="sm"
+            value={tags}
+            onChange={(e) => setTags(e.target.value)}
+            placeholder="Tags (comma-separated, optional)"
+          />
+          <Button type="submit" size="sm" colorScheme="teal" isLoading={running} px={6}>
+            Test
+          </Button>
+        </HStack>
+      </Box>
+
+      {result && (
+        <Stack spacing={3}>
+          <HStack>
+            <Text fontWeight="semibold">Pipeline verdict:</Text>
+            <VerdictBadge flagged={result.pipeline.flagged} />
+            <Text fontSize="sm" color={subTextColor}>
+              {result.pipeline.reason} ({result.pipeline.policy} policy)
+            </Text>
+          </HStack>
+
+          <HStack>
+            <Text fontWeight="semibold">Rules:</Text>
+            <VerdictBadge flagged={result.rules.flagged} />
+            <Text fontSize="sm" color={subTextColor}>
+              score {result.rules.score} / threshold {result.rules.threshold}
+              {result.rules.tooLong && ` · longer than ${result.rules.maxLength} characters`}
+            </Text>
+          </HStack>
+
+          {result.rules.fired.length === 0 ? (
+            <Text fontSize="sm" color={subTextColor}>
+              No term or regex rules fired.
+            </Text>
+          ) : (
+            <HStack spacing={2} flexWrap="wrap">
+              {result.rules.fired.map((f) => (
+                <Badge key={f.id} colorScheme={SEVERITY_COLORS[f.severity]} variant="subtle">
+                  {f.type}: {f.pattern} → “{f.match}”
+                </Badge>
+              ))}
+            </HStack>
+          )}
+          {result.rules.allowed.length > 0 && (
+            <HStack spacing={2} flexWrap="wrap">
+              <Text fontSize="sm" color={subTextColor}>
+                Allow-listed:
+              </Text>
+              {result.rules.allowed.map((a) => (
+                <Badge key={a.id} colorScheme="green" variant="outline">
+                  {a.pattern}
+                </Badge>
+              ))}
+            </HStack>
+          )}
+          {result.skipped?.length > 0 && (
+            <HStack spacing={2} flexWrap="wrap">
+              <Text fontSize="sm" color={subTextColor}>
+                Not run (invalid or too slow):
+              </Text>
+              {result.skipped.map((s) => (
+                <Badge key={s.id} colorScheme="gray" title={s.reason}>
+                  {s.pattern}
+                </Badge>
+              ))}
+            </HStack>
+          )}
+
+          {result.pipeline.results.length > 0 && (
+            <Table size="sm">
+              <Thead>
+                <Tr>
+                  <Th>Provider</Th>
+                  <Th>Verdict</Th>
+                  <Th isNumeric>Score</Th>
+                  <Th isNumeric>Latency</Th>
+                </Tr>
+              </Thead>
+              <Tbody>
+                {result.pipeline.results.map((r) => (
+                  <Tr key={r.provider}>
+                    <Td>{r.label}</Td>
+                    <Td>
+                      {r.error ? (
+                        <Badge colorScheme="gray" title={r.error}>
+                          Error
+                        </Badge>
+                      ) : (
+                        <VerdictBadge flagged={r.flagged} />
+                      )}
+                    </Td>
+                    <Td isNumeric>{r.score ?? "—"}</Td>
+                    <Td isNumeric>{r.latencyMs} ms</Td>
+                  </Tr>
+                ))}
+              </Tbody>
+            </Table>
+          )}
+        </Stack>
+      )}
+    </Stack>
+  );
+};
+
+export default ModerationTester;
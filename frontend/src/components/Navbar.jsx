@@ -20,6 +20,7 @@ import {
 } from "@chakra-ui/react";
 import { NavLink, useNavigate } from "react-router-dom";
 import { useAdminAuth } from "../context/AdminAuthContext";
+import useOrganization from "../hooks/useOrganization";
 import { SunIcon, MoonIcon, HamburgerIcon } from "@chakra-ui/icons";
 
 const Navbar = () => {
@@ -27,9 +28,12 @@ const Navbar = () => {
   const { colorMode, toggleColorMode } = useColorMode();
   const { isOpen, onOpen, onClose } = useDisclosure();
   const navigate = useNavigate();
+  // Public links stay on the board being viewed (/o/:slug/...)
+  const { path } = useOrganization();
   const inactiveLinkColor = useColorModeValue("gray.700", "gray.200");
   const navLinks = [
-    { to: "/", label: "Feedback Board" },
+    { to: path("/"), label: "Feedback Board" },
+    { to: path("/report"), label: "Check My Report" },
     ...(isLoggedIn
       ? [{ to: "/admin/dashboard", label: "Admin Dashboard" }]
       : []),
@@ -64,7 +68,7 @@ const Navbar = () => {
           color="teal.500"
           letterSpacing="tight"
           cursor="pointer"
-          onClick={() => navigate("/")}
+          onClick={() => navigate(path("/"))}
           _hover={{ color: "teal.400" }}
         >
           Whistle
@@ -84,6 +88,7 @@ const Navbar = () => {
             <NavLink
               key={link.to}
               to={link.to}
+              end
               style={({ isActive }) =>
                 isActive
                   ? activeLinkStyle
@@ -153,6 +158,7 @@ const Navbar = () => {
                 <NavLink
                   key={link.to}
                   to={link.to}
+                  end
                   style={({ isActive }) =>
                     isActive
                       ? { ...activeLinkStyle, display: "block" }
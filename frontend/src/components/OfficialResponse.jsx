@@ -0,0 +1,46 @@
+// Highlighted card for an official admin response. Shows the optional
+// display role and a pinned marker; `children` can add actions (dashboard).
+
+import { Box, HStack, Text, Badge, useColorModeValue } from "@chakra-ui/react";
+import { StarIcon } from "@chakra-ui/icons";
+import AuthorBadge from "./AuthorBadge";
+
+const OfficialResponse = ({ response, children }) => {
+  const bg = useColorModeValue("teal.50", "teal.900");
+  const border = useColorModeValue("teal.300", "teal.500");
+  const subTextColor = useColorModeValue("gray.600", "gray.300");
+
+  return (
+    <Box
+      p={3}
+      borderWidth={2}
+      borderLeftWidth={6}
+      borderRadius="md"
+      bg={bg}
+      borderColor={border}
+    >
+      <HStack spacing={2} mb={1}>
+        <AuthorBadge authorType="admin" />
+        {response.authorRole && (
+          <Text fontSize="sm" fontWeight="semibold" color={subTextColor}>
+            {response.authorRole}
+          </Text>
+        )}
+        {response.pinned && (
+          <Badge colorScheme="yellow" display="flex" alignItems="center" gap={1}>
+            <StarIcon boxSize={2.5} /> Pinned
+          </Badge>
+        )}
+      </HStack>
+      <Text>{response.text}</Text>
+      <HStack justify="space-between" mt={1}>
+        <Text fontSize="xs" color={subTextColor}>
+          {new Date(response.createdAt).toLocaleString()}
+        </Text>
+        {children}
+      </HStack>
+    </Box>
+  );
+};
+
+export default OfficialResponse;
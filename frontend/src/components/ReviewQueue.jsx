@@ -0,0 +1,309 @@
+// ReviewQueue: feedback and comments held back by moderation, awaiting an
+// admin decision. Admins approve (publish) or reject with a reason.
+
+import { useCallback, useEffect, useRef, useState } from "react";
+import {
+  Box,
+  Button,
+  HStack,
+  Stack,
+  Tag,
+  Text,
+  Badge,
+  Alert,
+  AlertIcon,
+  Spinner,
+  Heading,
+  useToast,
+  useColorModeValue,
+} from "@chakra-ui/react";
+import { CheckIcon, CloseIcon } from "@chakra-ui/icons";
+
+import {
+  getAllFeedbacks,
+  reviewFeedback,
+  getPendingComments,
+  reviewComment,
+} from "../api/admin";
+import { getErrorMessage, handleApiError } from "../utils/errorHandler";
+import { PAGE_SIZE } from "../utils/feedbackSort";
+import StatusReasonModal from "./StatusReasonModal";
+import { useAdminAuth } from "../context/AdminAuthContext";
+
+// Names of the rule/provider checks that fired, plus matched terms,
+// for a quick summary
+const firedChecks = (details) => [
+  ...new Set([
+    ...Object.entries(details || {})
+      .filter(([, value]) => value === true)
+      .map(([key]) => key),
+    ...(Array.isArray(details?.matches) ? details.matches : []),
+  ]),
+];
+
+// Why an item was held: provider, reason and the checks that fired
+const ModerationSummary = ({ moderation, color }) => {
+  if (!moderation) return null;
+  const checks = firedChecks(moderation.details);
+  return (
+    <Box fontSize="sm" color={color} mb={3}>
+      <Text>
+        <strong>{moderation.provider}:</strong> {moderation.reason}
+      </Text>
+      {checks.length > 0 && (
+        <HStack mt={1} spacing={1} flexWrap="wrap">
+          {checks.map((check) => (
+            <Badge key={check} colorScheme="red" variant="subtle">
+              {check}
+            </Badge>
+          ))}
+        </HStack>
+      )}
+    </Box>
+  );
+};
+
+// Approve / reject button pair (hidden from roles that cannot review)
+const ReviewActions = ({ onApprove, onReject }) => {
+  const { can } = useAdminAuth();
+  if (!can("feedback:moderate")) return null;
+  return (
+    <HStack>
+      <Button size="sm" colorScheme="green" leftIcon={<CheckIcon />} onClick={onApprove}>
+        Approve
+      </Button>
+      <Button
+        size="sm"
+        colorScheme="red"
+        variant="outline"
+        leftIcon={<CloseIcon boxSize={2.5} />}
+        onClick={onReject}
+      >
+        Reject
+      </Button>
+    </HStack>
+  );
+};
+
+const ReviewQueue = ({ onReviewed, onCountChange }) => {
+  const [items, setItems] = useState([]);
+  const [total, setTotal] = useState(0);
+  const [comments, setComments] = useState([]);
+  const [commentsTotal, setCommentsTotal] = useState(0);
+  const [nextCursor, setNextCursor] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState("");
+  const [rejecting, setRejecting] = useState(null); // { kind, item } being rejected
+  const toast = useToast();
+  const abortControllerRef = useRef(null);
+
+  const cardBg = useColorModeValue("white", "gray.800");
+  const textColor = useColorModeValue("gray.700", "gray.200");
+  const subTextColor = useColorModeValue("gray.500", "gray.400");
+
+  // Report the combined queue size (tab badge)
+  useEffect(() => {
+    if (onCountChange) onCountChange(total + commentsTotal);
+  }, [onCountChange, total, commentsTotal]);
+
+  // Load held comments (oldest first)
+  const fetchComments = useCallback(async () => {
+    try {
+      const res = await getPendingComments({ limit: 100 });
+      setComments(res.data?.items || []);
+      setCommentsTotal(res.data?.total || 0);
+    } catch (err) {
+      setError(getErrorMessage(err));
+    }
+  }, []);
+
+  // Load a page of held feedback (cursor appends)
+  const fetchQueue = useCallback(async (cursor = null) => {
+    if (abortControllerRef.current) abortControllerRef.current.abort();
+    abortControllerRef.current = new AbortController();
+
+    setLoading(true);
+    setError("");
+    try {
+      const params = { visibility: "pending_review", sort: "oldest", limit: PAGE_SIZE };
+      if (cursor) params.cursor = cursor;
+      const res = await getAllFeedbacks(params, {
+        signal: abortControllerRef.current.signal,
+      });
+      const page = res.data?.items || [];
+      setItems((prev) => (cursor ? [...prev, ...page] : page));
+      setNextCursor(res.data?.nextCursor || null);
+      setTotal(res.data?.total || 0);
+    } catch (err) {
+      if (err.name !== "AbortError" && err.message !== "canceled") {
+        setError(getErrorMessage(err));
+      }
+    }
+    setLoading(false);
+  }, []);
+
+  useEffect(() => {
+    fetchQueue();
+    fetchComments();
+    return () => abortControllerRef.current?.abort();
+  }, [fetchQueue, fetchComments]);
+
+  // Approve or reject held feedback, then drop it from the queue
+  const handleReview = async (id, decision, reason) => {
+    try {
+      await reviewFeedback(id, decision, reason);
+      toast({
+        title: decision === "approve" ? "Feedback published" : "Feedback rejected",
+        status: "success",
+        duration: 3000,
+        isClosable: true,
+      });
+      setItems((prev) => prev.filter((fb) => fb._id !== id));
+      setTotal((t) => Math.max(0, t - 1));
+      if (onReviewed) onReviewed();
+    } catch (err) {
+      handleApiError(err, toast, "Failed to review feedback");
+    }
+  };
+
+  // Approve or reject a held comment, then drop it from the queue
+  const handleReviewComment = async (comment, decision, reason) => {
+    try {
+      await reviewComment(comment.feedbackId?._id, comment._id, decision, reason);
+      toast({
+        title: decision === "approve" ? "Comment published" : "Comment rejected",
+        status: "success",
+        duration: 3000,
+        isClosable: true,
+      });
+      setComments((prev) => prev.filter((c) => c._id !== comment._id));
+      setCommentsTotal((t) => Math.max(0, t - 1));
+      if (onReviewed) onReviewed();
+    } catch (err) {
+      handleApiError(err, toast, "Failed to review comment");
+    }
+  };
+
+  if (error) {
+    return (
+      <Alert status="error" borderRadius="md">
+        <AlertIcon />
+        {error}
+        <Button
+          ml={4}
+          size="sm"
+          onClick={() => {
+            fetchQueue();
+            fetchComments();
+          }}
+        >
+          Retry
+        </Button>
+      </Alert>
+    );
+  }
+
+  if (loading && items.length === 0) return <Spinner size="lg" />;
+
+  return (
+    <Stack spacing={5}>
+      <Heading size="md" color="teal.400">
+        Feedback ({total})
+      </Heading>
+      <Text fontSize="sm" color={subTextColor}>
+        {total === 0
+          ? "🎉 No feedback is waiting for review."
+          : `${total} item${total === 1 ? "" : "s"} held by moderation, oldest first.`}
+      </Text>
+
+      {items.map((fb) => (
+        <Box key={fb._id} p={5} borderWidth={2} borderRadius="xl" bg={cardBg} boxShadow="md">
+          <HStack justify="space-between" mb={2}>
+            <HStack>
+              {fb.tags.map((tag) => (
+                <Tag key={tag} colorScheme="purple" variant="solid" borderRadius="full">
+                  {tag}
+                </Tag>
+              ))}
+            </HStack>
+            <Badge colorScheme="orange">Pending review</Badge>
+          </HStack>
+
+          <Text mb={3} color={textColor} whiteSpace="pre-wrap">
+            {fb.text}
+          </Text>
+
+          {/* Why it was held */}
+          <ModerationSummary moderation={fb.moderation} color={subTextColor} />
+
+          <HStack justify="space-between">
+            <Text fontSize="sm" color={subTextColor}>
+              {new Date(fb.createdAt).toLocaleString()}
+            </Text>
+            <ReviewActions
+              onApprove={() => handleReview(fb._id, "approve")}
+              onReject={() => setRejecting({ kind: "feedback", item: fb })}
+            />
+          </HStack>
+        </Box>
+      ))}
+
+      {nextCursor && (
+        <Button
+          onClick={() => fetchQueue(nextCursor)}
+          isLoading={loading}
+          colorScheme="teal"
+          variant="ghost"
+        >
+          Load more
+        </Button>
+      )}
+
+      {/* Held comments */}
+      <Heading size="md" color="teal.400" mt={4}>
+        Comments ({commentsTotal})
+      </Heading>
+      {comments.length === 0 && (
+        <Text fontSize="sm" color={subTextColor}>
+          🎉 No comments are waiting for review.
+        </Text>
+      )}
+      {comments.map((c) => (
+        <Box key={c._id} p={4} borderWidth={1} borderRadius="lg" bg={cardBg}>
+          {c.feedbackId && (
+            <Text fontSize="sm" color={subTextColor} noOfLines={1} mb={1}>
+              On: “{c.feedbackId.text}”
+            </Text>
+          )}
+          <Text mb={2} color={textColor} whiteSpace="pre-wrap">
+            {c.text}
+          </Text>
+          <ModerationSummary moderation={c.moderation} color={subTextColor} />
+          <HStack justify="space-between">
+            <Text fontSize="sm" color={subTextColor}>
+              {new Date(c.createdAt).toLocaleString()}
+            </Text>
+            <ReviewActions
+              onApprove={() => handleReviewComment(c, "approve")}
+              onReject={() => setRejecting({ kind: "comment", item: c })}
+            />
+          </HStack>
+        </Box>
+      ))}
+
+      <StatusReasonModal
+        isOpen={!!rejecting}
+        onClose={() => setRejecting(null)}
+        title={rejecting?.kind === "comment" ? "Reject comment" : "Reject feedback"}
+        placeholder="Why is this not being published? (shown to the submitter)"
+        onConfirm={(reason) =>
+          rejecting.kind === "comment"
+            ? handleReviewComment(rejecting.item, "reject", reason)
+            : handleReview(rejecting.item._id, "reject", reason)
+        }
+      />
+    </Stack>
+  );
+};
+
+export default ReviewQueue;
@@ -0,0 +1,54 @@
+// Search box bound to the `q` URL query parameter.
+// Typing is debounced so the URL (and the fetch it triggers) only updates
+// once the user pauses.
+
+import { useEffect, useState } from "react";
+import { Input, InputGroup, InputLeftElement } from "@chakra-ui/react";
+import { SearchIcon } from "@chakra-ui/icons";
+import { useSearchParams } from "react-router-dom";
+
+const DEBOUNCE_MS = 300;
+
+const SearchInput = ({ placeholder = "Search feedback...", ...props }) => {
+  const [searchParams, setSearchParams] = useSearchParams();
+  const q = searchParams.get("q") || "";
+  const [value, setValue] = useState(q);
+
+  // Keep the input in sync when the URL changes (back/forward, clear filters)
+  useEffect(() => {
+    setValue(q);
+  }, [q]);
+
+  // Push the debounced value into the URL
+  useEffect(() => {
+    if (value.trim() === q) return;
+    const timer = setTimeout(() => {
+      setSearchParams(
+        (params) => {
+          const next = new URLSearchParams(params);
+          if (value.trim()) next.set("q", value.trim());
+          else next.delete("q");
+          return next;
+        },
+        { replace: true }
+      );
+    }, DEBOUNCE_MS);
+    return () => clearTimeout(timer);
+  }, [value, q, setSearchParams]);
+
+  return (
+    <InputGroup {...props}>
+      <InputLeftElement pointerEvents="none">
+        <SearchIcon color="gray.400" />
+      </InputLeftElement>
+      <Input
+        type="search"
+        value={value}
+        onChange={(e) => setValue(e.target.value)}
+        placeholder={placeholder}
+      />
+    </InputGroup>
+  );
+};
+
+export default SearchInput;
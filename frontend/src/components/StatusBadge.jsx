@@ -0,0 +1,15 @@
+// Status badge colored and labelled from the status workflow.
+
+import { Badge } from "@chakra-ui/react";
+import useStatusWorkflow from "../hooks/useStatusWorkflow";
+
+const StatusBadge = ({ status, ...props }) => {
+  const { statusLabel, statusColor } = useStatusWorkflow();
+  return (
+    <Badge colorScheme={statusColor(status)} {...props}>
+      {statusLabel(status)}
+    </Badge>
+  );
+};
+
+export default StatusBadge;
@@ -0,0 +1,70 @@
+// Asks for a reason before an action that requires one (status transitions,
+// rejecting held feedback).
+
+import { useState } from "react";
+import {
+  Button,
+  FormControl,
+  FormLabel,
+  Modal,
+  ModalOverlay,
+  ModalContent,
+  ModalHeader,
+  ModalBody,
+  ModalFooter,
+  ModalCloseButton,
+  Textarea,
+} from "@chakra-ui/react";
+
+const StatusReasonModal = ({
+  isOpen,
+  onClose,
+  onConfirm,
+  title = "Reason required",
+  placeholder = "Explain this change (visible in the status history)",
+}) => {
+  const [reason, setReason] = useState("");
+
+  const handleClose = () => {
+    setReason("");
+    onClose();
+  };
+
+  const handleConfirm = () => {
+    onConfirm(reason.trim());
+    handleClose();
+  };
+
+  return (
+    <Modal isOpen={isOpen} onClose={handleClose} isCentered>
+      <ModalOverlay />
+      <ModalContent>
+        <ModalHeader>{title}</ModalHeader>
+        <ModalCloseButton />
+        <ModalBody>
+          <FormControl isRequired>
+            <FormLabel>Reason</FormLabel>
+            <Textarea
+              value={reason}
+              onChange={(e) => setReason(e.target.value)}
+              placeholder={placeholder}
+            />
+          </FormControl>
+        </ModalBody>
+        <ModalFooter>
+          <Button
+            colorScheme="teal"
+            mr={3}
+            onClick={handleConfirm}
+            isDisabled={!reason.trim()}
+          >
+            Confirm
+          </Button>
+          <Button onClick={handleClose}>Cancel</Button>
+        </ModalFooter>
+      </ModalContent>
+    </Modal>
+  );
+};
+
+export default StatusReasonModal;
@@ -0,0 +1,60 @@
+// Vertical timeline of a feedback item's status history (oldest first).
+
+import { Box, HStack, Stack, Text, useColorModeValue } from "@chakra-ui/react";
+import StatusBadge from "./StatusBadge";
+
+const StatusTimeline = ({ history = [] }) => {
+  const lineColor = useColorModeValue("gray.200", "gray.600");
+  const subTextColor = useColorModeValue("gray.500", "gray.400");
+
+  if (history.length === 0) {
+    return (
+      <Text fontSize="sm" color={subTextColor}>
+        No status changes yet.
+      </Text>
+    );
+  }
+
+  return (
+    <Stack spacing={0} borderLeftWidth={2} borderColor={lineColor} ml={2}>
+      {history.map((entry, i) => (
+        <Box key={i} position="relative" pl={5} pb={4}>
+          {/* Dot on the line */}
+          <Box
+            position="absolute"
+            left="-7px"
+            top="6px"
+            w="12px"
+            h="12px"
+            borderRadius="full"
+            bg="teal.400"
+          />
+          <HStack spacing={2} flexWrap="wrap">
+            {entry.from ? (
+              <>
+                <StatusBadge status={entry.from} variant="outline" />
+                <Text fontSize="sm">→</Text>
+                <StatusBadge status={entry.to} />
+              </>
+            ) : (
+              <>
+                <Text fontSize="sm">Created as</Text>
+                <StatusBadge status={entry.to} />
+              </>
+            )}
+          </HStack>
+          {entry.reason && (
+            <Text fontSize="sm" mt={1} fontStyle="italic">
+              “{entry.reason}”
+            </Text>
+          )}
+          <Text fontSize="xs" color={subTextColor} mt={1}>
+            {new Date(entry.changedAt).toLocaleString()}
+          </Text>
+        </Box>
+      ))}
+    </Stack>
+  );
+};
+
+export default StatusTimeline;
@@ -0,0 +1,210 @@
+// TwoFactorSettings: the signed-in admin's two-factor authentication. Turn
+// it on (see TwoFactorSetup), replace the recovery codes, or turn it off
+// unless the organization requires it.
+
+import { useCallback, useEffect, useRef, useState } from "react";
+import {
+  Badge,
+  Box,
+  Button,
+  FormControl,
+  FormErrorMessage,
+  FormLabel,
+  Heading,
+  HStack,
+  Input,
+  Spinner,
+  Text,
+  useToast,
+  useColorModeValue,
+} from "@chakra-ui/react";
+
+import {
+  getTwoFactorStatus,
+  disableTwoFactor,
+  regenerateRecoveryCodes,
+} from "../api/admin";
+import { getFieldErrors, handleApiError } from "../utils/errorHandler";
+import TwoFactorSetup, { RecoveryCodes } from "./TwoFactorSetup";
+
+const EMPTY_CONFIRM = { password: "", code: "" };
+
+const TwoFactorSettings = () => {
+  const [status, setStatus] = useState(null);
+  // null, "setup", "disable" or "regenerate"
+  const [mode, setMode] = useState(null);
+  const [confirm, setConfirm] = useState(EMPTY_CONFIRM);
+  const [confirmErrors, setConfirmErrors] = useState({});
+  const [submitting, setSubmitting] = useState(false);
+  const [newCodes, setNewCodes] = useState(null);
+  const toast = useToast();
+  const abortControllerRef = useRef(null);
+
+  const cardBg = useColorModeValue("white", "gray.800");
+  const subTextColor = useColorModeValue("gray.500", "gray.400");
+
+  const fetchStatus = useCallback(async () => {
+    if (abortControllerRef.current) abortControllerRef.current.abort();
+    abortControllerRef.current = new AbortController();
+    try {
+      const res = await getTwoFactorStatus({
+        signal: abortControllerRef.current.signal,
+      });
+      setStatus(res.data);
+    } catch (err) {
+      if (err.name !== "AbortError" && err.message !== "canceled") {
+        handleApiError(err, toast, "Failed to load two-factor status");
+      }
+    }
+  }, [toast]);
+
+  useEffect(() => {
+    fetchStatus();
+    return () => abortControllerRef.current?.abort();
+  }, [fetchStatus]);
+
+  const close = () => {
+    setMode(null);
+    setConfirm(EMPTY_CONFIRM);
+    setConfirmErrors({});
+  };
+
+  const handleConfirm = async (e) => {
+    e.preventDefault();
+    setSubmitting(true);
+    setConfirmErrors({});
+    // Six digits are an app code; anything else a recovery code
+    const code = confirm.code.replace(/\s/g, "");
+    const factor = /^\d{6}$/.test(code) ? { code } : { recoveryCode: code };
+    try {
+      if (mode === "disable") {
+        await disableTwoFactor({ password: confirm.password, ...factor });
+        toast({ title: "Two-factor authentication turned off", status: "success", duration: 3000, isClosable: true });
+      } else {
+        const res = await regenerateRecoveryCodes(factor);
+        setNewCodes(res.data.recoveryCodes);
+      }
+      close();
+      fetchStatus();
+    } catch (err) {
+      const fields = getFieldErrors(err);
+      if (Object.keys(fields).length) {
+        setConfirmErrors({
+          password: fields.password,
+          code: fields.code || fields.recoveryCode,
+        });
+      } else {
+        handleApiError(err, toast, "Failed to update two-factor authentication");
+      }
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <Box
+      p={5}
+      mt={8}
+      borderWidth={1}
+      borderRadius="xl"
+      bg={cardBg}
+      boxShadow="sm"
+      maxW="480px"
+    >
+      <HStack mb={3}>
+        <Heading size="md" color="blue.400">
+          Two-factor authentication
+        </Heading>
+        {status && (
+          <Badge colorScheme={status.enabled ? "green" : "gray"}>
+            {status.enabled ? "On" : "Off"}
+          </Badge>
+        )}
+      </HStack>
+
+      {!status ? (
+        <Spinner />
+      ) : newCodes ? (
+        <RecoveryCodes codes={newCodes} onDone={() => setNewCodes(null)} />
+      ) : mode === "setup" ? (
+        <TwoFactorSetup
+          onDone={() => {
+            close();
+            fetchStatus();
+          }}
+        />
+      ) : mode ? (
+        <Box as="form" onSubmit={handleConfirm}>
+          {mode === "disable" && (
+            <FormControl mb={3} isRequired isInvalid={!!confirmErrors.password}>
+              <FormLabel>Password</FormLabel>
+              <Input
+                type="password"
+                value={confirm.password}
+                onChange={(e) => setConfirm({ ...confirm, password: e.target.value })}
+                autoComplete="current-password"
+              />
+              <FormErrorMessage>{confirmErrors.password}</FormErrorMessage>
+            </FormControl>
+          )}
+          <FormControl mb={4} isRequired isInvalid={!!confirmErrors.code}>
+            <FormLabel>Code from your app, or a recovery code</FormLabel>
+            <Input
+              value={confirm.code}
+              onChange={(e) => setConfirm({ ...confirm, code: e.target.value })}
+              autoComplete="one-time-code"
+            />
+            <FormErrorMessage>{confirmErrors.code}</FormErrorMessage>
+          </FormControl>
+          <HStack>
+            <Button
+              type="submit"
+              colorScheme={mode === "disable" ? "red" : "teal"}
+              isLoading={submitting}
+            >
+              {mode === "disable" ? "Turn off" : "Generate new codes"}
+            </Button>
+            <Button variant="ghost" onClick={close}>
+              Cancel
+            </Button>
+          </HStack>
+        </Box>
+      ) : status.enabled ? (
+        <>
+          <Text fontSize="sm" color={subTextColor} mb={4}>
+            Signing in asks for a code from your authenticator app.{" "}
+            {status.recoveryCodesLeft} recovery code
+            {status.recoveryCodesLeft === 1 ? "" : "s"} left.
+          </Text>
+          <HStack>
+            <Button size="sm" onClick={() => setMode("regenerate")}>
+              New recovery codes
+            </Button>
+            {!status.required && (
+              <Button size="sm" variant="outline" colorScheme="red" onClick={() => setMode("disable")}>
+                Turn off
+              </Button>
+            )}
+          </HStack>
+          {status.required && (
+            <Text fontSize="sm" color={subTextColor} mt={3}>
+              Your organization requires two-factor authentication.
+            </Text>
+          )}
+        </>
+      ) : (
+        <>
+          <Text fontSize="sm" color={subTextColor} mb={4}>
+            Protect your account with a code from an authenticator app in
+            addition to your password.
+          </Text>
+          <Button size="sm" colorScheme="teal" onClick={() => setMode("setup")}>
+            Set up
+          </Button>
+        </>
+      )}
+    </Box>
+  );
+};
+
+export default TwoFactorSettings;
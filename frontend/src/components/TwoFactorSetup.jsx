@@ -0,0 +1,175 @@
+// TwoFactorSetup: enrolment in two-factor authentication. Shows a QR code
+// (and the secret, for typing in) for an authenticator app, confirms a
+// first code from it, then shows the recovery codes once. Used from the
+// team page and, when the organization requires 2FA, during sign-in with
+// the challenge token from login instead of a session.
+
+import { useEffect, useState } from "react";
+import {
+  Box,
+  Button,
+  Code,
+  FormControl,
+  FormErrorMessage,
+  FormLabel,
+  HStack,
+  Image,
+  Input,
+  SimpleGrid,
+  Spinner,
+  Text,
+  Alert,
+  AlertIcon,
+  useClipboard,
+  useToast,
+} from "@chakra-ui/react";
+
+import { startTwoFactorSetup, enableTwoFactor } from "../api/admin";
+import {
+  getErrorMessage,
+  getFieldErrors,
+  handleApiError,
+} from "../utils/errorHandler";
+
+// Recovery codes, shown once: copy or download them before moving on
+export const RecoveryCodes = ({ codes, onDone }) => {
+  const { hasCopied, onCopy } = useClipboard(codes.join("\n"));
+
+  const handleDownload = () => {
+    const blob = new Blob([`${codes.join("\n")}\n`], { type: "text/plain" });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement("a");
+    link.href = url;
+    link.download = "whistlespace-recovery-codes.txt";
+    link.click();
+    URL.revokeObjectURL(url);
+  };
+
+  return (
+    <Box>
+      <Alert status="warning" mb={4} borderRadius="md">
+        <AlertIcon />
+        Save these recovery codes somewhere safe. Each one signs you in once
+        if you lose your authenticator app, and they won't be shown again.
+      </Alert>
+      <SimpleGrid columns={2} spacing={2} mb={4}>
+        {codes.map((code) => (
+          <Code key={code} textAlign="center" py={1} userSelect="all">
+            {code}
+          </Code>
+        ))}
+      </SimpleGrid>
+      <HStack>
+        <Button size="sm" onClick={onCopy}>
+          {hasCopied ? "Copied" : "Copy"}
+        </Button>
+        <Button size="sm" onClick={handleDownload}>
+          Download
+        </Button>
+        {onDone && (
+          <Button size="sm" colorScheme="teal" onClick={onDone}>
+            I've saved them
+          </Button>
+        )}
+      </HStack>
+    </Box>
+  );
+};
+
+const TwoFactorSetup = ({ challengeToken, onDone }) => {
+  const [setup, setSetup] = useState(null);
+  const [error, setError] = useState("");
+  const [code, setCode] = useState("");
+  const [codeError, setCodeError] = useState("");
+  const [submitting, setSubmitting] = useState(false);
+  const [enabled, setEnabled] = useState(null);
+  const toast = useToast();
+
+  useEffect(() => {
+    const controller = new AbortController();
+    startTwoFactorSetup({ challengeToken }, { signal: controller.signal })
+      .then((res) => setSetup(res.data))
+      .catch((err) => {
+        if (err.name !== "AbortError" && err.message !== "canceled") {
+          setError(getErrorMessage(err));
+        }
+      });
+    return () => controller.abort();
+  }, [challengeToken]);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setSubmitting(true);
+    setCodeError("");
+    try {
+      const res = await enableTwoFactor({ challengeToken, code });
+      setEnabled(res.data);
+    } catch (err) {
+      const fields = getFieldErrors(err);
+      if (fields.code) setCodeError(fields.code);
+      else handleApiError(err, toast, "Failed to enable two-factor authentication");
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  if (error) {
+    return (
+      <Alert status="error" borderRadius="md">
+        <AlertIcon />
+        {error}
+      </Alert>
+    );
+  }
+
+  if (!setup) return <Spinner />;
+
+  if (enabled) {
+    return (
+      <RecoveryCodes
+        codes={enabled.recoveryCodes}
+        onDone={() => onDone(enabled)}
+      />
+    );
+  }
+
+  return (
+    <Box as="form" onSubmit={handleSubmit}>
+      <Text mb={3}>
+        Scan this QR code with an authenticator app (such as Google
+        Authenticator or 1Password), then enter the code it shows.
+      </Text>
+      <Image
+        src={setup.qrCode}
+        alt="QR code for your authenticator app"
+        boxSize="200px"
+        mx="auto"
+        mb={3}
+      />
+      <Text fontSize="sm" color="gray.500" mb={4} textAlign="center">
+        Can't scan it? Enter this key instead:
+        <br />
+        <Code userSelect="all" wordBreak="break-all">
+          {setup.secret}
+        </Code>
+      </Text>
+      <FormControl mb={4} isRequired isInvalid={!!codeError}>
+        <FormLabel>Code from the app</FormLabel>
+        <Input
+          value={code}
+          onChange={(e) => setCode(e.target.value)}
+          inputMode="numeric"
+          autoComplete="one-time-code"
+          placeholder="123456"
+          maxLength={7}
+        />
+        <FormErrorMessage>{codeError}</FormErrorMessage>
+      </FormControl>
+      <Button type="submit" colorScheme="teal" isLoading={submitting} width="full">
+        Turn on two-factor authentication
+      </Button>
+    </Box>
+  );
+};
+
+export default TwoFactorSetup;
@@ -1,5 +1,7 @@
 import { createContext, useContext, useState } from "react";
 import API from "../api/admin";
+import { decodeToken } from "../utils/token";
+import { can } from "../utils/permissions";
 
 const AdminAuthContext = createContext();
 
@@ -31,9 +33,26 @@ export const AdminAuthProvider = ({ children }) => {
     }
   };
 
+  // Claims of the access token: the admin, their role and organization
+  const admin = token ? decodeToken(token) : null;
+  const organization = admin
+    ? { id: admin.organization, slug: admin.organizationSlug }
+    : null;
+  const role = admin?.role || null;
+
   return (
     <AdminAuthContext.Provider
-      value={{ token, login, logout, isLoggedIn: !!token }}
+      value={{
+        token,
+        login,
+        logout,
+        isLoggedIn: !!token,
+        admin,
+        organization,
+        role,
+        // can("feedback:delete"): whether the role allows an action
+        can: (permission) => can(role, permission),
+      }}
     >
       {children}
     </AdminAuthContext.Provider>
@@ -0,0 +1,17 @@
+import { useMatch } from "react-router-dom";
+
+/**
+ * Board the current page belongs to: the organization in /o/:slug/..., or
+ * the default one on the unprefixed routes (slug undefined). `path()`
+ * builds links that stay on the same board. Works outside <Routes> too
+ * (e.g. in the Navbar).
+ */
+export const useOrganization = () => {
+  const slug = useMatch("/o/:slug/*")?.params.slug;
+  return {
+    slug,
+    path: (to) => (slug ? `/o/${slug}${to === "/" ? "" : to}` : to),
+  };
+};
+
+export default useOrganization;
@@ -0,0 +1,52 @@
+import { useEffect, useState } from "react";
+import { getStatusWorkflow } from "../api/feedback";
+
+// The workflow rarely changes, so it is fetched once per page load and shared
+let workflowPromise = null;
+
+const loadWorkflow = () => {
+  if (!workflowPromise) {
+    workflowPromise = getStatusWorkflow()
+      .then((res) => res.data)
+      .catch((err) => {
+        // Allow a retry on the next mount
+        workflowPromise = null;
+        throw err;
+      });
+  }
+  return workflowPromise;
+};
+
+/**
+ * Status workflow from the API plus helpers for rendering statuses.
+ * Until it loads (or if it fails) statuses render with neutral defaults.
+ */
+export const useStatusWorkflow = () => {
+  const [workflow, setWorkflow] = useState(null);
+
+  useEffect(() => {
+    let active = true;
+    loadWorkflow()
+      .then((data) => active && setWorkflow(data))
+      .catch((err) => console.error("Failed to load status workflow:", err));
+    return () => {
+      active = false;
+    };
+  }, []);
+
+  const statuses = workflow?.statuses || {};
+
+  return {
+    workflow,
+    statusNames: Object.keys(statuses),
+    statusLabel: (status) => statuses[status]?.label || status,
+    statusColor: (status) => statuses[status]?.color || "gray",
+    // [{ to, requireReason }] allowed from the given status
+    transitionsFrom: (status) =>
+      Object.entries(statuses[status]?.transitions || {}).map(
+        ([to, rule]) => ({ to, requireReason: !!rule?.requireReason })
+      ),
+  };
+};
+
+export default useStatusWorkflow;
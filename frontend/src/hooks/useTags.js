@@ -0,0 +1,62 @@
+import { useEffect, useState } from "react";
+import { getTags } from "../api/feedback";
+
+// Tags rarely change, so they are fetched once per page load and shared
+// (archived ones included, to label older feedback), per organization
+const tagsPromises = new Map();
+
+const loadTags = (org) => {
+  const key = org || "";
+  if (!tagsPromises.has(key)) {
+    tagsPromises.set(
+      key,
+      getTags(org, { archived: true })
+        .then((res) => res.data?.items || [])
+        .catch((err) => {
+          // Allow a retry on the next mount
+          tagsPromises.delete(key);
+          throw err;
+        })
+    );
+  }
+  return tagsPromises.get(key);
+};
+
+/**
+ * Forgets the loaded tags so the next mount refetches them (after edits).
+ */
+export const invalidateTags = () => {
+  tagsPromises.clear();
+};
+
+/**
+ * Tag taxonomy of an organization (slug; default organization when
+ * omitted) plus helpers for rendering tags.
+ * Until it loads (or if it fails) tags render as their slug.
+ */
+export const useTags = (org) => {
+  const [tags, setTags] = useState([]);
+
+  useEffect(() => {
+    let active = true;
+    loadTags(org)
+      .then((items) => active && setTags(items))
+      .catch((err) => console.error("Failed to load tags:", err));
+    return () => {
+      active = false;
+    };
+  }, [org]);
+
+  const bySlug = Object.fromEntries(tags.map((tag) => [tag.slug, tag]));
+
+  return {
+    tags,
+    // Tags new feedback can be filed under (active and allowed by the
+    // organization)
+    activeTags: tags.filter((tag) => !tag.archived && tag.allowed !== false),
+    tagLabel: (slug) => bySlug[slug]?.label || slug,
+    tagColor: (slug) => bySlug[slug]?.color || "blue",
+  };
+};
+
+export default useTags;
@@ -0,0 +1,148 @@
+import React, { useEffect, useState } from "react";
+import {
+  Box,
+  Button,
+  FormControl,
+  FormErrorMessage,
+  FormLabel,
+  Input,
+  Heading,
+  Text,
+  Spinner,
+  useToast,
+  Alert,
+  AlertIcon,
+} from "@chakra-ui/react";
+import { Link as RouterLink, useNavigate, useParams } from "react-router-dom";
+import { getInvitation, acceptInvitation } from "../api/admin";
+import {
+  getErrorMessage,
+  getFieldErrors,
+  handleApiError,
+} from "../utils/errorHandler";
+import { ROLE_LABELS } from "../utils/permissions";
+
+// Landing page of an emailed invitation link: choose a username and
+// password, then sign in as usual
+const AcceptInvitation = () => {
+  const { token } = useParams();
+  const [invitation, setInvitation] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState("");
+  const [username, setUsername] = useState("");
+  const [password, setPassword] = useState("");
+  const [fieldErrors, setFieldErrors] = useState({});
+  const [submitting, setSubmitting] = useState(false);
+  const toast = useToast();
+  const navigate = useNavigate();
+
+  useEffect(() => {
+    const controller = new AbortController();
+    getInvitation(token, { signal: controller.signal })
+      .then((res) => setInvitation(res.data))
+      .catch((err) => {
+        if (err.name !== "AbortError" && err.message !== "canceled") {
+          setError(getErrorMessage(err));
+        }
+      })
+      .finally(() => setLoading(false));
+    return () => controller.abort();
+  }, [token]);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setSubmitting(true);
+    setFieldErrors({});
+    try {
+      await acceptInvitation(token, { username, password });
+      toast({
+        title: "Account created",
+        description: "You can now log in.",
+        status: "success",
+        duration: 3000,
+        isClosable: true,
+      });
+      navigate("/admin/login");
+    } catch (err) {
+      const fields = getFieldErrors(err);
+      if (Object.keys(fields).length) setFieldErrors(fields);
+      else handleApiError(err, toast, "Failed to create account");
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  if (loading) {
+    return (
+      <Box textAlign="center" mt={20}>
+        <Spinner size="lg" />
+      </Box>
+    );
+  }
+
+  return (
+    <Box maxW="400px" mx="auto" mt={20} p={6} borderWidth={1} borderRadius="md">
+      <Heading mb={4} size="md">
+        Join the team
+      </Heading>
+
+      {error ? (
+        <>
+          <Alert status="error" mb={4}>
+            <AlertIcon />
+            {error}
+          </Alert>
+          <Text fontSize="sm">
+            Ask an owner of your organization for a new invitation, or{" "}
+            <Button as={RouterLink} to="/admin/login" variant="link" colorScheme="teal" size="sm">
+              log in
+            </Button>{" "}
+            if you already have an account.
+          </Text>
+        </>
+      ) : (
+        <>
+          <Text mb={6}>
+            You're invited to {invitation.organization?.name || "WhistleSpace"}{" "}
+            as <strong>{ROLE_LABELS[invitation.role] || invitation.role}</strong>{" "}
+            ({invitation.email}).
+          </Text>
+          <form onSubmit={handleSubmit}>
+            <FormControl mb={4} isRequired isInvalid={!!fieldErrors.username}>
+              <FormLabel>Username</FormLabel>
+              <Input
+                value={username}
+                onChange={(e) => setUsername(e.target.value)}
+                autoComplete="username"
+                disabled={submitting}
+              />
+              <FormErrorMessage>{fieldErrors.username}</FormErrorMessage>
+            </FormControl>
+            <FormControl mb={6} isRequired isInvalid={!!fieldErrors.password}>
+              <FormLabel>Password</FormLabel>
+              <Input
+                type="password"
+                value={password}
+                onChange={(e) => setPassword(e.target.value)}
+                autoComplete="new-password"
+                minLength={8}
+                disabled={submitting}
+              />
+              <FormErrorMessage>{fieldErrors.password}</FormErrorMessage>
+            </FormControl>
+            <Button
+              colorScheme="teal"
+              type="submit"
+              isLoading={submitting}
+              width="full"
+            >
+              Create account
+            </Button>
+          </form>
+        </>
+      )}
+    </Box>
+  );
+};
+
+export default AcceptInvitation;
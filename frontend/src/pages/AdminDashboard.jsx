@@ -8,7 +8,6 @@ import {
   Button,
   Tag,
   HStack,
-  Badge,
   Stack,
   Select,
   Text,
@@ -19,10 +18,22 @@ import {
   IconButton,
   Skeleton,
   SkeletonText,
+  Textarea,
+  Input,
+  FormControl,
+  FormErrorMessage,
+  Tooltip,
+  Badge,
+  Tabs,
+  TabList,
+  Tab,
+  TabPanels,
+  TabPanel,
 } from "@chakra-ui/react";
-import { InfoOutlineIcon, DeleteIcon } from "@chakra-ui/icons";
+import { InfoOutlineIcon, DeleteIcon, StarIcon, LockIcon, UnlockIcon, CopyIcon } from "@chakra-ui/icons";
 import { motion, AnimatePresence } from "framer-motion";
 import { keyframes } from "@emotion/react";
+import { Link as RouterLink, useSearchParams } from "react-router-dom";
 
 import {
   getAllFeedbacks,
@@ -30,18 +41,38 @@ import {
   deleteFeedback,
   getFeedbackById,
   deleteComment,
+  addOfficialResponse,
+  pinResponse,
+  lockFeedback,
+  getPendingComments,
 } from "../api/admin";
 import { useAdminAuth } from "../context/AdminAuthContext";
+import { ROLE_LABELS } from "../utils/permissions";
 const ConfirmModal = lazy(() => import("../components/ConfirmModal"));
-import { getErrorMessage, handleApiError } from "../utils/errorHandler";
+import {
+  getErrorMessage,
+  getFieldErrors,
+  handleApiError,
+} from "../utils/errorHandler";
+import { PAGE_SIZE, resolveSort, sortOptionsFor } from "../utils/feedbackSort";
+import HighlightedText from "../components/HighlightedText";
+import SearchInput from "../components/SearchInput";
+import AuthorBadge from "../components/AuthorBadge";
+import StatusBadge from "../components/StatusBadge";
+import StatusTimeline from "../components/StatusTimeline";
+import AttachmentList from "../components/AttachmentList";
+import StatusReasonModal from "../components/StatusReasonModal";
+import MergeFeedbackModal from "../components/MergeFeedbackModal";
+import OfficialResponse from "../components/OfficialResponse";
+import ReviewQueue from "../components/ReviewQueue";
+import ModerationStats from "../components/ModerationStats";
+import ActiveSessions from "../components/ActiveSessions";
+import useStatusWorkflow from "../hooks/useStatusWorkflow";
+import useTags from "../hooks/useTags";
 
 // Motion wrapper for animated detail panel
 const MotionBox = motion(Box);
 
-// Static options and status -> color mapping
-const TAG_OPTIONS = ["bug", "feature", "ui", "performance", "other"];
-const STATUS_COLORS = { resolved: "green", closed: "gray", open: "orange" };
-
 // Subtle breathing border animation for empty states
 const breathingAnimation = keyframes`
   0% { border-color: var(--chakra-colors-teal-200); box-shadow: 0 0 5px rgba(45, 212, 191, 0.2); }
@@ -98,14 +129,44 @@ const AdminDashboard = () => {
   const [feedbacks, setFeedbacks] = useState([]);
   const [filterTag, setFilterTag] = useState("");
   const [filterStatus, setFilterStatus] = useState("");
+  const [sort, setSort] = useState("");
+  const [nextCursor, setNextCursor] = useState(null);
+  const [total, setTotal] = useState(0);
+  const [loadingMore, setLoadingMore] = useState(false);
   const [selected, setSelected] = useState(null);
   const [loading, setLoading] = useState(true);
   const [detailsLoading, setDetailsLoading] = useState(false);
   const [error, setError] = useState("");
 
-  // Utilities: toast + auth
+  // Search query is kept in the URL (?q=) by SearchInput
+  const [searchParams, setSearchParams] = useSearchParams();
+  const q = searchParams.get("q") || "";
+  const activeSort = resolveSort(sort, q);
+
+  // Status workflow + transition waiting for a reason ({ id, to })
+  const { statusNames, statusLabel, statusColor, transitionsFrom } =
+    useStatusWorkflow();
+  const [pendingTransition, setPendingTransition] = useState(null);
+
+  // Utilities: toast + auth (the admin's organization; `can` hides
+  // actions their role does not allow)
   const toast = useToast();
-  const { logout } = useAdminAuth();
+  const { logout, organization, role, can } = useAdminAuth();
+
+  // Tag taxonomy (archived tags stay filterable)
+  const { tags, tagLabel, tagColor } = useTags(organization?.slug);
+
+  // Duplicate being merged into another item
+  const [merging, setMerging] = useState(null);
+
+  // Number of items held for moderation review (shown on the tab)
+  const [pendingCount, setPendingCount] = useState(0);
+
+  // Official response form
+  const [responseText, setResponseText] = useState("");
+  const [responseRole, setResponseRole] = useState("");
+  const [postingResponse, setPostingResponse] = useState(false);
+  const [responseErrors, setResponseErrors] = useState({});
 
   // Abort controller for canceling in-flight requests
   const abortControllerRef = useRef(null);
@@ -123,23 +184,31 @@ const AdminDashboard = () => {
   const showToast = (title, status = "success") =>
     toast({ title, status, duration: 3000, isClosable: true });
 
-  // Load feedback list (with filters) + cancellation support
-  const fetchFeedbacks = async () => {
+  // Load a page of the feedback list (with filters) + cancellation support.
+  // Passing a cursor appends the next page instead of replacing the list.
+  const fetchFeedbacks = async (cursor = null) => {
     // Cancel previous request if any
     if (abortControllerRef.current) abortControllerRef.current.abort();
     abortControllerRef.current = new AbortController();
 
-    setLoading(true);
+    if (cursor) setLoadingMore(true);
+    else setLoading(true);
     setError("");
     try {
-      const params = {};
+      const params = { sort: activeSort, limit: PAGE_SIZE };
+      if (q) params.q = q;
       if (filterTag) params.tags = filterTag;
       if (filterStatus) params.status = filterStatus;
+      if (cursor) params.cursor = cursor;
 
       const res = await getAllFeedbacks(params, {
         signal: abortControllerRef.current.signal,
       });
-      setFeedbacks(res.data || []);
+      const items = res.data?.items || [];
+      setFeedbacks((prev) => (cursor ? [...prev, ...items] : items));
+      setNextCursor(res.data?.nextCursor || null);
+      setTotal(res.data?.total || 0);
+      setLoadingMore(false);
 
       // Tiny delay to avoid skeleton flicker
       setTimeout(() => setLoading(false), 150);
@@ -150,19 +219,46 @@ const AdminDashboard = () => {
         handleApiError(err, toast, "Failed to load feedback");
       }
       setLoading(false);
+      setLoadingMore(false);
     }
   };
 
-  // Refetch when filters change; cleanup on unmount
+  // Refetch when filters, search or sort change; cleanup on unmount
   useEffect(() => {
     fetchFeedbacks();
     return () => abortControllerRef.current?.abort();
-  }, [filterTag, filterStatus]);
+  }, [filterTag, filterStatus, q, activeSort]);
+
+  // Load the review queue size (held feedback + comments) once for the tab badge
+  useEffect(() => {
+    Promise.all([
+      getAllFeedbacks({ visibility: "pending_review", limit: 1, fields: "createdAt" }),
+      getPendingComments({ limit: 1 }),
+    ])
+      .then(([feedbackRes, commentsRes]) =>
+        setPendingCount((feedbackRes.data?.total || 0) + (commentsRes.data?.total || 0))
+      )
+      .catch(() => {});
+  }, []);
+
+  // Reset tag/status filters and the search query
+  const clearFilters = () => {
+    setFilterTag("");
+    setFilterStatus("");
+    setSearchParams(
+      (params) => {
+        const next = new URLSearchParams(params);
+        next.delete("q");
+        return next;
+      },
+      { replace: true }
+    );
+  };
 
   // Update feedback status; refresh list and details (if open)
-  const handleStatusChange = async (id, status) => {
+  const handleStatusChange = async (id, status, reason) => {
     try {
-      await updateFeedbackStatus(id, status);
+      await updateFeedbackStatus(id, status, reason);
       showToast("Status updated");
       fetchFeedbacks();
       if (selected?._id === id) fetchDetails(id);
@@ -208,6 +304,86 @@ const AdminDashboard = () => {
     }
   };
 
+  // Post an official response on the selected feedback; refresh details
+  const handlePostResponse = async (e) => {
+    e.preventDefault();
+    if (!responseText.trim()) return;
+    setPostingResponse(true);
+    setResponseErrors({});
+    try {
+      await addOfficialResponse(selected._id, {
+        text: responseText,
+        role: responseRole.trim() || undefined,
+      });
+      setResponseText("");
+      showToast("Response posted");
+      fetchDetails(selected._id);
+    } catch (err) {
+      // Validation errors are shown under the fields they belong to
+      const fields = getFieldErrors(err);
+      if (Object.keys(fields).length) setResponseErrors(fields);
+      else handleApiError(err, toast, "Failed to post response");
+    } finally {
+      setPostingResponse(false);
+    }
+  };
+
+  // Pin/unpin an official response; refresh details only
+  const handleTogglePin = async (feedbackId, response) => {
+    try {
+      await pinResponse(feedbackId, response._id, !response.pinned);
+      showToast(response.pinned ? "Response unpinned" : "Response pinned");
+      fetchDetails(feedbackId);
+    } catch (err) {
+      handleApiError(err, toast, "Failed to update pin");
+    }
+  };
+
+  // Lock or unlock the comment thread (and receipt follow-ups)
+  const handleToggleLock = async (feedback) => {
+    try {
+      await lockFeedback(feedback._id, !feedback.locked);
+      showToast(feedback.locked ? "Thread unlocked" : "Thread locked");
+      fetchDetails(feedback._id);
+    } catch (err) {
+      handleApiError(err, toast, "Failed to update lock");
+    }
+  };
+
+  // After a merge: show the canonical item and refresh the list
+  const handleMerged = ({ mergedInto }) => {
+    fetchFeedbacks();
+    fetchDetails(mergedInto._id);
+  };
+
+  // Moderation state of a held comment, shown to admins only
+  const renderCommentVisibility = (c) =>
+    c.visibility === "pending_review" ? (
+      <Badge colorScheme="orange" mb={1}>Awaiting review</Badge>
+    ) : c.visibility === "rejected" ? (
+      <Badge colorScheme="red" mb={1}>Rejected</Badge>
+    ) : null;
+
+  // Delete button (with confirmation) shared by comments and responses
+  const renderDeleteComment = (c) =>
+    can("feedback:delete") && (
+      <Suspense fallback={<IconButton size="xs" colorScheme="red" icon={<DeleteIcon />} variant="ghost" isLoading />}>
+        <ConfirmModal
+          onConfirm={() => handleDeleteComment(selected._id, c._id)}
+          title="Delete Comment"
+          body="Are you sure? This action cannot be undone."
+        >
+          <IconButton
+            size="xs"
+            colorScheme="red"
+            icon={<DeleteIcon />}
+            variant="ghost"
+            aria-label="Delete comment"
+          />
+        </ConfirmModal>
+      </Suspense>
+    );
+
   // One feedback card in the list (left column)
   const FeedbackCard = ({ fb }) => (
     <Box
@@ -231,38 +407,51 @@ const AdminDashboard = () => {
           {fb.tags.map((tag) => (
             <Tag
               key={tag}
-              colorScheme="purple"
+              colorScheme={tagColor(tag)}
               variant="solid"
               borderRadius="full"
               px={3}
               py={1}
               fontSize="sm"
             >
-              {tag}
+              {tagLabel(tag)}
             </Tag>
           ))}
         </HStack>
-        <Badge
-          colorScheme={STATUS_COLORS[fb.status]}
+        <StatusBadge
+          status={fb.status}
           fontSize="0.9em"
           px={3}
           py={1}
           borderRadius="md"
-        >
-          {fb.status.toUpperCase()}
-        </Badge>
+        />
       </HStack>
 
-      <Text
-        mt={2}
-        mb={2}
-        noOfLines={2}
-        fontSize="md"
-        fontWeight="medium"
-        color={textColor}
-      >
-        {fb.text || <i>No feedback text</i>}
-      </Text>
+      {fb.highlights?.length ? (
+        // Search result: show where the query matched
+        fb.highlights.map((h) => (
+          <HighlightedText
+            key={h.field}
+            segments={h.segments}
+            mt={2}
+            mb={2}
+            fontSize={h.field === "text" ? "md" : "sm"}
+            fontWeight={h.field === "text" ? "medium" : "normal"}
+            color={h.field === "text" ? textColor : subTextColor}
+          />
+        ))
+      ) : (
+        <Text
+          mt={2}
+          mb={2}
+          noOfLines={2}
+          fontSize="md"
+          fontWeight="medium"
+          color={textColor}
+        >
+          {fb.text || <i>No feedback text</i>}
+        </Text>
+      )}
 
       <HStack justify="space-between" mt={3}>
         <Text fontSize="sm" color={subTextColor}>
@@ -280,22 +469,24 @@ const AdminDashboard = () => {
             Details
           </Button>
 
-          <Suspense fallback={<Button size="sm" colorScheme="red" variant="outline" leftIcon={<DeleteIcon />} isLoading>Delete</Button>}>
-            <ConfirmModal
-              onConfirm={() => handleDeleteFeedback(fb._id)}
-              title="Delete Feedback"
-              body="Are you sure? This action cannot be undone."
-            >
-              <Button
-                size="sm"
-                colorScheme="red"
-                leftIcon={<DeleteIcon />}
-                variant="outline"
+          {can("feedback:delete") && (
+            <Suspense fallback={<Button size="sm" colorScheme="red" variant="outline" leftIcon={<DeleteIcon />} isLoading>Delete</Button>}>
+              <ConfirmModal
+                onConfirm={() => handleDeleteFeedback(fb._id)}
+                title="Delete Feedback"
+                body="Are you sure? This action cannot be undone."
               >
-                Delete
-              </Button>
-            </ConfirmModal>
-          </Suspense>
+                <Button
+                  size="sm"
+                  colorScheme="red"
+                  leftIcon={<DeleteIcon />}
+                  variant="outline"
+                >
+                  Delete
+                </Button>
+              </ConfirmModal>
+            </Suspense>
+          )}
         </HStack>
       </HStack>
     </Box>
@@ -314,288 +505,501 @@ const AdminDashboard = () => {
     >
       {/* Header */}
       <HStack justify="space-between" mb={6}>
-        <Heading size="lg" color="teal.500">
-          Admin Dashboard
-        </Heading>
-        <Button colorScheme="red" onClick={logout} size="md" fontWeight="bold">
-          Logout
-        </Button>
-      </HStack>
-
-      {/* Filters */}
-      <HStack mb={6} spacing={4}>
-        <Select
-          placeholder="Filter by tag"
-          value={filterTag}
-          onChange={(e) => setFilterTag(e.target.value)}
-          maxW="200px"
-          bg={cardBg}
-        >
-          {TAG_OPTIONS.map((tag) => (
-            <option key={tag} value={tag}>
-              {tag}
-            </option>
-          ))}
-        </Select>
-
-        <Select
-          placeholder="Filter by status"
-          value={filterStatus}
-          onChange={(e) => setFilterStatus(e.target.value)}
-          maxW="200px"
-          bg={cardBg}
-        >
-          {["open", "resolved", "closed"].map((status) => (
-            <option key={status} value={status}>
-              {status}
-            </option>
-          ))}
-        </Select>
-
-        <Button
-          onClick={() => {
-            setFilterTag("");
-            setFilterStatus("");
-          }}
-          colorScheme="teal"
-          variant="outline"
-        >
-          Clear Filters
-        </Button>
-      </HStack>
-
-      {/* Error alert */}
-      {error && (
-        <Alert status="error" mb={4} borderRadius="md">
-          <AlertIcon />
-          {error}
-        </Alert>
-      )}
-
-      {/* Two-column layout */}
-      <Stack
-        direction={{ base: "column", md: "row" }}
-        spacing={8}
-        align="flex-start"
-      >
-        {/* Left: feedback list */}
-        <Box flex="1" minW="350px">
-          <Heading size="md" mb={4} color="teal.400">
-            Feedback List
+        <HStack>
+          <Heading size="lg" color="teal.500">
+            Admin Dashboard
           </Heading>
+          {role && <Badge colorScheme="teal">{ROLE_LABELS[role] || role}</Badge>}
+        </HStack>
+        <HStack>
+          <Button as={RouterLink} to="/admin/team" variant="outline" colorScheme="teal">
+            Team
+          </Button>
+          {can("organization:manage") && (
+            <Button as={RouterLink} to="/admin/organization" variant="outline" colorScheme="teal">
+              Organization
+            </Button>
+          )}
+          {can("organization:manage") && (
+            <Button as={RouterLink} to="/admin/notifications" variant="outline" colorScheme="teal">
+              Notifications
+            </Button>
+          )}
+          {can("tags:manage") && (
+            <Button as={RouterLink} to="/admin/tags" variant="outline" colorScheme="teal">
+              Tags
+            </Button>
+          )}
+          {can("webhooks:manage") && (
+            <Button as={RouterLink} to="/admin/webhooks" variant="outline" colorScheme="teal">
+              Webhooks
+            </Button>
+          )}
+          <Button as={RouterLink} to="/admin/moderation" variant="outline" colorScheme="teal">
+            Moderation Rules
+          </Button>
+          {can("audit:read") && (
+            <Button as={RouterLink} to="/admin/audit" variant="outline" colorScheme="teal">
+              Audit log
+            </Button>
+          )}
+          <Button colorScheme="red" onClick={logout} size="md" fontWeight="bold">
+            Logout
+          </Button>
+        </HStack>
+      </HStack>
 
-          {loading ? (
-            <Stack spacing={5}>
-              {[...Array(3)].map((_, i) => (
-                <SkeletonCard
-                  key={i}
+      <Tabs colorScheme="teal" variant="enclosed" isLazy>
+        <TabList mb={6}>
+          <Tab fontWeight="semibold">Feedback</Tab>
+          <Tab fontWeight="semibold">
+            Review Queue
+            {pendingCount > 0 && (
+              <Badge ml={2} colorScheme="orange" borderRadius="full">
+                {pendingCount}
+              </Badge>
+            )}
+          </Tab>
+          <Tab fontWeight="semibold">Moderation Stats</Tab>
+          <Tab fontWeight="semibold">Sessions</Tab>
+        </TabList>
+
+        <TabPanels>
+          <TabPanel p={0}>
+              {/* Filters */}
+              <HStack mb={6} spacing={4} flexWrap="wrap">
+                <SearchInput
+                  placeholder="Search feedback and comments..."
+                  maxW="320px"
                   bg={cardBg}
-                  border={cardBorder}
-                  commentBg={commentBg}
+                  borderRadius="md"
                 />
-              ))}
-            </Stack>
-          ) : (
-            <Stack spacing={5}>
-              {feedbacks.length === 0 ? (
-                // Empty state card
-                <Box
-                  textAlign="center"
-                  py={10}
-                  px={6}
+
+                <Select
+                  placeholder="Filter by tag"
+                  value={filterTag}
+                  onChange={(e) => setFilterTag(e.target.value)}
+                  maxW="200px"
                   bg={cardBg}
-                  borderRadius="xl"
-                  borderWidth={2}
-                  borderStyle="dashed"
-                  borderColor={cardBorder}
-                  boxShadow="md"
-                  animation={`${breathingAnimation} 3s ease-in-out infinite`}
-                  _hover={{
-                    animation: `${breathingAnimation} 1.5s ease-in-out infinite`,
-                    transform: "translateY(-2px)",
-                  }}
-                  transition="transform 0.3s ease"
                 >
-                  <Text fontSize="lg" color={subTextColor} mb={2}>
-                    📝 No feedback found
-                  </Text>
-                  <Text fontSize="sm" color={subTextColor}>
-                    {filterTag || filterStatus
-                      ? "Try adjusting your filters or clear them to see all feedback."
-                      : "No feedback has been submitted yet."}
-                  </Text>
-
-                  {(filterTag || filterStatus) && (
-                    <Button
-                      mt={3}
-                      size="sm"
-                      colorScheme="teal"
-                      variant="outline"
-                      onClick={() => {
-                        setFilterTag("");
-                        setFilterStatus("");
-                      }}
-                    >
-                      Clear Filters
-                    </Button>
-                  )}
-                </Box>
-              ) : (
-                feedbacks.map((fb) => <FeedbackCard key={fb._id} fb={fb} />)
-              )}
-            </Stack>
-          )}
-        </Box>
-
-        {/* Right: details pane */}
-        <Box flex="2" minW="350px">
-          <AnimatePresence mode="wait">
-            {loading || detailsLoading ? (
-              <SkeletonCard
-                key="skeleton"
-                bg={cardBg}
-                border={cardBorder}
-                commentBg={commentBg}
-                detailed
-              />
-            ) : (
-              selected && (
-                <MotionBox
-                  key={selected._id}
-                  p={6}
-                  borderWidth={2}
-                  borderRadius="xl"
+                  {tags.map((tag) => (
+                    <option key={tag.slug} value={tag.slug}>
+                      {tag.label}
+                      {tag.archived ? " (archived)" : ""}
+                    </option>
+                  ))}
+                </Select>
+
+                <Select
+                  placeholder="Filter by status"
+                  value={filterStatus}
+                  onChange={(e) => setFilterStatus(e.target.value)}
+                  maxW="200px"
                   bg={cardBg}
-                  boxShadow="lg"
-                  borderColor={cardBorder}
-                  mt={2}
-                  initial={{ opacity: 0, scale: 0.95, y: 30 }}
-                  animate={{ opacity: 1, scale: 1, y: 0 }}
-                  exit={{ opacity: 0, scale: 0.95, y: 30 }}
-                  transition={{ duration: 0.35, type: "spring" }}
                 >
-                  <Heading size="md" mb={3} color="blue.400">
-                    Feedback Details
-                  </Heading>
-
-                  <HStack mb={2}>
-                    {selected?.tags?.map((tag) => (
-                      <Tag
-                        key={tag}
-                        colorScheme="purple"
-                        variant="solid"
-                        borderRadius="full"
-                        px={3}
-                        py={1}
-                        fontSize="sm"
-                      >
-                        {tag}
-                      </Tag>
-                    ))}
-                    <Badge
-                      colorScheme={STATUS_COLORS[selected.status]}
-                      fontSize="0.9em"
-                      px={3}
-                      py={1}
-                      borderRadius="md"
-                    >
-                      {selected.status.toUpperCase()}
-                    </Badge>
-                  </HStack>
+                  {statusNames.map((status) => (
+                    <option key={status} value={status}>
+                      {statusLabel(status)}
+                    </option>
+                  ))}
+                </Select>
+
+                <Select
+                  value={activeSort}
+                  onChange={(e) => setSort(e.target.value)}
+                  maxW="200px"
+                  bg={cardBg}
+                >
+                  {sortOptionsFor(q).map((option) => (
+                    <option key={option.value} value={option.value}>
+                      {option.label}
+                    </option>
+                  ))}
+                </Select>
+
+                <Button onClick={clearFilters} colorScheme="teal" variant="outline">
+                  Clear Filters
+                </Button>
+              </HStack>
+
+              {/* Error alert */}
+              {error && (
+                <Alert status="error" mb={4} borderRadius="md">
+                  <AlertIcon />
+                  {error}
+                </Alert>
+              )}
 
-                  <Text
-                    mb={2}
-                    fontSize="lg"
-                    fontWeight="semibold"
-                    color={textColor}
-                  >
-                    {selected.text}
-                  </Text>
-                  <Text fontSize="sm" color={subTextColor}>
-                    {new Date(selected.createdAt).toLocaleString()}
-                  </Text>
-
-                  {/* Actions */}
-                  <HStack mt={4} spacing={3}>
-                    <Button
-                      size="sm"
-                      colorScheme="green"
-                      onClick={() =>
-                        handleStatusChange(selected._id, "resolved")
-                      }
-                    >
-                      Mark as Resolved
-                    </Button>
-                    <Button
-                      size="sm"
-                      colorScheme="gray"
-                      onClick={() => handleStatusChange(selected._id, "closed")}
-                      variant="outline"
-                    >
-                      Mark as Closed
-                    </Button>
+              {/* Two-column layout */}
+              <Stack
+                direction={{ base: "column", md: "row" }}
+                spacing={8}
+                align="flex-start"
+              >
+                {/* Left: feedback list */}
+                <Box flex="1" minW="350px">
+                  <HStack justify="space-between" mb={4}>
+                    <Heading size="md" color="teal.400">
+                      Feedback List
+                    </Heading>
+                    {!loading && (
+                      <Text fontSize="sm" color={subTextColor}>
+                        {feedbacks.length} of {total}
+                      </Text>
+                    )}
                   </HStack>
 
-                  {/* Comments */}
-                  <Box mt={8}>
-                    <Heading size="sm" mb={3} color="blue.400">
-                      Comments
-                    </Heading>
-                    <Stack spacing={3}>
-                      {selected?.comments?.length === 0 ? (
+                  {loading ? (
+                    <Stack spacing={5}>
+                      {[...Array(3)].map((_, i) => (
+                        <SkeletonCard
+                          key={i}
+                          bg={cardBg}
+                          border={cardBorder}
+                          commentBg={commentBg}
+                        />
+                      ))}
+                    </Stack>
+                  ) : (
+                    <Stack spacing={5}>
+                      {feedbacks.length === 0 ? (
+                        // Empty state card
                         <Box
                           textAlign="center"
-                          py={6}
-                          px={4}
-                          bg={commentBg}
-                          borderRadius="md"
-                          borderWidth={1}
+                          py={10}
+                          px={6}
+                          bg={cardBg}
+                          borderRadius="xl"
+                          borderWidth={2}
                           borderStyle="dashed"
+                          borderColor={cardBorder}
+                          boxShadow="md"
+                          animation={`${breathingAnimation} 3s ease-in-out infinite`}
+                          _hover={{
+                            animation: `${breathingAnimation} 1.5s ease-in-out infinite`,
+                            transform: "translateY(-2px)",
+                          }}
+                          transition="transform 0.3s ease"
                         >
-                          <Text color={subTextColor} fontSize="sm">
-                            💬 No comments yet
+                          <Text fontSize="lg" color={subTextColor} mb={2}>
+                            📝 No feedback found
                           </Text>
+                          <Text fontSize="sm" color={subTextColor}>
+                            {filterTag || filterStatus || q
+                              ? "Try adjusting your filters or clear them to see all feedback."
+                              : "No feedback has been submitted yet."}
+                          </Text>
+
+                          {(filterTag || filterStatus || q) && (
+                            <Button
+                              mt={3}
+                              size="sm"
+                              colorScheme="teal"
+                              variant="outline"
+                              onClick={clearFilters}
+                            >
+                              Clear Filters
+                            </Button>
+                          )}
                         </Box>
                       ) : (
-                        selected.comments.map((c) => (
-                          <Box
-                            key={c._id}
-                            p={3}
-                            borderWidth={1}
-                            borderRadius="md"
-                            bg={commentBg}
+                        feedbacks.map((fb) => <FeedbackCard key={fb._id} fb={fb} />)
+                      )}
+
+                      {/* Next page */}
+                      {nextCursor && (
+                        <Button
+                          onClick={() => fetchFeedbacks(nextCursor)}
+                          isLoading={loadingMore}
+                          loadingText="Loading..."
+                          colorScheme="teal"
+                          variant="ghost"
+                        >
+                          Load more
+                        </Button>
+                      )}
+                    </Stack>
+                  )}
+                </Box>
+
+                {/* Right: details pane */}
+                <Box flex="2" minW="350px">
+                  <AnimatePresence mode="wait">
+                    {loading || detailsLoading ? (
+                      <SkeletonCard
+                        key="skeleton"
+                        bg={cardBg}
+                        border={cardBorder}
+                        commentBg={commentBg}
+                        detailed
+                      />
+                    ) : (
+                      selected && (
+                        <MotionBox
+                          key={selected._id}
+                          p={6}
+                          borderWidth={2}
+                          borderRadius="xl"
+                          bg={cardBg}
+                          boxShadow="lg"
+                          borderColor={cardBorder}
+                          mt={2}
+                          initial={{ opacity: 0, scale: 0.95, y: 30 }}
+                          animate={{ opacity: 1, scale: 1, y: 0 }}
+                          exit={{ opacity: 0, scale: 0.95, y: 30 }}
+                          transition={{ duration: 0.35, type: "spring" }}
+                        >
+                          <Heading size="md" mb={3} color="blue.400">
+                            Feedback Details
+                          </Heading>
+
+                          <HStack mb={2}>
+                            {selected?.tags?.map((tag) => (
+                              <Tag
+                                key={tag}
+                                colorScheme={tagColor(tag)}
+                                variant="solid"
+                                borderRadius="full"
+                                px={3}
+                                py={1}
+                                fontSize="sm"
+                              >
+                                {tagLabel(tag)}
+                              </Tag>
+                            ))}
+                            <StatusBadge
+                              status={selected.status}
+                              fontSize="0.9em"
+                              px={3}
+                              py={1}
+                              borderRadius="md"
+                            />
+                          </HStack>
+
+                          <Text
+                            mb={2}
+                            fontSize="lg"
+                            fontWeight="semibold"
+                            color={textColor}
                           >
-                            <Text color={textColor}>{c.text}</Text>
-                            <HStack justify="space-between" mt={2}>
-                              <Text fontSize="xs" color={subTextColor}>
-                                {new Date(c.createdAt).toLocaleString()}
-                              </Text>
-                              <Suspense fallback={<IconButton size="xs" colorScheme="red" icon={<DeleteIcon />} variant="ghost" isLoading />}>
-                                <ConfirmModal
-                                  onConfirm={() => handleDeleteComment(selected._id, c._id)}
-                                  title="Delete Comment"
-                                  body="Are you sure? This action cannot be undone."
+                            {selected.text}
+                          </Text>
+                          <Text fontSize="sm" color={subTextColor}>
+                            {new Date(selected.createdAt).toLocaleString()}
+                          </Text>
+
+                          {/* Actions: transitions allowed by the workflow */}
+                          <HStack mt={4} spacing={3} flexWrap="wrap">
+                            {can("feedback:status") &&
+                              transitionsFrom(selected.status).map(
+                                ({ to, requireReason }) => (
+                                  <Button
+                                    key={to}
+                                    size="sm"
+                                    colorScheme={statusColor(to)}
+                                    variant={requireReason ? "outline" : "solid"}
+                                    onClick={() =>
+                                      requireReason
+                                        ? setPendingTransition({ id: selected._id, to })
+                                        : handleStatusChange(selected._id, to)
+                                    }
+                                  >
+                                    Mark as {statusLabel(to)}
+                                  </Button>
+                                )
+                              )}
+                            {can("feedback:moderate") && (
+                              <>
+                                <Button
+                                  size="sm"
+                                  variant="ghost"
+                                  leftIcon={selected.locked ? <UnlockIcon /> : <LockIcon />}
+                                  onClick={() => handleToggleLock(selected)}
+                                >
+                                  {selected.locked ? "Unlock thread" : "Lock thread"}
+                                </Button>
+                                <Button
+                                  size="sm"
+                                  variant="ghost"
+                                  leftIcon={<CopyIcon />}
+                                  onClick={() => setMerging(selected)}
                                 >
-                                  <IconButton
-                                    size="xs"
-                                    colorScheme="red"
-                                    icon={<DeleteIcon />}
-                                    variant="ghost"
-                                  />
-                                </ConfirmModal>
-                              </Suspense>
-                            </HStack>
+                                  Merge duplicate
+                                </Button>
+                              </>
+                            )}
+                          </HStack>
+
+                          {/* Evidence sent with the report */}
+                          {selected.attachments?.length > 0 && (
+                            <Box mt={8}>
+                              <Heading size="sm" mb={3} color="blue.400">
+                                Attachments
+                              </Heading>
+                              <AttachmentList
+                                feedbackId={selected._id}
+                                attachments={selected.attachments}
+                              />
+                            </Box>
+                          )}
+
+                          {/* Status history */}
+                          <Box mt={8}>
+                            <Heading size="sm" mb={3} color="blue.400">
+                              Status History
+                            </Heading>
+                            <StatusTimeline history={selected.statusHistory} />
                           </Box>
-                        ))
-                      )}
-                    </Stack>
-                  </Box>
-                </MotionBox>
-              )
-            )}
-          </AnimatePresence>
-        </Box>
-      </Stack>
+
+                          {/* Comments */}
+                          <Box mt={8}>
+                            <Heading size="sm" mb={3} color="blue.400">
+                              Comments
+                            </Heading>
+                            <Stack spacing={3}>
+                              {selected?.comments?.length === 0 ? (
+                                <Box
+                                  textAlign="center"
+                                  py={6}
+                                  px={4}
+                                  bg={commentBg}
+                                  borderRadius="md"
+                                  borderWidth={1}
+                                  borderStyle="dashed"
+                                >
+                                  <Text color={subTextColor} fontSize="sm">
+                                    💬 No comments yet
+                                  </Text>
+                                </Box>
+                              ) : (
+                                selected.comments.map((c) =>
+                                  c.authorType === "admin" ? (
+                                    <OfficialResponse key={c._id} response={c}>
+                                      <HStack spacing={1}>
+                                        {can("feedback:respond") && (
+                                          <Tooltip label={c.pinned ? "Unpin" : "Pin to top"}>
+                                            <IconButton
+                                              size="xs"
+                                              colorScheme="yellow"
+                                              icon={<StarIcon />}
+                                              variant={c.pinned ? "solid" : "ghost"}
+                                              aria-label={c.pinned ? "Unpin response" : "Pin response"}
+                                              onClick={() => handleTogglePin(selected._id, c)}
+                                            />
+                                          </Tooltip>
+                                        )}
+                                        {renderDeleteComment(c)}
+                                      </HStack>
+                                    </OfficialResponse>
+                                  ) : (
+                                    <Box
+                                      key={c._id}
+                                      p={3}
+                                      borderWidth={1}
+                                      borderRadius="md"
+                                      bg={commentBg}
+                                    >
+                                      <HStack spacing={2}>
+                                        <AuthorBadge authorType={c.authorType} mergedFrom={c.mergedFrom} mb={1} />
+                                        {renderCommentVisibility(c)}
+                                      </HStack>
+                                      <Text color={textColor}>{c.text}</Text>
+                                      <HStack justify="space-between" mt={2}>
+                                        <Text fontSize="xs" color={subTextColor}>
+                                          {new Date(c.createdAt).toLocaleString()}
+                                        </Text>
+                                        {renderDeleteComment(c)}
+                                      </HStack>
+                                    </Box>
+                                  )
+                                )
+                              )}
+                            </Stack>
+                          </Box>
+
+                          {/* Official response form */}
+                          {can("feedback:respond") && (
+                            <Box as="form" onSubmit={handlePostResponse} mt={8}>
+                              <Heading size="sm" mb={3} color="blue.400">
+                                Post Official Response
+                              </Heading>
+                              <FormControl mb={2} isInvalid={!!responseErrors.role}>
+                                <Input
+                                  size="sm"
+                                  value={responseRole}
+                                  onChange={(e) => setResponseRole(e.target.value)}
+                                  placeholder="Display role (optional), e.g. Student Affairs"
+                                  maxLength={50}
+                                />
+                                <FormErrorMessage>{responseErrors.role}</FormErrorMessage>
+                              </FormControl>
+                              <FormControl mb={2} isInvalid={!!responseErrors.text}>
+                                <Textarea
+                                  value={responseText}
+                                  onChange={(e) => setResponseText(e.target.value)}
+                                  placeholder="Write a response. It is shown publicly as an official response."
+                                  disabled={postingResponse}
+                                />
+                                <FormErrorMessage>{responseErrors.text}</FormErrorMessage>
+                              </FormControl>
+                              <Button
+                                type="submit"
+                                size="sm"
+                                colorScheme="teal"
+                                isLoading={postingResponse}
+                                isDisabled={!responseText.trim()}
+                              >
+                                Post Response
+                              </Button>
+                            </Box>
+                          )}
+                        </MotionBox>
+                      )
+                    )}
+                  </AnimatePresence>
+                </Box>
+              </Stack>
+          </TabPanel>
+
+          {/* Items held back by moderation */}
+          <TabPanel p={0}>
+            <ReviewQueue
+              onReviewed={() => fetchFeedbacks()}
+              onCountChange={setPendingCount}
+            />
+          </TabPanel>
+
+          <TabPanel p={0}>
+            <ModerationStats />
+          </TabPanel>
+
+          <TabPanel p={0}>
+            <ActiveSessions />
+          </TabPanel>
+        </TabPanels>
+      </Tabs>
+
+      {/* Merge a duplicate into a canonical item */}
+      <MergeFeedbackModal
+        isOpen={!!merging}
+        onClose={() => setMerging(null)}
+        feedback={merging}
+        onMerged={handleMerged}
+      />
+
+      {/* Reason prompt for transitions that require one */}
+      <StatusReasonModal
+        isOpen={!!pendingTransition}
+        onClose={() => setPendingTransition(null)}
+        title={
+          pendingTransition
+            ? `Mark as ${statusLabel(pendingTransition.to)}`
+            : undefined
+        }
+        onConfirm={(reason) =>
+          handleStatusChange(pendingTransition.id, pendingTransition.to, reason)
+        }
+      />
     </Box>
   );
 };
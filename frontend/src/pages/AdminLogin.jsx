@@ -6,23 +6,66 @@ import {
   FormLabel,
   Input,
   Heading,
+  Text,
   useToast,
   Alert,
   AlertIcon,
 } from "@chakra-ui/react";
-import { useNavigate } from "react-router-dom";
-import { adminLogin } from "../api/admin";
+import { Link as RouterLink, useNavigate } from "react-router-dom";
+import { adminLogin, verifyLoginCode } from "../api/admin";
 import { useAdminAuth } from "../context/AdminAuthContext";
+import TwoFactorSetup from "../components/TwoFactorSetup";
 
+// Signing in takes up to two steps: the password, then (for admins with
+// two-factor authentication) a code from their app or a recovery code.
+// Where the organization requires 2FA, admins without it enrol instead.
 const AdminLogin = () => {
   const [username, setUsername] = useState("");
   const [password, setPassword] = useState("");
+  // { token, setup } after the password step, when a second step is needed
+  const [challenge, setChallenge] = useState(null);
+  const [code, setCode] = useState("");
+  const [useRecoveryCode, setUseRecoveryCode] = useState(false);
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState("");
   const toast = useToast();
   const navigate = useNavigate();
   const { login } = useAdminAuth();
 
+  const finish = (token) => {
+    login(token);
+    toast({
+      title: "Login successful",
+      status: "success",
+      duration: 2000,
+      isClosable: true,
+    });
+
+    navigate("/admin/dashboard");
+  };
+
+  const fail = (err) => {
+    const errorMessage =
+      err?.response?.data?.error || err?.message || "Login failed";
+    setError(errorMessage);
+
+    toast({
+      title: "Login failed",
+      status: "error",
+      description: errorMessage,
+      duration: 4000,
+      isClosable: true,
+    });
+    console.error("Login error:", err);
+  };
+
+  const restart = () => {
+    setChallenge(null);
+    setCode("");
+    setUseRecoveryCode(false);
+    setError("");
+  };
+
   const handleSubmit = async (e) => {
     e.preventDefault();
     setLoading(true);
@@ -31,28 +74,47 @@ const AdminLogin = () => {
     try {
       const res = await adminLogin({ username, password });
 
-      login(res.data.token);
-      toast({
-        title: "Login successful",
-        status: "success",
-        duration: 2000,
-        isClosable: true,
+      if (res.data.challengeToken) {
+        setChallenge({
+          token: res.data.challengeToken,
+          setup: !!res.data.twoFactorSetupRequired,
+        });
+      } else {
+        finish(res.data.token);
+      }
+    } catch (err) {
+      fail(err);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleVerify = async (e) => {
+    e.preventDefault();
+    setLoading(true);
+    setError("");
+
+    try {
+      const res = await verifyLoginCode({
+        challengeToken: challenge.token,
+        ...(useRecoveryCode ? { recoveryCode: code } : { code }),
       });
 
-      navigate("/admin/dashboard");
+      const left = res.data.recoveryCodesLeft;
+      if (left !== undefined && left < 3) {
+        toast({
+          title: `${left} recovery code${left === 1 ? "" : "s"} left`,
+          description: "Generate new ones from the Team page.",
+          status: "warning",
+          duration: 8000,
+          isClosable: true,
+        });
+      }
+      finish(res.data.token);
     } catch (err) {
-      const errorMessage =
-        err?.response?.data?.error || err?.message || "Login failed";
-      setError(errorMessage);
-
-      toast({
-        title: "Login failed",
-        status: "error",
-        description: errorMessage,
-        duration: 4000,
-        isClosable: true,
-      });
-      console.error("Login error:", err);
+      fail(err);
+      // An expired challenge means starting over
+      if (err?.response?.data?.error?.startsWith("Sign-in expired")) restart();
     } finally {
       setLoading(false);
     }
@@ -61,7 +123,7 @@ const AdminLogin = () => {
   return (
     <Box maxW="400px" mx="auto" mt={20} p={6} borderWidth={1} borderRadius="md">
       <Heading mb={6} size="md">
-        Admin Login
+        {challenge ? "Two-factor authentication" : "Admin Login"}
       </Heading>
 
       {error && (
@@ -71,32 +133,106 @@ const AdminLogin = () => {
         </Alert>
       )}
 
-      <form onSubmit={handleSubmit}>
-        <FormControl mb={4} isRequired>
-          <FormLabel>Username</FormLabel>
-          <Input
-            value={username}
-            onChange={(e) => setUsername(e.target.value)}
-          />
-        </FormControl>
-        <FormControl mb={6} isRequired>
-          <FormLabel>Password</FormLabel>
-          <Input
-            type="password"
-            value={password}
-            onChange={(e) => setPassword(e.target.value)}
-            disabled={loading}
+      {!challenge && (
+        <form onSubmit={handleSubmit}>
+          <FormControl mb={4} isRequired>
+            <FormLabel>Username</FormLabel>
+            <Input
+              value={username}
+              onChange={(e) => setUsername(e.target.value)}
+            />
+          </FormControl>
+          <FormControl mb={6} isRequired>
+            <FormLabel>Password</FormLabel>
+            <Input
+              type="password"
+              value={password}
+              onChange={(e) => setPassword(e.target.value)}
+              disabled={loading}
+            />
+          </FormControl>
+          <Button
+            colorScheme="teal"
+            type="submit"
+            isLoading={loading}
+            width="full"
+          >
+            Login
+          </Button>
+          <Button
+            as={RouterLink}
+            to="/admin/forgot-password"
+            variant="link"
+            size="sm"
+            mt={4}
+            width="full"
+          >
+            Forgot your password?
+          </Button>
+        </form>
+      )}
+
+      {challenge?.setup && (
+        <>
+          <Text mb={4}>
+            Your organization requires two-factor authentication. Set it up
+            to continue.
+          </Text>
+          <TwoFactorSetup
+            challengeToken={challenge.token}
+            onDone={(data) => finish(data.token)}
           />
-        </FormControl>
-        <Button
-          colorScheme="teal"
-          type="submit"
-          isLoading={loading}
-          width="full"
-        >
-          Login
+        </>
+      )}
+
+      {challenge && !challenge.setup && (
+        <form onSubmit={handleVerify}>
+          <FormControl mb={2} isRequired>
+            <FormLabel>
+              {useRecoveryCode ? "Recovery code" : "Code from your app"}
+            </FormLabel>
+            <Input
+              value={code}
+              onChange={(e) => setCode(e.target.value)}
+              autoFocus
+              {...(useRecoveryCode
+                ? { placeholder: "xxxxx-xxxxx", autoComplete: "off" }
+                : {
+                    placeholder: "123456",
+                    inputMode: "numeric",
+                    autoComplete: "one-time-code",
+                  })}
+            />
+          </FormControl>
+          <Button
+            variant="link"
+            size="sm"
+            mb={6}
+            onClick={() => {
+              setUseRecoveryCode(!useRecoveryCode);
+              setCode("");
+            }}
+          >
+            {useRecoveryCode
+              ? "Use a code from your app"
+              : "Lost your app? Use a recovery code"}
+          </Button>
+          <Button
+            colorScheme="teal"
+            type="submit"
+            isLoading={loading}
+            width="full"
+          >
+            Verify
+          </Button>
+        </form>
+      )}
+
+      {challenge && (
+        <Button variant="ghost" size="sm" mt={4} width="full" onClick={restart}>
+          Back
         </Button>
-      </form>
+      )}
     </Box>
   );
 };
@@ -0,0 +1,288 @@
+// AuditLog: the organization's record of admin actions and sign-ins, for
+// owners and auditors. Entries can be filtered, exported as CSV, and the
+// hash chain behind them checked for tampering.
+
+import { useCallback, useEffect, useRef, useState } from "react";
+import {
+  Box,
+  Button,
+  Code,
+  Heading,
+  HStack,
+  Input,
+  Spinner,
+  Table,
+  Tbody,
+  Td,
+  Text,
+  Th,
+  Thead,
+  Tr,
+  Alert,
+  AlertIcon,
+  useToast,
+  useColorModeValue,
+} from "@chakra-ui/react";
+import { DownloadIcon } from "@chakra-ui/icons";
+import { Link as RouterLink } from "react-router-dom";
+
+import { getAuditLog, exportAuditLog, verifyAuditLog } from "../api/admin";
+import { getErrorMessage, handleApiError } from "../utils/errorHandler";
+
+const EMPTY_FILTERS = { action: "", actor: "", from: "", to: "" };
+
+// Query parameters from the filter form. Dates cover whole local days.
+const toParams = ({ action, actor, from, to }) => ({
+  action: action.trim() || undefined,
+  actor: actor.trim() || undefined,
+  from: from ? new Date(`${from}T00:00`).toISOString() : undefined,
+  to: to ? new Date(`${to}T23:59:59.999`).toISOString() : undefined,
+});
+
+// "from: open, to: triaged"
+const describeDetails = (details) =>
+  details
+    ? Object.entries(details)
+        .map(([key, value]) =>
+          `${key}: ${typeof value === "object" ? JSON.stringify(value) : value}`
+        )
+        .join(", ")
+    : "";
+
+const AuditLog = () => {
+  const [entries, setEntries] = useState([]);
+  const [nextCursor, setNextCursor] = useState(null);
+  const [filters, setFilters] = useState(EMPTY_FILTERS);
+  const [applied, setApplied] = useState(EMPTY_FILTERS);
+  const [loading, setLoading] = useState(true);
+  const [loadingMore, setLoadingMore] = useState(false);
+  const [error, setError] = useState("");
+  const [exporting, setExporting] = useState(false);
+  const [verifying, setVerifying] = useState(false);
+  const [verification, setVerification] = useState(null);
+  const toast = useToast();
+  const abortControllerRef = useRef(null);
+
+  const cardBg = useColorModeValue("white", "gray.800");
+  const subTextColor = useColorModeValue("gray.500", "gray.400");
+
+  const fetchEntries = useCallback(async (cursor) => {
+    if (abortControllerRef.current) abortControllerRef.current.abort();
+    abortControllerRef.current = new AbortController();
+
+    if (cursor) setLoadingMore(true);
+    else setLoading(true);
+    setError("");
+    try {
+      const res = await getAuditLog(
+        { ...toParams(applied), cursor },
+        { signal: abortControllerRef.current.signal }
+      );
+      const items = res.data?.items || [];
+      setEntries((prev) => (cursor ? [...prev, ...items] : items));
+      setNextCursor(res.data?.nextCursor || null);
+    } catch (err) {
+      if (err.name !== "AbortError" && err.message !== "canceled") {
+        setError(getErrorMessage(err));
+      }
+    }
+    setLoading(false);
+    setLoadingMore(false);
+  }, [applied]);
+
+  useEffect(() => {
+    fetchEntries();
+    return () => abortControllerRef.current?.abort();
+  }, [fetchEntries]);
+
+  const updateFilter = (field) => (e) =>
+    setFilters((f) => ({ ...f, [field]: e.target.value }));
+
+  const handleFilter = (e) => {
+    e.preventDefault();
+    setApplied(filters);
+  };
+
+  const clearFilters = () => {
+    setFilters(EMPTY_FILTERS);
+    setApplied(EMPTY_FILTERS);
+  };
+
+  // Every entry matching the filters, not only the loaded pages
+  const handleExport = async () => {
+    setExporting(true);
+    try {
+      const res = await exportAuditLog(toParams(applied));
+      const url = URL.createObjectURL(res.data);
+      const link = document.createElement("a");
+      link.href = url;
+      link.download = `audit-log-${new Date().toISOString().slice(0, 10)}.csv`;
+      link.click();
+      URL.revokeObjectURL(url);
+    } catch (err) {
+      handleApiError(err, toast, "Failed to export the audit log");
+    } finally {
+      setExporting(false);
+    }
+  };
+
+  const handleVerify = async () => {
+    setVerifying(true);
+    try {
+      const res = await verifyAuditLog();
+      setVerification(res.data);
+    } catch (err) {
+      handleApiError(err, toast, "Failed to verify the audit log");
+    } finally {
+      setVerifying(false);
+    }
+  };
+
+  return (
+    <Box maxW="1200px" mx="auto" p={{ base: 2, md: 6 }}>
+      <HStack justify="space-between" mb={6}>
+        <Heading size="lg" color="teal.500">
+          Audit log
+        </Heading>
+        <HStack>
+          <Button
+            onClick={handleVerify}
+            isLoading={verifying}
+            variant="outline"
+            colorScheme="teal"
+          >
+            Verify integrity
+          </Button>
+          <Button
+            onClick={handleExport}
+            isLoading={exporting}
+            leftIcon={<DownloadIcon />}
+            variant="outline"
+            colorScheme="teal"
+          >
+            Export CSV
+          </Button>
+          <Button as={RouterLink} to="/admin/dashboard" variant="ghost" colorScheme="teal">
+            Back to dashboard
+          </Button>
+        </HStack>
+      </HStack>
+
+      {verification && (
+        <Alert
+          status={verification.valid ? "success" : "error"}
+          borderRadius="md"
+          mb={6}
+        >
+          <AlertIcon />
+          {verification.valid
+            ? `All ${verification.checked} entries are intact.`
+            : `Entry #${verification.brokenAt} was changed, removed or inserted outside the app; the log cannot be trusted from there on.`}
+        </Alert>
+      )}
+
+      {/* Filters */}
+      <HStack as="form" onSubmit={handleFilter} mb={6} flexWrap="wrap">
+        <Input
+          size="sm"
+          w="220px"
+          value={filters.action}
+          onChange={updateFilter("action")}
+          placeholder="Action, e.g. feedback or auth.login"
+        />
+        <Input
+          size="sm"
+          w="160px"
+          value={filters.actor}
+          onChange={updateFilter("actor")}
+          placeholder="Username"
+        />
+        <Input
+          size="sm"
+          w="160px"
+          type="date"
+          value={filters.from}
+          onChange={updateFilter("from")}
+          aria-label="From"
+        />
+        <Input
+          size="sm"
+          w="160px"
+          type="date"
+          value={filters.to}
+          onChange={updateFilter("to")}
+          aria-label="To"
+        />
+        <Button type="submit" size="sm" colorScheme="teal">
+          Filter
+        </Button>
+        <Button size="sm" variant="outline" colorScheme="teal" onClick={clearFilters}>
+          Clear
+        </Button>
+      </HStack>
+
+      {error ? (
+        <Alert status="error" borderRadius="md">
+          <AlertIcon />
+          {error}
+          <Button ml={4} size="sm" onClick={() => fetchEntries()}>
+            Retry
+          </Button>
+        </Alert>
+      ) : loading ? (
+        <Spinner size="lg" />
+      ) : entries.length === 0 ? (
+        <Text color={subTextColor}>No entries match.</Text>
+      ) : (
+        <>
+          <Table size="sm" bg={cardBg} borderRadius="lg">
+            <Thead>
+              <Tr>
+                <Th>#</Th>
+                <Th>Time</Th>
+                <Th>Admin</Th>
+                <Th>Action</Th>
+                <Th>Target</Th>
+                <Th>Details</Th>
+                <Th>IP</Th>
+              </Tr>
+            </Thead>
+            <Tbody>
+              {entries.map((entry) => (
+                <Tr key={entry.seq}>
+                  <Td>{entry.seq}</Td>
+                  <Td whiteSpace="nowrap">
+                    {new Date(entry.createdAt).toLocaleString()}
+                  </Td>
+                  <Td>{entry.actorUsername || "—"}</Td>
+                  <Td>
+                    <Code fontSize="xs">{entry.action}</Code>
+                  </Td>
+                  <Td fontSize="xs" color={subTextColor}>
+                    {entry.target?.type} {entry.target?.id}
+                  </Td>
+                  <Td fontSize="xs" maxW="360px" wordBreak="break-word">
+                    {describeDetails(entry.details)}
+                  </Td>
+                  <Td fontSize="xs">{entry.ip}</Td>
+                </Tr>
+              ))}
+            </Tbody>
+          </Table>
+          {nextCursor && (
+            <Button
+              mt={4}
+              size="sm"
+              onClick={() => fetchEntries(nextCursor)}
+              isLoading={loadingMore}
+            >
+              Load more
+            </Button>
+          )}
+        </>
+      )}
+    </Box>
+  );
+};
+
+export default AuditLog;
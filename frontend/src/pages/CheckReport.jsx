@@ -0,0 +1,288 @@
+// CheckReport: lets a submitter look up their report with the receipt key
+// they got after submitting, see its status and thread, and post follow-ups
+// that are marked as coming from the original reporter.
+// The key is kept in component state only (never in the URL or storage).
+// Reports merged into a similar one follow that report's status and thread.
+
+import { useState } from "react";
+import { Link as RouterLink } from "react-router-dom";
+import {
+  Box,
+  Button,
+  FormControl,
+  FormErrorMessage,
+  FormLabel,
+  FormHelperText,
+  Input,
+  Heading,
+  Text,
+  Tag,
+  HStack,
+  Badge,
+  VStack,
+  Divider,
+  Textarea,
+  Alert,
+  AlertIcon,
+  Link,
+  useToast,
+} from "@chakra-ui/react";
+import { getReportByReceipt, addReceiptFollowUp } from "../api/feedback";
+import {
+  getErrorMessage,
+  getFieldErrors,
+  handleApiError,
+} from "../utils/errorHandler";
+import AuthorBadge from "../components/AuthorBadge";
+import StatusBadge from "../components/StatusBadge";
+import StatusTimeline from "../components/StatusTimeline";
+import OfficialResponse from "../components/OfficialResponse";
+import useOrganization from "../hooks/useOrganization";
+
+const CheckReport = () => {
+  const [receiptKey, setReceiptKey] = useState("");
+  const [report, setReport] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState("");
+  const [followUp, setFollowUp] = useState("");
+  const [followUpError, setFollowUpError] = useState("");
+  const [submitting, setSubmitting] = useState(false);
+  const toast = useToast();
+  const { slug, path } = useOrganization();
+
+  // Fetch report + thread for the entered key
+  const fetchReport = async () => {
+    setLoading(true);
+    setError("");
+    try {
+      const res = await getReportByReceipt(slug, receiptKey.trim());
+      setReport(res.data);
+    } catch (err) {
+      setReport(null);
+      setError(
+        err?.response?.status === 404
+          ? "No report found for this key. Check it and try again."
+          : getErrorMessage(err)
+      );
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleLookup = (e) => {
+    e.preventDefault();
+    if (!receiptKey.trim()) return;
+    fetchReport();
+  };
+
+  // Post a follow-up as the original reporter, then refresh the thread
+  const handleFollowUp = async (e) => {
+    e.preventDefault();
+    if (!followUp.trim()) {
+      toast({
+        title: "Validation Error",
+        description: "Follow-up cannot be empty",
+        status: "error",
+        duration: 3000,
+        isClosable: true,
+      });
+      return;
+    }
+    setSubmitting(true);
+    setFollowUpError("");
+    try {
+      const res = await addReceiptFollowUp(slug, receiptKey.trim(), {
+        text: followUp,
+      });
+      setFollowUp("");
+      await fetchReport();
+      // 202 = saved but held for moderator review
+      toast({
+        title: res.status === 202 ? "Follow-up held for review" : "Follow-up posted",
+        description: res.status === 202 ? res.data.message : undefined,
+        status: res.status === 202 ? "info" : "success",
+        duration: res.status === 202 ? 6000 : 3000,
+        isClosable: true,
+      });
+    } catch (err) {
+      // Validation errors are shown under the follow-up box
+      const { text } = getFieldErrors(err);
+      if (text) setFollowUpError(text);
+      else handleApiError(err, toast, "Failed to post follow-up");
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  // Item whose status and thread the report follows
+  const thread = report?.mergedWith || report?.feedback;
+
+  return (
+    <Box maxW="700px" mx="auto" p={4}>
+      <Heading mb={6}>Check My Report</Heading>
+
+      {/* Key lookup */}
+      <Box as="form" onSubmit={handleLookup} p={4} borderWidth={1} borderRadius="md" mb={6}>
+        <FormControl mb={3} isRequired>
+          <FormLabel>Receipt key</FormLabel>
+          <Input
+            value={receiptKey}
+            onChange={(e) => setReceiptKey(e.target.value)}
+            placeholder="XXXX-XXXX-XXXX-XXXX-XXXX-XXXX"
+            autoComplete="off"
+            fontFamily="mono"
+          />
+          <FormHelperText>
+            The key you saved after submitting your feedback.
+          </FormHelperText>
+        </FormControl>
+        <Button colorScheme="teal" type="submit" isLoading={loading}>
+          Look up report
+        </Button>
+      </Box>
+
+      {error && (
+        <Alert status="error" mb={4} borderRadius="md">
+          <AlertIcon />
+          {error}
+        </Alert>
+      )}
+
+      {/* Report + thread */}
+      {report && (
+        <Box p={4} borderWidth={1} borderRadius="md">
+          <HStack justify="space-between" mb={2}>
+            <HStack>
+              {report.feedback.tags?.map((tag) => (
+                <Tag key={tag} colorScheme="blue">
+                  {tag}
+                </Tag>
+              ))}
+            </HStack>
+            <StatusBadge status={thread.status} />
+          </HStack>
+          {report.mergedWith && (
+            <Alert status="info" mb={3} borderRadius="md">
+              <AlertIcon />
+              <Text>
+                Your report was merged with{" "}
+                <Link
+                  as={RouterLink}
+                  to={path(`/feedback/${report.mergedWith._id}`)}
+                  color="teal.500"
+                >
+                  a similar report
+                </Link>
+                . Its status and replies are shown below.
+              </Text>
+            </Alert>
+          )}
+          {report.feedback.visibility === "pending_review" && (
+            <Alert status="info" mb={3} borderRadius="md">
+              <AlertIcon />
+              Your report is awaiting review by a moderator and is not yet
+              visible on the public board.
+            </Alert>
+          )}
+          {report.feedback.visibility === "rejected" && (
+            <Alert status="warning" mb={3} borderRadius="md">
+              <AlertIcon />
+              A moderator decided not to publish this report
+              {report.feedback.review?.reason
+                ? `: ${report.feedback.review.reason}`
+                : "."}
+            </Alert>
+          )}
+          <Text mb={2}>{report.feedback.text}</Text>
+          <Text fontSize="sm" color="gray.500">
+            Submitted {new Date(report.feedback.createdAt).toLocaleString()}
+            {report.feedback.updatedAt &&
+              ` · Last updated ${new Date(
+                report.feedback.updatedAt
+              ).toLocaleString()}`}
+          </Text>
+
+          <Divider my={4} />
+          <Heading size="sm" mb={3}>
+            Status history
+          </Heading>
+          <StatusTimeline history={thread.statusHistory} />
+
+          <Divider my={4} />
+          <Heading size="sm" mb={2}>
+            Thread
+          </Heading>
+          <VStack align="stretch" spacing={2} mb={4}>
+            {report.comments.length === 0 && (
+              <Text color="gray.500">No replies yet.</Text>
+            )}
+            {report.comments.map((c) =>
+              c.authorType === "admin" ? (
+                <OfficialResponse key={c._id} response={c} />
+              ) : (
+                <Box key={c._id} p={2} borderWidth={1} borderRadius="md">
+                  <AuthorBadge
+                    authorType={c.authorType}
+                    mergedFrom={
+                      c.mergedFrom !== report.feedback._id
+                        ? c.mergedFrom
+                        : undefined
+                    }
+                    mb={1}
+                  />
+                  {c.visibility === "pending_review" && (
+                    <Badge colorScheme="orange" ml={2} mb={1}>
+                      Awaiting review
+                    </Badge>
+                  )}
+                  {c.visibility === "rejected" && (
+                    <Badge colorScheme="red" ml={2} mb={1}>
+                      Not published
+                    </Badge>
+                  )}
+                  <Text>{c.text}</Text>
+                  <Text fontSize="xs" color="gray.500">
+                    {new Date(c.createdAt).toLocaleString()}
+                  </Text>
+                </Box>
+              )
+            )}
+          </VStack>
+
+          {report.followUpsOpen === false ? (
+            <Alert status="warning" borderRadius="md">
+              <AlertIcon />
+              Follow-ups are closed for this report.
+            </Alert>
+          ) : (
+            <Box as="form" onSubmit={handleFollowUp}>
+              <FormControl mb={2} isInvalid={!!followUpError}>
+                <FormLabel>Add a follow-up</FormLabel>
+                <Textarea
+                  value={followUp}
+                  onChange={(e) => {
+                    setFollowUp(e.target.value);
+                    setFollowUpError("");
+                  }}
+                  placeholder="Add more details or answer an admin's question..."
+                  disabled={submitting}
+                />
+                <FormErrorMessage>{followUpError}</FormErrorMessage>
+              </FormControl>
+              <Button
+                type="submit"
+                colorScheme="teal"
+                isLoading={submitting}
+                loadingText="Posting..."
+              >
+                Post as original reporter
+              </Button>
+            </Box>
+          )}
+        </Box>
+      )}
+    </Box>
+  );
+};
+
+export default CheckReport;
@@ -1,17 +1,34 @@
-import React, { useState } from "react";
+import React, { useEffect, useState } from "react";
 import { Box, Heading } from "@chakra-ui/react";
 import FeedbackForm from "../components/FeedbackForm";
 import FeedbackList from "../components/FeedbackList";
+import { getOrganization } from "../api/feedback";
+import useOrganization from "../hooks/useOrganization";
 
 const FeedbackBoard = () => {
   const [refresh, setRefresh] = useState(false);
+  const [name, setName] = useState("");
+  const { slug } = useOrganization();
+
+  // Other organizations' boards are titled with their name
+  useEffect(() => {
+    setName("");
+    if (!slug) return;
+    const controller = new AbortController();
+    getOrganization(slug, { signal: controller.signal })
+      .then((res) => setName(res.data.name))
+      .catch(() => {}); // keep the generic title
+    return () => controller.abort();
+  }, [slug]);
 
   // Refresh list after submission
   const handleSuccess = () => setRefresh((r) => !r);
 
   return (
     <Box maxW="700px" mx="auto" p={4}>
-      <Heading mb={6}>WhistleSpace Feedback Board</Heading>
+      <Heading mb={6}>
+        {name ? `${name} Feedback Board` : "WhistleSpace Feedback Board"}
+      </Heading>
       <FeedbackForm onSuccess={handleSuccess} />
       <FeedbackList key={refresh} />
     </Box>
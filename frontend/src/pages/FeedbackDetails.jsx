@@ -6,7 +6,6 @@ import {
   Text,
   Tag,
   HStack,
-  Badge,
   VStack,
   Divider,
   Heading,
@@ -14,23 +13,38 @@ import {
   Button,
   Textarea,
   FormControl,
+  FormErrorMessage,
   FormLabel,
   Alert,
   AlertIcon,
 } from "@chakra-ui/react";
 import { getFeedbackById, addComment } from "../api/feedback";
-import { useParams } from "react-router-dom";
-import { getErrorMessage, handleApiError } from "../utils/errorHandler";
+import { useNavigate, useParams } from "react-router-dom";
+import {
+  getErrorMessage,
+  getFieldErrors,
+  handleApiError,
+} from "../utils/errorHandler";
+import AuthorBadge from "../components/AuthorBadge";
+import StatusBadge from "../components/StatusBadge";
+import StatusTimeline from "../components/StatusTimeline";
+import OfficialResponse from "../components/OfficialResponse";
+import useOrganization from "../hooks/useOrganization";
 
 const FeedbackDetails = () => {
   const { id } = useParams();
+  const { slug, path } = useOrganization();
   const [feedback, setFeedback] = useState(null);
   const [comments, setComments] = useState([]);
+  const [commentsOpen, setCommentsOpen] = useState(true);
+  const [heldNotice, setHeldNotice] = useState("");
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState("");
   const [commentText, setCommentText] = useState("");
+  const [commentError, setCommentError] = useState("");
   const [submitting, setSubmitting] = useState(false);
   const toast = useToast();
+  const navigate = useNavigate();
   const abortControllerRef = useRef(null);
 
   const fetchDetails = async () => {
@@ -44,14 +58,22 @@ const FeedbackDetails = () => {
     setError("");
 
     try {
-      const res = await getFeedbackById(id, {
+      const res = await getFeedbackById(slug, id, {
         signal: abortControllerRef.current.signal,
       });
 
       console.log("Response received:", res);
 
+      // Merged items redirect to the item they were merged into
+      if (res.data.feedback?._id && res.data.feedback._id !== id) {
+        navigate(path(`/feedback/${res.data.feedback._id}`), {
+          replace: true,
+        });
+      }
+
       setFeedback(res.data.feedback);
       setComments(res.data.comments);
+      setCommentsOpen(res.data.commentsOpen !== false);
     } catch (err) {
       if (err.name !== "AbortError") {
         const errorMessage = getErrorMessage(err);
@@ -76,7 +98,7 @@ const FeedbackDetails = () => {
         abortControllerRef.current.abort();
       }
     };
-  }, [id]);
+  }, [slug, id]);
 
   const handleAddComment = async (e) => {
     e.preventDefault();
@@ -91,10 +113,17 @@ const FeedbackDetails = () => {
       return;
     }
     setSubmitting(true);
+    setCommentError("");
     try {
-      await addComment(id, { text: commentText });
-
+      const res = await addComment(slug, id, { text: commentText });
       setCommentText("");
+
+      // 202 = saved but held for moderator review (not in the thread yet)
+      if (res.status === 202) {
+        setHeldNotice(res.data.message);
+        return;
+      }
+      setHeldNotice("");
       await fetchDetails(); // Refresh to get updated comments
 
       toast({
@@ -104,10 +133,11 @@ const FeedbackDetails = () => {
         duration: 3000,
         isClosable: true,
       });
-      // }
     } catch (err) {
-      handleApiError(err, toast, "Failed to add comment");
-      // }
+      // Validation errors are shown under the comment box
+      const { text } = getFieldErrors(err);
+      if (text) setCommentError(text);
+      else handleApiError(err, toast, "Failed to add comment");
     } finally {
       setSubmitting(false);
     }
@@ -136,6 +166,10 @@ const FeedbackDetails = () => {
     );
   }
 
+  // The pinned official response is shown above the thread, not inside it
+  const pinnedResponse = comments.find((c) => c.pinned);
+  const thread = comments.filter((c) => !c.pinned);
+
   return (
     <Box p={4}>
       <HStack justify="space-between" mb={2}>
@@ -146,11 +180,7 @@ const FeedbackDetails = () => {
             </Tag>
           ))}
         </HStack>
-        <Badge
-          colorScheme={feedback.status === "resolved" ? "green" : "orange"}
-        >
-          {feedback.status}
-        </Badge>
+        <StatusBadge status={feedback.status} />
       </HStack>
       <Heading size="md" mb={2}>
         Feedback
@@ -159,44 +189,81 @@ const FeedbackDetails = () => {
       <Text fontSize="sm" color="gray.500">
         {new Date(feedback.createdAt).toLocaleString()}
       </Text>
+      {pinnedResponse && (
+        <Box mt={4}>
+          <OfficialResponse response={pinnedResponse} />
+        </Box>
+      )}
+      <Divider my={4} />
+      <Heading size="sm" mb={3}>
+        Status history
+      </Heading>
+      <StatusTimeline history={feedback.statusHistory} />
       <Divider my={4} />
       <Heading size="sm" mb={2}>
         Comments
       </Heading>
 
       <VStack align="stretch" spacing={2} mb={4}>
-        {comments.length === 0 && (
+        {thread.length === 0 && (
           <Text color="gray.500">No comments yet.</Text>
         )}
-        {comments.map((c) => (
-          <Box key={c._id} p={2} borderWidth={1} borderRadius="md">
-            <Text>{c.text}</Text>
-            <Text fontSize="xs" color="gray.500">
-              {new Date(c.createdAt).toLocaleString()}
-            </Text>
-          </Box>
-        ))}
+        {thread.map((c) =>
+          c.authorType === "admin" ? (
+            <OfficialResponse key={c._id} response={c} />
+          ) : (
+            <Box key={c._id} p={2} borderWidth={1} borderRadius="md">
+              <AuthorBadge
+                authorType={c.authorType}
+                mergedFrom={c.mergedFrom}
+                mb={1}
+              />
+              <Text>{c.text}</Text>
+              <Text fontSize="xs" color="gray.500">
+                {new Date(c.createdAt).toLocaleString()}
+              </Text>
+            </Box>
+          )
+        )}
       </VStack>
 
-      <Box as="form" onSubmit={handleAddComment}>
-        <FormControl mb={2}>
-          <FormLabel>Add a Comment</FormLabel>
-          <Textarea
-            value={commentText}
-            onChange={(e) => setCommentText(e.target.value)}
-            placeholder="Write a comment..."
-            disabled={submitting}
-          />
-        </FormControl>
-        <Button
-          type="submit"
-          colorScheme="teal"
-          isLoading={submitting}
-          loadingText="Submitting..."
-        >
-          Submit
-        </Button>
-      </Box>
+      {heldNotice && (
+        <Alert status="info" mb={4} borderRadius="md">
+          <AlertIcon />
+          {heldNotice} It will appear here once a moderator approves it.
+        </Alert>
+      )}
+
+      {commentsOpen ? (
+        <Box as="form" onSubmit={handleAddComment}>
+          <FormControl mb={2} isInvalid={!!commentError}>
+            <FormLabel>Add a Comment</FormLabel>
+            <Textarea
+              value={commentText}
+              onChange={(e) => {
+                setCommentText(e.target.value);
+                setCommentError("");
+              }}
+              placeholder="Write a comment..."
+              disabled={submitting}
+            />
+            <FormErrorMessage>{commentError}</FormErrorMessage>
+          </FormControl>
+          <Button
+            type="submit"
+            colorScheme="teal"
+            isLoading={submitting}
+            loadingText="Submitting..."
+          >
+            Submit
+          </Button>
+        </Box>
+      ) : (
+        <Alert status="warning" borderRadius="md">
+          <AlertIcon />
+          Comments are closed for this feedback.
+        </Alert>
+      )}
     </Box>
   );
 };
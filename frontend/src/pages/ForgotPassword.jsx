@@ -0,0 +1,106 @@
+import React, { useState } from "react";
+import {
+  Box,
+  Button,
+  FormControl,
+  FormErrorMessage,
+  FormLabel,
+  Input,
+  Heading,
+  Text,
+  useToast,
+  Alert,
+  AlertIcon,
+} from "@chakra-ui/react";
+import { Link as RouterLink } from "react-router-dom";
+import { requestPasswordReset } from "../api/admin";
+import { getFieldErrors, handleApiError } from "../utils/errorHandler";
+
+// Asks for a password reset link by email. The answer is the same whether
+// or not the email belongs to an admin.
+const ForgotPassword = () => {
+  const [email, setEmail] = useState("");
+  const [fieldErrors, setFieldErrors] = useState({});
+  const [submitting, setSubmitting] = useState(false);
+  const [sent, setSent] = useState("");
+  const toast = useToast();
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setSubmitting(true);
+    setFieldErrors({});
+    try {
+      const res = await requestPasswordReset({ email });
+      setSent(res.data.message);
+    } catch (err) {
+      const fields = getFieldErrors(err);
+      if (Object.keys(fields).length) setFieldErrors(fields);
+      else handleApiError(err, toast, "Failed to request a reset link");
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <Box maxW="400px" mx="auto" mt={20} p={6} borderWidth={1} borderRadius="md">
+      <Heading mb={4} size="md">
+        Forgot your password?
+      </Heading>
+
+      {sent ? (
+        <>
+          <Alert status="success" mb={4}>
+            <AlertIcon />
+            {sent}
+          </Alert>
+          <Text fontSize="sm" mb={4}>
+            The link works once, for a limited time. No email? Check your
+            spam folder; an owner of your organization can also help you
+            back in.
+          </Text>
+        </>
+      ) : (
+        <>
+          <Text mb={6}>
+            Enter the email of your admin account and we'll send you a link
+            to choose a new password.
+          </Text>
+          <form onSubmit={handleSubmit}>
+            <FormControl mb={6} isRequired isInvalid={!!fieldErrors.email}>
+              <FormLabel>Email</FormLabel>
+              <Input
+                type="email"
+                value={email}
+                onChange={(e) => setEmail(e.target.value)}
+                autoComplete="email"
+                disabled={submitting}
+              />
+              <FormErrorMessage>{fieldErrors.email}</FormErrorMessage>
+            </FormControl>
+            <Button
+              colorScheme="teal"
+              type="submit"
+              isLoading={submitting}
+              width="full"
+            >
+              Send reset link
+            </Button>
+          </form>
+        </>
+      )}
+
+      <Button
+        as={RouterLink}
+        to="/admin/login"
+        variant="ghost"
+        size="sm"
+        mt={4}
+        width="full"
+      >
+        Back to login
+      </Button>
+    </Box>
+  );
+};
+
+export default ForgotPassword;
@@ -0,0 +1,413 @@
+// ModerationSettings: admin page for the moderation rules (terms, regexes,
+// allow-list, per-tag thresholds) with a "test this text" dry run.
+
+import { useEffect, useRef, useState, lazy, Suspense } from "react";
+import {
+  Box,
+  Button,
+  Checkbox,
+  Heading,
+  HStack,
+  IconButton,
+  Input,
+  NumberInput,
+  NumberInputField,
+  Select,
+  Spinner,
+  Stack,
+  Switch,
+  Tab,
+  TabList,
+  TabPanel,
+  TabPanels,
+  Tabs,
+  Table,
+  Tbody,
+  Td,
+  Text,
+  Textarea,
+  Th,
+  Thead,
+  Tr,
+  Alert,
+  AlertIcon,
+  useToast,
+  useColorModeValue,
+} from "@chakra-ui/react";
+import { DeleteIcon } from "@chakra-ui/icons";
+import { Link as RouterLink } from "react-router-dom";
+
+import {
+  getModerationRules,
+  createModerationRule,
+  updateModerationRule,
+  deleteModerationRule,
+} from "../api/admin";
+import { getErrorMessage, handleApiError } from "../utils/errorHandler";
+import ModerationTester from "../components/ModerationTester";
+const ConfirmModal = lazy(() => import("../components/ConfirmModal"));
+
+const SEVERITIES = ["low", "medium", "high"];
+
+const RULE_TABS = [
+  { type: "term", label: "Terms", hint: "Whole words or phrases (\"die\" does not match \"diet\")." },
+  { type: "regex", label: "Patterns", hint: "Regular expressions, case-insensitive unless marked otherwise." },
+  { type: "allow", label: "Allow-list", hint: "Phrases exempt from terms and patterns, e.g. \"kill time\"." },
+  { type: "threshold", label: "Thresholds", hint: "Flag score, length limit and provider thresholds, per tag. The strictest value applies." },
+];
+
+const EMPTY_DRAFT = {
+  pattern: "",
+  severity: "medium",
+  caseSensitive: false,
+  tag: "",
+  score: "",
+  maxLength: "",
+  providerThresholds: "",
+  note: "",
+};
+
+// Request body for a new rule of the given type
+const draftToRule = (type, draft) => {
+  if (type !== "threshold") {
+    return {
+      type,
+      pattern: draft.pattern.trim(),
+      note: draft.note.trim() || undefined,
+      ...(type !== "allow" && { severity: draft.severity }),
+      ...(type === "regex" && { caseSensitive: draft.caseSensitive }),
+    };
+  }
+  return {
+    type,
+    tag: draft.tag.trim() || null,
+    score: draft.score === "" ? undefined : Number(draft.score),
+    maxLength: draft.maxLength === "" ? undefined : Number(draft.maxLength),
+    providerThresholds: draft.providerThresholds.trim()
+      ? JSON.parse(draft.providerThresholds)
+      : undefined,
+    note: draft.note.trim() || undefined,
+  };
+};
+
+const ModerationSettings = () => {
+  const [rules, setRules] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState("");
+  const [draft, setDraft] = useState(EMPTY_DRAFT);
+  const [saving, setSaving] = useState(false);
+  const toast = useToast();
+  const abortControllerRef = useRef(null);
+
+  const cardBg = useColorModeValue("white", "gray.800");
+  const subTextColor = useColorModeValue("gray.500", "gray.400");
+
+  const fetchRules = async () => {
+    if (abortControllerRef.current) abortControllerRef.current.abort();
+    abortControllerRef.current = new AbortController();
+
+    setLoading(true);
+    setError("");
+    try {
+      const res = await getModerationRules(
+        {},
+        { signal: abortControllerRef.current.signal }
+      );
+      setRules(res.data?.items || []);
+    } catch (err) {
+      if (err.name !== "AbortError" && err.message !== "canceled") {
+        setError(getErrorMessage(err));
+      }
+    }
+    setLoading(false);
+  };
+
+  useEffect(() => {
+    fetchRules();
+    return () => abortControllerRef.current?.abort();
+  }, []);
+
+  const updateDraft = (field) => (e) =>
+    setDraft((d) => ({
+      ...d,
+      [field]: e.target.type === "checkbox" ? e.target.checked : e.target.value,
+    }));
+
+  const handleCreate = async (type) => {
+    let body;
+    try {
+      body = draftToRule(type, draft);
+    } catch {
+      toast({
+        title: "Provider thresholds must be valid JSON",
+        status: "error",
+        duration: 4000,
+        isClosable: true,
+      });
+      return;
+    }
+
+    setSaving(true);
+    try {
+      const res = await createModerationRule(body);
+      setRules((prev) => [...prev, res.data]);
+      setDraft(EMPTY_DRAFT);
+      toast({ title: "Rule added", status: "success", duration: 2000, isClosable: true });
+    } catch (err) {
+      handleApiError(err, toast, "Failed to add rule");
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleUpdate = async (rule, changes) => {
+    try {
+      const res = await updateModerationRule(rule._id, changes);
+      setRules((prev) => prev.map((r) => (r._id === rule._id ? res.data : r)));
+    } catch (err) {
+      handleApiError(err, toast, "Failed to update rule");
+    }
+  };
+
+  const handleDelete = async (rule) => {
+    try {
+      await deleteModerationRule(rule._id);
+      setRules((prev) => prev.filter((r) => r._id !== rule._id));
+      toast({ title: "Rule deleted", status: "success", duration: 2000, isClosable: true });
+    } catch (err) {
+      handleApiError(err, toast, "Failed to delete rule");
+    }
+  };
+
+  // Add-rule form for the active tab
+  const renderForm = (type) => (
+    <Box
+      as="form"
+      onSubmit={(e) => {
+        e.preventDefault();
+        handleCreate(type);
+      }}
+      mb={4}
+    >
+      {type === "threshold" ? (
+        <Stack spacing={2}>
+          <HStack>
+            <Input
+              size="sm"
+              value={draft.tag}
+              onChange={updateDraft("tag")}
+              placeholder="Tag (empty = default for all items)"
+            />
+            <NumberInput
+              size="sm"
+              min={1}
+              value={draft.score}
+              onChange={(value) => setDraft((d) => ({ ...d, score: value }))}
+            >
+              <NumberInputField placeholder="Flag score" />
+            </NumberInput>
+            <NumberInput
+              size="sm"
+              min={1}
+              value={draft.maxLength}
+              onChange={(value) => setDraft((d) => ({ ...d, maxLength: value }))}
+            >
+              <NumberInputField placeholder="Max length" />
+            </NumberInput>
+          </HStack>
+          <Textarea
+            size="sm"
+            rows={2}
+            fontFamily="mono"
+            value={draft.providerThresholds}
+            onChange={updateDraft("providerThresholds")}
+            placeholder='Provider thresholds (JSON), e.g. { "perspective": { "TOXICITY": 0.4 } }'
+          />
+        </Stack>
+      ) : (
+        <HStack>
+          <Input
+            size="sm"
+            value={draft.pattern}
+            onChange={updateDraft("pattern")}
+            placeholder={type === "regex" ? "Regular expression" : "Word or phrase"}
+            fontFamily={type === "regex" ? "mono" : undefined}
+            isRequired
+          />
+          {type !== "allow" && (
+            <Select size="sm" w="140px" value={draft.severity} onChange={updateDraft("severity")}>
+              {SEVERITIES.map((s) => (
+                <option key={s} value={s}>
+                  {s}
+                </option>
+              ))}
+            </Select>
+          )}
+          {type === "regex" && (
+            <Checkbox
+              size="sm"
+              isChecked={draft.caseSensitive}
+              onChange={updateDraft("caseSensitive")}
+              whiteSpace="nowrap"
+            >
+              Case-sensitive
+            </Checkbox>
+          )}
+        </HStack>
+      )}
+      <HStack mt={2}>
+        <Input size="sm" value={draft.note} onChange={updateDraft("note")} placeholder="Note (optional)" />
+        <Button type="submit" size="sm" colorScheme="teal" isLoading={saving} px={6}>
+          Add
+        </Button>
+      </HStack>
+    </Box>
+  );
+
+  // Rules of one type
+  const renderTable = (type) => {
+    const rows = rules.filter((r) => r.type === type);
+    if (rows.length === 0) {
+      return <Text color={subTextColor}>No rules yet.</Text>;
+    }
+    return (
+      <Table size="sm">
+        <Thead>
+          <Tr>
+            <Th>{type === "threshold" ? "Tag" : "Pattern"}</Th>
+            <Th>{type === "threshold" ? "Limits" : type === "allow" ? "" : "Severity"}</Th>
+            <Th>Note</Th>
+            <Th>Enabled</Th>
+            <Th />
+          </Tr>
+        </Thead>
+        <Tbody>
+          {rows.map((rule) => (
+            <Tr key={rule._id} opacity={rule.enabled ? 1 : 0.5}>
+              <Td fontFamily={type === "regex" ? "mono" : undefined}>
+                {type === "threshold" ? rule.tag || "(default)" : rule.pattern}
+                {rule.caseSensitive && (
+                  <Text as="span" fontSize="xs" color={subTextColor}>
+                    {" "}
+                    (case-sensitive)
+                  </Text>
+                )}
+              </Td>
+              <Td>
+                {type === "threshold" ? (
+                  <Text fontSize="sm">
+                    {rule.score != null && `score ≥ ${rule.score} `}
+                    {rule.maxLength != null && `· ≤ ${rule.maxLength} chars `}
+                    {rule.providerThresholds && (
+                      <Text as="span" fontFamily="mono" fontSize="xs">
+                        {JSON.stringify(rule.providerThresholds)}
+                      </Text>
+                    )}
+                  </Text>
+                ) : (
+                  type !== "allow" && (
+                    <Select
+                      size="xs"
+                      w="100px"
+                      value={rule.severity}
+                      onChange={(e) => handleUpdate(rule, { severity: e.target.value })}
+                    >
+                      {SEVERITIES.map((s) => (
+                        <option key={s} value={s}>
+                          {s}
+                        </option>
+                      ))}
+                    </Select>
+                  )
+                )}
+              </Td>
+              <Td fontSize="sm" color={subTextColor}>
+                {rule.note}
+              </Td>
+              <Td>
+                <Switch
+                  colorScheme="teal"
+                  isChecked={rule.enabled}
+                  onChange={(e) => handleUpdate(rule, { enabled: e.target.checked })}
+                />
+              </Td>
+              <Td>
+                <Suspense fallback={<IconButton size="xs" icon={<DeleteIcon />} isLoading />}>
+                  <ConfirmModal
+                    onConfirm={() => handleDelete(rule)}
+                    title="Delete Rule"
+                    body="Are you sure? Disabling a rule keeps it for later."
+                  >
+                    <IconButton
+                      size="xs"
+                      colorScheme="red"
+                      variant="ghost"
+                      icon={<DeleteIcon />}
+                      aria-label="Delete rule"
+                    />
+                  </ConfirmModal>
+                </Suspense>
+              </Td>
+            </Tr>
+          ))}
+        </Tbody>
+      </Table>
+    );
+  };
+
+  return (
+    <Box maxW="1000px" mx="auto" p={{ base: 2, md: 6 }}>
+      <HStack justify="space-between" mb={6}>
+        <Heading size="lg" color="teal.500">
+          Moderation Rules
+        </Heading>
+        <Button as={RouterLink} to="/admin/dashboard" variant="ghost" colorScheme="teal">
+          Back to dashboard
+        </Button>
+      </HStack>
+
+      {/* Dry run */}
+      <Box p={5} mb={8} borderWidth={1} borderRadius="xl" bg={cardBg} boxShadow="sm">
+        <Heading size="md" mb={3} color="blue.400">
+          Test this text
+        </Heading>
+        <ModerationTester />
+      </Box>
+
+      {error ? (
+        <Alert status="error" borderRadius="md">
+          <AlertIcon />
+          {error}
+          <Button ml={4} size="sm" onClick={fetchRules}>
+            Retry
+          </Button>
+        </Alert>
+      ) : loading ? (
+        <Spinner size="lg" />
+      ) : (
+        <Tabs colorScheme="teal" variant="enclosed" onChange={() => setDraft(EMPTY_DRAFT)}>
+          <TabList>
+            {RULE_TABS.map(({ type, label }) => (
+              <Tab key={type} fontWeight="semibold">
+                {label} ({rules.filter((r) => r.type === type).length})
+              </Tab>
+            ))}
+          </TabList>
+          <TabPanels>
+            {RULE_TABS.map(({ type, hint }) => (
+              <TabPanel key={type} px={0}>
+                <Text fontSize="sm" color={subTextColor} mb={3}>
+                  {hint}
+                </Text>
+                {renderForm(type)}
+                {renderTable(type)}
+              </TabPanel>
+            ))}
+          </TabPanels>
+        </Tabs>
+      )}
+    </Box>
+  );
+};
+
+export default ModerationSettings;
@@ -0,0 +1,533 @@
+// NotificationSettings: owner page for the organization's notification
+// channels. Each channel sends the chosen events by email, to a Slack or
+// Teams webhook or as a JSON POST, optionally only for some tags or
+// statuses, with its own title and text per event if set.
+
+import { useEffect, useRef, useState, lazy, Suspense } from "react";
+import {
+  Box,
+  Button,
+  Checkbox,
+  CheckboxGroup,
+  Code,
+  Collapse,
+  FormControl,
+  FormErrorMessage,
+  FormHelperText,
+  FormLabel,
+  Heading,
+  HStack,
+  IconButton,
+  Input,
+  Select,
+  SimpleGrid,
+  Spinner,
+  Stack,
+  Switch,
+  Tag,
+  Text,
+  Textarea,
+  Alert,
+  AlertIcon,
+  useToast,
+  useColorModeValue,
+} from "@chakra-ui/react";
+import { DeleteIcon, EditIcon } from "@chakra-ui/icons";
+import { Link as RouterLink } from "react-router-dom";
+
+import {
+  getNotificationChannels,
+  createNotificationChannel,
+  updateNotificationChannel,
+  deleteNotificationChannel,
+  testNotificationChannel,
+} from "../api/admin";
+import { useAdminAuth } from "../context/AdminAuthContext";
+import useTags from "../hooks/useTags";
+import useStatusWorkflow from "../hooks/useStatusWorkflow";
+import {
+  getErrorMessage,
+  getFieldErrors,
+  handleApiError,
+} from "../utils/errorHandler";
+const ConfirmModal = lazy(() => import("../components/ConfirmModal"));
+
+const EMPTY_DRAFT = {
+  name: "",
+  type: "email",
+  email: "",
+  url: "",
+  events: [],
+  tags: [],
+  statuses: [],
+  templates: {},
+};
+
+// The form's values for an existing channel
+const toDraft = (channel) => ({
+  ...EMPTY_DRAFT,
+  ...channel,
+  email: channel.email || "",
+  url: channel.url || "",
+});
+
+const NotificationSettings = () => {
+  const [channels, setChannels] = useState([]);
+  const [types, setTypes] = useState([]);
+  const [events, setEvents] = useState([]);
+  const [placeholders, setPlaceholders] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState("");
+  const [draft, setDraft] = useState(EMPTY_DRAFT);
+  const [editing, setEditing] = useState(null); // channel id
+  const [showTemplates, setShowTemplates] = useState(false);
+  const [fieldErrors, setFieldErrors] = useState({});
+  const [saving, setSaving] = useState(false);
+  const [testing, setTesting] = useState(null); // channel id
+  const toast = useToast();
+  const abortControllerRef = useRef(null);
+
+  const { organization } = useAdminAuth();
+  const { tags, tagLabel, tagColor } = useTags(organization?.slug);
+  const { statusNames, statusLabel, statusColor } = useStatusWorkflow();
+
+  const cardBg = useColorModeValue("white", "gray.800");
+  const subTextColor = useColorModeValue("gray.500", "gray.400");
+
+  const typeOf = (type) => types.find((t) => t.type === type);
+  const target = typeOf(draft.type)?.target || "email";
+
+  const fetchChannels = async () => {
+    if (abortControllerRef.current) abortControllerRef.current.abort();
+    abortControllerRef.current = new AbortController();
+
+    setLoading(true);
+    setError("");
+    try {
+      const res = await getNotificationChannels({
+        signal: abortControllerRef.current.signal,
+      });
+      setChannels(res.data?.items || []);
+      setTypes(res.data?.types || []);
+      setEvents(res.data?.events || []);
+      setPlaceholders(res.data?.placeholders || []);
+    } catch (err) {
+      if (err.name !== "AbortError" && err.message !== "canceled") {
+        setError(getErrorMessage(err));
+      }
+    }
+    setLoading(false);
+  };
+
+  useEffect(() => {
+    fetchChannels();
+    return () => abortControllerRef.current?.abort();
+  }, []);
+
+  const resetForm = () => {
+    setDraft(EMPTY_DRAFT);
+    setEditing(null);
+    setShowTemplates(false);
+    setFieldErrors({});
+  };
+
+  const startEditing = (channel) => {
+    setDraft(toDraft(channel));
+    setEditing(channel._id);
+    setShowTemplates(Object.keys(channel.templates || {}).length > 0);
+    setFieldErrors({});
+    window.scrollTo({ top: 0, behavior: "smooth" });
+  };
+
+  const setTemplate = (event, part, value) =>
+    setDraft((d) => ({
+      ...d,
+      templates: {
+        ...d.templates,
+        [event]: { ...d.templates[event], [part]: value },
+      },
+    }));
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    setFieldErrors({});
+    // Only the field the type sends to; templates of other events are kept
+    const data = {
+      name: draft.name,
+      type: draft.type,
+      [target]: draft[target],
+      events: draft.events,
+      tags: draft.tags,
+      statuses: draft.statuses,
+      templates: draft.templates,
+    };
+    try {
+      if (editing) {
+        const res = await updateNotificationChannel(editing, data);
+        setChannels((prev) =>
+          prev.map((c) => (c._id === editing ? res.data : c))
+        );
+        toast({ title: "Channel saved", status: "success", duration: 2000, isClosable: true });
+      } else {
+        const res = await createNotificationChannel(data);
+        setChannels((prev) => [...prev, res.data]);
+      }
+      resetForm();
+    } catch (err) {
+      setFieldErrors(getFieldErrors(err));
+      handleApiError(err, toast, "Failed to save channel");
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleToggle = async (channel, active) => {
+    try {
+      const res = await updateNotificationChannel(channel._id, { active });
+      setChannels((prev) =>
+        prev.map((c) => (c._id === channel._id ? res.data : c))
+      );
+    } catch (err) {
+      handleApiError(err, toast, "Failed to update channel");
+    }
+  };
+
+  const handleDelete = async (channel) => {
+    try {
+      await deleteNotificationChannel(channel._id);
+      setChannels((prev) => prev.filter((c) => c._id !== channel._id));
+      if (editing === channel._id) resetForm();
+      toast({ title: "Channel deleted", status: "success", duration: 2000, isClosable: true });
+    } catch (err) {
+      handleApiError(err, toast, "Failed to delete channel");
+    }
+  };
+
+  const handleTest = async (channel) => {
+    setTesting(channel._id);
+    try {
+      await testNotificationChannel(channel._id);
+      toast({ title: "Test notification sent", status: "success", duration: 3000, isClosable: true });
+    } catch (err) {
+      handleApiError(err, toast, "Failed to send test notification");
+    } finally {
+      setTesting(null);
+    }
+  };
+
+  return (
+    <Box maxW="1000px" mx="auto" p={{ base: 2, md: 6 }}>
+      <HStack justify="space-between" mb={6}>
+        <Heading size="lg" color="teal.500">
+          Notifications
+        </Heading>
+        <Button as={RouterLink} to="/admin/dashboard" variant="ghost" colorScheme="teal">
+          Back to dashboard
+        </Button>
+      </HStack>
+
+      {/* New or edited channel */}
+      <Box
+        as="form"
+        onSubmit={handleSave}
+        p={5}
+        mb={8}
+        borderWidth={1}
+        borderRadius="xl"
+        bg={cardBg}
+        boxShadow="sm"
+      >
+        <Heading size="md" mb={1} color="blue.400">
+          {editing ? "Edit channel" : "Add a channel"}
+        </Heading>
+        <Text fontSize="sm" color={subTextColor} mb={4}>
+          The notification email in the organization settings also gets new
+          feedback.
+        </Text>
+        <Stack spacing={3}>
+          <SimpleGrid columns={{ base: 1, md: 2 }} spacing={3}>
+            <FormControl isRequired isInvalid={!!fieldErrors.name}>
+              <FormLabel>Name</FormLabel>
+              <Input
+                size="sm"
+                value={draft.name}
+                onChange={(e) => setDraft((d) => ({ ...d, name: e.target.value }))}
+                placeholder="Facilities team"
+              />
+              <FormErrorMessage>{fieldErrors.name}</FormErrorMessage>
+            </FormControl>
+            <FormControl isRequired isInvalid={!!fieldErrors.type}>
+              <FormLabel>Type</FormLabel>
+              <Select
+                size="sm"
+                value={draft.type}
+                onChange={(e) => setDraft((d) => ({ ...d, type: e.target.value }))}
+              >
+                {types.map(({ type, label }) => (
+                  <option key={type} value={type}>
+                    {label}
+                  </option>
+                ))}
+              </Select>
+              <FormErrorMessage>{fieldErrors.type}</FormErrorMessage>
+            </FormControl>
+          </SimpleGrid>
+          {target === "email" ? (
+            <FormControl isRequired isInvalid={!!fieldErrors.email}>
+              <FormLabel>Email</FormLabel>
+              <Input
+                size="sm"
+                type="email"
+                value={draft.email}
+                onChange={(e) => setDraft((d) => ({ ...d, email: e.target.value }))}
+                placeholder="team@example.com"
+              />
+              <FormErrorMessage>{fieldErrors.email}</FormErrorMessage>
+            </FormControl>
+          ) : (
+            <FormControl isRequired isInvalid={!!fieldErrors.url}>
+              <FormLabel>Webhook URL</FormLabel>
+              <Input
+                size="sm"
+                value={draft.url}
+                onChange={(e) => setDraft((d) => ({ ...d, url: e.target.value }))}
+                placeholder="https://hooks.example.com/…"
+              />
+              <FormErrorMessage>{fieldErrors.url}</FormErrorMessage>
+            </FormControl>
+          )}
+          <FormControl isInvalid={!!fieldErrors.events}>
+            <FormLabel>Events</FormLabel>
+            <CheckboxGroup
+              colorScheme="teal"
+              value={draft.events}
+              onChange={(value) => setDraft((d) => ({ ...d, events: value }))}
+            >
+              <HStack spacing={4} flexWrap="wrap">
+                {events.map((event) => (
+                  <Checkbox key={event} value={event}>
+                    <Code fontSize="xs">{event}</Code>
+                  </Checkbox>
+                ))}
+              </HStack>
+            </CheckboxGroup>
+            <FormErrorMessage>{fieldErrors.events}</FormErrorMessage>
+          </FormControl>
+          <FormControl isInvalid={!!fieldErrors.tags}>
+            <FormLabel>Only for tags</FormLabel>
+            <CheckboxGroup
+              colorScheme="teal"
+              value={draft.tags}
+              onChange={(value) => setDraft((d) => ({ ...d, tags: value }))}
+            >
+              <HStack spacing={4} flexWrap="wrap">
+                {tags.map((tag) => (
+                  <Checkbox key={tag.slug} value={tag.slug}>
+                    {tag.label}
+                  </Checkbox>
+                ))}
+              </HStack>
+            </CheckboxGroup>
+            <FormHelperText>None checked: every tag.</FormHelperText>
+            <FormErrorMessage>{fieldErrors.tags}</FormErrorMessage>
+          </FormControl>
+          <FormControl isInvalid={!!fieldErrors.statuses}>
+            <FormLabel>Only for statuses</FormLabel>
+            <CheckboxGroup
+              colorScheme="teal"
+              value={draft.statuses}
+              onChange={(value) => setDraft((d) => ({ ...d, statuses: value }))}
+            >
+              <HStack spacing={4} flexWrap="wrap">
+                {statusNames.map((status) => (
+                  <Checkbox key={status} value={status}>
+                    {statusLabel(status)}
+                  </Checkbox>
+                ))}
+              </HStack>
+            </CheckboxGroup>
+            <FormHelperText>
+              None checked: every status. Status changes are matched on the
+              new status.
+            </FormHelperText>
+            <FormErrorMessage>{fieldErrors.statuses}</FormErrorMessage>
+          </FormControl>
+
+          <Box>
+            <Button
+              size="xs"
+              variant="ghost"
+              onClick={() => setShowTemplates((open) => !open)}
+              isDisabled={draft.events.length === 0}
+            >
+              {showTemplates ? "Hide templates" : "Customize messages"}
+            </Button>
+          </Box>
+          <Collapse in={showTemplates && draft.events.length > 0} animateOpacity>
+            <Stack spacing={4}>
+              <Text fontSize="sm" color={subTextColor}>
+                Leave a field empty for the built-in text. Placeholders:{" "}
+                {placeholders.map((name) => (
+                  <Code key={name} fontSize="xs" mr={1}>
+                    {`{{${name}}}`}
+                  </Code>
+                ))}
+              </Text>
+              {fieldErrors.templates && (
+                <Text color="red.500" fontSize="sm">
+                  {fieldErrors.templates}
+                </Text>
+              )}
+              {draft.events.map((event) => (
+                <Box key={event}>
+                  <Code fontSize="xs" mb={2}>
+                    {event}
+                  </Code>
+                  <Stack spacing={2}>
+                    <Input
+                      size="sm"
+                      value={draft.templates[event]?.title || ""}
+                      onChange={(e) => setTemplate(event, "title", e.target.value)}
+                      placeholder="Title"
+                      aria-label={`${event} title`}
+                    />
+                    <Textarea
+                      size="sm"
+                      rows={2}
+                      value={draft.templates[event]?.text || ""}
+                      onChange={(e) => setTemplate(event, "text", e.target.value)}
+                      placeholder="Text"
+                      aria-label={`${event} text`}
+                    />
+                  </Stack>
+                </Box>
+              ))}
+            </Stack>
+          </Collapse>
+
+          <HStack>
+            <Button
+              type="submit"
+              size="sm"
+              colorScheme="teal"
+              isLoading={saving}
+              isDisabled={
+                !draft.name.trim() || !draft[target].trim() || draft.events.length === 0
+              }
+              px={6}
+            >
+              {editing ? "Save" : "Add"}
+            </Button>
+            {editing && (
+              <Button size="sm" variant="ghost" onClick={resetForm}>
+                Cancel
+              </Button>
+            )}
+          </HStack>
+        </Stack>
+      </Box>
+
+      {error ? (
+        <Alert status="error" borderRadius="md">
+          <AlertIcon />
+          {error}
+          <Button ml={4} size="sm" onClick={fetchChannels}>
+            Retry
+          </Button>
+        </Alert>
+      ) : loading ? (
+        <Spinner size="lg" />
+      ) : channels.length === 0 ? (
+        <Text color={subTextColor}>No notification channels yet.</Text>
+      ) : (
+        <Stack spacing={4}>
+          {channels.map((channel) => (
+            <Box
+              key={channel._id}
+              p={4}
+              borderWidth={1}
+              borderRadius="lg"
+              bg={cardBg}
+              opacity={channel.active ? 1 : 0.6}
+            >
+              <HStack justify="space-between" align="flex-start">
+                <Box minW={0}>
+                  <Text fontWeight="bold">
+                    {channel.name}{" "}
+                    <Text as="span" fontWeight="normal" fontSize="sm" color={subTextColor}>
+                      ({typeOf(channel.type)?.label || channel.type})
+                    </Text>
+                  </Text>
+                  <Text fontFamily="mono" fontSize="sm" wordBreak="break-all">
+                    {channel.email || channel.url}
+                  </Text>
+                  <HStack mt={2} spacing={1} flexWrap="wrap">
+                    {channel.events.map((event) => (
+                      <Tag key={event} size="sm" colorScheme="blue">
+                        {event}
+                      </Tag>
+                    ))}
+                    {channel.tags.map((tag) => (
+                      <Tag key={tag} size="sm" colorScheme={tagColor(tag)}>
+                        {tagLabel(tag)}
+                      </Tag>
+                    ))}
+                    {channel.statuses.map((status) => (
+                      <Tag key={status} size="sm" colorScheme={statusColor(status)}>
+                        {statusLabel(status)}
+                      </Tag>
+                    ))}
+                  </HStack>
+                </Box>
+                <HStack spacing={1} flexShrink={0}>
+                  <Switch
+                    colorScheme="teal"
+                    isChecked={channel.active}
+                    onChange={(e) => handleToggle(channel, e.target.checked)}
+                    aria-label="Active"
+                    title={channel.active ? "Active" : "Paused"}
+                    mr={2}
+                  />
+                  <Button
+                    size="xs"
+                    variant="outline"
+                    colorScheme="teal"
+                    onClick={() => handleTest(channel)}
+                    isLoading={testing === channel._id}
+                  >
+                    Send test
+                  </Button>
+                  <IconButton
+                    size="xs"
+                    variant="ghost"
+                    icon={<EditIcon />}
+                    aria-label="Edit channel"
+                    onClick={() => startEditing(channel)}
+                  />
+                  <Suspense fallback={<IconButton size="xs" icon={<DeleteIcon />} isLoading />}>
+                    <ConfirmModal
+                      onConfirm={() => handleDelete(channel)}
+                      title="Delete Channel"
+                      body="No more notifications are sent through this channel."
+                    >
+                      <IconButton
+                        size="xs"
+                        colorScheme="red"
+                        variant="ghost"
+                        icon={<DeleteIcon />}
+                        aria-label="Delete channel"
+                      />
+                    </ConfirmModal>
+                  </Suspense>
+                </HStack>
+              </HStack>
+            </Box>
+          ))}
+        </Stack>
+      )}
+    </Box>
+  );
+};
+
+export default NotificationSettings;
@@ -0,0 +1,249 @@
+// OrganizationSettings: admin page for the signed-in admin's organization
+// (name, moderation strictness, tags offered on the submission form,
+// where new-feedback emails go and whether admins must use two-factor
+// authentication).
+
+import { useEffect, useRef, useState } from "react";
+import {
+  Box,
+  Button,
+  Checkbox,
+  CheckboxGroup,
+  FormControl,
+  FormErrorMessage,
+  FormHelperText,
+  FormLabel,
+  Heading,
+  HStack,
+  Input,
+  Select,
+  Spinner,
+  Switch,
+  Tag,
+  Text,
+  Wrap,
+  WrapItem,
+  Alert,
+  AlertIcon,
+  useToast,
+  useColorModeValue,
+} from "@chakra-ui/react";
+import { Link as RouterLink } from "react-router-dom";
+
+import {
+  getOrganizationSettings,
+  updateOrganizationSettings,
+  getTags,
+} from "../api/admin";
+import {
+  getErrorMessage,
+  getFieldErrors,
+  handleApiError,
+} from "../utils/errorHandler";
+import { invalidateTags } from "../hooks/useTags";
+
+// See STRICTNESS in backend/utils/moderateFeedback.js
+const STRICTNESS_OPTIONS = [
+  { value: "relaxed", label: "Relaxed: hold only what most checks flag" },
+  { value: "standard", label: "Standard" },
+  { value: "strict", label: "Strict: hold what any check flags, lower thresholds" },
+];
+
+const OrganizationSettings = () => {
+  const [organization, setOrganization] = useState(null);
+  const [tags, setTags] = useState([]);
+  const [draft, setDraft] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState("");
+  const [fieldErrors, setFieldErrors] = useState({});
+  const [saving, setSaving] = useState(false);
+  const toast = useToast();
+  const abortControllerRef = useRef(null);
+
+  const cardBg = useColorModeValue("white", "gray.800");
+  const subTextColor = useColorModeValue("gray.500", "gray.400");
+
+  const fetchSettings = async () => {
+    if (abortControllerRef.current) abortControllerRef.current.abort();
+    abortControllerRef.current = new AbortController();
+    const { signal } = abortControllerRef.current;
+
+    setLoading(true);
+    setError("");
+    try {
+      const [org, tagList] = await Promise.all([
+        getOrganizationSettings({ signal }),
+        getTags({}, { signal }),
+      ]);
+      setOrganization(org.data);
+      setTags(tagList.data?.items || []);
+      setDraft({
+        name: org.data.name,
+        moderationStrictness: org.data.settings?.moderationStrictness || "standard",
+        allowedTags: org.data.settings?.allowedTags || [],
+        notificationEmail: org.data.settings?.notificationEmail || "",
+        requireTwoFactor: !!org.data.settings?.requireTwoFactor,
+      });
+    } catch (err) {
+      if (err.name !== "AbortError" && err.message !== "canceled") {
+        setError(getErrorMessage(err));
+      }
+    }
+    setLoading(false);
+  };
+
+  useEffect(() => {
+    fetchSettings();
+    return () => abortControllerRef.current?.abort();
+  }, []);
+
+  // Editing a field clears the error shown under it
+  const updateDraft = (field, value) => {
+    setDraft((d) => ({ ...d, [field]: value }));
+    if (fieldErrors[field]) setFieldErrors({ ...fieldErrors, [field]: "" });
+  };
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    setFieldErrors({});
+    try {
+      const res = await updateOrganizationSettings({
+        ...draft,
+        notificationEmail: draft.notificationEmail.trim(),
+      });
+      setOrganization(res.data);
+      // The submission form offers only the allowed tags
+      invalidateTags();
+      toast({ title: "Settings saved", status: "success", duration: 2000, isClosable: true });
+    } catch (err) {
+      const fields = getFieldErrors(err);
+      if (Object.keys(fields).length) setFieldErrors(fields);
+      else handleApiError(err, toast, "Failed to save settings");
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <Box maxW="800px" mx="auto" p={{ base: 2, md: 6 }}>
+      <HStack justify="space-between" mb={6}>
+        <Heading size="lg" color="teal.500">
+          Organization
+        </Heading>
+        <Button as={RouterLink} to="/admin/dashboard" variant="ghost" colorScheme="teal">
+          Back to dashboard
+        </Button>
+      </HStack>
+
+      {error ? (
+        <Alert status="error" borderRadius="md">
+          <AlertIcon />
+          {error}
+          <Button ml={4} size="sm" onClick={fetchSettings}>
+            Retry
+          </Button>
+        </Alert>
+      ) : loading || !draft ? (
+        <Spinner size="lg" />
+      ) : (
+        <Box
+          as="form"
+          onSubmit={handleSave}
+          p={5}
+          borderWidth={1}
+          borderRadius="xl"
+          bg={cardBg}
+          boxShadow="sm"
+        >
+          <Text fontSize="sm" color={subTextColor} mb={4}>
+            Public board:{" "}
+            <Text as="span" fontFamily="mono">
+              /o/{organization.slug}
+            </Text>
+          </Text>
+
+          <FormControl mb={4} isRequired isInvalid={!!fieldErrors.name}>
+            <FormLabel>Name</FormLabel>
+            <Input value={draft.name} onChange={(e) => updateDraft("name", e.target.value)} />
+            <FormErrorMessage>{fieldErrors.name}</FormErrorMessage>
+          </FormControl>
+
+          <FormControl mb={4} isInvalid={!!fieldErrors.moderationStrictness}>
+            <FormLabel>Moderation strictness</FormLabel>
+            <Select
+              value={draft.moderationStrictness}
+              onChange={(e) => updateDraft("moderationStrictness", e.target.value)}
+            >
+              {STRICTNESS_OPTIONS.map((option) => (
+                <option key={option.value} value={option.value}>
+                  {option.label}
+                </option>
+              ))}
+            </Select>
+            <FormErrorMessage>{fieldErrors.moderationStrictness}</FormErrorMessage>
+          </FormControl>
+
+          <FormControl mb={4} isInvalid={!!fieldErrors.allowedTags}>
+            <FormLabel>Allowed tags</FormLabel>
+            <CheckboxGroup
+              colorScheme="teal"
+              value={draft.allowedTags}
+              onChange={(value) => updateDraft("allowedTags", value)}
+            >
+              <Wrap spacing={4}>
+                {tags
+                  .filter((tag) => !tag.archived)
+                  .map((tag) => (
+                    <WrapItem key={tag.slug}>
+                      <Checkbox value={tag.slug}>
+                        <Tag colorScheme={tag.color}>{tag.label}</Tag>
+                      </Checkbox>
+                    </WrapItem>
+                  ))}
+              </Wrap>
+            </CheckboxGroup>
+            <FormHelperText>None selected: every active tag is offered.</FormHelperText>
+            <FormErrorMessage>{fieldErrors.allowedTags}</FormErrorMessage>
+          </FormControl>
+
+          <FormControl mb={6} isInvalid={!!fieldErrors.notificationEmail}>
+            <FormLabel>Notification email</FormLabel>
+            <Input
+              type="email"
+              value={draft.notificationEmail}
+              onChange={(e) => updateDraft("notificationEmail", e.target.value)}
+              placeholder="Leave empty for no emails"
+            />
+            <FormHelperText>Receives an email for each new feedback item.</FormHelperText>
+            <FormErrorMessage>{fieldErrors.notificationEmail}</FormErrorMessage>
+          </FormControl>
+
+          <FormControl mb={6} isInvalid={!!fieldErrors.requireTwoFactor}>
+            <HStack>
+              <Switch
+                id="require-two-factor"
+                colorScheme="teal"
+                isChecked={draft.requireTwoFactor}
+                onChange={(e) => updateDraft("requireTwoFactor", e.target.checked)}
+              />
+              <FormLabel htmlFor="require-two-factor" mb={0}>
+                Require two-factor authentication
+              </FormLabel>
+            </HStack>
+            <FormHelperText>
+              Admins without it must set it up at their next sign-in. Turn it on for your own account first (Team page).
+            </FormHelperText>
+            <FormErrorMessage>{fieldErrors.requireTwoFactor}</FormErrorMessage>
+          </FormControl>
+
+          <Button type="submit" colorScheme="teal" isLoading={saving}>
+            Save
+          </Button>
+        </Box>
+      )}
+    </Box>
+  );
+};
+
+export default OrganizationSettings;
@@ -0,0 +1,125 @@
+import React, { useState } from "react";
+import {
+  Box,
+  Button,
+  FormControl,
+  FormErrorMessage,
+  FormLabel,
+  Input,
+  Heading,
+  Text,
+  useToast,
+  Alert,
+  AlertIcon,
+} from "@chakra-ui/react";
+import { Link as RouterLink, useNavigate, useParams } from "react-router-dom";
+import { resetPassword } from "../api/admin";
+import {
+  getErrorMessage,
+  getFieldErrors,
+  handleApiError,
+} from "../utils/errorHandler";
+
+// Landing page of an emailed reset link: choose a new password, then sign
+// in with it (every device is signed out)
+const ResetPassword = () => {
+  const { token } = useParams();
+  const [password, setPassword] = useState("");
+  const [confirmation, setConfirmation] = useState("");
+  const [fieldErrors, setFieldErrors] = useState({});
+  const [error, setError] = useState("");
+  const [submitting, setSubmitting] = useState(false);
+  const toast = useToast();
+  const navigate = useNavigate();
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (password !== confirmation) {
+      setFieldErrors({ confirmation: "Passwords do not match" });
+      return;
+    }
+    setSubmitting(true);
+    setFieldErrors({});
+    try {
+      await resetPassword({ token, password });
+      toast({
+        title: "Password reset",
+        description: "You can now log in with your new password.",
+        status: "success",
+        duration: 3000,
+        isClosable: true,
+      });
+      navigate("/admin/login");
+    } catch (err) {
+      const fields = getFieldErrors(err);
+      if (Object.keys(fields).length) setFieldErrors(fields);
+      else if (err.response?.status === 400) setError(getErrorMessage(err));
+      else handleApiError(err, toast, "Failed to reset password");
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <Box maxW="400px" mx="auto" mt={20} p={6} borderWidth={1} borderRadius="md">
+      <Heading mb={4} size="md">
+        Choose a new password
+      </Heading>
+
+      {error ? (
+        <>
+          <Alert status="error" mb={4}>
+            <AlertIcon />
+            {error}
+          </Alert>
+          <Text fontSize="sm">
+            <Button as={RouterLink} to="/admin/forgot-password" variant="link" colorScheme="teal" size="sm">
+              Request a new link
+            </Button>{" "}
+            or{" "}
+            <Button as={RouterLink} to="/admin/login" variant="link" colorScheme="teal" size="sm">
+              log in
+            </Button>
+            .
+          </Text>
+        </>
+      ) : (
+        <form onSubmit={handleSubmit}>
+          <FormControl mb={4} isRequired isInvalid={!!fieldErrors.password}>
+            <FormLabel>New password</FormLabel>
+            <Input
+              type="password"
+              value={password}
+              onChange={(e) => setPassword(e.target.value)}
+              autoComplete="new-password"
+              minLength={8}
+              disabled={submitting}
+            />
+            <FormErrorMessage>{fieldErrors.password}</FormErrorMessage>
+          </FormControl>
+          <FormControl mb={6} isRequired isInvalid={!!fieldErrors.confirmation}>
+            <FormLabel>Confirm new password</FormLabel>
+            <Input
+              type="password"
+              value={confirmation}
+              onChange={(e) => setConfirmation(e.target.value)}
+              autoComplete="new-password"
+              disabled={submitting}
+            />
+            <FormErrorMessage>{fieldErrors.confirmation}</FormErrorMessage>
+          </FormControl>
+          <Button
+            colorScheme="teal"
+            type="submit"
+            isLoading={submitting}
+            width="full"
+          >
+            Reset password
+          </Button>
+        </form>
+      )}
+    </Box>
+  );
+};
+
+export default ResetPassword;
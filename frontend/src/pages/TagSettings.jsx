@@ -0,0 +1,399 @@
+// TagSettings: admin page for the tag taxonomy. Tags can be added, edited,
+// archived (hidden from the submission form), renamed or merged into
+// another tag; renames and merges also update existing feedback.
+
+import { useEffect, useRef, useState, lazy, Suspense } from "react";
+import {
+  Box,
+  Button,
+  FormControl,
+  FormLabel,
+  Heading,
+  HStack,
+  IconButton,
+  Input,
+  Modal,
+  ModalBody,
+  ModalCloseButton,
+  ModalContent,
+  ModalFooter,
+  ModalHeader,
+  ModalOverlay,
+  Select,
+  Spinner,
+  Switch,
+  Table,
+  Tag,
+  Tbody,
+  Td,
+  Text,
+  Th,
+  Thead,
+  Tr,
+  Alert,
+  AlertIcon,
+  useToast,
+  useColorModeValue,
+} from "@chakra-ui/react";
+import { DeleteIcon, EditIcon } from "@chakra-ui/icons";
+import { Link as RouterLink } from "react-router-dom";
+
+import { getTags, createTag, updateTag, mergeTag, deleteTag } from "../api/admin";
+import { getErrorMessage, handleApiError } from "../utils/errorHandler";
+import { invalidateTags } from "../hooks/useTags";
+const ConfirmModal = lazy(() => import("../components/ConfirmModal"));
+
+// Chakra colour schemes a tag can use (see models/Tag.model.js)
+const TAG_COLORS = ["gray", "red", "orange", "yellow", "green", "teal", "blue", "cyan", "purple", "pink"];
+
+const EMPTY_DRAFT = { slug: "", label: "", color: "blue", description: "" };
+
+// Lowercase, dash-separated slug suggested from a label
+const slugify = (label) =>
+  label
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "");
+
+// Rename (new slug) or merge (target tag) dialog for one tag
+const TagActionModal = ({ action, tags, onClose, onConfirm }) => {
+  const [value, setValue] = useState("");
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    setValue(action?.type === "rename" ? action.tag.slug : "");
+  }, [action]);
+
+  if (!action) return null;
+  const { type, tag } = action;
+
+  const handleConfirm = async () => {
+    setSaving(true);
+    await onConfirm(action, value.trim());
+    setSaving(false);
+  };
+
+  return (
+    <Modal isOpen onClose={onClose} isCentered>
+      <ModalOverlay />
+      <ModalContent>
+        <ModalHeader>
+          {type === "rename" ? `Rename "${tag.label}"` : `Merge "${tag.label}"`}
+        </ModalHeader>
+        <ModalCloseButton />
+        <ModalBody>
+          <Text fontSize="sm" color="gray.500" mb={4}>
+            {type === "rename"
+              ? "Existing feedback is retagged with the new slug."
+              : "Feedback with this tag is retagged with the target, then this tag is removed."}
+          </Text>
+          <FormControl isRequired>
+            <FormLabel>{type === "rename" ? "New slug" : "Merge into"}</FormLabel>
+            {type === "rename" ? (
+              <Input
+                value={value}
+                onChange={(e) => setValue(e.target.value)}
+                fontFamily="mono"
+              />
+            ) : (
+              <Select
+                placeholder="Select a tag"
+                value={value}
+                onChange={(e) => setValue(e.target.value)}
+              >
+                {tags
+                  .filter((t) => t.slug !== tag.slug)
+                  .map((t) => (
+                    <option key={t.slug} value={t.slug}>
+                      {t.label}
+                      {t.archived ? " (archived)" : ""}
+                    </option>
+                  ))}
+              </Select>
+            )}
+          </FormControl>
+        </ModalBody>
+        <ModalFooter>
+          <Button
+            colorScheme="teal"
+            mr={3}
+            onClick={handleConfirm}
+            isLoading={saving}
+            isDisabled={!value.trim() || (type === "rename" && value.trim() === tag.slug)}
+          >
+            {type === "rename" ? "Rename" : "Merge"}
+          </Button>
+          <Button onClick={onClose}>Cancel</Button>
+        </ModalFooter>
+      </ModalContent>
+    </Modal>
+  );
+};
+
+const TagSettings = () => {
+  const [tags, setTags] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState("");
+  const [draft, setDraft] = useState(EMPTY_DRAFT);
+  const [saving, setSaving] = useState(false);
+  const [action, setAction] = useState(null); // { type: "rename" | "merge", tag }
+  const toast = useToast();
+  const abortControllerRef = useRef(null);
+
+  const cardBg = useColorModeValue("white", "gray.800");
+  const subTextColor = useColorModeValue("gray.500", "gray.400");
+
+  const fetchTags = async () => {
+    if (abortControllerRef.current) abortControllerRef.current.abort();
+    abortControllerRef.current = new AbortController();
+
+    setLoading(true);
+    setError("");
+    try {
+      const res = await getTags(
+        { archived: true },
+        { signal: abortControllerRef.current.signal }
+      );
+      setTags(res.data?.items || []);
+    } catch (err) {
+      if (err.name !== "AbortError" && err.message !== "canceled") {
+        setError(getErrorMessage(err));
+      }
+    }
+    setLoading(false);
+  };
+
+  useEffect(() => {
+    fetchTags();
+    return () => abortControllerRef.current?.abort();
+  }, []);
+
+  // Other pages pick up the changes on their next load
+  const changed = (title) => {
+    invalidateTags();
+    toast({ title, status: "success", duration: 2000, isClosable: true });
+  };
+
+  const updateDraft = (field) => (e) => {
+    const { value } = e.target;
+    setDraft((d) => ({
+      ...d,
+      [field]: value,
+      // Suggest a slug from the label until one is typed
+      ...(field === "label" && d.slug === slugify(d.label) && { slug: slugify(value) }),
+    }));
+  };
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    try {
+      const res = await createTag({
+        ...draft,
+        description: draft.description.trim() || undefined,
+      });
+      setTags((prev) => [...prev, res.data]);
+      setDraft(EMPTY_DRAFT);
+      changed("Tag added");
+    } catch (err) {
+      handleApiError(err, toast, "Failed to add tag");
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleUpdate = async (tag, changes) => {
+    try {
+      const res = await updateTag(tag.slug, changes);
+      setTags((prev) => prev.map((t) => (t.slug === tag.slug ? res.data.tag : t)));
+      invalidateTags();
+    } catch (err) {
+      handleApiError(err, toast, "Failed to update tag");
+    }
+  };
+
+  const handleAction = async ({ type, tag }, value) => {
+    try {
+      const res =
+        type === "rename"
+          ? await updateTag(tag.slug, { slug: value })
+          : await mergeTag(tag.slug, value);
+      const count = res.data.updatedFeedback;
+      changed(
+        `${type === "rename" ? "Tag renamed" : "Tag merged"}; ${count} feedback item${count === 1 ? "" : "s"} updated`
+      );
+      setAction(null);
+      fetchTags();
+    } catch (err) {
+      handleApiError(err, toast, `Failed to ${type} tag`);
+    }
+  };
+
+  const handleDelete = async (tag) => {
+    try {
+      await deleteTag(tag.slug);
+      setTags((prev) => prev.filter((t) => t.slug !== tag.slug));
+      changed("Tag deleted");
+    } catch (err) {
+      handleApiError(err, toast, "Failed to delete tag");
+    }
+  };
+
+  return (
+    <Box maxW="1000px" mx="auto" p={{ base: 2, md: 6 }}>
+      <HStack justify="space-between" mb={6}>
+        <Heading size="lg" color="teal.500">
+          Tags
+        </Heading>
+        <Button as={RouterLink} to="/admin/dashboard" variant="ghost" colorScheme="teal">
+          Back to dashboard
+        </Button>
+      </HStack>
+
+      {/* New tag */}
+      <Box
+        as="form"
+        onSubmit={handleCreate}
+        p={5}
+        mb={8}
+        borderWidth={1}
+        borderRadius="xl"
+        bg={cardBg}
+        boxShadow="sm"
+      >
+        <Heading size="md" mb={3} color="blue.400">
+          Add a tag
+        </Heading>
+        <HStack mb={2}>
+          <Input size="sm" value={draft.label} onChange={updateDraft("label")} placeholder="Label" isRequired />
+          <Input
+            size="sm"
+            value={draft.slug}
+            onChange={updateDraft("slug")}
+            placeholder="slug"
+            fontFamily="mono"
+            isRequired
+          />
+          <Select size="sm" w="160px" value={draft.color} onChange={updateDraft("color")}>
+            {TAG_COLORS.map((c) => (
+              <option key={c} value={c}>
+                {c}
+              </option>
+            ))}
+          </Select>
+        </HStack>
+        <HStack>
+          <Input
+            size="sm"
+            value={draft.description}
+            onChange={updateDraft("description")}
+            placeholder="Description (optional, shown on the submission form)"
+          />
+          <Button type="submit" size="sm" colorScheme="teal" isLoading={saving} px={6}>
+            Add
+          </Button>
+        </HStack>
+      </Box>
+
+      {error ? (
+        <Alert status="error" borderRadius="md">
+          <AlertIcon />
+          {error}
+          <Button ml={4} size="sm" onClick={fetchTags}>
+            Retry
+          </Button>
+        </Alert>
+      ) : loading ? (
+        <Spinner size="lg" />
+      ) : tags.length === 0 ? (
+        <Text color={subTextColor}>No tags yet.</Text>
+      ) : (
+        <Table size="sm" bg={cardBg} borderRadius="lg">
+          <Thead>
+            <Tr>
+              <Th>Tag</Th>
+              <Th>Slug</Th>
+              <Th>Colour</Th>
+              <Th>Description</Th>
+              <Th>Archived</Th>
+              <Th />
+            </Tr>
+          </Thead>
+          <Tbody>
+            {tags.map((tag) => (
+              <Tr key={tag.slug} opacity={tag.archived ? 0.5 : 1}>
+                <Td>
+                  <Tag colorScheme={tag.color}>{tag.label}</Tag>
+                </Td>
+                <Td fontFamily="mono">{tag.slug}</Td>
+                <Td>
+                  <Select
+                    size="xs"
+                    w="100px"
+                    value={tag.color}
+                    onChange={(e) => handleUpdate(tag, { color: e.target.value })}
+                  >
+                    {TAG_COLORS.map((c) => (
+                      <option key={c} value={c}>
+                        {c}
+                      </option>
+                    ))}
+                  </Select>
+                </Td>
+                <Td fontSize="sm" color={subTextColor}>
+                  {tag.description}
+                </Td>
+                <Td>
+                  <Switch
+                    colorScheme="teal"
+                    isChecked={tag.archived}
+                    onChange={(e) => handleUpdate(tag, { archived: e.target.checked })}
+                  />
+                </Td>
+                <Td>
+                  <HStack spacing={1} justify="flex-end">
+                    <IconButton
+                      size="xs"
+                      variant="ghost"
+                      icon={<EditIcon />}
+                      aria-label="Rename tag"
+                      title="Rename"
+                      onClick={() => setAction({ type: "rename", tag })}
+                    />
+                    <Button size="xs" variant="ghost" onClick={() => setAction({ type: "merge", tag })}>
+                      Merge
+                    </Button>
+                    <Suspense fallback={<IconButton size="xs" icon={<DeleteIcon />} isLoading />}>
+                      <ConfirmModal
+                        onConfirm={() => handleDelete(tag)}
+                        title="Delete Tag"
+                        body="Only unused tags can be deleted. Archive or merge tags that are in use."
+                      >
+                        <IconButton
+                          size="xs"
+                          colorScheme="red"
+                          variant="ghost"
+                          icon={<DeleteIcon />}
+                          aria-label="Delete tag"
+                        />
+                      </ConfirmModal>
+                    </Suspense>
+                  </HStack>
+                </Td>
+              </Tr>
+            ))}
+          </Tbody>
+        </Table>
+      )}
+
+      <TagActionModal
+        action={action}
+        tags={tags}
+        onClose={() => setAction(null)}
+        onConfirm={handleAction}
+      />
+    </Box>
+  );
+};
+
+export default TagSettings;
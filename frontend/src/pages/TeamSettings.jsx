@@ -0,0 +1,459 @@
+// TeamSettings: the organization's admins. Owners invite admins by email,
+// change their roles, disable them and unlock them after failed sign-ins;
+// every admin can set their own email (for password resets), change their
+// password and set up two-factor authentication here.
+
+import { useCallback, useEffect, useRef, useState } from "react";
+import {
+  Badge,
+  Box,
+  Button,
+  FormControl,
+  FormErrorMessage,
+  FormHelperText,
+  FormLabel,
+  Heading,
+  HStack,
+  Input,
+  Select,
+  Spinner,
+  Switch,
+  Table,
+  Tbody,
+  Td,
+  Text,
+  Th,
+  Thead,
+  Tr,
+  Alert,
+  AlertIcon,
+  useToast,
+  useColorModeValue,
+} from "@chakra-ui/react";
+import { Link as RouterLink } from "react-router-dom";
+
+import {
+  getAdminUsers,
+  inviteAdmin,
+  revokeInvitation,
+  updateAdminUser,
+  unlockAdminUser,
+  changePassword,
+  changeEmail,
+} from "../api/admin";
+import {
+  getErrorMessage,
+  getFieldErrors,
+  handleApiError,
+} from "../utils/errorHandler";
+import { useAdminAuth } from "../context/AdminAuthContext";
+import { ROLE_LABELS } from "../utils/permissions";
+import TwoFactorSettings from "../components/TwoFactorSettings";
+
+const ROLES = Object.keys(ROLE_LABELS);
+
+const EMPTY_INVITE = { email: "", role: "responder" };
+const EMPTY_PASSWORD = { currentPassword: "", newPassword: "" };
+
+const RoleSelect = (props) => (
+  <Select size="sm" {...props}>
+    {ROLES.map((role) => (
+      <option key={role} value={role}>
+        {ROLE_LABELS[role]}
+      </option>
+    ))}
+  </Select>
+);
+
+const TeamSettings = () => {
+  const [admins, setAdmins] = useState([]);
+  const [invitations, setInvitations] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState("");
+  const [invite, setInvite] = useState(EMPTY_INVITE);
+  const [inviteErrors, setInviteErrors] = useState({});
+  const [inviting, setInviting] = useState(false);
+  const [passwords, setPasswords] = useState(EMPTY_PASSWORD);
+  const [passwordErrors, setPasswordErrors] = useState({});
+  const [savingPassword, setSavingPassword] = useState(false);
+  const [email, setEmail] = useState("");
+  const [emailError, setEmailError] = useState("");
+  const [savingEmail, setSavingEmail] = useState(false);
+  const toast = useToast();
+  const { admin: me, can } = useAdminAuth();
+  const canManage = can("admins:manage");
+  const abortControllerRef = useRef(null);
+
+  const cardBg = useColorModeValue("white", "gray.800");
+  const subTextColor = useColorModeValue("gray.500", "gray.400");
+
+  const myId = me?.id;
+
+  const fetchTeam = useCallback(async () => {
+    if (abortControllerRef.current) abortControllerRef.current.abort();
+    abortControllerRef.current = new AbortController();
+
+    setLoading(true);
+    setError("");
+    try {
+      const res = await getAdminUsers({
+        signal: abortControllerRef.current.signal,
+      });
+      const items = res.data?.items || [];
+      setAdmins(items);
+      setInvitations(res.data?.invitations || []);
+      setEmail(items.find((a) => a._id === myId)?.email || "");
+    } catch (err) {
+      if (err.name !== "AbortError" && err.message !== "canceled") {
+        setError(getErrorMessage(err));
+      }
+    }
+    setLoading(false);
+  }, [myId]);
+
+  useEffect(() => {
+    fetchTeam();
+    return () => abortControllerRef.current?.abort();
+  }, [fetchTeam]);
+
+  const handleInvite = async (e) => {
+    e.preventDefault();
+    setInviting(true);
+    setInviteErrors({});
+    try {
+      const res = await inviteAdmin(invite);
+      setInvitations((prev) => [
+        res.data,
+        ...prev.filter((i) => i.email !== res.data.email),
+      ]);
+      setInvite(EMPTY_INVITE);
+      toast({ title: `Invitation sent to ${res.data.email}`, status: "success", duration: 3000, isClosable: true });
+    } catch (err) {
+      const fields = getFieldErrors(err);
+      if (Object.keys(fields).length) setInviteErrors(fields);
+      else handleApiError(err, toast, "Failed to send invitation");
+    } finally {
+      setInviting(false);
+    }
+  };
+
+  const handleRevoke = async (invitation) => {
+    try {
+      await revokeInvitation(invitation._id);
+      setInvitations((prev) => prev.filter((i) => i._id !== invitation._id));
+    } catch (err) {
+      handleApiError(err, toast, "Failed to revoke invitation");
+    }
+  };
+
+  const handleUpdate = async (admin, changes) => {
+    try {
+      const res = await updateAdminUser(admin._id, changes);
+      setAdmins((prev) => prev.map((a) => (a._id === admin._id ? res.data : a)));
+    } catch (err) {
+      handleApiError(err, toast, "Failed to update admin");
+    }
+  };
+
+  const handleUnlock = async (admin) => {
+    try {
+      const res = await unlockAdminUser(admin._id);
+      setAdmins((prev) => prev.map((a) => (a._id === admin._id ? res.data : a)));
+      toast({ title: `${admin.username} can sign in again`, status: "success", duration: 2000, isClosable: true });
+    } catch (err) {
+      handleApiError(err, toast, "Failed to unlock admin");
+    }
+  };
+
+  const handleChangeEmail = async (e) => {
+    e.preventDefault();
+    setSavingEmail(true);
+    setEmailError("");
+    try {
+      const res = await changeEmail({ email });
+      setAdmins((prev) => prev.map((a) => (a._id === res.data._id ? res.data : a)));
+      toast({ title: "Email saved", status: "success", duration: 2000, isClosable: true });
+    } catch (err) {
+      const fields = getFieldErrors(err);
+      if (fields.email) setEmailError(fields.email);
+      else handleApiError(err, toast, "Failed to save email");
+    } finally {
+      setSavingEmail(false);
+    }
+  };
+
+  const handleChangePassword = async (e) => {
+    e.preventDefault();
+    setSavingPassword(true);
+    setPasswordErrors({});
+    try {
+      const res = await changePassword(passwords);
+      setPasswords(EMPTY_PASSWORD);
+      toast({
+        title: "Password changed",
+        description: res.data?.revoked
+          ? "Your other devices were signed out."
+          : undefined,
+        status: "success",
+        duration: 3000,
+        isClosable: true,
+      });
+    } catch (err) {
+      const fields = getFieldErrors(err);
+      if (Object.keys(fields).length) setPasswordErrors(fields);
+      else handleApiError(err, toast, "Failed to change password");
+    } finally {
+      setSavingPassword(false);
+    }
+  };
+
+  return (
+    <Box maxW="1000px" mx="auto" p={{ base: 2, md: 6 }}>
+      <HStack justify="space-between" mb={6}>
+        <Heading size="lg" color="teal.500">
+          Team
+        </Heading>
+        <Button as={RouterLink} to="/admin/dashboard" variant="ghost" colorScheme="teal">
+          Back to dashboard
+        </Button>
+      </HStack>
+
+      {/* Invite an admin */}
+      {canManage && (
+        <Box
+          as="form"
+          onSubmit={handleInvite}
+          p={5}
+          mb={8}
+          borderWidth={1}
+          borderRadius="xl"
+          bg={cardBg}
+          boxShadow="sm"
+        >
+          <Heading size="md" mb={3} color="blue.400">
+            Invite an admin
+          </Heading>
+          <HStack align="flex-start">
+            <FormControl isRequired isInvalid={!!inviteErrors.email}>
+              <Input
+                size="sm"
+                type="email"
+                value={invite.email}
+                onChange={(e) => setInvite({ ...invite, email: e.target.value })}
+                placeholder="Email address"
+              />
+              <FormErrorMessage>{inviteErrors.email}</FormErrorMessage>
+            </FormControl>
+            <FormControl w="180px" isInvalid={!!inviteErrors.role}>
+              <RoleSelect value={invite.role} onChange={(e) => setInvite({ ...invite, role: e.target.value })} />
+              <FormErrorMessage>{inviteErrors.role}</FormErrorMessage>
+            </FormControl>
+            <Button type="submit" size="sm" colorScheme="teal" isLoading={inviting} px={6}>
+              Send invitation
+            </Button>
+          </HStack>
+          <Text fontSize="sm" color={subTextColor} mt={2}>
+            They get an email with a one-time link to choose a username and password.
+          </Text>
+        </Box>
+      )}
+
+      {error ? (
+        <Alert status="error" borderRadius="md">
+          <AlertIcon />
+          {error}
+          <Button ml={4} size="sm" onClick={fetchTeam}>
+            Retry
+          </Button>
+        </Alert>
+      ) : loading ? (
+        <Spinner size="lg" />
+      ) : (
+        <>
+          <Table size="sm" bg={cardBg} borderRadius="lg" mb={8}>
+            <Thead>
+              <Tr>
+                <Th>Username</Th>
+                <Th>Email</Th>
+                <Th>Role</Th>
+                <Th>2FA</Th>
+                <Th>Disabled</Th>
+              </Tr>
+            </Thead>
+            <Tbody>
+              {admins.map((admin) => {
+                // Owners manage everyone but themselves
+                const editable = canManage && admin._id !== me?.id;
+                return (
+                  <Tr key={admin._id} opacity={admin.disabled ? 0.5 : 1}>
+                    <Td fontWeight="medium">
+                      {admin.username}
+                      {admin._id === me?.id && (
+                        <Text as="span" color={subTextColor} fontWeight="normal">
+                          {" "}
+                          (you)
+                        </Text>
+                      )}
+                      {/* Locked after repeated failed sign-ins */}
+                      {admin.lockedUntil && (
+                        <HStack mt={1} spacing={2}>
+                          <Badge
+                            colorScheme="orange"
+                            title={`Until ${new Date(admin.lockedUntil).toLocaleString()}, after ${admin.failedAttempts} failed sign-ins`}
+                          >
+                            Locked
+                          </Badge>
+                          {canManage && (
+                            <Button size="xs" variant="link" colorScheme="teal" onClick={() => handleUnlock(admin)}>
+                              Unlock
+                            </Button>
+                          )}
+                        </HStack>
+                      )}
+                    </Td>
+                    <Td color={subTextColor}>{admin.email}</Td>
+                    <Td>
+                      {editable ? (
+                        <RoleSelect
+                          size="xs"
+                          w="140px"
+                          value={admin.role}
+                          onChange={(e) => handleUpdate(admin, { role: e.target.value })}
+                        />
+                      ) : (
+                        ROLE_LABELS[admin.role] || admin.role
+                      )}
+                    </Td>
+                    <Td>
+                      {admin.twoFactor ? (
+                        <Badge colorScheme="green">On</Badge>
+                      ) : (
+                        <Text as="span" color={subTextColor}>
+                          Off
+                        </Text>
+                      )}
+                    </Td>
+                    <Td>
+                      <Switch
+                        colorScheme="red"
+                        isChecked={admin.disabled}
+                        isDisabled={!editable}
+                        onChange={(e) => handleUpdate(admin, { disabled: e.target.checked })}
+                      />
+                    </Td>
+                  </Tr>
+                );
+              })}
+            </Tbody>
+          </Table>
+
+          {invitations.length > 0 && (
+            <Box mb={8}>
+              <Heading size="md" mb={3} color="blue.400">
+                Pending invitations
+              </Heading>
+              <Table size="sm" bg={cardBg} borderRadius="lg">
+                <Tbody>
+                  {invitations.map((invitation) => (
+                    <Tr key={invitation._id}>
+                      <Td>{invitation.email}</Td>
+                      <Td>{ROLE_LABELS[invitation.role] || invitation.role}</Td>
+                      <Td fontSize="sm" color={subTextColor}>
+                        Expires {new Date(invitation.expiresAt).toLocaleString()}
+                      </Td>
+                      <Td textAlign="right">
+                        {canManage && (
+                          <Button size="xs" variant="ghost" colorScheme="red" onClick={() => handleRevoke(invitation)}>
+                            Revoke
+                          </Button>
+                        )}
+                      </Td>
+                    </Tr>
+                  ))}
+                </Tbody>
+              </Table>
+            </Box>
+          )}
+        </>
+      )}
+
+      {/* Own email (for password resets) */}
+      <Box
+        as="form"
+        onSubmit={handleChangeEmail}
+        p={5}
+        mb={8}
+        borderWidth={1}
+        borderRadius="xl"
+        bg={cardBg}
+        boxShadow="sm"
+        maxW="480px"
+      >
+        <Heading size="md" mb={3} color="blue.400">
+          Your email
+        </Heading>
+        <FormControl mb={4} isInvalid={!!emailError}>
+          <FormLabel>Email</FormLabel>
+          <Input
+            type="email"
+            value={email}
+            onChange={(e) => setEmail(e.target.value)}
+            autoComplete="email"
+          />
+          <FormHelperText>
+            Where we send a link if you forget your password.
+          </FormHelperText>
+          <FormErrorMessage>{emailError}</FormErrorMessage>
+        </FormControl>
+        <Button type="submit" colorScheme="teal" isLoading={savingEmail}>
+          Save email
+        </Button>
+      </Box>
+
+      {/* Own password */}
+      <Box
+        as="form"
+        onSubmit={handleChangePassword}
+        p={5}
+        borderWidth={1}
+        borderRadius="xl"
+        bg={cardBg}
+        boxShadow="sm"
+        maxW="480px"
+      >
+        <Heading size="md" mb={3} color="blue.400">
+          Change your password
+        </Heading>
+        <FormControl mb={3} isRequired isInvalid={!!passwordErrors.currentPassword}>
+          <FormLabel>Current password</FormLabel>
+          <Input
+            type="password"
+            value={passwords.currentPassword}
+            onChange={(e) => setPasswords({ ...passwords, currentPassword: e.target.value })}
+            autoComplete="current-password"
+          />
+          <FormErrorMessage>{passwordErrors.currentPassword}</FormErrorMessage>
+        </FormControl>
+        <FormControl mb={4} isRequired isInvalid={!!passwordErrors.newPassword}>
+          <FormLabel>New password</FormLabel>
+          <Input
+            type="password"
+            value={passwords.newPassword}
+            onChange={(e) => setPasswords({ ...passwords, newPassword: e.target.value })}
+            autoComplete="new-password"
+            minLength={8}
+          />
+          <FormErrorMessage>{passwordErrors.newPassword}</FormErrorMessage>
+        </FormControl>
+        <Button type="submit" colorScheme="teal" isLoading={savingPassword}>
+          Change password
+        </Button>
+      </Box>
+
+      {/* Own two-factor authentication */}
+      <TwoFactorSettings />
+    </Box>
+  );
+};
+
+export default TeamSettings;
@@ -0,0 +1,494 @@
+// WebhookSettings: owner page for the organization's webhooks. Each one
+// posts the chosen feedback events to a URL, signed with a secret that is
+// shown once; failed deliveries are retried and every attempt is listed in
+// the webhook's delivery log.
+
+import { useCallback, useEffect, useRef, useState, lazy, Suspense } from "react";
+import {
+  Box,
+  Badge,
+  Button,
+  Checkbox,
+  CheckboxGroup,
+  Code,
+  Collapse,
+  FormControl,
+  FormErrorMessage,
+  FormLabel,
+  Heading,
+  HStack,
+  IconButton,
+  Input,
+  Spinner,
+  Stack,
+  Switch,
+  Table,
+  Tag,
+  Tbody,
+  Td,
+  Text,
+  Th,
+  Thead,
+  Tr,
+  Alert,
+  AlertIcon,
+  useClipboard,
+  useToast,
+  useColorModeValue,
+} from "@chakra-ui/react";
+import { DeleteIcon } from "@chakra-ui/icons";
+import { Link as RouterLink } from "react-router-dom";
+
+import {
+  getWebhooks,
+  createWebhook,
+  updateWebhook,
+  deleteWebhook,
+  rotateWebhookSecret,
+  testWebhook,
+  getWebhookDeliveries,
+} from "../api/admin";
+import {
+  getErrorMessage,
+  getFieldErrors,
+  handleApiError,
+} from "../utils/errorHandler";
+const ConfirmModal = lazy(() => import("../components/ConfirmModal"));
+
+const EMPTY_DRAFT = { url: "", description: "", events: [] };
+
+const STATUS_COLORS = { delivered: "green", pending: "yellow", failed: "red" };
+
+// A new signing secret, shown once
+const SecretNotice = ({ secret, onDone }) => {
+  const { hasCopied, onCopy } = useClipboard(secret);
+  return (
+    <Alert status="warning" borderRadius="md" mb={6} alignItems="flex-start">
+      <AlertIcon />
+      <Box flex="1">
+        <Text mb={2}>
+          Signing secret. Copy it into the receiving end now; it won't be shown
+          again.
+        </Text>
+        <Code wordBreak="break-all">{secret}</Code>
+        <HStack mt={3}>
+          <Button size="sm" onClick={onCopy}>
+            {hasCopied ? "Copied" : "Copy"}
+          </Button>
+          <Button size="sm" variant="ghost" onClick={onDone}>
+            Done
+          </Button>
+        </HStack>
+      </Box>
+    </Alert>
+  );
+};
+
+// Latest deliveries of one webhook; `version` changes reload it
+const DeliveryLog = ({ webhookId, version }) => {
+  const [deliveries, setDeliveries] = useState([]);
+  const [nextCursor, setNextCursor] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState("");
+  const subTextColor = useColorModeValue("gray.500", "gray.400");
+
+  const fetchDeliveries = useCallback(async (cursor) => {
+    setLoading(true);
+    setError("");
+    try {
+      const res = await getWebhookDeliveries(webhookId, { cursor, limit: 10 });
+      const items = res.data?.items || [];
+      setDeliveries((prev) => (cursor ? [...prev, ...items] : items));
+      setNextCursor(res.data?.nextCursor || null);
+    } catch (err) {
+      setError(getErrorMessage(err));
+    }
+    setLoading(false);
+  }, [webhookId]);
+
+  // A new version means new deliveries to show
+  useEffect(() => {
+    fetchDeliveries();
+  }, [fetchDeliveries, version]);
+
+  if (error) {
+    return (
+      <Text color="red.500" fontSize="sm">
+        {error}
+      </Text>
+    );
+  }
+  if (!loading && deliveries.length === 0) {
+    return (
+      <Text color={subTextColor} fontSize="sm">
+        Nothing sent yet.
+      </Text>
+    );
+  }
+
+  return (
+    <Box>
+      <Table size="sm">
+        <Thead>
+          <Tr>
+            <Th>Sent</Th>
+            <Th>Event</Th>
+            <Th>Status</Th>
+            <Th>Attempts</Th>
+            <Th>Last answer</Th>
+            <Th>Next attempt</Th>
+          </Tr>
+        </Thead>
+        <Tbody>
+          {deliveries.map((delivery) => {
+            const last = delivery.attempts[delivery.attempts.length - 1];
+            return (
+              <Tr key={delivery._id}>
+                <Td whiteSpace="nowrap">
+                  {new Date(delivery.createdAt).toLocaleString()}
+                </Td>
+                <Td>
+                  <Code fontSize="xs">{delivery.event}</Code>
+                </Td>
+                <Td>
+                  <Badge colorScheme={STATUS_COLORS[delivery.status]}>
+                    {delivery.status}
+                  </Badge>
+                </Td>
+                <Td>{delivery.attempts.length}</Td>
+                <Td fontSize="xs">
+                  {last ? last.error || last.statusCode : "—"}
+                  {last?.durationMs != null && ` (${last.durationMs} ms)`}
+                </Td>
+                <Td fontSize="xs">
+                  {delivery.nextAttemptAt && delivery.status === "pending"
+                    ? new Date(delivery.nextAttemptAt).toLocaleString()
+                    : "—"}
+                </Td>
+              </Tr>
+            );
+          })}
+        </Tbody>
+      </Table>
+      {loading && <Spinner size="sm" mt={2} />}
+      {nextCursor && !loading && (
+        <Button mt={2} size="xs" onClick={() => fetchDeliveries(nextCursor)}>
+          Load more
+        </Button>
+      )}
+    </Box>
+  );
+};
+
+const WebhookSettings = () => {
+  const [webhooks, setWebhooks] = useState([]);
+  const [events, setEvents] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState("");
+  const [draft, setDraft] = useState(EMPTY_DRAFT);
+  const [fieldErrors, setFieldErrors] = useState({});
+  const [saving, setSaving] = useState(false);
+  const [secret, setSecret] = useState("");
+  const [openLog, setOpenLog] = useState(null); // webhook id
+  const [logVersion, setLogVersion] = useState(0);
+  const [testing, setTesting] = useState(null); // webhook id
+  const toast = useToast();
+  const abortControllerRef = useRef(null);
+
+  const cardBg = useColorModeValue("white", "gray.800");
+  const subTextColor = useColorModeValue("gray.500", "gray.400");
+
+  const fetchWebhooks = async () => {
+    if (abortControllerRef.current) abortControllerRef.current.abort();
+    abortControllerRef.current = new AbortController();
+
+    setLoading(true);
+    setError("");
+    try {
+      const res = await getWebhooks({
+        signal: abortControllerRef.current.signal,
+      });
+      setWebhooks(res.data?.items || []);
+      setEvents(res.data?.events || []);
+    } catch (err) {
+      if (err.name !== "AbortError" && err.message !== "canceled") {
+        setError(getErrorMessage(err));
+      }
+    }
+    setLoading(false);
+  };
+
+  useEffect(() => {
+    fetchWebhooks();
+    return () => abortControllerRef.current?.abort();
+  }, []);
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    setFieldErrors({});
+    try {
+      const res = await createWebhook({
+        ...draft,
+        description: draft.description.trim() || undefined,
+      });
+      const { secret: newSecret, ...webhook } = res.data;
+      setWebhooks((prev) => [...prev, webhook]);
+      setSecret(newSecret);
+      setDraft(EMPTY_DRAFT);
+    } catch (err) {
+      setFieldErrors(getFieldErrors(err));
+      handleApiError(err, toast, "Failed to add webhook");
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleUpdate = async (webhook, changes) => {
+    try {
+      const res = await updateWebhook(webhook._id, changes);
+      setWebhooks((prev) =>
+        prev.map((w) => (w._id === webhook._id ? res.data : w))
+      );
+    } catch (err) {
+      handleApiError(err, toast, "Failed to update webhook");
+    }
+  };
+
+  const handleRotate = async (webhook) => {
+    try {
+      const res = await rotateWebhookSecret(webhook._id);
+      setSecret(res.data.secret);
+    } catch (err) {
+      handleApiError(err, toast, "Failed to replace the secret");
+    }
+  };
+
+  const handleDelete = async (webhook) => {
+    try {
+      await deleteWebhook(webhook._id);
+      setWebhooks((prev) => prev.filter((w) => w._id !== webhook._id));
+      toast({ title: "Webhook deleted", status: "success", duration: 2000, isClosable: true });
+    } catch (err) {
+      handleApiError(err, toast, "Failed to delete webhook");
+    }
+  };
+
+  // Shows the outcome, then the test delivery in the log
+  const handleTest = async (webhook) => {
+    setTesting(webhook._id);
+    try {
+      const res = await testWebhook(webhook._id);
+      const [attempt] = res.data.attempts;
+      toast({
+        title:
+          res.data.status === "delivered"
+            ? `Test event delivered (${attempt.statusCode})`
+            : `Test event failed: ${attempt?.error || "no answer"}`,
+        status: res.data.status === "delivered" ? "success" : "error",
+        duration: 4000,
+        isClosable: true,
+      });
+      setOpenLog(webhook._id);
+      setLogVersion((v) => v + 1);
+    } catch (err) {
+      handleApiError(err, toast, "Failed to send test event");
+    } finally {
+      setTesting(null);
+    }
+  };
+
+  return (
+    <Box maxW="1000px" mx="auto" p={{ base: 2, md: 6 }}>
+      <HStack justify="space-between" mb={6}>
+        <Heading size="lg" color="teal.500">
+          Webhooks
+        </Heading>
+        <Button as={RouterLink} to="/admin/dashboard" variant="ghost" colorScheme="teal">
+          Back to dashboard
+        </Button>
+      </HStack>
+
+      {secret && <SecretNotice secret={secret} onDone={() => setSecret("")} />}
+
+      {/* New webhook */}
+      <Box
+        as="form"
+        onSubmit={handleCreate}
+        p={5}
+        mb={8}
+        borderWidth={1}
+        borderRadius="xl"
+        bg={cardBg}
+        boxShadow="sm"
+      >
+        <Heading size="md" mb={1} color="blue.400">
+          Add a webhook
+        </Heading>
+        <Text fontSize="sm" color={subTextColor} mb={4}>
+          Events are POSTed as JSON with an <Code fontSize="xs">X-WhistleSpace-Signature</Code>{" "}
+          header: the HMAC-SHA256 of the timestamp and body, keyed with the
+          webhook's secret.
+        </Text>
+        <Stack spacing={3}>
+          <FormControl isRequired isInvalid={!!fieldErrors.url}>
+            <FormLabel>URL</FormLabel>
+            <Input
+              size="sm"
+              value={draft.url}
+              onChange={(e) => setDraft((d) => ({ ...d, url: e.target.value }))}
+              placeholder="https://example.com/hooks/whistlespace"
+            />
+            <FormErrorMessage>{fieldErrors.url}</FormErrorMessage>
+          </FormControl>
+          <FormControl>
+            <FormLabel>Description</FormLabel>
+            <Input
+              size="sm"
+              value={draft.description}
+              onChange={(e) => setDraft((d) => ({ ...d, description: e.target.value }))}
+              placeholder="Optional"
+            />
+          </FormControl>
+          <FormControl isInvalid={!!fieldErrors.events}>
+            <FormLabel>Events</FormLabel>
+            <CheckboxGroup
+              colorScheme="teal"
+              value={draft.events}
+              onChange={(value) => setDraft((d) => ({ ...d, events: value }))}
+            >
+              <HStack spacing={4} flexWrap="wrap">
+                {events.map((event) => (
+                  <Checkbox key={event} value={event}>
+                    <Code fontSize="xs">{event}</Code>
+                  </Checkbox>
+                ))}
+              </HStack>
+            </CheckboxGroup>
+            <FormErrorMessage>{fieldErrors.events}</FormErrorMessage>
+          </FormControl>
+          <Box>
+            <Button
+              type="submit"
+              size="sm"
+              colorScheme="teal"
+              isLoading={saving}
+              isDisabled={!draft.url.trim() || draft.events.length === 0}
+              px={6}
+            >
+              Add
+            </Button>
+          </Box>
+        </Stack>
+      </Box>
+
+      {error ? (
+        <Alert status="error" borderRadius="md">
+          <AlertIcon />
+          {error}
+          <Button ml={4} size="sm" onClick={fetchWebhooks}>
+            Retry
+          </Button>
+        </Alert>
+      ) : loading ? (
+        <Spinner size="lg" />
+      ) : webhooks.length === 0 ? (
+        <Text color={subTextColor}>No webhooks yet.</Text>
+      ) : (
+        <Stack spacing={4}>
+          {webhooks.map((webhook) => (
+            <Box
+              key={webhook._id}
+              p={4}
+              borderWidth={1}
+              borderRadius="lg"
+              bg={cardBg}
+              opacity={webhook.active ? 1 : 0.6}
+            >
+              <HStack justify="space-between" align="flex-start">
+                <Box minW={0}>
+                  <Text fontFamily="mono" fontSize="sm" wordBreak="break-all">
+                    {webhook.url}
+                  </Text>
+                  {webhook.description && (
+                    <Text fontSize="sm" color={subTextColor}>
+                      {webhook.description}
+                    </Text>
+                  )}
+                  <HStack mt={2} spacing={1} flexWrap="wrap">
+                    {webhook.events.map((event) => (
+                      <Tag key={event} size="sm" colorScheme="blue">
+                        {event}
+                      </Tag>
+                    ))}
+                  </HStack>
+                </Box>
+                <HStack spacing={1} flexShrink={0}>
+                  <Switch
+                    colorScheme="teal"
+                    isChecked={webhook.active}
+                    onChange={(e) => handleUpdate(webhook, { active: e.target.checked })}
+                    aria-label="Active"
+                    title={webhook.active ? "Active" : "Paused"}
+                    mr={2}
+                  />
+                  <Button
+                    size="xs"
+                    variant="outline"
+                    colorScheme="teal"
+                    onClick={() => handleTest(webhook)}
+                    isLoading={testing === webhook._id}
+                  >
+                    Send test event
+                  </Button>
+                  <Button
+                    size="xs"
+                    variant="ghost"
+                    onClick={() => setOpenLog(openLog === webhook._id ? null : webhook._id)}
+                  >
+                    {openLog === webhook._id ? "Hide deliveries" : "Deliveries"}
+                  </Button>
+                  <Suspense fallback={<Button size="xs" isLoading>New secret</Button>}>
+                    <ConfirmModal
+                      onConfirm={() => handleRotate(webhook)}
+                      title="Replace Secret"
+                      body="Deliveries are signed with the new secret from now on; the receiving end must be updated with it."
+                    >
+                      <Button size="xs" variant="ghost">
+                        New secret
+                      </Button>
+                    </ConfirmModal>
+                  </Suspense>
+                  <Suspense fallback={<IconButton size="xs" icon={<DeleteIcon />} isLoading />}>
+                    <ConfirmModal
+                      onConfirm={() => handleDelete(webhook)}
+                      title="Delete Webhook"
+                      body="No more events are sent to this URL, and its delivery log is removed."
+                    >
+                      <IconButton
+                        size="xs"
+                        colorScheme="red"
+                        variant="ghost"
+                        icon={<DeleteIcon />}
+                        aria-label="Delete webhook"
+                      />
+                    </ConfirmModal>
+                  </Suspense>
+                </HStack>
+              </HStack>
+              <Collapse in={openLog === webhook._id} animateOpacity>
+                {openLog === webhook._id && (
+                  <Box mt={4}>
+                    <DeliveryLog webhookId={webhook._id} version={logVersion} />
+                  </Box>
+                )}
+              </Collapse>
+            </Box>
+          ))}
+        </Stack>
+      )}
+    </Box>
+  );
+};
+
+export default WebhookSettings;
@@ -27,3 +27,10 @@ export const handleApiError = (
     isClosable: true,
   });
 };
+
+// Per-field messages of a 422 validation error ({ text: "Text is required" }),
+// for showing next to the matching form controls. Empty for other errors.
+export const getFieldErrors = (error) => {
+  if (error?.response?.status !== 422) return {};
+  return error.response.data?.fields || {};
+};
@@ -0,0 +1,26 @@
+// Sort orders supported by GET /feedback (value -> label shown in selects)
+export const SORT_OPTIONS = [
+  { value: "newest", label: "Newest first" },
+  { value: "oldest", label: "Oldest first" },
+  { value: "most_commented", label: "Most commented" },
+  { value: "recently_updated", label: "Recently updated" },
+];
+
+// Extra sort order offered while a search query is active
+export const RELEVANCE_OPTION = { value: "relevance", label: "Most relevant" };
+
+// Number of items requested per page
+export const PAGE_SIZE = 20;
+
+// Sort actually requested for a (sort, q) pair: "" means the server default,
+// and relevance falls back to newest once the search is cleared.
+export const resolveSort = (sort, q) => {
+  if (!sort || (sort === RELEVANCE_OPTION.value && !q)) {
+    return q ? RELEVANCE_OPTION.value : "newest";
+  }
+  return sort;
+};
+
+// Options to show in a sort select for the current search state
+export const sortOptionsFor = (q) =>
+  q ? [RELEVANCE_OPTION, ...SORT_OPTIONS] : SORT_OPTIONS;
@@ -0,0 +1,26 @@
+// Which admin roles may do what. Mirrors backend/utils/permissions.js, which
+// the API enforces; the dashboard uses it to hide actions an admin cannot
+// perform.
+const PERMISSIONS = {
+  "feedback:read": ["owner", "moderator", "responder", "auditor"],
+  "feedback:moderate": ["owner", "moderator"],
+  "feedback:status": ["owner", "moderator", "responder"],
+  "feedback:respond": ["owner", "moderator", "responder"],
+  "feedback:delete": ["owner", "moderator"],
+  "tags:manage": ["owner", "moderator"],
+  "moderation:manage": ["owner", "moderator"],
+  "organization:manage": ["owner"],
+  "admins:manage": ["owner"],
+  "audit:read": ["owner", "auditor"],
+  "webhooks:manage": ["owner"],
+};
+
+export const ROLE_LABELS = {
+  owner: "Owner",
+  moderator: "Moderator",
+  responder: "Responder",
+  auditor: "Auditor",
+};
+
+export const can = (role, permission) =>
+  (PERMISSIONS[permission] || []).includes(role);
@@ -0,0 +1,15 @@
+// Claims of a JWT, e.g. the admin's organization. Not verified (the API
+// does that); null when the token is missing or malformed.
+export const decodeToken = (token) => {
+  try {
+    const base64 = token.split(".")[1].replace(/-/g, "+").replace(/_/g, "/");
+    const bytes = Uint8Array.from(atob(base64), (c) => c.charCodeAt(0));
+    return JSON.parse(new TextDecoder().decode(bytes));
+  } catch {
+    return null;
+  }
+};
+
+// Slug of the signed-in admin's organization (see AdminAuthContext)
+export const getAdminOrganization = () =>
+  decodeToken(localStorage.getItem("adminAccessToken"))?.organizationSlug;